@@ -5,36 +5,22 @@
  * Handles application initialization, dataset loading, and startup configuration
  */
 
-const path = require('path');
 const fs = require('fs').promises;
 require('dotenv').config();
 
 // Import services
-const { DatasetLoader } = require('../src/services');
+const { DatasetLoader, TrieRegistry, BlocklistService, TrieChangeJournal } = require('../src/services');
+const { createTrie } = require('../src/data-structures');
+const { createNormalizer } = require('../src/utils/textNormalizer');
+const { loadDatasetDescriptors, getDatasetSearchPaths } = require('../src/config/datasetDescriptors');
 const mongoDBService = require('../src/services/MongoDBService');
 const TriePersistenceService = require('../src/services/TriePersistenceService');
+const SearchAnalyticsService = require('../src/services/SearchAnalyticsService');
 
 /**
  * Bootstrap configuration
  */
 const BOOTSTRAP_CONFIG = {
-  datasets: {
-    cities: {
-      filename: 'worldcities.csv',
-      type: 'cities',
-      priority: 1
-    },
-    products: {
-      filename: 'flipkart_com-ecommerce_sample.csv', 
-      type: 'products',
-      priority: 2
-    },
-    movies: {
-      filename: 'Movie.tsv',
-      type: 'movies',
-      priority: 3
-    }
-  },
   performance: {
     maxInitTime: 30000, // 30 seconds max initialization time
     logInterval: 1000,  // Log progress every second
@@ -141,7 +127,20 @@ class ConfigValidator {
       'MONGODB_DB_NAME',
       'MAX_SUGGESTIONS',
       'SEARCH_TIMEOUT_MS',
-      'TRIE_BACKUP_INTERVAL_MS'
+      'TRIE_BACKUP_INTERVAL_MS',
+      'TRIE_COMPACT_AFTER_DELTAS',
+      'TRIE_IMPLEMENTATION',
+      'TRIE_TOP_K_CACHE_SIZE',
+      'POPULARITY_HALF_LIFE_HOURS',
+      'TEXT_UNICODE_FORM',
+      'TEXT_STRIP_DIACRITICS',
+      'TEXT_CASE_FOLDING',
+      'DEFAULT_DATASET',
+      'DATASET_DESCRIPTOR_PATH',
+      'PHONETIC_ALGORITHM',
+      'NGRAM_ORDER',
+      'NGRAM_QUERY_LOG_LIMIT',
+      'BLOCKLIST_PATH'
     ];
 
     const config = {
@@ -151,7 +150,20 @@ class ConfigValidator {
       MONGODB_DB_NAME: process.env.MONGODB_DB_NAME || 'autocomplete-search',
       MAX_SUGGESTIONS: parseInt(process.env.MAX_SUGGESTIONS) || 5,
       SEARCH_TIMEOUT_MS: parseInt(process.env.SEARCH_TIMEOUT_MS) || 100,
-      TRIE_BACKUP_INTERVAL_MS: parseInt(process.env.TRIE_BACKUP_INTERVAL_MS) || 300000
+      TRIE_BACKUP_INTERVAL_MS: parseInt(process.env.TRIE_BACKUP_INTERVAL_MS) || 300000,
+      TRIE_COMPACT_AFTER_DELTAS: process.env.TRIE_COMPACT_AFTER_DELTAS !== undefined ? parseInt(process.env.TRIE_COMPACT_AFTER_DELTAS) || 0 : 50,
+      TRIE_IMPLEMENTATION: process.env.TRIE_IMPLEMENTATION || 'standard',
+      TRIE_TOP_K_CACHE_SIZE: parseInt(process.env.TRIE_TOP_K_CACHE_SIZE) || 0,
+      POPULARITY_HALF_LIFE_HOURS: parseFloat(process.env.POPULARITY_HALF_LIFE_HOURS) || 168,
+      TEXT_UNICODE_FORM: process.env.TEXT_UNICODE_FORM || 'NFKD',
+      TEXT_STRIP_DIACRITICS: process.env.TEXT_STRIP_DIACRITICS !== 'false',
+      TEXT_CASE_FOLDING: process.env.TEXT_CASE_FOLDING || 'lower',
+      DEFAULT_DATASET: process.env.DEFAULT_DATASET || 'cities',
+      DATASET_DESCRIPTOR_PATH: process.env.DATASET_DESCRIPTOR_PATH || '',
+      PHONETIC_ALGORITHM: process.env.PHONETIC_ALGORITHM || 'doubleMetaphone',
+      NGRAM_ORDER: parseInt(process.env.NGRAM_ORDER) || 3,
+      NGRAM_QUERY_LOG_LIMIT: process.env.NGRAM_QUERY_LOG_LIMIT !== undefined ? parseInt(process.env.NGRAM_QUERY_LOG_LIMIT) || 0 : 1000,
+      BLOCKLIST_PATH: process.env.BLOCKLIST_PATH || ''
     };
 
     // Validate required variables
@@ -169,6 +181,19 @@ class ConfigValidator {
     console.log(`  MAX_SUGGESTIONS: ${config.MAX_SUGGESTIONS}`);
     console.log(`  SEARCH_TIMEOUT_MS: ${config.SEARCH_TIMEOUT_MS}`);
     console.log(`  TRIE_BACKUP_INTERVAL_MS: ${config.TRIE_BACKUP_INTERVAL_MS}`);
+    console.log(`  TRIE_COMPACT_AFTER_DELTAS: ${config.TRIE_COMPACT_AFTER_DELTAS}`);
+    console.log(`  TRIE_IMPLEMENTATION: ${config.TRIE_IMPLEMENTATION}`);
+    console.log(`  TRIE_TOP_K_CACHE_SIZE: ${config.TRIE_TOP_K_CACHE_SIZE}`);
+    console.log(`  POPULARITY_HALF_LIFE_HOURS: ${config.POPULARITY_HALF_LIFE_HOURS}`);
+    console.log(`  TEXT_UNICODE_FORM: ${config.TEXT_UNICODE_FORM}`);
+    console.log(`  TEXT_STRIP_DIACRITICS: ${config.TEXT_STRIP_DIACRITICS}`);
+    console.log(`  TEXT_CASE_FOLDING: ${config.TEXT_CASE_FOLDING}`);
+    console.log(`  DEFAULT_DATASET: ${config.DEFAULT_DATASET}`);
+    console.log(`  DATASET_DESCRIPTOR_PATH: ${config.DATASET_DESCRIPTOR_PATH || '[DEFAULT]'}`);
+    console.log(`  PHONETIC_ALGORITHM: ${config.PHONETIC_ALGORITHM}`);
+    console.log(`  NGRAM_ORDER: ${config.NGRAM_ORDER}`);
+    console.log(`  NGRAM_QUERY_LOG_LIMIT: ${config.NGRAM_QUERY_LOG_LIMIT}`);
+    console.log(`  BLOCKLIST_PATH: ${config.BLOCKLIST_PATH || '[DEFAULT]'}`);
 
     return config;
   }
@@ -178,34 +203,34 @@ class ConfigValidator {
  * Dataset discovery and validation
  */
 class DatasetDiscovery {
-  static async discoverDatasets() {
+  /**
+   * Finds the files of the datasets listed in the dataset descriptor file
+   * @param {string} descriptorPath - Descriptor file (default: src/config/datasets.json)
+   * @returns {Promise<Array<Object>>} Datasets found, sorted by priority
+   * @throws {Error} If the descriptor file is invalid
+   */
+  static async discoverDatasets(descriptorPath = process.env.DATASET_DESCRIPTOR_PATH) {
     const datasets = [];
-    const dataDir = path.resolve(__dirname, '../../data');
-    const rootDir = path.resolve(__dirname, '../..');
+    const descriptors = loadDatasetDescriptors(descriptorPath || undefined);
 
     console.log('[DISCOVERY] Searching for datasets...');
-    console.log(`  Data directory: ${dataDir}`);
-    console.log(`  Root directory: ${rootDir}`);
+    console.log(`  Descriptors: ${descriptors.map(descriptor => descriptor.name).join(', ') || 'none'}`);
 
-    for (const [key, config] of Object.entries(BOOTSTRAP_CONFIG.datasets)) {
-      const possiblePaths = [
-        path.join(dataDir, config.filename),
-        path.join(rootDir, config.filename),
-        path.resolve(config.filename)
-      ];
-
-      for (const filePath of possiblePaths) {
+    for (const descriptor of descriptors) {
+      for (const filePath of getDatasetSearchPaths(descriptor)) {
         try {
           await fs.access(filePath);
           const stats = await fs.stat(filePath);
           datasets.push({
-            key,
-            type: config.type,
+            key: descriptor.name,
+            type: descriptor.type,
             filePath,
             size: stats.size,
-            priority: config.priority
+            modifiedAt: stats.mtimeMs,
+            priority: descriptor.priority,
+            descriptor
           });
-          console.log(`  ✓ Found ${key}: ${filePath} (${stats.size} bytes)`);
+          console.log(`  ✓ Found ${descriptor.name}: ${filePath} (${stats.size} bytes)`);
           break;
         } catch (error) {
           // File doesn't exist, continue searching
@@ -235,6 +260,13 @@ class ApplicationBootstrap {
     this.config = null;
     this.datasetLoader = null;
     this.trie = null;
+    this.tokenIndex = null;
+    this.phoneticIndex = null;
+    this.ngramModel = null;
+    this.trieRegistry = null;
+    this.blocklistService = null;
+    this.persistenceService = null;
+    this.trieJournals = new Map();
     this.mongoConnected = false;
   }
 
@@ -280,6 +312,25 @@ class ApplicationBootstrap {
     }
   }
 
+  /**
+   * Creates the blocklist checked when datasets are loaded and when results are returned
+   * A missing or invalid blocklist file leaves the blocklist empty rather than failing startup.
+   * @param {Function} normalizer - Text normalizer shared with the Tries
+   * @returns {BlocklistService} Blocklist
+   */
+  loadBlocklist(normalizer) {
+    const blocklist = new BlocklistService({ normalizer });
+
+    try {
+      const counts = blocklist.loadFromFile(this.config.BLOCKLIST_PATH || BlocklistService.DEFAULT_BLOCKLIST_PATH);
+      console.log(`[BLOCKLIST] Loaded ${counts.words} words, ${counts.prefixes} prefixes and ${counts.patterns} patterns`);
+    } catch (error) {
+      console.warn(`[BLOCKLIST] Blocklist not loaded: ${error.message}`);
+    }
+
+    return blocklist;
+  }
+
   /**
    * Initialize Trie and load datasets
    */
@@ -287,57 +338,53 @@ class ApplicationBootstrap {
     this.logger.startPhase('trie-initialization');
     
     try {
-      this.datasetLoader = new DatasetLoader();
+      const normalizer = createNormalizer({
+        unicodeForm: this.config.TEXT_UNICODE_FORM,
+        stripDiacritics: this.config.TEXT_STRIP_DIACRITICS,
+        caseFolding: this.config.TEXT_CASE_FOLDING
+      });
+      const trieOptions = {
+        normalizer,
+        popularityHalfLife: this.config.POPULARITY_HALF_LIFE_HOURS * 60 * 60 * 1000
+      };
+      this.trieRegistry = new TrieRegistry({
+        createTrie: () => createTrie(this.config.TRIE_IMPLEMENTATION, trieOptions),
+        defaultDataset: this.config.DEFAULT_DATASET
+      });
+      this.blocklistService = this.loadBlocklist(normalizer);
+      this.datasetLoader = new DatasetLoader({
+        trie: this.trieRegistry.createTrie(),
+        blocklist: this.blocklistService
+      });
       this.trie = this.datasetLoader.getTrie();
+      console.log(`[TRIE] Using ${this.config.TRIE_IMPLEMENTATION} Trie implementation`);
 
-      // Try to restore from MongoDB if connected
+      // Restored Tries must be built with the same normalizer and half-life as loaded ones
       if (this.mongoConnected) {
-        try {
-          const persistenceService = new TriePersistenceService(mongoDBService);
-          const restored = await persistenceService.restoreFromMongoDB(this.trie);
-          if (restored) {
-            console.log('[TRIE] Successfully restored Trie from MongoDB');
-            this.logger.endPhase();
-            return this.trie;
-          }
-        } catch (error) {
-          console.warn('[TRIE] Failed to restore from MongoDB:', error.message);
-        }
+        this.persistenceService = new TriePersistenceService({ trieOptions });
       }
 
-      // Load from datasets
-      const datasets = await DatasetDiscovery.discoverDatasets();
-      
-      if (datasets.length > 0) {
-        const results = await this.datasetLoader.loadMultipleDatasets(datasets);
-        console.log('[TRIE] Dataset loading results:', results.totalStats);
-        
-        for (const result of results.datasets) {
-          if (result.error) {
-            console.error(`[TRIE] Failed to load ${result.dataset}:`, result.error);
-          } else {
-            console.log(`[TRIE] Successfully loaded ${result.dataset}: ${result.validRecords} records`);
-          }
-        }
-      } else {
+      // Restore datasets backed up by an earlier run, load the others from their files
+      const datasets = await DatasetDiscovery.discoverDatasets(this.config.DATASET_DESCRIPTOR_PATH);
+      const restoredVersions = await this.restoreDatasetIndexes(datasets);
+      const unrestored = datasets.filter(dataset => !restoredVersions.has(dataset.key));
+
+      if (unrestored.length > 0) {
+        await this.loadDatasetIndexes(unrestored);
+      }
+
+      if (this.trieRegistry.size() === 0) {
         // Load fallback sample data
         console.log('[TRIE] Loading fallback sample data...');
+        const sampleTrie = this.trieRegistry.create('sample');
         for (const item of BOOTSTRAP_CONFIG.fallback.sampleData) {
-          this.trie.insert(item.word, item.frequency);
+          sampleTrie.insert(item.word, item.frequency, { source: 'sample' });
         }
         console.log(`[TRIE] Loaded ${BOOTSTRAP_CONFIG.fallback.sampleData.length} sample entries`);
       }
 
-      // Backup to MongoDB if connected
-      if (this.mongoConnected) {
-        try {
-          const persistenceService = new TriePersistenceService(mongoDBService);
-          await persistenceService.backupToMongoDB(this.trie);
-          console.log('[TRIE] Successfully backed up Trie to MongoDB');
-        } catch (error) {
-          console.warn('[TRIE] Failed to backup to MongoDB:', error.message);
-        }
-      }
+      this.finalizeDatasetIndexes();
+      await this.startChangeJournals(datasets, restoredVersions);
 
       this.logger.endPhase();
       return this.trie;
@@ -348,6 +395,235 @@ class ApplicationBootstrap {
     }
   }
 
+  /**
+   * Describe what a dataset Trie is built from, so a backup of it can be checked for staleness
+   * @param {Object} dataset - Discovered dataset, or {key} for the sample data
+   * @returns {Object} Dataset file size and modification time, and the normalization settings
+   */
+  getBackupSource(dataset) {
+    return TriePersistenceService.describeSource(dataset, {
+      unicodeForm: this.config.TEXT_UNICODE_FORM,
+      stripDiacritics: this.config.TEXT_STRIP_DIACRITICS,
+      caseFolding: this.config.TEXT_CASE_FOLDING
+    });
+  }
+
+  /**
+   * Restore each dataset from its latest MongoDB backup, with the changes saved since
+   * A backup is only used if it has the configured implementation and was built from the same
+   * dataset file and normalization settings; otherwise the dataset is loaded from its file.
+   * @param {Array<Object>} datasets - Discovered datasets
+   * @returns {Promise<Map<string, string>>} Backup version restored per dataset name
+   */
+  async restoreDatasetIndexes(datasets) {
+    const restoredVersions = new Map();
+    if (!this.persistenceService) {
+      return restoredVersions;
+    }
+
+    for (const dataset of datasets) {
+      try {
+        const backup = await this.persistenceService.getBackupMetadata(null, dataset.key);
+        if (!backup) {
+          continue;
+        }
+
+        const current = backup.implementation === this.config.TRIE_IMPLEMENTATION &&
+          JSON.stringify(backup.source) === JSON.stringify(this.getBackupSource(dataset));
+        if (!current) {
+          console.log(`[TRIE] Backup ${backup.version} of ${dataset.key} is stale, loading from file`);
+          continue;
+        }
+
+        const { trie, metadata } = await this.persistenceService.restoreTrieFromMongoDB(backup.version);
+        this.trieRegistry.register(dataset.key, trie);
+        restoredVersions.set(dataset.key, backup.version);
+        console.log(`[TRIE] Restored ${dataset.key} from backup ${backup.version}: ${trie.getWordCount()} words, ${metadata.deltasApplied} deltas`);
+      } catch (error) {
+        console.warn(`[TRIE] Failed to restore ${dataset.key} from MongoDB:`, error.message);
+      }
+    }
+
+    return restoredVersions;
+  }
+
+  /**
+   * Journal the changes of every dataset Trie as deltas on a MongoDB backup
+   * Tries that were not restored are backed up first, replacing their older backups.
+   * A Trie whose backup fails is served without persistence.
+   * @param {Array<Object>} datasets - Discovered datasets
+   * @param {Map<string, string>} restoredVersions - Backup version restored per dataset name
+   */
+  async startChangeJournals(datasets, restoredVersions) {
+    if (!this.persistenceService) {
+      return;
+    }
+
+    for (const name of this.trieRegistry.getNames()) {
+      const trie = this.trieRegistry.get(name);
+
+      try {
+        let version = restoredVersions.get(name);
+        if (!version) {
+          const dataset = datasets.find(candidate => candidate.key === name) || { key: name };
+          const backup = await this.persistenceService.exportTrieToMongoDB(trie, `${name}_${Date.now()}`, {
+            dataset: name,
+            source: this.getBackupSource(dataset)
+          });
+          version = backup.version;
+          await this.persistenceService.deleteDatasetBackups(name, version);
+        }
+
+        const journal = new TrieChangeJournal({
+          persistenceService: this.persistenceService,
+          version,
+          flushInterval: this.config.TRIE_BACKUP_INTERVAL_MS,
+          compactAfter: this.config.TRIE_COMPACT_AFTER_DELTAS
+        }).attach(trie);
+        journal.start();
+        this.trieJournals.set(name, journal);
+        console.log(`[TRIE] Journaling ${name} changes on backup ${version}`);
+      } catch (error) {
+        console.warn(`[TRIE] Failed to back up ${name} to MongoDB, changes will not persist:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Save the pending changes of every Trie and stop timed flushes
+   * @returns {Promise<number>} Number of changes saved
+   */
+  async drainChangeJournals() {
+    let saved = 0;
+    for (const [name, journal] of this.trieJournals) {
+      try {
+        saved += (await journal.drain()).saved;
+      } catch (error) {
+        console.error(`[TRIE] Failed to save pending ${name} changes:`, error.message);
+      }
+    }
+    return saved;
+  }
+
+  /**
+   * Load each discovered dataset into its own Trie in the registry
+   * Datasets that fail to load are left out of the registry
+   * @param {Array<Object>} datasets - Discovered datasets
+   */
+  async loadDatasetIndexes(datasets) {
+    for (const dataset of datasets) {
+      const trie = this.trieRegistry.create(dataset.key);
+      this.datasetLoader.setTrie(trie);
+
+      try {
+        const result = await this.datasetLoader.loadDataset(dataset);
+        console.log(`[TRIE] Successfully loaded ${dataset.key}: ${result.validRecords} records`);
+      } catch (error) {
+        this.trieRegistry.remove(dataset.key);
+        console.error(`[TRIE] Failed to load ${dataset.key}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Prepare every dataset Trie for serving and select the default dataset
+   */
+  finalizeDatasetIndexes() {
+    for (const name of this.trieRegistry.getNames()) {
+      this.configureTopKCache(this.trieRegistry.get(name));
+    }
+
+    const tokenStats = this.trieRegistry.buildTokenIndexes();
+    for (const [name, stats] of Object.entries(tokenStats)) {
+      console.log(`[TRIE] Token index built for ${name}: ${stats.tokenCount} tokens across ${stats.entryCount} multi-word entries`);
+    }
+
+    if (this.config.PHONETIC_ALGORITHM !== 'none') {
+      const phoneticStats = this.trieRegistry.buildPhoneticIndexes({ algorithm: this.config.PHONETIC_ALGORITHM });
+      for (const [name, stats] of Object.entries(phoneticStats)) {
+        console.log(`[TRIE] Phonetic index built for ${name}: ${stats.codeCount} ${stats.algorithm} codes across ${stats.entryCount} entries`);
+      }
+    }
+
+    const ngramStats = this.trieRegistry.buildNGramModels({ order: this.config.NGRAM_ORDER });
+    for (const [name, stats] of Object.entries(ngramStats)) {
+      console.log(`[TRIE] Next-word model built for ${name}: ${stats.contextCount} contexts from ${stats.sequenceCount} multi-word entries`);
+    }
+
+    const defaultDataset = this.trieRegistry.getDefaultName();
+    this.trie = this.trieRegistry.get(defaultDataset);
+    this.tokenIndex = this.trieRegistry.getTokenIndex(defaultDataset);
+    this.phoneticIndex = this.trieRegistry.getPhoneticIndex(defaultDataset);
+    this.ngramModel = this.trieRegistry.getNGramModel(defaultDataset);
+    this.datasetLoader.setTrie(this.trie);
+    console.log(`[TRIE] Datasets: ${this.trieRegistry.getNames().join(', ')} (default: ${defaultDataset})`);
+  }
+
+  /**
+   * Add popular logged search queries to every dataset's next-word model
+   * Each model only accepts queries made of words from its own dataset.
+   * Failures are logged and leave the models built from the entries alone.
+   */
+  async trainNGramModelsFromQueryLogs() {
+    const limit = this.config.NGRAM_QUERY_LOG_LIMIT;
+    if (!this.mongoConnected || !limit || !this.trieRegistry) {
+      return;
+    }
+
+    try {
+      const analyticsService = new SearchAnalyticsService();
+      const queries = await analyticsService.getPopularQueries({
+        startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+        limit
+      });
+
+      for (const name of this.trieRegistry.getNames()) {
+        const model = this.trieRegistry.getNGramModel(name);
+        const added = queries.filter(({ query, count }) => model.addQuery(query, count)).length;
+        console.log(`[TRIE] Next-word model for ${name} learned ${added} of ${queries.length} logged queries`);
+      }
+    } catch (error) {
+      console.warn('[TRIE] Failed to train next-word models from query logs:', error.message);
+    }
+  }
+
+  /**
+   * Enable per-node top-K caching once a Trie is populated
+   * Building the cache in one pass after loading is cheaper than maintaining it per insert
+   * @param {Trie|RadixTrie} trie - Populated Trie
+   */
+  configureTopKCache(trie) {
+    const cacheSize = this.config.TRIE_TOP_K_CACHE_SIZE;
+    if (cacheSize > 0 && typeof trie.enableTopKCache !== 'function') {
+      console.warn(`[TRIE] Top-K cache is not supported by the ${this.config.TRIE_IMPLEMENTATION} implementation, skipping`);
+      return;
+    }
+
+    if (cacheSize > 0) {
+      trie.enableTopKCache(cacheSize);
+      console.log(`[TRIE] Top-K suggestion cache enabled (${cacheSize} per node)`);
+    }
+  }
+
+  /**
+   * Get live startup progress for the startup health check
+   * @returns {{phase: string|null, datasets: Object}} Current phase and ingestion progress per dataset
+   */
+  getStartupProgress() {
+    return {
+      phase: this.logger.currentPhase,
+      datasets: this.datasetLoader ? this.datasetLoader.getIngestionProgress() : {}
+    };
+  }
+
+  /**
+   * Stop any dataset ingestion that is still running
+   * @returns {boolean} True if an ingestion was asked to stop
+   */
+  cancelIngestion() {
+    return this.datasetLoader ? this.datasetLoader.cancel() : false;
+  }
+
   /**
    * Run complete bootstrap process
    */
@@ -373,12 +649,20 @@ class ApplicationBootstrap {
         success: true,
         config: this.config,
         trie: this.trie,
+        tokenIndex: this.tokenIndex,
+        phoneticIndex: this.phoneticIndex,
+        ngramModel: this.ngramModel,
+        trieRegistry: this.trieRegistry,
+        blocklistService: this.blocklistService,
         datasetLoader: this.datasetLoader,
+        trieJournals: this.trieJournals,
         mongoConnected: this.mongoConnected,
         summary: this.logger.getSummary()
       };
       
     } catch (error) {
+      // A timed-out bootstrap must not keep loading datasets in the background
+      this.cancelIngestion();
       this.logger.logError('bootstrap', error);
       this.logger.logSummary();
       console.error('[BOOTSTRAP] Application bootstrap failed:', error.message);
@@ -398,6 +682,7 @@ class ApplicationBootstrap {
     await this.initializeConfig();
     await this.initializeDatabase();
     await this.initializeTrie();
+    await this.trainNGramModelsFromQueryLogs();
   }
 }
 
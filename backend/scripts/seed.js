@@ -11,15 +11,20 @@ require('dotenv').config();
 
 // Import services
 const { DatasetLoader } = require('../src/services');
+const { createTrie } = require('../src/data-structures');
+const { createNormalizer } = require('../src/utils/textNormalizer');
 const mongoDBService = require('../src/services/MongoDBService');
 const TriePersistenceService = require('../src/services/TriePersistenceService');
+const ProgressReporter = require('../src/utils/ProgressReporter');
 const { config } = require('../src/config/environment');
+const { loadDatasetDescriptors } = require('../src/config/datasetDescriptors');
 
 /**
  * Seed configuration options
  */
 const SEED_OPTIONS = {
   datasets: ['cities', 'products', 'movies', 'sample', 'mixed'],
+  descriptor: null, // Dataset descriptor file (default: DATASET_DESCRIPTOR_PATH or src/config/datasets.json)
   force: false,
   backup: true,
   validate: true,
@@ -151,6 +156,12 @@ class ArgumentParser {
             i++;
           }
           break;
+        case '--descriptor':
+          if (i + 1 < args.length) {
+            options.descriptor = args[i + 1];
+            i++;
+          }
+          break;
         case '--help':
           this.printHelp();
           process.exit(0);
@@ -180,7 +191,9 @@ Options:
   --cleanup                 Clean up temporary files and collections after seeding
   --reset                   Reset database (delete all data) before seeding
   --datasets <list>         Comma-separated list of datasets to load
-                           Available: cities,products,movies,sample,mixed
+                           Available: datasets in the descriptor file, sample, mixed
+  --descriptor <path>       Dataset descriptor file (JSON or YAML)
+                           Default: DATASET_DESCRIPTOR_PATH or src/config/datasets.json
   --help                   Show this help message
 
 Dataset Options:
@@ -189,6 +202,7 @@ Dataset Options:
   movies    - Movie titles dataset (~85k entries)
   sample    - Small sample dataset for testing (~75 entries)
   mixed     - Combination of all available datasets
+  <name>    - Any other dataset named in the descriptor file
 
 Examples:
   node scripts/seed.js
@@ -196,49 +210,11 @@ Examples:
   node scripts/seed.js --no-backup --datasets sample
   node scripts/seed.js --reset --datasets mixed
   node scripts/seed.js --cleanup --datasets cities,products
+  node scripts/seed.js --descriptor ./datasets.yaml --datasets airports
     `);
   }
 }
 
-/**
- * Progress reporter for large dataset loading
- */
-class ProgressReporter {
-  constructor(enabled = true) {
-    this.enabled = enabled;
-    this.startTime = Date.now();
-    this.lastReportTime = Date.now();
-    this.reportInterval = 2000; // Report every 2 seconds
-  }
-
-  report(current, total, operation = 'Processing') {
-    if (!this.enabled) return;
-    
-    const now = Date.now();
-    if (now - this.lastReportTime < this.reportInterval && current < total) return;
-    
-    const elapsed = now - this.startTime;
-    const percentage = total > 0 ? ((current / total) * 100).toFixed(1) : 0;
-    const rate = current > 0 ? (current / (elapsed / 1000)).toFixed(1) : 0;
-    const eta = current > 0 && current < total ? 
-      Math.round(((total - current) / current) * elapsed / 1000) : 0;
-    
-    process.stdout.write(`\r[PROGRESS] ${operation}: ${current}/${total} (${percentage}%) - ${rate} items/sec - ETA: ${eta}s`);
-    
-    if (current >= total) {
-      console.log(); // New line when complete
-    }
-    
-    this.lastReportTime = now;
-  }
-
-  finish(operation = 'Operation') {
-    if (!this.enabled) return;
-    const elapsed = Date.now() - this.startTime;
-    console.log(`[PROGRESS] ${operation} completed in ${elapsed}ms`);
-  }
-}
-
 /**
  * Database seeder class
  */
@@ -247,6 +223,9 @@ class DatabaseSeeder {
     this.options = options;
     this.datasetLoader = null;
     this.trie = null;
+    this.appConfig = null;
+    this.datasetTries = new Map(); // Map<name, {trie, dataset}>, one Trie per loaded dataset
+    this.descriptors = null;
     this.duplicateTracker = new Set();
     this.progressReporter = new ProgressReporter(options.progress);
     this.stats = {
@@ -270,6 +249,7 @@ class DatabaseSeeder {
     try {
       // Load configuration
       const appConfig = config.load();
+      this.appConfig = appConfig;
       
       // Connect to MongoDB
       await this.connectToDatabase(appConfig);
@@ -417,13 +397,48 @@ class DatabaseSeeder {
 
   /**
    * Initialize Trie
+   * Dataset Tries are built with the configured implementation and text normalization,
+   * as bootstrap builds them, so bootstrap can restore their backups.
    */
   initializeTrie() {
     console.log('[SEED] Initializing Trie...');
-    this.datasetLoader = new DatasetLoader();
+    const appConfig = this.appConfig || config.load();
+    this.trieImplementation = appConfig.TRIE_IMPLEMENTATION;
+    this.normalization = {
+      unicodeForm: appConfig.TEXT_UNICODE_FORM,
+      stripDiacritics: appConfig.TEXT_STRIP_DIACRITICS,
+      caseFolding: appConfig.TEXT_CASE_FOLDING
+    };
+    this.trieOptions = {
+      normalizer: createNormalizer(this.normalization),
+      popularityHalfLife: appConfig.POPULARITY_HALF_LIFE_HOURS * 60 * 60 * 1000
+    };
+    this.datasetTries = new Map();
+    this.datasetLoader = new DatasetLoader({ progressReporter: this.progressReporter });
     this.trie = this.datasetLoader.getTrie();
   }
 
+  /**
+   * Start a new Trie for a dataset; records loaded next go into it
+   * @param {Object} dataset - Dataset with key, plus filePath, size and modifiedAt when read from a file
+   * @returns {Trie|RadixTrie} The dataset's Trie
+   */
+  createDatasetTrie(dataset) {
+    const trie = createTrie(this.trieImplementation, this.trieOptions);
+    this.datasetLoader.setTrie(trie);
+    this.trie = trie;
+    this.datasetTries.set(dataset.key, { trie, dataset });
+    return trie;
+  }
+
+  /**
+   * Get the Tries of the loaded datasets
+   * @returns {Array<Trie|RadixTrie>} Dataset Tries
+   */
+  getDatasetTries() {
+    return Array.from(this.datasetTries.values(), ({ trie }) => trie);
+  }
+
   /**
    * Load datasets
    */
@@ -451,20 +466,11 @@ class DatabaseSeeder {
       case 'sample':
         await this.loadSampleData();
         break;
-      case 'cities':
-        await this.loadCitiesDataset();
-        break;
-      case 'products':
-        await this.loadProductsDataset();
-        break;
-      case 'movies':
-        await this.loadMoviesDataset();
-        break;
       case 'mixed':
         await this.loadMixedDatasets();
         break;
       default:
-        throw new Error(`Unknown dataset type: ${datasetType}`);
+        await this.loadDescriptorDataset(this.getDescriptor(datasetType));
     }
   }
 
@@ -476,6 +482,7 @@ class DatabaseSeeder {
     let loaded = 0;
     let duplicates = 0;
     
+    this.createDatasetTrie({ key: 'sample' });
     this.progressReporter.report(0, SAMPLE_DATA.length, 'Loading sample data');
     
     for (let i = 0; i < SAMPLE_DATA.length; i++) {
@@ -492,7 +499,7 @@ class DatabaseSeeder {
         this.duplicateTracker.add(key);
       }
       
-      this.trie.insert(item.word, item.frequency);
+      this.trie.insert(item.word, item.frequency, { source: 'sample' });
       loaded++;
       
       this.progressReporter.report(i + 1, SAMPLE_DATA.length, 'Loading sample data');
@@ -504,38 +511,49 @@ class DatabaseSeeder {
   }
 
   /**
-   * Load cities dataset
+   * Get the dataset descriptors, reading the descriptor file on first use
    */
-  async loadCitiesDataset() {
-    const filePath = await this.findDatasetFile('worldcities.csv');
-    if (!filePath) {
-      throw new Error('Cities dataset file not found');
+  getDescriptors() {
+    if (!this.descriptors) {
+      this.descriptors = loadDatasetDescriptors(this.options.descriptor || process.env.DATASET_DESCRIPTOR_PATH || undefined);
     }
-    
-    const result = await this.datasetLoader.loadCitiesDataset(filePath);
-    this.stats.recordsLoaded += result.validRecords;
-    console.log(`[SEED] Loaded ${result.validRecords} city records`);
+    return this.descriptors;
   }
 
   /**
-   * Load products dataset
+   * Get the descriptor of a dataset by name
    */
-  async loadProductsDataset() {
-    const filePath = await this.findDatasetFile('flipkart_com-ecommerce_sample.csv');
-    if (!filePath) {
-      throw new Error('Products dataset file not found');
+  getDescriptor(name) {
+    const descriptor = this.getDescriptors().find(candidate => candidate.name === name);
+    if (!descriptor) {
+      throw new Error(`Unknown dataset type: ${name}`);
     }
-    
-    const result = await this.datasetLoader.loadProductsDataset(filePath);
-    this.stats.recordsLoaded += result.validRecords;
-    console.log(`[SEED] Loaded ${result.validRecords} product records`);
+    return descriptor;
   }
 
   /**
-   * Load movies dataset
+   * Load a dataset described in the descriptor file
    */
-  async loadMoviesDataset() {
-    throw new Error('Movies dataset loader not implemented yet');
+  async loadDescriptorDataset(descriptor) {
+    const filePath = await this.findDatasetFile(descriptor.file, descriptor.baseDir);
+    if (!filePath) {
+      throw new Error(`${descriptor.name} dataset file not found: ${descriptor.file}`);
+    }
+    
+    const stats = await fs.stat(filePath);
+    const dataset = {
+      key: descriptor.name,
+      type: descriptor.type,
+      filePath,
+      size: stats.size,
+      modifiedAt: stats.mtimeMs,
+      descriptor
+    };
+    this.createDatasetTrie(dataset);
+
+    const result = await this.datasetLoader.loadDataset(dataset);
+    this.stats.recordsLoaded += result.validRecords;
+    console.log(`[SEED] Loaded ${result.validRecords} ${descriptor.name} records (${result.duplicates} duplicates merged)`);
   }
 
   /**
@@ -545,19 +563,15 @@ class DatabaseSeeder {
     console.log('[SEED] Loading mixed datasets...');
     const availableDatasets = [];
     
-    // Check which datasets are available
-    const datasets = ['cities', 'products', 'movies'];
-    for (const dataset of datasets) {
+    // Check which described datasets are available
+    for (const descriptor of this.getDescriptors()) {
       try {
-        const filename = dataset === 'cities' ? 'worldcities.csv' :
-                        dataset === 'products' ? 'flipkart_com-ecommerce_sample.csv' :
-                        'Movie.tsv';
-        const filePath = await this.findDatasetFile(filename);
+        const filePath = await this.findDatasetFile(descriptor.file, descriptor.baseDir);
         if (filePath) {
-          availableDatasets.push(dataset);
+          availableDatasets.push(descriptor.name);
         }
       } catch (error) {
-        console.warn(`[SEED] ${dataset} dataset not available: ${error.message}`);
+        console.warn(`[SEED] ${descriptor.name} dataset not available: ${error.message}`);
       }
     }
     
@@ -580,10 +594,11 @@ class DatabaseSeeder {
   }
 
   /**
-   * Find dataset file in various locations
+   * Find dataset file in various locations, starting with the descriptor file's directory
    */
-  async findDatasetFile(filename) {
+  async findDatasetFile(filename, baseDir = null) {
     const possiblePaths = [
+      ...(baseDir ? [path.resolve(baseDir, filename)] : []),
       path.resolve(__dirname, '../../data', filename),
       path.resolve(__dirname, '../..', filename),
       path.resolve(filename)
@@ -607,7 +622,8 @@ class DatabaseSeeder {
   async validateData() {
     console.log('[SEED] Validating data...');
     
-    const stats = this.trie.getStats();
+    const tries = this.getDatasetTries();
+    const stats = this.getTrieTotals();
     const validationResults = {
       wordCount: stats.wordCount,
       nodeCount: stats.nodeCount,
@@ -631,7 +647,7 @@ class DatabaseSeeder {
     
     for (const query of testQueries) {
       const startTime = Date.now();
-      const results = this.trie.search(query);
+      const results = tries.flatMap(trie => trie.search(query));
       const searchTime = Date.now() - startTime;
       
       validationResults.searchTests[query] = {
@@ -655,7 +671,7 @@ class DatabaseSeeder {
     
     for (let i = 0; i < performanceRuns; i++) {
       const startTime = Date.now();
-      this.trie.search(performanceTestQuery);
+      tries.forEach(trie => trie.search(performanceTestQuery));
       performanceTimes.push(Date.now() - startTime);
     }
     
@@ -679,14 +695,42 @@ class DatabaseSeeder {
     console.log('[SEED] Data validation completed');
   }
 
+  /**
+   * Get the word and node counts of all dataset Tries
+   * @returns {{wordCount: number, nodeCount: number}} Totals
+   */
+  getTrieTotals() {
+    return this.getDatasetTries().reduce((totals, trie) => {
+      const stats = trie.getStats();
+      return {
+        wordCount: totals.wordCount + stats.wordCount,
+        nodeCount: totals.nodeCount + stats.nodeCount
+      };
+    }, { wordCount: 0, nodeCount: 0 });
+  }
+
   /**
    * Save data to database
+   * Each dataset is backed up on its own with the metadata bootstrap restores it by,
+   * replacing the dataset's older backups.
    */
   async saveToDatabase() {
     console.log('[SEED] Saving data to database...');
     
-    const persistenceService = new TriePersistenceService();
-    await persistenceService.exportTrieToMongoDB(this.trie);
+    const persistenceService = new TriePersistenceService({ trieOptions: this.trieOptions });
+    for (const [name, { trie, dataset }] of this.datasetTries) {
+      if (trie.getWordCount() === 0) {
+        console.warn(`[SEED] Skipping backup of empty dataset ${name}`);
+        continue;
+      }
+
+      const backup = await persistenceService.exportTrieToMongoDB(trie, `${name}_${Date.now()}`, {
+        dataset: name,
+        source: TriePersistenceService.describeSource(dataset, this.normalization)
+      });
+      await persistenceService.deleteDatasetBackups(name, backup.version);
+      console.log(`[SEED] Backed up ${name} as ${backup.version}`);
+    }
     
     console.log('[SEED] Data saved to database');
   }
@@ -696,7 +740,7 @@ class DatabaseSeeder {
    */
   printSummary() {
     const duration = Date.now() - this.stats.startTime;
-    const trieStats = this.trie.getStats();
+    const trieStats = this.getTrieTotals();
     
     console.log('\n[SEED] Seeding Summary:');
     console.log(`  Duration: ${duration}ms (${(duration / 1000).toFixed(2)}s)`);
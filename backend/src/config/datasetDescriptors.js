@@ -0,0 +1,331 @@
+/**
+ * Dataset Descriptors
+ * Loads and validates the declarative dataset descriptors (JSON or YAML) that tell the
+ * DatasetLoader which file to read, how to parse it and how each record becomes a Trie entry.
+ * Both the bootstrap and the seed script read datasets from this file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { compileExpression } = require('../utils/frequencyExpression');
+
+const DEFAULT_DESCRIPTOR_PATH = path.join(__dirname, 'datasets.json');
+
+// Types with a hand-written loader in DatasetLoader; every other descriptor uses the generic loader
+const BUILT_IN_TYPES = ['cities', 'products', 'movies'];
+const GENERIC_TYPE = 'generic';
+
+const FORMATS = ['csv', 'tsv', 'jsonl', 'xlsx'];
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.tab': 'tsv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.xlsx': 'xlsx'
+};
+
+const FILTER_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'notIn', 'exists', 'matches'];
+const DUPLICATE_STRATEGIES = ['sum', 'max', 'first'];
+
+// Same rule as TrieRegistry, since each dataset is registered under its name
+const DATASET_NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+const NUMERIC_COMPARISONS = {
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected
+};
+
+/**
+ * Reads a record value as trimmed text
+ * @param {Object} record - Parsed record
+ * @param {string} column - Column name
+ * @returns {string} Value, or empty string if missing
+ */
+function readValue(record, column) {
+  const value = record[column];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Compiles a filter into a record predicate
+ * @param {Object} filter - Filter with column, op (default: eq) and value
+ * @param {Function} fail - Throws a validation error for the descriptor
+ * @returns {Function} Predicate returning true for records to keep
+ */
+function compileFilter(filter, fail) {
+  if (!filter || typeof filter.column !== 'string' || !filter.column) {
+    fail('every filter needs a column');
+  }
+
+  const { column, value } = filter;
+  const op = filter.op || 'eq';
+
+  switch (op) {
+  case 'eq':
+    return record => readValue(record, column) === String(value);
+  case 'ne':
+    return record => readValue(record, column) !== String(value);
+  case 'gt':
+  case 'gte':
+  case 'lt':
+  case 'lte': {
+    if (typeof value !== 'number') {
+      fail(`filter "${op}" on ${column} needs a numeric value`);
+    }
+    const compare = NUMERIC_COMPARISONS[op];
+    return record => {
+      const actual = parseFloat(readValue(record, column));
+      return !isNaN(actual) && compare(actual, value);
+    };
+  }
+  case 'in':
+  case 'notIn': {
+    if (!Array.isArray(value)) {
+      fail(`filter "${op}" on ${column} needs a list value`);
+    }
+    const listed = new Set(value.map(String));
+    return op === 'in'
+      ? record => listed.has(readValue(record, column))
+      : record => !listed.has(readValue(record, column));
+  }
+  case 'exists':
+    return value === false
+      ? record => readValue(record, column) === ''
+      : record => readValue(record, column) !== '';
+  case 'matches': {
+    let pattern = null;
+    try {
+      pattern = new RegExp(value, filter.flags || '');
+    } catch (error) {
+      fail(`filter "matches" on ${column} has an invalid pattern: ${error.message}`);
+    }
+    return record => pattern.test(readValue(record, column));
+  }
+  default:
+    return fail(`unknown filter operator "${op}" (expected one of: ${FILTER_OPERATORS.join(', ')})`);
+  }
+}
+
+/**
+ * Normalizes the frequency setting
+ * Accepts a constant, an expression string (a bare column name is an expression)
+ * or an object with expression, min and max.
+ * @param {number|string|Object} frequency - Raw frequency setting
+ * @param {Function} fail - Throws a validation error for the descriptor
+ * @returns {Object} Frequency rule with evaluate, min and max
+ */
+function normalizeFrequency(frequency, fail) {
+  const rule = typeof frequency === 'object' && frequency !== null ? frequency : { expression: frequency };
+  const expression = rule.expression === undefined ? 1 : rule.expression;
+  const min = rule.min === undefined ? 1 : rule.min;
+  const max = rule.max === undefined ? null : rule.max;
+
+  if (typeof min !== 'number' || (max !== null && (typeof max !== 'number' || max < min))) {
+    fail('frequency min and max must be numbers with min <= max');
+  }
+
+  let evaluate;
+  if (typeof expression === 'number') {
+    evaluate = () => expression;
+  } else {
+    try {
+      evaluate = compileExpression(expression);
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+
+  return { expression: String(expression), evaluate, min, max };
+}
+
+/**
+ * Normalizes the payload setting
+ * Metadata is either a list of columns or an object mapping metadata keys to columns.
+ * @param {Object} payload - Raw payload setting
+ * @param {Function} fail - Throws a validation error for the descriptor
+ * @returns {Object} Payload mapping with id, display and metadata columns
+ */
+function normalizePayload(payload = {}, fail) {
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    fail('payload must be an object');
+  }
+
+  const metadata = Array.isArray(payload.metadata)
+    ? Object.fromEntries(payload.metadata.map(column => [column, column]))
+    : payload.metadata || {};
+
+  for (const [key, column] of Object.entries(metadata)) {
+    if (typeof column !== 'string' || !column) {
+      fail(`payload metadata "${key}" must name a column`);
+    }
+  }
+
+  return {
+    id: payload.id || null,
+    display: payload.display || null,
+    metadata
+  };
+}
+
+/**
+ * Validates a raw descriptor and fills in defaults
+ * @param {Object} raw - Descriptor as written in the descriptor file
+ * @param {Object} options - Normalization options
+ * @param {string} options.baseDir - Directory the descriptor file lives in
+ * @returns {Object} Normalized descriptor
+ * @throws {Error} If the descriptor is invalid
+ */
+function normalizeDescriptor(raw, options = {}) {
+  const label = raw && raw.name ? raw.name : '(unnamed)';
+  const fail = (message) => {
+    throw new Error(`Invalid dataset descriptor "${label}": ${message}`);
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    fail('descriptor must be an object');
+  }
+  if (typeof raw.name !== 'string' || !DATASET_NAME_PATTERN.test(raw.name) || raw.name === 'all') {
+    fail('name must use lowercase letters, digits, "-" or "_" and cannot be "all"');
+  }
+  if (typeof raw.file !== 'string' || !raw.file) {
+    fail('file is required');
+  }
+
+  const type = raw.type || GENERIC_TYPE;
+  if (type !== GENERIC_TYPE && !BUILT_IN_TYPES.includes(type)) {
+    fail(`unknown type "${type}" (expected ${GENERIC_TYPE} or one of: ${BUILT_IN_TYPES.join(', ')})`);
+  }
+
+  const format = raw.format || FORMAT_EXTENSIONS[path.extname(raw.file).toLowerCase()];
+  if (!FORMATS.includes(format)) {
+    fail(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const descriptor = {
+    name: raw.name,
+    file: raw.file,
+    type,
+    format,
+    priority: typeof raw.priority === 'number' ? raw.priority : 100,
+    enabled: raw.enabled !== false,
+    baseDir: options.baseDir || process.cwd()
+  };
+
+  // Built-in types keep their own parsing and validation rules
+  if (type !== GENERIC_TYPE) {
+    return descriptor;
+  }
+
+  const term = Array.isArray(raw.term) ? raw.term : [raw.term];
+  if (term.length === 0 || term.some(column => typeof column !== 'string' || !column)) {
+    fail('term must name the column (or list of fallback columns) holding the search term');
+  }
+
+  if (raw.filters !== undefined && !Array.isArray(raw.filters)) {
+    fail('filters must be a list');
+  }
+
+  const duplicates = raw.duplicates || 'sum';
+  if (!DUPLICATE_STRATEGIES.includes(duplicates)) {
+    fail(`duplicates must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`);
+  }
+
+  return {
+    ...descriptor,
+    term,
+    minTermLength: typeof raw.minTermLength === 'number' ? raw.minTermLength : 1,
+    frequency: normalizeFrequency(raw.frequency, fail),
+    filters: (raw.filters || []).map(filter => compileFilter(filter, fail)),
+    payload: normalizePayload(raw.payload, fail),
+    duplicates,
+    sheet: raw.sheet === undefined ? null : raw.sheet
+  };
+}
+
+/**
+ * Parses a descriptor file; .yaml and .yml files are read as YAML, everything else as JSON
+ * @param {string} filePath - Descriptor file path
+ * @returns {Array<Object>} Raw descriptors
+ * @throws {Error} If the file cannot be read or has no datasets list
+ */
+function parseDescriptorFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  let document;
+
+  try {
+    document = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse dataset descriptor file ${filePath}: ${error.message}`);
+  }
+
+  if (!document || !Array.isArray(document.datasets)) {
+    throw new Error(`Dataset descriptor file ${filePath} must contain a "datasets" list`);
+  }
+
+  return document.datasets;
+}
+
+/**
+ * Loads, validates and orders the enabled dataset descriptors
+ * @param {string} filePath - Descriptor file (default: src/config/datasets.json)
+ * @returns {Array<Object>} Normalized descriptors sorted by priority
+ * @throws {Error} If the file or any descriptor is invalid
+ */
+function loadDatasetDescriptors(filePath = DEFAULT_DESCRIPTOR_PATH) {
+  const absolutePath = path.resolve(filePath || DEFAULT_DESCRIPTOR_PATH);
+  const baseDir = path.dirname(absolutePath);
+  const descriptors = parseDescriptorFile(absolutePath).map(raw => normalizeDescriptor(raw, { baseDir }));
+
+  const names = new Set();
+  for (const descriptor of descriptors) {
+    if (names.has(descriptor.name)) {
+      throw new Error(`Invalid dataset descriptor "${descriptor.name}": name is used more than once`);
+    }
+    names.add(descriptor.name);
+  }
+
+  return descriptors
+    .filter(descriptor => descriptor.enabled)
+    .sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Lists the locations searched for a descriptor's file, in order
+ * Absolute paths are used as-is; relative ones are tried next to the descriptor file,
+ * in the repository data directory, the repository root and the working directory.
+ * @param {Object} descriptor - Normalized descriptor
+ * @returns {string[]} Candidate file paths
+ */
+function getDatasetSearchPaths(descriptor) {
+  if (path.isAbsolute(descriptor.file)) {
+    return [descriptor.file];
+  }
+
+  const repositoryRoot = path.resolve(__dirname, '../../..');
+  const candidates = [
+    path.resolve(descriptor.baseDir, descriptor.file),
+    path.join(repositoryRoot, 'data', descriptor.file),
+    path.join(repositoryRoot, descriptor.file),
+    path.resolve(descriptor.file)
+  ];
+
+  return Array.from(new Set(candidates));
+}
+
+module.exports = {
+  BUILT_IN_TYPES,
+  DEFAULT_DESCRIPTOR_PATH,
+  DUPLICATE_STRATEGIES,
+  FILTER_OPERATORS,
+  FORMATS,
+  GENERIC_TYPE,
+  getDatasetSearchPaths,
+  loadDatasetDescriptors,
+  normalizeDescriptor,
+  parseDescriptorFile
+};
@@ -65,6 +65,168 @@ const CONFIG_SCHEMA = {
     max: 3600000,    // 1 hour
     required: false
   },
+  TRIE_COMPACT_AFTER_DELTAS: {
+    type: 'number',
+    default: 50,
+    min: 0,
+    max: 10000,
+    required: false,
+    description: 'Deltas saved on a Trie backup before they are folded into a new snapshot (0 = never)'
+  },
+  TRIE_IMPLEMENTATION: {
+    type: 'string',
+    default: 'standard',
+    enum: ['standard', 'radix'],
+    required: false,
+    description: 'Prefix tree variant: per-character Trie or compressed RadixTrie'
+  },
+  TRIE_TOP_K_CACHE_SIZE: {
+    type: 'number',
+    default: 0, // Disabled; searches traverse the prefix subtree
+    min: 0,
+    max: 50,
+    required: false,
+    description: 'Suggestions cached per Trie node for constant-time prefix queries'
+  },
+  POPULARITY_HALF_LIFE_HOURS: {
+    type: 'number',
+    default: 168, // One week
+    min: 1,
+    required: false,
+    description: 'Hours after which the popularity earned by selections halves'
+  },
+  TEXT_UNICODE_FORM: {
+    type: 'string',
+    default: 'NFKD',
+    enum: ['NFC', 'NFD', 'NFKC', 'NFKD', 'none'],
+    required: false,
+    description: 'Unicode normalization form applied to indexed words and queries'
+  },
+  TEXT_STRIP_DIACRITICS: {
+    type: 'boolean',
+    default: true,
+    required: false,
+    description: 'Fold accented letters to their base letter (e.g. "São" matches "sao")'
+  },
+  TEXT_CASE_FOLDING: {
+    type: 'string',
+    default: 'lower',
+    enum: ['lower', 'full', 'none'],
+    required: false,
+    description: 'Case folding applied to indexed words and queries'
+  },
+  DEFAULT_DATASET: {
+    type: 'string',
+    default: 'cities',
+    required: false,
+    description: 'Dataset searched when a request does not name one (falls back to the first loaded dataset)'
+  },
+  DATASET_DESCRIPTOR_PATH: {
+    type: 'string',
+    default: '',
+    required: false,
+    description: 'JSON or YAML file describing the datasets to load (default: src/config/datasets.json)'
+  },
+  PHONETIC_ALGORITHM: {
+    type: 'string',
+    default: 'doubleMetaphone',
+    enum: ['doubleMetaphone', 'soundex', 'none'],
+    required: false,
+    description: 'Encoder for the phonetic index built beside each dataset Trie (none skips the index)'
+  },
+  NGRAM_ORDER: {
+    type: 'number',
+    default: 3,
+    min: 2,
+    max: 5,
+    required: false,
+    description: 'Longest word sequence counted by the next-word model (2 = predict from the last word only)'
+  },
+  NGRAM_QUERY_LOG_LIMIT: {
+    type: 'number',
+    default: 1000,
+    min: 0,
+    max: 100000,
+    required: false,
+    description: 'Most popular logged queries of the last 30 days added to the next-word model at startup (0 = entries only)'
+  },
+  SYNONYMS_PATH: {
+    type: 'string',
+    default: '',
+    required: false,
+    description: 'JSON or YAML synonym/alias dictionary used to expand queries (default: src/config/synonyms.json)'
+  },
+  SYNONYMS_MAX_EXPANSIONS: {
+    type: 'number',
+    default: 5,
+    min: 1,
+    max: 20,
+    required: false,
+    description: 'Expanded queries searched per query'
+  },
+  BLOCKLIST_PATH: {
+    type: 'string',
+    default: '',
+    required: false,
+    description: 'JSON or YAML blocklist of words, prefixes and patterns never suggested (default: src/config/blocklist.json)'
+  },
+  ANALYTICS_BUFFER_SIZE: {
+    type: 'number',
+    default: 100,
+    min: 1,
+    max: 10000,
+    required: false,
+    description: 'Buffered analytics entries that trigger a batched MongoDB write'
+  },
+  ANALYTICS_FLUSH_INTERVAL_MS: {
+    type: 'number',
+    default: 5000,
+    min: 100,
+    required: false,
+    description: 'Milliseconds between batched analytics writes'
+  },
+  ANALYTICS_SPILL_PATH: {
+    type: 'string',
+    default: '',
+    required: false,
+    description: 'JSONL file holding analytics entries while MongoDB is unreachable (default: data/analytics-spill.jsonl)'
+  },
+  FREQUENCY_FEEDBACK_INTERVAL_MS: {
+    type: 'number',
+    default: 3600000, // Hourly
+    min: 0,
+    required: false,
+    description: 'Milliseconds between runs folding recorded selections into Trie frequencies (0 disables the schedule)'
+  },
+  FREQUENCY_FEEDBACK_WINDOW_HOURS: {
+    type: 'number',
+    default: 168, // One week
+    min: 1,
+    max: 8784,
+    required: false,
+    description: 'Hours of recorded selections counted by each frequency feedback run'
+  },
+  FREQUENCY_FEEDBACK_WEIGHT: {
+    type: 'number',
+    default: 0.1,
+    min: 0,
+    required: false,
+    description: 'Frequency added per recorded selection'
+  },
+  FREQUENCY_FEEDBACK_MAX_BOOST: {
+    type: 'number',
+    default: 10,
+    min: 0,
+    required: false,
+    description: 'Largest frequency boost a word can earn from selections'
+  },
+  FREQUENCY_FEEDBACK_MIN_SELECTIONS: {
+    type: 'number',
+    default: 3,
+    min: 1,
+    required: false,
+    description: 'Selections a word needs within the window before its frequency is boosted'
+  },
 
   // Frontend Configuration
   FRONTEND_URL: {
@@ -89,6 +251,40 @@ const CONFIG_SCHEMA = {
     required: false
   },
 
+  // Personalization Configuration
+  SESSION_BOOST_WEIGHT: {
+    type: 'number',
+    default: 0.5,
+    min: 0,
+    max: 10,
+    required: false,
+    description: 'Default ranking weight of terms a session has searched or selected before (0 disables personalization)'
+  },
+  SESSION_HISTORY_TTL_MS: {
+    type: 'number',
+    default: 1800000, // 30 minutes
+    min: 60000,       // 1 minute
+    max: 86400000,    // 24 hours
+    required: false,
+    description: 'Inactivity after which a session history is forgotten'
+  },
+  SESSION_HISTORY_MAX_TERMS: {
+    type: 'number',
+    default: 50,
+    min: 1,
+    max: 1000,
+    required: false,
+    description: 'Terms remembered per session'
+  },
+  SESSION_HISTORY_MAX_SESSIONS: {
+    type: 'number',
+    default: 10000,
+    min: 100,
+    max: 1000000,
+    required: false,
+    description: 'Sessions remembered before the least recently active is evicted'
+  },
+
   // Performance Configuration
   REQUEST_TIMEOUT_MS: {
     type: 'number',
@@ -296,6 +492,18 @@ class EnvironmentConfig {
     console.log(`  Max Suggestions: ${this.config.MAX_SUGGESTIONS}`);
     console.log(`  Search Timeout: ${this.config.SEARCH_TIMEOUT_MS}ms`);
     console.log(`  Cache Size: ${this.config.CACHE_MAX_SIZE}`);
+    console.log(`  Session Boost: ${this.config.SESSION_BOOST_WEIGHT}, ${this.config.SESSION_HISTORY_MAX_TERMS} terms per session for ${this.config.SESSION_HISTORY_TTL_MS}ms`);
+    console.log(`  Trie Implementation: ${this.config.TRIE_IMPLEMENTATION}`);
+    console.log(`  Trie Top-K Cache: ${this.config.TRIE_TOP_K_CACHE_SIZE || 'disabled'}`);
+    console.log(`  Popularity Half-Life: ${this.config.POPULARITY_HALF_LIFE_HOURS}h`);
+    console.log(`  Text Normalization: ${this.config.TEXT_UNICODE_FORM}, diacritics ${this.config.TEXT_STRIP_DIACRITICS ? 'stripped' : 'kept'}, case folding ${this.config.TEXT_CASE_FOLDING}`);
+    console.log(`  Default Dataset: ${this.config.DEFAULT_DATASET}`);
+    console.log(`  Phonetic Index: ${this.config.PHONETIC_ALGORITHM}`);
+    console.log(`  Next-Word Model: order ${this.config.NGRAM_ORDER}, ${this.config.NGRAM_QUERY_LOG_LIMIT} logged queries`);
+    console.log(`  Synonyms: ${this.config.SYNONYMS_PATH || 'src/config/synonyms.json'}, ${this.config.SYNONYMS_MAX_EXPANSIONS} expansions per query`);
+    console.log(`  Blocklist: ${this.config.BLOCKLIST_PATH || 'src/config/blocklist.json'}`);
+    console.log(`  Frequency Feedback: ${this.config.FREQUENCY_FEEDBACK_INTERVAL_MS ? `every ${this.config.FREQUENCY_FEEDBACK_INTERVAL_MS}ms` : 'manual'}, ${this.config.FREQUENCY_FEEDBACK_WINDOW_HOURS}h window, ${this.config.FREQUENCY_FEEDBACK_WEIGHT} per selection, boost capped at ${this.config.FREQUENCY_FEEDBACK_MAX_BOOST}`);
+    console.log(`  Analytics Buffer: ${this.config.ANALYTICS_BUFFER_SIZE} entries or ${this.config.ANALYTICS_FLUSH_INTERVAL_MS}ms, spill file ${this.config.ANALYTICS_SPILL_PATH || 'data/analytics-spill.jsonl'}`);
     console.log(`  Log Level: ${this.config.LOG_LEVEL}`);
     
     if (this.validationErrors.length > 0) {
@@ -0,0 +1,167 @@
+// Tolerance for floating point error when weighted costs are summed
+const DISTANCE_EPSILON = 1e-9;
+
+/**
+ * LevenshteinAutomaton matches words within an edit distance of a query while walking a prefix tree
+ * Each step consumes one character of the path and computes the next row of the
+ * edit distance matrix, so words sharing a prefix share its rows. A branch is pruned
+ * as soon as every entry of its row exceeds the maximum distance, since no
+ * continuation of that path can come back within range.
+ * Insertions and deletions cost 1; substitutions and transpositions may be weighted,
+ * in which case distances are edit costs rather than edit counts.
+ */
+class LevenshteinAutomaton {
+  /**
+   * Creates a new LevenshteinAutomaton
+   * @param {string} query - Already normalized query
+   * @param {Object} options - Matching options
+   * @param {number} options.maxDistance - Maximum edit distance (default: 2)
+   * @param {boolean} options.transpositions - Count swapping two adjacent characters as one edit (default: true)
+   * @param {number} options.transpositionCost - Cost of a transposition (default: 1)
+   * @param {Function} options.substitutionCost - Maps (query character, path character) to a cost between 0 and 1 (default: 1 for any mismatch)
+   */
+  constructor(query, options = {}) {
+    this.query = Array.from(query);
+    this.maxDistance = options.maxDistance === undefined ? 2 : options.maxDistance;
+    this.transpositions = options.transpositions !== false;
+    this.transpositionCost = options.transpositionCost === undefined ? 1 : options.transpositionCost;
+    this.substitutionCost = options.substitutionCost || ((a, b) => (a === b ? 0 : 1));
+  }
+
+  /**
+   * Gets the state before any character has been read
+   * @returns {{row: number[], previousRow: number[]|null, char: string|null}} Initial state
+   */
+  start() {
+    return {
+      row: Array.from({ length: this.query.length + 1 }, (_, j) => j),
+      previousRow: null,
+      char: null
+    };
+  }
+
+  /**
+   * Reads one character of the path
+   * Time Complexity: O(n) where n is the query length
+   * @param {Object} state - State after the path so far
+   * @param {string} char - Next character of the path
+   * @returns {Object} State after the character
+   */
+  step(state, char) {
+    const { row: previous } = state;
+    const row = [previous[0] + 1];
+
+    for (let j = 1; j <= this.query.length; j++) {
+      const cost = this.query[j - 1] === char ? 0 : this.substitutionCost(this.query[j - 1], char);
+      let distance = Math.min(
+        previous[j] + 1,        // path character not in query
+        row[j - 1] + 1,         // query character not in path
+        previous[j - 1] + cost  // match or substitution
+      );
+
+      // Adjacent transposition: path "...ba" against query "...ab"
+      if (this.transpositions && state.previousRow && j > 1 &&
+          char === this.query[j - 2] && state.char === this.query[j - 1]) {
+        distance = Math.min(distance, state.previousRow[j - 2] + this.transpositionCost);
+      }
+
+      row.push(distance);
+    }
+
+    return { row, previousRow: previous, char };
+  }
+
+  /**
+   * Gets the edit distance between the query and the path read so far
+   * @param {Object} state - Current state
+   * @returns {number} Edit distance
+   */
+  distance(state) {
+    return state.row[state.row.length - 1];
+  }
+
+  /**
+   * Checks whether any continuation of the path can still match
+   * @param {Object} state - Current state
+   * @returns {boolean} True if the row has an entry within the maximum distance
+   */
+  canMatch(state) {
+    return this.withinRange(Math.min(...state.row));
+  }
+
+  /**
+   * Checks whether a distance is within the maximum distance
+   * Weighted costs such as 0.1 + 0.2 pick up floating point error, so a small tolerance applies.
+   * @param {number} distance - Edit distance or cost
+   * @returns {boolean} True if the distance is within range
+   */
+  withinRange(distance) {
+    return distance <= this.maxDistance + DISTANCE_EPSILON;
+  }
+
+  /**
+   * Finds every word in a prefix tree within the maximum distance of the query
+   * In prefix mode a word matches when the query is within the maximum distance of
+   * any of its prefixes, so "calfor" completes to "california" (one missing "i").
+   * Time Complexity: O(V * n) where V is the number of nodes visited and n is the query length
+   * @param {TrieNode|RadixTrieNode} root - Root node of the tree
+   * @param {Function} getEdges - Maps a node to an iterable of [label, child] pairs
+   * @param {Object} options - Search options
+   * @param {boolean} options.prefix - Match the query against word prefixes (default: false)
+   * @param {number} options.limit - Maximum number of results (default: all)
+   * @returns {Array<Object>} Suggestions with editDistance, closest and most frequent first
+   */
+  search(root, getEdges, options = {}) {
+    const prefix = options.prefix === true;
+    const results = [];
+
+    const collectSubtree = (node, editDistance) => {
+      if (node.isEndOfWord) {
+        results.push({ ...node.toSuggestion(), editDistance });
+      }
+      for (const [, child] of getEdges(node)) {
+        collectSubtree(child, editDistance);
+      }
+    };
+
+    const visit = (node, state, bestPrefixDistance) => {
+      if (node.isEndOfWord) {
+        const editDistance = prefix ? bestPrefixDistance : this.distance(state);
+        if (this.withinRange(editDistance)) {
+          results.push({ ...node.toSuggestion(), editDistance });
+        }
+      }
+
+      for (const [label, child] of getEdges(node)) {
+        let childState = state;
+        let childBest = bestPrefixDistance;
+        let pruned = false;
+
+        for (const char of label) {
+          childState = this.step(childState, char);
+          childBest = Math.min(childBest, this.distance(childState));
+
+          if (!this.canMatch(childState)) {
+            pruned = true;
+            break;
+          }
+        }
+
+        if (!pruned) {
+          visit(child, childState, childBest);
+        } else if (prefix && this.withinRange(childBest)) {
+          // The query already matched a prefix of this path; every word below completes it
+          collectSubtree(child, childBest);
+        }
+      }
+    };
+
+    const initial = this.start();
+    visit(root, initial, this.distance(initial));
+
+    results.sort((a, b) => a.editDistance - b.editDistance || b.frequency - a.frequency);
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+}
+
+module.exports = LevenshteinAutomaton;
@@ -0,0 +1,230 @@
+const TokenIndex = require('./TokenIndex');
+
+/**
+ * NGramModel - next-word statistics over the multi-word entries of a dataset
+ * Counts which token follows each run of up to (order - 1) tokens, so that after
+ * "new" the model can predict "york" or "jersey". Entries add their frequency to
+ * the counts; query logs can add further sequences. Predictions back off from the
+ * longest known context to shorter ones ("stupid backoff").
+ */
+class NGramModel {
+  /**
+   * Creates a new NGramModel over a main Trie
+   * @param {Trie|RadixTrie} trie - Main Trie holding the full entries (used for normalization and building)
+   * @param {Object} options - Model options
+   * @param {number} options.order - Longest n-gram counted, including the predicted token (default: 3)
+   * @param {number} options.backoffFactor - Score multiplier per token of context dropped (default: 0.4)
+   */
+  constructor(trie, options = {}) {
+    if (options.order !== undefined && (!Number.isInteger(options.order) || options.order < 2)) {
+      throw new Error('N-gram order must be an integer of at least 2');
+    }
+
+    this.trie = trie;
+    this.order = options.order || 3;
+    this.backoffFactor = options.backoffFactor || 0.4;
+    this.counts = new Map(); // Map<context, Map<nextToken, count>>
+    this.vocabulary = new Map(); // Map<token, count>
+    this.sequenceCount = 0;
+  }
+
+  /**
+   * Splits a phrase into normalized tokens
+   * @param {string} phrase - Phrase to tokenize
+   * @returns {string[]} Tokens in order of appearance
+   */
+  tokenize(phrase) {
+    return typeof phrase === 'string' ? TokenIndex.tokenize(this.trie.normalize(phrase)) : [];
+  }
+
+  /**
+   * Adds (or with a negative weight, removes) the n-grams of a token sequence
+   * @param {string[]} tokens - Tokens in order
+   * @param {number} weight - Count added to every n-gram
+   */
+  updateCounts(tokens, weight) {
+    for (const token of tokens) {
+      this.adjust(this.vocabulary, token, weight);
+    }
+
+    for (let i = 1; i < tokens.length; i++) {
+      for (let n = 1; n < this.order && n <= i; n++) {
+        const context = tokens.slice(i - n, i).join(' ');
+        if (!this.counts.has(context)) {
+          this.counts.set(context, new Map());
+        }
+
+        const followers = this.counts.get(context);
+        this.adjust(followers, tokens[i], weight);
+        if (followers.size === 0) {
+          this.counts.delete(context);
+        }
+      }
+    }
+  }
+
+  /**
+   * Adds a weight to a count, dropping counts that reach zero
+   * @param {Map<string, number>} map - Counts
+   * @param {string} key - Counted key
+   * @param {number} weight - Amount to add
+   */
+  adjust(map, key, weight) {
+    const count = (map.get(key) || 0) + weight;
+    if (count > 0) {
+      map.set(key, count);
+    } else {
+      map.delete(key);
+    }
+  }
+
+  /**
+   * Adds the n-grams of an entry
+   * Single-word entries only extend the vocabulary.
+   * @param {string} entry - Entry as stored in the main Trie
+   * @param {number} frequency - Entry frequency, added to each of its n-grams
+   * @returns {boolean} True if the entry had more than one token
+   */
+  addEntry(entry, frequency = 1) {
+    const tokens = this.tokenize(entry);
+    this.updateCounts(tokens, Math.max(1, frequency));
+    if (tokens.length < 2) {
+      return false;
+    }
+
+    this.sequenceCount++;
+    return true;
+  }
+
+  /**
+   * Removes the n-grams an entry added
+   * @param {string} entry - Entry as stored in the main Trie
+   * @param {number} frequency - Frequency the entry was added with
+   * @returns {boolean} True if the entry had more than one token
+   */
+  removeEntry(entry, frequency = 1) {
+    const tokens = this.tokenize(entry);
+    this.updateCounts(tokens, -Math.max(1, frequency));
+    if (tokens.length < 2) {
+      return false;
+    }
+
+    this.sequenceCount = Math.max(0, this.sequenceCount - 1);
+    return true;
+  }
+
+  /**
+   * Adds a logged search query
+   * Only queries made entirely of tokens known to the dataset are added, so query
+   * logs shared by several datasets only teach each model about its own words.
+   * @param {string} query - Logged query
+   * @param {number} count - Number of times the query was searched
+   * @returns {boolean} True if the query was added
+   */
+  addQuery(query, count = 1) {
+    const tokens = this.tokenize(query);
+    if (tokens.length < 2 || !tokens.every(token => this.vocabulary.has(token))) {
+      return false;
+    }
+
+    this.updateCounts(tokens, Math.max(1, count));
+    this.sequenceCount++;
+    return true;
+  }
+
+  /**
+   * Builds the model from every entry currently stored in the main Trie
+   * @returns {Object} Model statistics after the build
+   */
+  build() {
+    this.clear();
+
+    for (const { word, frequency } of this.trie.getAllWordsInTrie()) {
+      this.addEntry(word, frequency);
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Predicts the token following a context
+   * When the context does not end in whitespace its last token is treated as
+   * incomplete and filters the predictions by prefix ("new y" -> "york").
+   * Each candidate keeps its best score over the context lengths it was seen after;
+   * shorter contexts are discounted by backoffFactor per dropped token.
+   * @param {string} context - Text typed so far
+   * @param {number} limit - Maximum number of predictions (default: 5)
+   * @returns {Array<{token: string, count: number, probability: number, contextLength: number}>} Predictions by score
+   */
+  predict(context, limit = 5) {
+    if (typeof context !== 'string') {
+      return [];
+    }
+
+    const tokens = this.tokenize(context);
+    const complete = /\s$/.test(context);
+    const prefix = complete ? '' : tokens.pop() || '';
+    const maxLength = Math.min(this.order - 1, tokens.length);
+    const predictions = new Map();
+
+    for (let n = maxLength; n >= 1; n--) {
+      const followers = this.counts.get(tokens.slice(tokens.length - n).join(' '));
+      if (!followers) {
+        continue;
+      }
+
+      let total = 0;
+      for (const count of followers.values()) {
+        total += count;
+      }
+
+      const discount = Math.pow(this.backoffFactor, maxLength - n);
+      for (const [token, count] of followers) {
+        if (prefix && !token.startsWith(prefix)) {
+          continue;
+        }
+
+        const probability = count / total;
+        const score = discount * probability;
+        const existing = predictions.get(token);
+        if (!existing || existing.score < score) {
+          predictions.set(token, { token, count, probability, contextLength: n, score });
+        }
+      }
+    }
+
+    return Array.from(predictions.values())
+      .sort((a, b) => (b.score - a.score) || (b.count - a.count))
+      .slice(0, limit)
+      .map(({ token, count, probability, contextLength }) => ({
+        token,
+        count,
+        probability: Math.round(probability * 10000) / 10000,
+        contextLength
+      }));
+  }
+
+  /**
+   * Clears all counts
+   */
+  clear() {
+    this.counts.clear();
+    this.vocabulary.clear();
+    this.sequenceCount = 0;
+  }
+
+  /**
+   * Gets statistics about the model
+   * @returns {Object} Order, context, vocabulary and sequence counts
+   */
+  getStats() {
+    return {
+      order: this.order,
+      contextCount: this.counts.size,
+      vocabularySize: this.vocabulary.size,
+      sequenceCount: this.sequenceCount
+    };
+  }
+}
+
+module.exports = NGramModel;
@@ -0,0 +1,237 @@
+const Trie = require('./Trie');
+const TokenIndex = require('./TokenIndex');
+const { getPhoneticEncoder } = require('../utils/phoneticEncoders');
+
+/**
+ * PhoneticIndex - secondary index over how the words of each entry sound
+ * Lets "filadelfia" find "philadelphia" and "chikago" find "chicago", which are
+ * too many edits apart for typo correction. Every token of an entry is encoded
+ * (Double Metaphone yields up to two codes per token); codes live in their own
+ * Trie so a partially typed last word can match by code prefix, and each code
+ * maps to the entries containing a token with that code (a posting list).
+ */
+class PhoneticIndex {
+  /**
+   * Creates a new PhoneticIndex over a main Trie
+   * @param {Trie|RadixTrie} trie - Main Trie holding the full entries
+   * @param {Object} options - Index options
+   * @param {string} options.algorithm - 'doubleMetaphone' or 'soundex' (default: 'doubleMetaphone')
+   * @param {number} options.codeLength - Maximum Double Metaphone code length (default: 6)
+   * @param {number} options.candidateLimit - Matching codes examined per query (default: 50)
+   * @param {number} options.minQueryLength - Shortest query, in letters, that is matched phonetically (default: 3)
+   * @throws {Error} If the algorithm is not supported
+   */
+  constructor(trie, options = {}) {
+    this.trie = trie;
+    this.algorithm = options.algorithm || 'doubleMetaphone';
+    this.encoder = getPhoneticEncoder(this.algorithm);
+    this.codeLength = options.codeLength || 6;
+    this.codeTrie = new Trie({ normalizer: code => code }); // Codes are already canonical
+    this.postings = new Map(); // Map<code, Set<entry>>
+    this.entryCount = 0;
+    this.candidateLimit = options.candidateLimit || 50;
+    this.minQueryLength = options.minQueryLength || 3;
+  }
+
+  /**
+   * Encodes a single token
+   * @param {string} token - Normalized token
+   * @returns {string[]} Phonetic codes of the token (empty for tokens without letters)
+   */
+  encodeToken(token) {
+    return this.encoder(token, this.codeLength);
+  }
+
+  /**
+   * Gets the unique codes of every token of an entry
+   * @param {string} entry - Normalized entry
+   * @returns {string[]} Phonetic codes
+   */
+  getEntryCodes(entry) {
+    const codes = TokenIndex.tokenize(entry).flatMap(token => this.encodeToken(token));
+    return [...new Set(codes)];
+  }
+
+  /**
+   * Adds an entry's codes to the index
+   * @param {string} entry - Entry as stored in the main Trie
+   * @param {number} frequency - Entry frequency, used to rank codes
+   * @returns {number} Number of codes indexed for the entry
+   */
+  addEntry(entry, frequency = 1) {
+    const normalizedEntry = this.trie.normalize(entry);
+    const codes = this.getEntryCodes(normalizedEntry);
+
+    for (const code of codes) {
+      if (!this.postings.has(code)) {
+        this.postings.set(code, new Set());
+      }
+      this.postings.get(code).add(normalizedEntry);
+
+      // A code ranks as high as the most frequent entry containing it
+      if (!this.codeTrie.contains(code) || this.codeTrie.getFrequency(code) < frequency) {
+        this.codeTrie.insert(code, frequency);
+      }
+    }
+
+    if (codes.length > 0) {
+      this.entryCount++;
+    }
+
+    return codes.length;
+  }
+
+  /**
+   * Removes an entry from every posting list it appears in
+   * @param {string} entry - Entry as stored in the main Trie
+   * @returns {boolean} True if the entry was indexed
+   */
+  removeEntry(entry) {
+    const normalizedEntry = this.trie.normalize(entry);
+    let removed = false;
+
+    for (const code of this.getEntryCodes(normalizedEntry)) {
+      const entries = this.postings.get(code);
+      if (entries && entries.delete(normalizedEntry)) {
+        removed = true;
+        if (entries.size === 0) {
+          this.postings.delete(code);
+          this.codeTrie.delete(code);
+        }
+      }
+    }
+
+    if (removed) {
+      this.entryCount--;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Indexes every entry currently stored in the main Trie
+   * @returns {Object} Index statistics after the build
+   */
+  build() {
+    this.clear();
+
+    for (const { word, frequency } of this.trie.getAllWordsInTrie()) {
+      this.addEntry(word, frequency);
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Finds entries that sound like the query
+   * Each query word must sound like a consecutive word of the entry. The last query
+   * word may still be incomplete, so its code also matches longer codes it starts
+   * ("filadel" -> FLTL matches "philadelphia" -> FLTLF); entries whose code matches
+   * exactly rank first.
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results (default: 5)
+   * @returns {Array<{word: string, frequency: number, display?: string, phoneticCode: string}>} Matches
+   */
+  search(query, limit = 5) {
+    const normalizedQuery = typeof query === 'string' ? this.trie.normalize(query) : '';
+    const queryCodes = TokenIndex.tokenize(normalizedQuery).map(token => this.encodeToken(token));
+
+    if (queryCodes.length === 0 || queryCodes.some(codes => codes.length === 0) ||
+        normalizedQuery.replace(/[^\p{L}]/gu, '').length < this.minQueryLength) {
+      return [];
+    }
+
+    const lastCodes = queryCodes[queryCodes.length - 1];
+    const candidateCodes = new Set(lastCodes);
+    for (const code of lastCodes) {
+      // One-letter codes would match nearly every entry by prefix
+      if (code.length > 1) {
+        this.codeTrie.search(code, this.candidateLimit).forEach(result => candidateCodes.add(result.word));
+      }
+    }
+
+    const matches = new Map();
+    for (const code of candidateCodes) {
+      const entries = this.postings.get(code);
+      if (!entries) {
+        continue;
+      }
+
+      const exact = lastCodes.includes(code);
+      for (const entry of entries) {
+        const existing = matches.get(entry);
+        if ((existing && (existing.exact || !exact)) ||
+            (queryCodes.length > 1 && !this.containsCodeSequence(entry, queryCodes))) {
+          continue;
+        }
+
+        // Entries deleted from the main Trie are skipped lazily
+        const suggestion = this.trie.getEntry(entry);
+        if (!suggestion) {
+          continue;
+        }
+
+        matches.set(entry, { suggestion: { ...suggestion, phoneticCode: code }, exact });
+      }
+    }
+
+    return Array.from(matches.values())
+      .sort((a, b) => (b.exact - a.exact) || (b.suggestion.frequency - a.suggestion.frequency))
+      .slice(0, limit)
+      .map(match => match.suggestion);
+  }
+
+  /**
+   * Checks whether consecutive words of an entry sound like the query words,
+   * the last one by code prefix
+   * @param {string} entry - Normalized entry
+   * @param {string[][]} queryCodes - Codes of each query word
+   * @returns {boolean} True if the entry matches
+   */
+  containsCodeSequence(entry, queryCodes) {
+    const entryCodes = TokenIndex.tokenize(entry).map(token => this.encodeToken(token));
+    const last = queryCodes.length - 1;
+
+    for (let start = 0; start + last < entryCodes.length; start++) {
+      const matched = queryCodes.every((codes, i) => entryCodes[start + i].some(entryCode => (
+        i === last
+          ? codes.some(code => entryCode === code || (code.length > 1 && entryCode.startsWith(code)))
+          : codes.includes(entryCode)
+      )));
+      if (matched) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Clears all indexed codes
+   */
+  clear() {
+    this.codeTrie.clear();
+    this.postings.clear();
+    this.entryCount = 0;
+  }
+
+  /**
+   * Gets statistics about the index
+   * @returns {Object} Algorithm, code, entry and posting counts
+   */
+  getStats() {
+    let postingCount = 0;
+    for (const entries of this.postings.values()) {
+      postingCount += entries.size;
+    }
+
+    return {
+      algorithm: this.algorithm,
+      codeCount: this.postings.size,
+      entryCount: this.entryCount,
+      postingCount
+    };
+  }
+}
+
+module.exports = PhoneticIndex;
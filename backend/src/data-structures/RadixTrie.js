@@ -0,0 +1,771 @@
+const RadixTrieNode = require('./RadixTrieNode');
+const MaxHeap = require('./MaxHeap');
+const LevenshteinAutomaton = require('./LevenshteinAutomaton');
+const { defaultNormalizer } = require('../utils/textNormalizer');
+const { DEFAULT_POPULARITY_HALF_LIFE } = require('../utils/popularityDecay');
+
+/**
+ * Returns the length of the common prefix of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of leading characters shared by both strings
+ */
+function commonPrefixLength(a, b) {
+  const max = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < max && a[i] === b[i]) {
+    i++;
+  }
+  return i;
+}
+
+/**
+ * RadixTrie (compressed prefix tree / Patricia trie)
+ * Merges single-child chains into multi-character edge labels, which keeps
+ * node count low for long entries such as product names.
+ * Exposes the same public API as Trie.
+ */
+class RadixTrie {
+  /**
+   * Creates a new RadixTrie with an empty root node
+   * @param {Object} options - RadixTrie options
+   * @param {Function} options.normalizer - Maps words and prefixes to keys (default: Unicode-folding normalizer)
+   * @param {number} options.popularityHalfLife - Milliseconds after which selection popularity halves (default: 7 days)
+   */
+  constructor(options = {}) {
+    this.root = new RadixTrieNode();
+    this.wordCount = 0; // Total number of words stored
+    this.performanceMonitor = null; // Will be set by server
+    this.changeJournal = null; // Records changes for delta persistence when set
+    this.normalizer = options.normalizer || defaultNormalizer;
+    this.popularityHalfLife = options.popularityHalfLife || DEFAULT_POPULARITY_HALF_LIFE;
+    this.lastSelectionAt = null; // Time of the most recent recordSelection
+    this.selectedWords = new Set(); // Normalized words selected since creation or clear, for getPopularWords
+  }
+
+  /**
+   * Set performance monitor for tracking operations
+   * @param {Object} monitor - Performance monitor instance
+   */
+  setPerformanceMonitor(monitor) {
+    this.performanceMonitor = monitor;
+  }
+
+  /**
+   * Record performance metrics for RadixTrie operations
+   * @param {string} operation - Operation name
+   * @param {number} startTime - Start time in nanoseconds
+   * @param {Object} metadata - Additional metadata
+   */
+  recordPerformance(operation, startTime, metadata = {}) {
+    if (this.performanceMonitor) {
+      const duration = Number(process.hrtime.bigint() - startTime) / 1000000; // Convert to milliseconds
+      this.performanceMonitor.recordTrieOperation(operation, duration, metadata);
+    }
+  }
+
+  /**
+   * Set change journal recording inserts, deletes and frequency changes
+   * @param {TrieChangeJournal|null} journal - Change journal (null stops recording)
+   */
+  setChangeJournal(journal) {
+    this.changeJournal = journal;
+  }
+
+  /**
+   * Record a change in the change journal, if one is set
+   * @param {Object} change - Change with an op ('insert', 'frequency', 'popularity', 'delete', 'deletePrefix' or 'clear')
+   */
+  recordChange(change) {
+    if (this.changeJournal) {
+      this.changeJournal.record(change);
+    }
+  }
+
+  /**
+   * Normalizes a word or prefix into the form used as a key
+   * @param {string} text - Raw word or prefix
+   * @returns {string} Normalized key
+   */
+  normalize(text) {
+    return this.normalizer(text);
+  }
+
+  /**
+   * Inserts a word into the RadixTrie with optional frequency
+   * Splits an existing edge when the word diverges partway through its label
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to insert
+   * @param {number} frequency - Initial frequency count (default: 1)
+   * @param {Object} payload - Data returned with suggestions, e.g. { display, source, id, metadata } (optional)
+   * @param {string} payload.display - Display form of the word (default: the word as given)
+   * @throws {Error} If word is empty or not a string, or payload is not an object
+   */
+  insert(word, frequency = 1, payload = null) {
+    const startTime = process.hrtime.bigint();
+
+    if (!word || typeof word !== 'string') {
+      throw new Error('Word must be a non-empty string');
+    }
+
+    if (frequency < 0) {
+      throw new Error('Frequency must be non-negative');
+    }
+
+    if (payload !== null && (typeof payload !== 'object' || Array.isArray(payload))) {
+      throw new Error('Payload must be an object');
+    }
+
+    const normalizedWord = this.normalize(word);
+    if (normalizedWord.length === 0) {
+      throw new Error('Word cannot be empty after normalization');
+    }
+
+    let currentNode = this.root;
+    let remaining = normalizedWord;
+
+    while (remaining.length > 0) {
+      const child = currentNode.getChild(remaining[0]);
+
+      if (!child) {
+        currentNode = currentNode.addChild(remaining);
+        remaining = '';
+        break;
+      }
+
+      const shared = commonPrefixLength(child.label, remaining);
+
+      if (shared < child.label.length) {
+        // Split the edge: insert an intermediate node for the shared part
+        const intermediate = new RadixTrieNode(child.label.slice(0, shared));
+        child.label = child.label.slice(shared);
+        intermediate.setChild(child);
+        currentNode.setChild(intermediate);
+        currentNode = intermediate;
+      } else {
+        currentNode = child;
+      }
+
+      remaining = remaining.slice(shared);
+    }
+
+    // Mark end of word and set metadata
+    const wasNewWord = !currentNode.isEndOfWord;
+    if (wasNewWord) {
+      this.wordCount++;
+    }
+    const { display, ...data } = payload || {};
+    currentNode.markAsEndOfWord(normalizedWord, frequency, display || word.trim(), data);
+
+    this.recordChange({
+      op: 'insert',
+      word: normalizedWord,
+      frequency,
+      display: currentNode.display,
+      payload: currentNode.payload,
+      // Re-inserting a word keeps its popularity, so the change carries it
+      ...(currentNode.popularityUpdatedAt !== null && {
+        popularity: currentNode.popularity,
+        popularityUpdatedAt: currentNode.popularityUpdatedAt
+      })
+    });
+
+    // Record performance metrics
+    this.recordPerformance('insert', startTime, {
+      wordLength: normalizedWord.length,
+      frequency,
+      wasNewWord
+    });
+  }
+
+  /**
+   * Searches for words with the given prefix
+   * Time Complexity: O(L + N log k) where L is prefix length, N is number of matches, k is limit
+   * @param {string} prefix - Prefix to search for
+   * @param {number} limit - Maximum number of results (default: 5)
+   * @returns {Array<{word: string, frequency: number}>} Array of matching words with frequencies
+   */
+  search(prefix, limit = 5) {
+    const startTime = process.hrtime.bigint();
+
+    if (!prefix || typeof prefix !== 'string') {
+      this.recordPerformance('search', startTime, {
+        prefixLength: 0,
+        resultCount: 0,
+        error: 'invalid_prefix'
+      });
+      return [];
+    }
+
+    const normalizedPrefix = this.normalize(prefix);
+    if (normalizedPrefix.length === 0) {
+      this.recordPerformance('search', startTime, {
+        prefixLength: 0,
+        resultCount: 0,
+        error: 'empty_prefix'
+      });
+      return [];
+    }
+
+    const path = this.findPrefixPath(normalizedPrefix);
+    if (!path) {
+      this.recordPerformance('search', startTime, {
+        prefixLength: normalizedPrefix.length,
+        resultCount: 0,
+        error: 'prefix_not_found'
+      });
+      return [];
+    }
+
+    // Collect all words below the node covering this prefix
+    const results = [];
+    this.getAllWords(path[path.length - 1], results);
+
+    // Use MaxHeap for efficient top-K selection
+    const finalResults = MaxHeap.getTopKFromArray(results, limit);
+
+    this.recordPerformance('search', startTime, {
+      prefixLength: normalizedPrefix.length,
+      totalMatches: results.length,
+      resultCount: finalResults.length,
+      limit
+    });
+
+    return finalResults;
+  }
+
+  /**
+   * Finds words within an edit distance of the query
+   * Walks the tree with a Levenshtein automaton, pruning branches that can no longer
+   * match, so every qualifying word is found without scanning the whole dictionary.
+   * Time Complexity: O(V * n) where V is the number of nodes visited and n is the query length
+   * @param {string} query - Query, possibly misspelled
+   * @param {Object} options - Fuzzy search options
+   * @param {number} options.maxDistance - Maximum edit distance (default: 2)
+   * @param {boolean} options.prefix - Match the query against word prefixes, e.g. "calfor" -> "california" (default: false)
+   * @param {boolean} options.transpositions - Count adjacent swaps as one edit (default: true)
+   * @param {number} options.limit - Maximum number of results (default: all)
+   * @returns {Array<{word: string, frequency: number, editDistance: number}>} Matches, closest and most frequent first
+   */
+  fuzzySearch(query, options = {}) {
+    const startTime = process.hrtime.bigint();
+
+    const normalizedQuery = typeof query === 'string' ? this.normalize(query) : '';
+    if (normalizedQuery.length === 0) {
+      this.recordPerformance('fuzzySearch', startTime, { queryLength: 0, resultCount: 0, error: 'invalid_query' });
+      return [];
+    }
+
+    const automaton = new LevenshteinAutomaton(normalizedQuery, options);
+    const results = automaton.search(this.root, node => Array.from(node.children.values(), child => [child.label, child]), options);
+
+    this.recordPerformance('fuzzySearch', startTime, {
+      queryLength: normalizedQuery.length,
+      resultCount: results.length,
+      maxDistance: automaton.maxDistance,
+      prefix: options.prefix === true
+    });
+
+    return results;
+  }
+
+  /**
+   * Recursively collects all words from a given node using DFS
+   * @param {RadixTrieNode} node - Starting node
+   * @param {Array} results - Array to collect results
+   */
+  getAllWords(node, results) {
+    if (!node) {
+      return;
+    }
+
+    if (node.isEndOfWord) {
+      results.push(node.toSuggestion());
+    }
+
+    for (const childNode of node.children.values()) {
+      this.getAllWords(childNode, results);
+    }
+  }
+
+  /**
+   * Increments the frequency of a word if it exists in the RadixTrie
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to increment frequency for
+   * @param {number} increment - Amount to increment by (default: 1)
+   * @returns {boolean} True if word was found and incremented, false otherwise
+   */
+  incrementFrequency(word, increment = 1) {
+    const startTime = process.hrtime.bigint();
+
+    if (!word || typeof word !== 'string') {
+      this.recordPerformance('incrementFrequency', startTime, {
+        wordLength: 0,
+        success: false,
+        error: 'invalid_word'
+      });
+      return false;
+    }
+
+    if (increment <= 0) {
+      throw new Error('Increment must be positive');
+    }
+
+    const normalizedWord = this.normalize(word);
+    const node = this.findWordNode(normalizedWord);
+
+    if (!node) {
+      this.recordPerformance('incrementFrequency', startTime, {
+        wordLength: normalizedWord.length,
+        success: false,
+        error: 'word_not_found'
+      });
+      return false;
+    }
+
+    const oldFrequency = node.frequency;
+    node.incrementFrequency(increment);
+
+    this.recordChange({ op: 'frequency', word: normalizedWord, frequency: node.frequency });
+
+    this.recordPerformance('incrementFrequency', startTime, {
+      wordLength: normalizedWord.length,
+      success: true,
+      increment,
+      oldFrequency,
+      newFrequency: node.frequency
+    });
+
+    return true;
+  }
+
+  /**
+   * Records a user selection in the word's time-decayed popularity
+   * Unlike incrementFrequency, the added popularity halves every popularityHalfLife,
+   * so recent selections count more than old bursts.
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Selected word
+   * @param {number} amount - Popularity to add (default: 1)
+   * @param {number} now - Time of the selection in milliseconds (default: now)
+   * @returns {number|null} Popularity after the selection, or null if the word is not in the RadixTrie
+   * @throws {Error} If amount is not positive
+   */
+  recordSelection(word, amount = 1, now = Date.now()) {
+    if (amount <= 0) {
+      throw new Error('Selection amount must be positive');
+    }
+
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    if (!node) {
+      return null;
+    }
+
+    node.addPopularity(amount, now, this.popularityHalfLife);
+    this.lastSelectionAt = now;
+    this.selectedWords.add(node.word);
+    this.recordChange({
+      op: 'popularity',
+      word: node.word,
+      popularity: node.popularity,
+      popularityUpdatedAt: node.popularityUpdatedAt
+    });
+    return node.popularity;
+  }
+
+  /**
+   * Sets a word's stored popularity, as when restoring it from a backup
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to update
+   * @param {number} popularity - Popularity as of updatedAt
+   * @param {number|null} updatedAt - Time of the last selection in milliseconds, null if never selected
+   * @returns {boolean} True if the word exists
+   */
+  setPopularity(word, popularity, updatedAt) {
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    if (!node) {
+      return false;
+    }
+
+    node.popularity = updatedAt === null ? 0 : popularity;
+    node.popularityUpdatedAt = updatedAt;
+    if (updatedAt !== null) {
+      this.selectedWords.add(node.word);
+      this.lastSelectionAt = Math.max(this.lastSelectionAt || 0, updatedAt);
+    }
+    return true;
+  }
+
+  /**
+   * Gets the most popular selected words with the given prefix
+   * Words are looked up in the set of selected words instead of the prefix's subtree, so a
+   * trending word is found however many more frequent words share its prefix.
+   * Time Complexity: O(S * L + S log S) where S is the number of selected words and L is the longest word
+   * @param {string} prefix - Prefix to search for
+   * @param {number} limit - Maximum number of results (default: 5)
+   * @param {number} now - Time the popularity is decayed to in milliseconds (default: now)
+   * @returns {Array<{word: string, frequency: number, display?: string, payload?: Object}>} Suggestions, most popular first
+   */
+  getPopularWords(prefix, limit = 5, now = Date.now()) {
+    if (!prefix || typeof prefix !== 'string' || this.selectedWords.size === 0) {
+      return [];
+    }
+
+    const normalizedPrefix = this.normalize(prefix);
+    if (normalizedPrefix.length === 0) {
+      return [];
+    }
+
+    const popular = [];
+    for (const word of this.selectedWords) {
+      if (!word.startsWith(normalizedPrefix)) {
+        continue;
+      }
+
+      const node = this.findWordNode(word);
+      if (!node || node.popularityUpdatedAt === null) {
+        // Deleted, or deleted and inserted again, since it was selected
+        this.selectedWords.delete(word);
+        continue;
+      }
+      popular.push({ node, popularity: node.getPopularity(now, this.popularityHalfLife) });
+    }
+
+    return popular
+      .sort((a, b) => b.popularity - a.popularity)
+      .slice(0, limit)
+      .map(({ node }) => node.toSuggestion());
+  }
+
+  /**
+   * Gets a word's popularity, decayed to the given time
+   * @param {string} word - Word to look up
+   * @param {number} now - Time in milliseconds (default: now)
+   * @returns {number} Decayed popularity, or 0 if the word was never selected or is absent
+   */
+  getPopularity(word, now = Date.now()) {
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    return node ? node.getPopularity(now, this.popularityHalfLife) : 0;
+  }
+
+  /**
+   * Gets the time a word was last selected
+   * @param {string} word - Word to look up
+   * @returns {number|null} Time in milliseconds, or null if never selected or absent
+   */
+  getLastSelectedAt(word) {
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    return node ? node.popularityUpdatedAt : null;
+  }
+
+  /**
+   * Checks whether any word has been selected since the RadixTrie was created or cleared
+   * @returns {boolean} True if recordSelection has succeeded at least once
+   */
+  hasSelections() {
+    return this.lastSelectionAt !== null;
+  }
+
+  /**
+   * Removes a word and re-compresses the surrounding edges
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to delete
+   * @returns {boolean} True if the word was found and deleted, false otherwise
+   */
+  delete(word) {
+    const startTime = process.hrtime.bigint();
+
+    if (!word || typeof word !== 'string') {
+      this.recordPerformance('delete', startTime, {
+        wordLength: 0,
+        success: false,
+        error: 'invalid_word'
+      });
+      return false;
+    }
+
+    const normalizedWord = this.normalize(word);
+    const path = normalizedWord.length > 0 ? this.findWordPath(normalizedWord) : null;
+    const node = path ? path[path.length - 1] : null;
+
+    if (!node || !node.isEndOfWord) {
+      this.recordPerformance('delete', startTime, {
+        wordLength: normalizedWord.length,
+        success: false,
+        error: 'word_not_found'
+      });
+      return false;
+    }
+
+    node.unmarkEndOfWord();
+    this.wordCount--;
+
+    const parent = path[path.length - 2];
+    if (node.getChildCount() === 0) {
+      parent.removeChild(node.label[0]);
+      this.compactNode(path[path.length - 3], parent);
+    } else {
+      this.compactNode(parent, node);
+    }
+
+    this.recordChange({ op: 'delete', word: normalizedWord });
+
+    this.recordPerformance('delete', startTime, {
+      wordLength: normalizedWord.length,
+      success: true
+    });
+
+    return true;
+  }
+
+  /**
+   * Removes every word starting with the given prefix by detaching its subtree
+   * Time Complexity: O(L + N) where L is prefix length and N is the number of nodes removed
+   * @param {string} prefix - Prefix whose subtree should be removed
+   * @returns {number} Number of words removed
+   */
+  deletePrefix(prefix) {
+    const startTime = process.hrtime.bigint();
+
+    if (!prefix || typeof prefix !== 'string') {
+      this.recordPerformance('deletePrefix', startTime, {
+        prefixLength: 0,
+        removedWords: 0,
+        error: 'invalid_prefix'
+      });
+      return 0;
+    }
+
+    const normalizedPrefix = this.normalize(prefix);
+    const path = normalizedPrefix.length > 0 ? this.findPrefixPath(normalizedPrefix) : null;
+
+    if (!path) {
+      this.recordPerformance('deletePrefix', startTime, {
+        prefixLength: normalizedPrefix.length,
+        removedWords: 0,
+        error: 'prefix_not_found'
+      });
+      return 0;
+    }
+
+    const subtreeRoot = path[path.length - 1];
+    const parent = path[path.length - 2];
+
+    const removed = [];
+    this.getAllWords(subtreeRoot, removed);
+
+    parent.removeChild(subtreeRoot.label[0]);
+    this.wordCount -= removed.length;
+    this.compactNode(path[path.length - 3], parent);
+
+    if (removed.length > 0) {
+      this.recordChange({ op: 'deletePrefix', prefix: normalizedPrefix });
+    }
+
+    this.recordPerformance('deletePrefix', startTime, {
+      prefixLength: normalizedPrefix.length,
+      removedWords: removed.length
+    });
+
+    return removed.length;
+  }
+
+  /**
+   * Restores the radix invariant for a node after a removal:
+   * a non-root node that ends no word and has a single child is merged into that child,
+   * and one with no children is detached
+   * @param {RadixTrieNode|undefined} parent - Parent of the node (undefined for root)
+   * @param {RadixTrieNode} node - Node to compact
+   */
+  compactNode(parent, node) {
+    if (!parent || node.isEndOfWord) {
+      return;
+    }
+
+    if (node.getChildCount() === 0) {
+      parent.removeChild(node.label[0]);
+    } else if (node.getChildCount() === 1) {
+      const [onlyChild] = node.children.values();
+      onlyChild.label = node.label + onlyChild.label;
+      parent.setChild(onlyChild);
+    }
+  }
+
+  /**
+   * Walks edges that exactly spell the given word
+   * @param {string} normalizedWord - Already normalized word
+   * @returns {Array<RadixTrieNode>|null} Nodes from root to the word's node, or null if absent
+   */
+  findWordPath(normalizedWord) {
+    const path = [this.root];
+    let currentNode = this.root;
+    let remaining = normalizedWord;
+
+    while (remaining.length > 0) {
+      const child = currentNode.getChild(remaining[0]);
+      if (!child || !remaining.startsWith(child.label)) {
+        return null;
+      }
+      path.push(child);
+      currentNode = child;
+      remaining = remaining.slice(child.label.length);
+    }
+
+    return path;
+  }
+
+  /**
+   * Walks edges down to the first node whose subtree holds every word with the prefix
+   * The prefix may end partway through the last edge label
+   * @param {string} normalizedPrefix - Already normalized prefix
+   * @returns {Array<RadixTrieNode>|null} Nodes from root to the covering node, or null if absent
+   */
+  findPrefixPath(normalizedPrefix) {
+    const path = [this.root];
+    let currentNode = this.root;
+    let remaining = normalizedPrefix;
+
+    while (remaining.length > 0) {
+      const child = currentNode.getChild(remaining[0]);
+      if (!child) {
+        return null;
+      }
+
+      const shared = commonPrefixLength(child.label, remaining);
+      if (shared === remaining.length) {
+        path.push(child);
+        return path;
+      }
+      if (shared < child.label.length) {
+        return null;
+      }
+
+      path.push(child);
+      currentNode = child;
+      remaining = remaining.slice(shared);
+    }
+
+    return path;
+  }
+
+  /**
+   * Finds the end-of-word node for a word
+   * @param {string} normalizedWord - Already normalized word
+   * @returns {RadixTrieNode|null} End-of-word node or null if the word is absent
+   */
+  findWordNode(normalizedWord) {
+    if (!normalizedWord) {
+      return null;
+    }
+
+    const path = this.findWordPath(normalizedWord);
+    const node = path ? path[path.length - 1] : null;
+    return node && node.isEndOfWord ? node : null;
+  }
+
+  /**
+   * Checks if a word exists in the RadixTrie
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to check
+   * @returns {boolean} True if word exists
+   */
+  contains(word) {
+    if (!word || typeof word !== 'string') {
+      return false;
+    }
+
+    return this.findWordNode(this.normalize(word)) !== null;
+  }
+
+  /**
+   * Gets the frequency of a word
+   * @param {string} word - Word to get frequency for
+   * @returns {number} Frequency of the word, or 0 if not found
+   */
+  getFrequency(word) {
+    if (!word || typeof word !== 'string') {
+      return 0;
+    }
+
+    const node = this.findWordNode(this.normalize(word));
+    return node ? node.frequency : 0;
+  }
+
+  /**
+   * Gets the stored suggestion for a word
+   * @param {string} word - Word to look up
+   * @returns {{word: string, frequency: number, display?: string, payload?: Object}|null} Suggestion, or null if not found
+   */
+  getEntry(word) {
+    if (!word || typeof word !== 'string') {
+      return null;
+    }
+
+    const node = this.findWordNode(this.normalize(word));
+    return node ? node.toSuggestion() : null;
+  }
+
+  /**
+   * Gets the total number of words in the RadixTrie
+   * @returns {number} Total word count
+   */
+  getWordCount() {
+    return this.wordCount;
+  }
+
+  /**
+   * Gets all words in the RadixTrie
+   * @returns {Array<{word: string, frequency: number}>} All words with frequencies
+   */
+  getAllWordsInTrie() {
+    const results = [];
+    this.getAllWords(this.root, results);
+    return results.sort((a, b) => b.frequency - a.frequency);
+  }
+
+  /**
+   * Clears all data from the RadixTrie
+   */
+  clear() {
+    this.root = new RadixTrieNode();
+    this.wordCount = 0;
+    this.lastSelectionAt = null;
+    this.selectedWords = new Set();
+
+    this.recordChange({ op: 'clear' });
+  }
+
+  /**
+   * Gets statistics about the RadixTrie structure
+   * Depth is measured in characters so values are comparable with Trie
+   * @returns {Object} Statistics including word count, node count, etc.
+   */
+  getStats() {
+    let nodeCount = 0;
+    let maxDepth = 0;
+    let totalLabelLength = 0;
+
+    const countNodes = (node, depth = 0) => {
+      nodeCount++;
+      totalLabelLength += node.label.length;
+      maxDepth = Math.max(maxDepth, depth);
+
+      for (const childNode of node.children.values()) {
+        countNodes(childNode, depth + childNode.label.length);
+      }
+    };
+
+    countNodes(this.root);
+
+    return {
+      wordCount: this.wordCount,
+      nodeCount,
+      maxDepth,
+      averageDepth: this.wordCount > 0 ? maxDepth / this.wordCount : 0,
+      averageLabelLength: nodeCount > 1 ? totalLabelLength / (nodeCount - 1) : 0,
+      popularityHalfLife: this.popularityHalfLife,
+      implementation: 'radix'
+    };
+  }
+}
+
+module.exports = RadixTrie;
@@ -0,0 +1,156 @@
+const { decayPopularity } = require('../utils/popularityDecay');
+
+/**
+ * RadixTrieNode represents a single node in the compressed RadixTrie
+ * Each node is reached through an edge label of one or more characters
+ */
+class RadixTrieNode {
+  /**
+   * Creates a new RadixTrieNode
+   * @param {string} label - Edge label leading to this node from its parent
+   */
+  constructor(label = '') {
+    this.label = label;
+    this.children = new Map(); // Map<string, RadixTrieNode> keyed by first character of the child label
+    this.isEndOfWord = false; // Marks if this node represents the end of a complete word
+    this.frequency = 0; // Usage frequency for ranking suggestions
+    this.word = null; // Complete word (only set for end-of-word nodes)
+    this.display = null; // Original form of the word when it differs from the normalized key
+    this.payload = null; // Caller-supplied data such as source dataset, ID and metadata
+    this.popularity = 0; // Decayed popularity from user selections, as of popularityUpdatedAt
+    this.popularityUpdatedAt = null; // Time of the last selection in milliseconds
+  }
+
+  /**
+   * Checks if this node has a child edge starting with the given character
+   * @param {string} char - First character of the edge label
+   * @returns {boolean} True if child exists
+   */
+  hasChild(char) {
+    return this.children.has(char);
+  }
+
+  /**
+   * Gets the child node whose edge label starts with the given character
+   * @param {string} char - First character of the edge label
+   * @returns {RadixTrieNode|undefined} Child node or undefined if not found
+   */
+  getChild(char) {
+    return this.children.get(char);
+  }
+
+  /**
+   * Attaches a child node, keyed by the first character of its label
+   * @param {RadixTrieNode} childNode - Node with a non-empty label
+   * @returns {RadixTrieNode} The attached child node
+   */
+  setChild(childNode) {
+    this.children.set(childNode.label[0], childNode);
+    return childNode;
+  }
+
+  /**
+   * Creates and attaches a new child node for the given edge label
+   * @param {string} label - Edge label for the new child
+   * @returns {RadixTrieNode} The newly created child node
+   */
+  addChild(label) {
+    return this.setChild(new RadixTrieNode(label));
+  }
+
+  /**
+   * Removes the child whose edge label starts with the given character
+   * @param {string} char - First character of the edge label
+   * @returns {boolean} True if a child was removed
+   */
+  removeChild(char) {
+    return this.children.delete(char);
+  }
+
+  /**
+   * Marks this node as the end of a word and sets metadata
+   * @param {string} word - The complete word
+   * @param {number} frequency - Initial frequency count
+   * @param {string} display - Original form of the word as inserted (optional)
+   * @param {Object} payload - Data returned with suggestions for this word (optional)
+   */
+  markAsEndOfWord(word, frequency = 1, display = null, payload = null) {
+    this.isEndOfWord = true;
+    this.word = word;
+    this.frequency = frequency;
+    this.display = display && display !== word ? display : null;
+    this.payload = payload && Object.keys(payload).length > 0 ? payload : null;
+  }
+
+  /**
+   * Clears end-of-word marker and word metadata from this node
+   */
+  unmarkEndOfWord() {
+    this.isEndOfWord = false;
+    this.word = null;
+    this.frequency = 0;
+    this.display = null;
+    this.payload = null;
+    this.popularity = 0;
+    this.popularityUpdatedAt = null;
+  }
+
+  /**
+   * Builds the suggestion returned by searches for this end-of-word node
+   * @returns {{word: string, frequency: number, display?: string, payload?: Object}} Word, frequency, display form and payload if any
+   */
+  toSuggestion() {
+    const suggestion = { word: this.word, frequency: this.frequency };
+    if (this.display) {
+      suggestion.display = this.display;
+    }
+    if (this.payload) {
+      suggestion.payload = this.payload;
+    }
+    return suggestion;
+  }
+
+  /**
+   * Increments the frequency counter for this word
+   * @param {number} increment - Amount to increment by (default: 1)
+   */
+  incrementFrequency(increment = 1) {
+    if (this.isEndOfWord) {
+      this.frequency += increment;
+    }
+  }
+
+  /**
+   * Adds a selection to the decayed popularity of this word
+   * The stored value is decayed to now first, so it always holds the popularity at popularityUpdatedAt
+   * @param {number} amount - Popularity to add
+   * @param {number} now - Time of the selection in milliseconds
+   * @param {number} halfLife - Milliseconds after which popularity halves
+   */
+  addPopularity(amount, now, halfLife) {
+    if (this.isEndOfWord) {
+      this.popularity = this.getPopularity(now, halfLife) + amount;
+      this.popularityUpdatedAt = now;
+    }
+  }
+
+  /**
+   * Gets the popularity of this word decayed to a point in time
+   * @param {number} now - Time in milliseconds
+   * @param {number} halfLife - Milliseconds after which popularity halves
+   * @returns {number} Decayed popularity (0 if never selected)
+   */
+  getPopularity(now, halfLife) {
+    return decayPopularity(this.popularity, this.popularityUpdatedAt, now, halfLife);
+  }
+
+  /**
+   * Gets the number of children
+   * @returns {number} Number of child nodes
+   */
+  getChildCount() {
+    return this.children.size;
+  }
+}
+
+module.exports = RadixTrieNode;
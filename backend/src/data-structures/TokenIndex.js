@@ -0,0 +1,226 @@
+const Trie = require('./Trie');
+
+/**
+ * TokenIndex - secondary index over the individual words of multi-word entries
+ * Lets a query such as "york" find "new york", which a whole-string prefix
+ * search on the main Trie cannot. Tokens live in their own Trie and each token
+ * maps to the entries that contain it (a posting list).
+ */
+class TokenIndex {
+  /**
+   * Creates a new TokenIndex over a main Trie
+   * @param {Trie|RadixTrie} trie - Main Trie holding the full entries
+   * @param {Object} options - Index options
+   * @param {number} options.candidateLimit - Matching tokens examined per query (default: 50)
+   * @param {number} options.minTokenLength - Shortest token that is indexed (default: 2)
+   */
+  constructor(trie, options = {}) {
+    this.trie = trie;
+    this.tokenTrie = new Trie({ normalizer: trie.normalizer }); // Tokens are keyed exactly like entries
+    this.postings = new Map(); // Map<token, Set<entry>>
+    this.entryCount = 0;
+    this.candidateLimit = options.candidateLimit || 50;
+    this.minTokenLength = options.minTokenLength || 2;
+  }
+
+  /**
+   * Splits a phrase into lowercase tokens on whitespace and punctuation
+   * @param {string} phrase - Phrase to tokenize
+   * @returns {string[]} Tokens in order of appearance
+   */
+  static tokenize(phrase) {
+    if (!phrase || typeof phrase !== 'string') {
+      return [];
+    }
+
+    return phrase
+      .toLowerCase()
+      .split(/[^\p{L}\p{M}\p{N}']+/u)
+      .filter(token => token.length > 0);
+  }
+
+  /**
+   * Gets the tokens of an entry that are worth indexing
+   * The first token is skipped because the main Trie already matches it by prefix
+   * @param {string} entry - Normalized entry
+   * @returns {string[]} Unique indexable tokens
+   */
+  getIndexableTokens(entry) {
+    const tokens = TokenIndex.tokenize(entry).slice(1);
+    return [...new Set(tokens)].filter(token => token.length >= this.minTokenLength);
+  }
+
+  /**
+   * Adds an entry's tokens to the index
+   * @param {string} entry - Entry as stored in the main Trie
+   * @param {number} frequency - Entry frequency, used to rank tokens
+   * @returns {number} Number of tokens indexed for the entry
+   */
+  addEntry(entry, frequency = 1) {
+    const normalizedEntry = this.trie.normalize(entry);
+    const tokens = this.getIndexableTokens(normalizedEntry);
+
+    for (const token of tokens) {
+      if (!this.postings.has(token)) {
+        this.postings.set(token, new Set());
+      }
+      this.postings.get(token).add(normalizedEntry);
+
+      // A token ranks as high as the most frequent entry containing it
+      if (!this.tokenTrie.contains(token) || this.tokenTrie.getFrequency(token) < frequency) {
+        this.tokenTrie.insert(token, frequency);
+      }
+    }
+
+    if (tokens.length > 0) {
+      this.entryCount++;
+    }
+
+    return tokens.length;
+  }
+
+  /**
+   * Removes an entry from every posting list it appears in
+   * @param {string} entry - Entry as stored in the main Trie
+   * @returns {boolean} True if the entry was indexed
+   */
+  removeEntry(entry) {
+    const normalizedEntry = this.trie.normalize(entry);
+    let removed = false;
+
+    for (const token of this.getIndexableTokens(normalizedEntry)) {
+      const entries = this.postings.get(token);
+      if (entries && entries.delete(normalizedEntry)) {
+        removed = true;
+        if (entries.size === 0) {
+          this.postings.delete(token);
+          this.tokenTrie.delete(token);
+        }
+      }
+    }
+
+    if (removed) {
+      this.entryCount--;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Indexes every entry currently stored in the main Trie
+   * @returns {Object} Index statistics after the build
+   */
+  build() {
+    this.clear();
+
+    for (const { word, frequency } of this.trie.getAllWordsInTrie()) {
+      this.addEntry(word, frequency);
+    }
+
+    return this.getStats();
+  }
+
+  /**
+   * Finds entries containing a word that starts with the query
+   * Multi-word queries must match consecutive tokens, the last one by prefix.
+   * Entries that already start with the query are left to the main Trie search.
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of results (default: 5)
+   * @returns {Array<{word: string, frequency: number, display?: string, matchedToken: string}>} Matches by frequency
+   */
+  search(query, limit = 5) {
+    const normalizedQuery = typeof query === 'string' ? this.trie.normalize(query) : '';
+    const queryTokens = TokenIndex.tokenize(normalizedQuery);
+
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    // In a multi-word query the first token is complete, so its posting list is enough
+    const candidateTokens = queryTokens.length === 1
+      ? this.tokenTrie.search(queryTokens[0], this.candidateLimit).map(result => result.word)
+      : [queryTokens[0]];
+
+    const matches = new Map();
+    for (const token of candidateTokens) {
+      const entries = this.postings.get(token);
+      if (!entries) {
+        continue;
+      }
+
+      for (const entry of entries) {
+        if (matches.has(entry) || entry.startsWith(normalizedQuery)) {
+          continue;
+        }
+        if (queryTokens.length > 1 && !this.containsTokenSequence(entry, queryTokens)) {
+          continue;
+        }
+
+        // Entries deleted from the main Trie are skipped lazily
+        const suggestion = this.trie.getEntry(entry);
+        if (!suggestion) {
+          continue;
+        }
+
+        matches.set(entry, { ...suggestion, matchedToken: token });
+      }
+    }
+
+    return Array.from(matches.values())
+      .sort((a, b) => b.frequency - a.frequency)
+      .slice(0, limit);
+  }
+
+  /**
+   * Checks whether an entry contains the query tokens consecutively,
+   * with the last query token matching as a prefix
+   * @param {string} entry - Normalized entry
+   * @param {string[]} queryTokens - Tokenized query
+   * @returns {boolean} True if the entry matches
+   */
+  containsTokenSequence(entry, queryTokens) {
+    const entryTokens = TokenIndex.tokenize(entry);
+    const last = queryTokens.length - 1;
+
+    for (let start = 1; start + last < entryTokens.length; start++) {
+      const matched = queryTokens.every((token, i) => (
+        i === last
+          ? entryTokens[start + i].startsWith(token)
+          : entryTokens[start + i] === token
+      ));
+      if (matched) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Clears all indexed tokens
+   */
+  clear() {
+    this.tokenTrie.clear();
+    this.postings.clear();
+    this.entryCount = 0;
+  }
+
+  /**
+   * Gets statistics about the index
+   * @returns {Object} Token, entry and posting counts
+   */
+  getStats() {
+    let postingCount = 0;
+    for (const entries of this.postings.values()) {
+      postingCount += entries.size;
+    }
+
+    return {
+      tokenCount: this.postings.size,
+      entryCount: this.entryCount,
+      postingCount
+    };
+  }
+}
+
+module.exports = TokenIndex;
@@ -1,5 +1,8 @@
 const TrieNode = require('./TrieNode');
 const MaxHeap = require('./MaxHeap');
+const LevenshteinAutomaton = require('./LevenshteinAutomaton');
+const { defaultNormalizer } = require('../utils/textNormalizer');
+const { DEFAULT_POPULARITY_HALF_LIFE } = require('../utils/popularityDecay');
 
 /**
  * Trie (Prefix Tree) data structure for efficient string storage and retrieval
@@ -8,11 +11,25 @@ const MaxHeap = require('./MaxHeap');
 class Trie {
   /**
    * Creates a new Trie with an empty root node
+   * @param {Object} options - Trie options
+   * @param {number} options.topKCacheSize - Per-node cached suggestion count (0 disables caching)
+   * @param {Function} options.normalizer - Maps words and prefixes to keys (default: Unicode-folding normalizer)
+   * @param {number} options.popularityHalfLife - Milliseconds after which selection popularity halves (default: 7 days)
    */
-  constructor() {
+  constructor(options = {}) {
     this.root = new TrieNode();
     this.wordCount = 0; // Total number of words stored
     this.performanceMonitor = null; // Will be set by server
+    this.changeJournal = null; // Records changes for delta persistence when set
+    this.topKCacheSize = 0; // Number of suggestions cached per node, 0 when disabled
+    this.normalizer = options.normalizer || defaultNormalizer;
+    this.popularityHalfLife = options.popularityHalfLife || DEFAULT_POPULARITY_HALF_LIFE;
+    this.lastSelectionAt = null; // Time of the most recent recordSelection
+    this.selectedWords = new Set(); // Normalized words selected since creation or clear, for getPopularWords
+
+    if (options.topKCacheSize) {
+      this.enableTopKCache(options.topKCacheSize);
+    }
   }
 
   /**
@@ -36,14 +53,43 @@ class Trie {
     }
   }
 
+  /**
+   * Set change journal recording inserts, deletes and frequency changes
+   * @param {TrieChangeJournal|null} journal - Change journal (null stops recording)
+   */
+  setChangeJournal(journal) {
+    this.changeJournal = journal;
+  }
+
+  /**
+   * Record a change in the change journal, if one is set
+   * @param {Object} change - Change with an op ('insert', 'frequency', 'popularity', 'delete', 'deletePrefix' or 'clear')
+   */
+  recordChange(change) {
+    if (this.changeJournal) {
+      this.changeJournal.record(change);
+    }
+  }
+
+  /**
+   * Normalizes a word or prefix into the form used as a Trie key
+   * @param {string} text - Raw word or prefix
+   * @returns {string} Normalized key
+   */
+  normalize(text) {
+    return this.normalizer(text);
+  }
+
   /**
    * Inserts a word into the Trie with optional frequency
    * Time Complexity: O(L) where L is the length of the word
    * @param {string} word - Word to insert
    * @param {number} frequency - Initial frequency count (default: 1)
-   * @throws {Error} If word is empty or not a string
+   * @param {Object} payload - Data returned with suggestions, e.g. { display, source, id, metadata } (optional)
+   * @param {string} payload.display - Display form of the word (default: the word as given)
+   * @throws {Error} If word is empty or not a string, or payload is not an object
    */
-  insert(word, frequency = 1) {
+  insert(word, frequency = 1, payload = null) {
     const startTime = process.hrtime.bigint();
     
     if (!word || typeof word !== 'string') {
@@ -54,7 +100,11 @@ class Trie {
       throw new Error('Frequency must be non-negative');
     }
 
-    const normalizedWord = word.toLowerCase().trim();
+    if (payload !== null && (typeof payload !== 'object' || Array.isArray(payload))) {
+      throw new Error('Payload must be an object');
+    }
+
+    const normalizedWord = this.normalize(word);
     if (normalizedWord.length === 0) {
       throw new Error('Word cannot be empty after normalization');
     }
@@ -71,10 +121,29 @@ class Trie {
 
     // Mark end of word and set metadata
     const wasNewWord = !currentNode.isEndOfWord;
+    const frequencyDecreased = !wasNewWord && frequency < currentNode.frequency;
     if (wasNewWord) {
       this.wordCount++;
     }
-    currentNode.markAsEndOfWord(normalizedWord, frequency);
+    const { display, ...data } = payload || {};
+    currentNode.markAsEndOfWord(normalizedWord, frequency, display || word.trim(), data);
+
+    if (this.isTopKCacheEnabled()) {
+      this.updateTopKAlongPath(this.findPath(normalizedWord), currentNode, frequencyDecreased);
+    }
+
+    this.recordChange({
+      op: 'insert',
+      word: normalizedWord,
+      frequency,
+      display: currentNode.display,
+      payload: currentNode.payload,
+      // Re-inserting a word keeps its popularity, so the change carries it
+      ...(currentNode.popularityUpdatedAt !== null && {
+        popularity: currentNode.popularity,
+        popularityUpdatedAt: currentNode.popularityUpdatedAt
+      })
+    });
 
     // Record performance metrics
     this.recordPerformance('insert', startTime, {
@@ -103,7 +172,7 @@ class Trie {
       return [];
     }
 
-    const normalizedPrefix = prefix.toLowerCase().trim();
+    const normalizedPrefix = this.normalize(prefix);
     if (normalizedPrefix.length === 0) {
       this.recordPerformance('search', startTime, { 
         prefixLength: 0, 
@@ -127,6 +196,22 @@ class Trie {
       currentNode = currentNode.getChild(char);
     }
 
+    // Serve directly from the node's cached top-K list when it covers the limit
+    if (currentNode.topK && limit <= this.topKCacheSize) {
+      const cachedResults = currentNode.topK
+        .slice(0, limit)
+        .map(node => node.toSuggestion());
+
+      this.recordPerformance('search', startTime, {
+        prefixLength: normalizedPrefix.length,
+        resultCount: cachedResults.length,
+        limit,
+        topKCacheHit: true
+      });
+
+      return cachedResults;
+    }
+
     // Collect all words with this prefix
     const results = [];
     this.getAllWords(currentNode, normalizedPrefix, results);
@@ -145,6 +230,41 @@ class Trie {
     return finalResults;
   }
 
+  /**
+   * Finds words within an edit distance of the query
+   * Walks the tree with a Levenshtein automaton, pruning branches that can no longer
+   * match, so every qualifying word is found without scanning the whole dictionary.
+   * Time Complexity: O(V * n) where V is the number of nodes visited and n is the query length
+   * @param {string} query - Query, possibly misspelled
+   * @param {Object} options - Fuzzy search options
+   * @param {number} options.maxDistance - Maximum edit distance (default: 2)
+   * @param {boolean} options.prefix - Match the query against word prefixes, e.g. "calfor" -> "california" (default: false)
+   * @param {boolean} options.transpositions - Count adjacent swaps as one edit (default: true)
+   * @param {number} options.limit - Maximum number of results (default: all)
+   * @returns {Array<{word: string, frequency: number, editDistance: number}>} Matches, closest and most frequent first
+   */
+  fuzzySearch(query, options = {}) {
+    const startTime = process.hrtime.bigint();
+
+    const normalizedQuery = typeof query === 'string' ? this.normalize(query) : '';
+    if (normalizedQuery.length === 0) {
+      this.recordPerformance('fuzzySearch', startTime, { queryLength: 0, resultCount: 0, error: 'invalid_query' });
+      return [];
+    }
+
+    const automaton = new LevenshteinAutomaton(normalizedQuery, options);
+    const results = automaton.search(this.root, node => node.children, options);
+
+    this.recordPerformance('fuzzySearch', startTime, {
+      queryLength: normalizedQuery.length,
+      resultCount: results.length,
+      maxDistance: automaton.maxDistance,
+      prefix: options.prefix === true
+    });
+
+    return results;
+  }
+
   /**
    * Recursively collects all words from a given node using DFS
    * @param {TrieNode} node - Starting node
@@ -158,10 +278,7 @@ class Trie {
 
     // If this node represents a complete word, add it to results
     if (node.isEndOfWord) {
-      results.push({
-        word: node.word,
-        frequency: node.frequency
-      });
+      results.push(node.toSuggestion());
     }
 
     // Recursively search all children
@@ -193,7 +310,7 @@ class Trie {
       throw new Error('Increment must be positive');
     }
 
-    const normalizedWord = word.toLowerCase().trim();
+    const normalizedWord = this.normalize(word);
     if (normalizedWord.length === 0) {
       this.recordPerformance('incrementFrequency', startTime, { 
         wordLength: 0, 
@@ -222,6 +339,12 @@ class Trie {
     if (currentNode.isEndOfWord) {
       const oldFrequency = currentNode.frequency;
       currentNode.incrementFrequency(increment);
+
+      if (this.isTopKCacheEnabled()) {
+        this.updateTopKAlongPath(this.findPath(normalizedWord), currentNode, false);
+      }
+
+      this.recordChange({ op: 'frequency', word: normalizedWord, frequency: currentNode.frequency });
       
       this.recordPerformance('incrementFrequency', startTime, {
         wordLength: normalizedWord.length,
@@ -242,6 +365,311 @@ class Trie {
     return false;
   }
 
+  /**
+   * Records a user selection in the word's time-decayed popularity
+   * Unlike incrementFrequency, the added popularity halves every popularityHalfLife,
+   * so recent selections count more than old bursts.
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Selected word
+   * @param {number} amount - Popularity to add (default: 1)
+   * @param {number} now - Time of the selection in milliseconds (default: now)
+   * @returns {number|null} Popularity after the selection, or null if the word is not in the Trie
+   * @throws {Error} If amount is not positive
+   */
+  recordSelection(word, amount = 1, now = Date.now()) {
+    if (amount <= 0) {
+      throw new Error('Selection amount must be positive');
+    }
+
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    if (!node) {
+      return null;
+    }
+
+    node.addPopularity(amount, now, this.popularityHalfLife);
+    this.lastSelectionAt = now;
+    this.selectedWords.add(node.word);
+    this.recordChange({
+      op: 'popularity',
+      word: node.word,
+      popularity: node.popularity,
+      popularityUpdatedAt: node.popularityUpdatedAt
+    });
+    return node.popularity;
+  }
+
+  /**
+   * Sets a word's stored popularity, as when restoring it from a backup
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to update
+   * @param {number} popularity - Popularity as of updatedAt
+   * @param {number|null} updatedAt - Time of the last selection in milliseconds, null if never selected
+   * @returns {boolean} True if the word exists
+   */
+  setPopularity(word, popularity, updatedAt) {
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    if (!node) {
+      return false;
+    }
+
+    node.popularity = updatedAt === null ? 0 : popularity;
+    node.popularityUpdatedAt = updatedAt;
+    if (updatedAt !== null) {
+      this.selectedWords.add(node.word);
+      this.lastSelectionAt = Math.max(this.lastSelectionAt || 0, updatedAt);
+    }
+    return true;
+  }
+
+  /**
+   * Gets the most popular selected words with the given prefix
+   * Words are looked up in the set of selected words instead of the prefix's subtree, so a
+   * trending word is found however many more frequent words share its prefix.
+   * Time Complexity: O(S * L + S log S) where S is the number of selected words and L is the longest word
+   * @param {string} prefix - Prefix to search for
+   * @param {number} limit - Maximum number of results (default: 5)
+   * @param {number} now - Time the popularity is decayed to in milliseconds (default: now)
+   * @returns {Array<{word: string, frequency: number, display?: string, payload?: Object}>} Suggestions, most popular first
+   */
+  getPopularWords(prefix, limit = 5, now = Date.now()) {
+    if (!prefix || typeof prefix !== 'string' || this.selectedWords.size === 0) {
+      return [];
+    }
+
+    const normalizedPrefix = this.normalize(prefix);
+    if (normalizedPrefix.length === 0) {
+      return [];
+    }
+
+    const popular = [];
+    for (const word of this.selectedWords) {
+      if (!word.startsWith(normalizedPrefix)) {
+        continue;
+      }
+
+      const node = this.findWordNode(word);
+      if (!node || node.popularityUpdatedAt === null) {
+        // Deleted, or deleted and inserted again, since it was selected
+        this.selectedWords.delete(word);
+        continue;
+      }
+      popular.push({ node, popularity: node.getPopularity(now, this.popularityHalfLife) });
+    }
+
+    return popular
+      .sort((a, b) => b.popularity - a.popularity)
+      .slice(0, limit)
+      .map(({ node }) => node.toSuggestion());
+  }
+
+  /**
+   * Gets a word's popularity, decayed to the given time
+   * @param {string} word - Word to look up
+   * @param {number} now - Time in milliseconds (default: now)
+   * @returns {number} Decayed popularity, or 0 if the word was never selected or is absent
+   */
+  getPopularity(word, now = Date.now()) {
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    return node ? node.getPopularity(now, this.popularityHalfLife) : 0;
+  }
+
+  /**
+   * Gets the time a word was last selected
+   * @param {string} word - Word to look up
+   * @returns {number|null} Time in milliseconds, or null if never selected or absent
+   */
+  getLastSelectedAt(word) {
+    const node = typeof word === 'string' ? this.findWordNode(this.normalize(word)) : null;
+    return node ? node.popularityUpdatedAt : null;
+  }
+
+  /**
+   * Checks whether any word has been selected since the Trie was created or cleared
+   * @returns {boolean} True if recordSelection has succeeded at least once
+   */
+  hasSelections() {
+    return this.lastSelectionAt !== null;
+  }
+
+  /**
+   * Removes a word from the Trie and prunes nodes that no longer lead to any word
+   * Time Complexity: O(L) where L is the length of the word
+   * @param {string} word - Word to delete
+   * @returns {boolean} True if the word was found and deleted, false otherwise
+   */
+  delete(word) {
+    const startTime = process.hrtime.bigint();
+
+    if (!word || typeof word !== 'string') {
+      this.recordPerformance('delete', startTime, {
+        wordLength: 0,
+        success: false,
+        error: 'invalid_word'
+      });
+      return false;
+    }
+
+    const normalizedWord = this.normalize(word);
+    if (normalizedWord.length === 0) {
+      this.recordPerformance('delete', startTime, {
+        wordLength: 0,
+        success: false,
+        error: 'empty_word'
+      });
+      return false;
+    }
+
+    const path = this.findPath(normalizedWord);
+    const endNode = path ? path[path.length - 1].node : null;
+
+    if (!endNode || !endNode.isEndOfWord) {
+      this.recordPerformance('delete', startTime, {
+        wordLength: normalizedWord.length,
+        success: false,
+        error: 'word_not_found'
+      });
+      return false;
+    }
+
+    endNode.unmarkEndOfWord();
+    this.wordCount--;
+    const prunedNodes = this.pruneBranch(path);
+
+    if (this.isTopKCacheEnabled()) {
+      this.updateTopKAlongPath(path.slice(0, path.length - prunedNodes), endNode, true);
+    }
+
+    this.recordChange({ op: 'delete', word: normalizedWord });
+
+    this.recordPerformance('delete', startTime, {
+      wordLength: normalizedWord.length,
+      success: true,
+      prunedNodes
+    });
+
+    return true;
+  }
+
+  /**
+   * Removes every word starting with the given prefix by detaching its subtree
+   * Time Complexity: O(L + N) where L is prefix length and N is the number of nodes removed
+   * @param {string} prefix - Prefix whose subtree should be removed
+   * @returns {number} Number of words removed
+   */
+  deletePrefix(prefix) {
+    const startTime = process.hrtime.bigint();
+
+    if (!prefix || typeof prefix !== 'string') {
+      this.recordPerformance('deletePrefix', startTime, {
+        prefixLength: 0,
+        removedWords: 0,
+        error: 'invalid_prefix'
+      });
+      return 0;
+    }
+
+    const normalizedPrefix = this.normalize(prefix);
+    if (normalizedPrefix.length === 0) {
+      this.recordPerformance('deletePrefix', startTime, {
+        prefixLength: 0,
+        removedWords: 0,
+        error: 'empty_prefix'
+      });
+      return 0;
+    }
+
+    const path = this.findPath(normalizedPrefix);
+    if (!path) {
+      this.recordPerformance('deletePrefix', startTime, {
+        prefixLength: normalizedPrefix.length,
+        removedWords: 0,
+        error: 'prefix_not_found'
+      });
+      return 0;
+    }
+
+    const { node: subtreeRoot, char } = path[path.length - 1];
+    const parent = path[path.length - 2].node;
+
+    const removed = [];
+    this.getAllWords(subtreeRoot, normalizedPrefix, removed);
+
+    parent.removeChild(char);
+    this.wordCount -= removed.length;
+    const ancestors = path.slice(0, -1);
+    const prunedNodes = this.pruneBranch(ancestors);
+
+    if (this.isTopKCacheEnabled()) {
+      // Any ancestor list may reference words from the detached subtree
+      for (let i = ancestors.length - 1 - prunedNodes; i >= 0; i--) {
+        ancestors[i].node.topK = this.computeTopK(ancestors[i].node);
+      }
+    }
+
+    if (removed.length > 0) {
+      this.recordChange({ op: 'deletePrefix', prefix: normalizedPrefix });
+    }
+
+    this.recordPerformance('deletePrefix', startTime, {
+      prefixLength: normalizedPrefix.length,
+      removedWords: removed.length
+    });
+
+    return removed.length;
+  }
+
+  /**
+   * Walks the Trie along a normalized string, recording every visited node
+   * @param {string} normalizedString - Already normalized word or prefix
+   * @returns {Array<{node: TrieNode, char: string|null}>|null} Path from root, or null if it breaks off
+   */
+  findPath(normalizedString) {
+    const path = [{ node: this.root, char: null }];
+    let currentNode = this.root;
+
+    for (const char of normalizedString) {
+      if (!currentNode.hasChild(char)) {
+        return null;
+      }
+      currentNode = currentNode.getChild(char);
+      path.push({ node: currentNode, char });
+    }
+
+    return path;
+  }
+
+  /**
+   * Finds the end-of-word node for a word
+   * @param {string} normalizedWord - Already normalized word
+   * @returns {TrieNode|null} End-of-word node or null if the word is absent
+   */
+  findWordNode(normalizedWord) {
+    const path = normalizedWord ? this.findPath(normalizedWord) : null;
+    const node = path ? path[path.length - 1].node : null;
+    return node && node.isEndOfWord ? node : null;
+  }
+
+  /**
+   * Removes trailing nodes on a path that neither end a word nor have children
+   * The root node is never removed
+   * @param {Array<{node: TrieNode, char: string|null}>} path - Path as returned by findPath
+   * @returns {number} Number of nodes pruned
+   */
+  pruneBranch(path) {
+    let pruned = 0;
+
+    for (let i = path.length - 1; i > 0; i--) {
+      const { node, char } = path[i];
+      if (node.isEndOfWord || node.getChildCount() > 0) {
+        break;
+      }
+      path[i - 1].node.removeChild(char);
+      pruned++;
+    }
+
+    return pruned;
+  }
+
   /**
    * Checks if a word exists in the Trie
    * Time Complexity: O(L) where L is the length of the word
@@ -253,7 +681,7 @@ class Trie {
       return false;
     }
 
-    const normalizedWord = word.toLowerCase().trim();
+    const normalizedWord = this.normalize(word);
     if (normalizedWord.length === 0) {
       return false;
     }
@@ -280,7 +708,7 @@ class Trie {
       return 0;
     }
 
-    const normalizedWord = word.toLowerCase().trim();
+    const normalizedWord = this.normalize(word);
     if (normalizedWord.length === 0) {
       return 0;
     }
@@ -297,6 +725,26 @@ class Trie {
     return currentNode.isEndOfWord ? currentNode.frequency : 0;
   }
 
+  /**
+   * Gets the stored suggestion for a word
+   * @param {string} word - Word to look up
+   * @returns {{word: string, frequency: number, display?: string, payload?: Object}|null} Suggestion, or null if not found
+   */
+  getEntry(word) {
+    if (!word || typeof word !== 'string') {
+      return null;
+    }
+
+    const normalizedWord = this.normalize(word);
+    const path = normalizedWord.length > 0 ? this.findPath(normalizedWord) : null;
+    if (!path) {
+      return null;
+    }
+
+    const node = path[path.length - 1].node;
+    return node.isEndOfWord ? node.toSuggestion() : null;
+  }
+
   /**
    * Gets the total number of words in the Trie
    * @returns {number} Total word count
@@ -321,6 +769,126 @@ class Trie {
   clear() {
     this.root = new TrieNode();
     this.wordCount = 0;
+    this.lastSelectionAt = null;
+    this.selectedWords = new Set();
+
+    if (this.isTopKCacheEnabled()) {
+      this.root.topK = [];
+    }
+
+    this.recordChange({ op: 'clear' });
+  }
+
+  /**
+   * Enables per-node top-K caching and builds the cache for existing words
+   * Searches with limit <= size are then answered in O(L) without subtree traversal
+   * @param {number} size - Number of suggestions to cache per node
+   * @throws {Error} If size is not a positive integer
+   */
+  enableTopKCache(size) {
+    if (!Number.isInteger(size) || size <= 0) {
+      throw new Error('Top-K cache size must be a positive integer');
+    }
+
+    this.topKCacheSize = size;
+    this.rebuildTopKCache();
+  }
+
+  /**
+   * Disables per-node top-K caching and releases cached lists
+   */
+  disableTopKCache() {
+    this.topKCacheSize = 0;
+
+    const release = (node) => {
+      node.topK = null;
+      for (const childNode of node.children.values()) {
+        release(childNode);
+      }
+    };
+
+    release(this.root);
+  }
+
+  /**
+   * Checks whether per-node top-K caching is enabled
+   * @returns {boolean} True if caching is enabled
+   */
+  isTopKCacheEnabled() {
+    return this.topKCacheSize > 0;
+  }
+
+  /**
+   * Recomputes every node's top-K list bottom-up
+   * Time Complexity: O(N * C * K) where N is node count and C is average child count
+   * @param {TrieNode} node - Subtree root to rebuild (default: root)
+   */
+  rebuildTopKCache(node = this.root) {
+    for (const childNode of node.children.values()) {
+      this.rebuildTopKCache(childNode);
+    }
+    node.topK = this.computeTopK(node);
+  }
+
+  /**
+   * Computes a node's top-K list from its own word and its children's lists
+   * @param {TrieNode} node - Node whose children already hold correct lists
+   * @returns {Array<TrieNode>} End-of-word nodes sorted by frequency (descending)
+   */
+  computeTopK(node) {
+    const candidates = node.isEndOfWord ? [node] : [];
+
+    for (const childNode of node.children.values()) {
+      if (childNode.topK) {
+        candidates.push(...childNode.topK);
+      }
+    }
+
+    candidates.sort((a, b) => b.frequency - a.frequency);
+    return candidates.slice(0, this.topKCacheSize);
+  }
+
+  /**
+   * Updates cached top-K lists along a path after one word's frequency changed
+   * Increases are applied incrementally; decreases and deletions recompute only
+   * the lists that contained the word
+   * @param {Array<{node: TrieNode, char: string|null}>} path - Root-to-word path
+   * @param {TrieNode} wordNode - End-of-word node whose frequency changed
+   * @param {boolean} decreased - True if the word's rank can only have dropped
+   */
+  updateTopKAlongPath(path, wordNode, decreased) {
+    for (let i = path.length - 1; i >= 0; i--) {
+      const { node } = path[i];
+
+      if (decreased) {
+        if (!node.topK || node.topK.includes(wordNode)) {
+          node.topK = this.computeTopK(node);
+        }
+        continue;
+      }
+
+      if (!node.topK) {
+        node.topK = [];
+      }
+
+      const list = node.topK;
+      const existingIndex = list.indexOf(wordNode);
+      if (existingIndex !== -1) {
+        list.splice(existingIndex, 1);
+      }
+
+      let insertIndex = list.findIndex(entry => entry.frequency < wordNode.frequency);
+      if (insertIndex === -1) {
+        insertIndex = list.length;
+      }
+
+      if (insertIndex < this.topKCacheSize) {
+        list.splice(insertIndex, 0, wordNode);
+        if (list.length > this.topKCacheSize) {
+          list.pop();
+        }
+      }
+    }
   }
 
   /**
@@ -346,7 +914,10 @@ class Trie {
       wordCount: this.wordCount,
       nodeCount,
       maxDepth,
-      averageDepth: this.wordCount > 0 ? maxDepth / this.wordCount : 0
+      averageDepth: this.wordCount > 0 ? maxDepth / this.wordCount : 0,
+      topKCacheSize: this.topKCacheSize,
+      popularityHalfLife: this.popularityHalfLife,
+      implementation: 'standard'
     };
   }
 }
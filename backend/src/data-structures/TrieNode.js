@@ -1,3 +1,5 @@
+const { decayPopularity } = require('../utils/popularityDecay');
+
 /**
  * TrieNode represents a single node in the Trie data structure
  * Each node contains a character, references to child nodes, and metadata
@@ -13,6 +15,11 @@ class TrieNode {
     this.isEndOfWord = false; // Marks if this node represents the end of a complete word
     this.frequency = 0; // Usage frequency for ranking suggestions
     this.word = null; // Complete word (only set for end-of-word nodes)
+    this.display = null; // Original form of the word when it differs from the normalized key
+    this.payload = null; // Caller-supplied data such as source dataset, ID and metadata
+    this.topK = null; // Cached top-K end-of-word nodes in this subtree (when caching is enabled)
+    this.popularity = 0; // Decayed popularity from user selections, as of popularityUpdatedAt
+    this.popularityUpdatedAt = null; // Time of the last selection in milliseconds
   }
 
   /**
@@ -48,11 +55,52 @@ class TrieNode {
    * Marks this node as the end of a word and sets metadata
    * @param {string} word - The complete word
    * @param {number} frequency - Initial frequency count
+   * @param {string} display - Original form of the word as inserted (optional)
+   * @param {Object} payload - Data returned with suggestions for this word (optional)
    */
-  markAsEndOfWord(word, frequency = 1) {
+  markAsEndOfWord(word, frequency = 1, display = null, payload = null) {
     this.isEndOfWord = true;
     this.word = word;
     this.frequency = frequency;
+    this.display = display && display !== word ? display : null;
+    this.payload = payload && Object.keys(payload).length > 0 ? payload : null;
+  }
+
+  /**
+   * Removes the child node for the given character
+   * @param {string} char - Character of the child to remove
+   * @returns {boolean} True if a child was removed
+   */
+  removeChild(char) {
+    return this.children.delete(char);
+  }
+
+  /**
+   * Clears end-of-word marker and word metadata from this node
+   */
+  unmarkEndOfWord() {
+    this.isEndOfWord = false;
+    this.word = null;
+    this.frequency = 0;
+    this.display = null;
+    this.payload = null;
+    this.popularity = 0;
+    this.popularityUpdatedAt = null;
+  }
+
+  /**
+   * Builds the suggestion returned by searches for this end-of-word node
+   * @returns {{word: string, frequency: number, display?: string, payload?: Object}} Word, frequency, display form and payload if any
+   */
+  toSuggestion() {
+    const suggestion = { word: this.word, frequency: this.frequency };
+    if (this.display) {
+      suggestion.display = this.display;
+    }
+    if (this.payload) {
+      suggestion.payload = this.payload;
+    }
+    return suggestion;
   }
 
   /**
@@ -65,6 +113,30 @@ class TrieNode {
     }
   }
 
+  /**
+   * Adds a selection to the decayed popularity of this word
+   * The stored value is decayed to now first, so it always holds the popularity at popularityUpdatedAt
+   * @param {number} amount - Popularity to add
+   * @param {number} now - Time of the selection in milliseconds
+   * @param {number} halfLife - Milliseconds after which popularity halves
+   */
+  addPopularity(amount, now, halfLife) {
+    if (this.isEndOfWord) {
+      this.popularity = this.getPopularity(now, halfLife) + amount;
+      this.popularityUpdatedAt = now;
+    }
+  }
+
+  /**
+   * Gets the popularity of this word decayed to a point in time
+   * @param {number} now - Time in milliseconds
+   * @param {number} halfLife - Milliseconds after which popularity halves
+   * @returns {number} Decayed popularity (0 if never selected)
+   */
+  getPopularity(now, halfLife) {
+    return decayPopularity(this.popularity, this.popularityUpdatedAt, now, halfLife);
+  }
+
   /**
    * Gets all child characters
    * @returns {string[]} Array of child characters
@@ -1,14 +1,49 @@
 /**
  * Data structures module exports
- * Provides Trie, TrieNode, and MaxHeap classes for autocomplete functionality
+ * Provides Trie, RadixTrie, their node classes, TokenIndex, PhoneticIndex, NGramModel, and MaxHeap for autocomplete functionality
  */
 
 const Trie = require('./Trie');
 const TrieNode = require('./TrieNode');
+const RadixTrie = require('./RadixTrie');
+const RadixTrieNode = require('./RadixTrieNode');
 const MaxHeap = require('./MaxHeap');
+const TokenIndex = require('./TokenIndex');
+const PhoneticIndex = require('./PhoneticIndex');
+const NGramModel = require('./NGramModel');
+
+/**
+ * Supported prefix tree implementations, keyed by TRIE_IMPLEMENTATION value
+ */
+const TRIE_IMPLEMENTATIONS = {
+  standard: Trie,
+  radix: RadixTrie
+};
+
+/**
+ * Creates a prefix tree of the requested implementation
+ * @param {string} implementation - 'standard' or 'radix' (default: 'standard')
+ * @param {Object} options - Constructor options passed to the implementation
+ * @returns {Trie|RadixTrie} New empty prefix tree
+ * @throws {Error} If the implementation is unknown
+ */
+function createTrie(implementation = 'standard', options = {}) {
+  const TrieClass = TRIE_IMPLEMENTATIONS[implementation];
+  if (!TrieClass) {
+    throw new Error(`Unknown Trie implementation: ${implementation}`);
+  }
+  return new TrieClass(options);
+}
 
 module.exports = {
   Trie,
   TrieNode,
-  MaxHeap
-};
\ No newline at end of file
+  RadixTrie,
+  RadixTrieNode,
+  MaxHeap,
+  TokenIndex,
+  PhoneticIndex,
+  NGramModel,
+  TRIE_IMPLEMENTATIONS,
+  createTrie
+};
@@ -0,0 +1,797 @@
+/**
+ * Admin API routes
+ * Maintenance operations on the live search index (no restart or dataset reload required)
+ * and runtime ranking configuration
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const TrieRegistry = require('../services/TrieRegistry');
+const RankingService = require('../services/RankingService');
+const SynonymService = require('../services/SynonymService');
+const BlocklistService = require('../services/BlocklistService');
+
+/**
+ * Word deletion endpoint
+ * DELETE /api/admin/words
+ */
+router.delete('/words', [
+  // Request body validation
+  body('word')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Word must be between 1 and 100 characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
+    .withMessage('Word contains invalid characters'),
+
+  body('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { word, dataset } = req.body;
+    const { indexes, missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+    const index = indexes.length > 0 ? indexes[0] : null;
+    const trie = index ? index.trie : null;
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!trie) {
+      return res.status(503).json({
+        error: 'Search service unavailable',
+        message: 'Trie data structure not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const frequency = trie.getFrequency(word);
+    const deleted = trie.delete(word);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        word,
+        message: `Word "${word}" not found in search index`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (index.tokenIndex) {
+      index.tokenIndex.removeEntry(word);
+    }
+
+    if (index.phoneticIndex) {
+      index.phoneticIndex.removeEntry(word);
+    }
+
+    if (index.ngramModel) {
+      index.ngramModel.removeEntry(word, frequency);
+    }
+
+    // Cached suggestion lists may still reference the deleted word
+    invalidateCache(req);
+
+    res.json({
+      success: true,
+      word,
+      wordCount: trie.getWordCount(),
+      message: `Word "${word}" removed from search index`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Word deletion error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Word deletion failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Prefix deletion endpoint - removes every word under a prefix
+ * DELETE /api/admin/prefixes
+ */
+router.delete('/prefixes', [
+  // Request body validation
+  body('prefix')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Prefix must be between 1 and 50 characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
+    .withMessage('Prefix contains invalid characters'),
+
+  body('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { prefix, dataset } = req.body;
+    const { indexes, missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+    const index = indexes.length > 0 ? indexes[0] : null;
+    const trie = index ? index.trie : null;
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!trie) {
+      return res.status(503).json({
+        error: 'Search service unavailable',
+        message: 'Trie data structure not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Every removed entry must also leave the indexes built beside the Trie
+    const removedEntries = trie.search(prefix, trie.getWordCount());
+    const removedWords = trie.deletePrefix(prefix);
+
+    if (removedWords === 0) {
+      return res.status(404).json({
+        success: false,
+        prefix,
+        message: `Prefix "${prefix}" not found in search index`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    for (const { word, frequency } of removedEntries) {
+      if (index.tokenIndex) {
+        index.tokenIndex.removeEntry(word);
+      }
+
+      if (index.phoneticIndex) {
+        index.phoneticIndex.removeEntry(word);
+      }
+
+      if (index.ngramModel) {
+        index.ngramModel.removeEntry(word, frequency);
+      }
+    }
+
+    invalidateCache(req);
+
+    res.json({
+      success: true,
+      prefix,
+      removedWords,
+      wordCount: trie.getWordCount(),
+      message: `Removed ${removedWords} word(s) with prefix "${prefix}"`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Prefix deletion error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Prefix deletion failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Ranking configuration endpoints
+ * GET /api/admin/ranking - Available signals, default and per-dataset weights
+ * PUT /api/admin/ranking - Update the weights of one dataset, or the defaults
+ * DELETE /api/admin/ranking - Return a dataset to the default weights
+ */
+router.get('/ranking', (req, res) => {
+  try {
+    const rankingService = RankingService.fromLocals(req.app.locals);
+
+    res.json({
+      ...rankingService.getConfig(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Ranking config error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Ranking config unavailable',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.put('/ranking', [
+  // Request body validation
+  body('weights')
+    .isObject()
+    .withMessage('weights must be an object of signal weights')
+    .bail()
+    .custom((weights, { req }) => {
+      const rankingService = RankingService.fromLocals(req.app.locals);
+      const unknown = Object.keys(weights).filter(name => !rankingService.isKnownSignal(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown ranking signal: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('weights.*')
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Weights must be numbers between 0 and 10')
+    .toFloat(),
+
+  body('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { weights, dataset } = req.body;
+    const missingResponse = findMissingDataset(req, dataset);
+    if (missingResponse) {
+      return res.status(404).json(missingResponse);
+    }
+
+    const rankingService = RankingService.fromLocals(req.app.locals);
+    const oldWeights = rankingService.getWeights(dataset || null);
+    const newWeights = rankingService.setWeights(weights, dataset || null);
+
+    // Cached suggestion lists were ordered with the old weights
+    invalidateCache(req);
+
+    res.json({
+      success: true,
+      dataset: dataset || null,
+      oldWeights,
+      newWeights,
+      message: dataset ? `Ranking weights updated for "${dataset}"` : 'Default ranking weights updated',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Ranking config update error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Ranking config update failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.delete('/ranking', [
+  // Request body validation
+  body('dataset')
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { dataset } = req.body;
+    const rankingService = RankingService.fromLocals(req.app.locals);
+
+    if (!rankingService.resetWeights(dataset)) {
+      return res.status(404).json({
+        success: false,
+        dataset,
+        message: `Dataset "${dataset}" has no ranking weights of its own`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    invalidateCache(req);
+
+    res.json({
+      success: true,
+      dataset,
+      weights: rankingService.getWeights(dataset),
+      message: `Ranking weights for "${dataset}" reset to the defaults`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Ranking config reset error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Ranking config reset failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Synonym dictionary endpoints
+ * GET /api/admin/synonyms - Aliases with their expansions
+ * PUT /api/admin/synonyms - Add an alias or replace its expansions
+ * DELETE /api/admin/synonyms - Remove an alias
+ * Edits bump the dictionary version, which is part of every search cache key.
+ */
+router.get('/synonyms', (req, res) => {
+  try {
+    const synonymService = SynonymService.fromLocals(req.app.locals);
+
+    res.json({
+      aliases: synonymService.getAliases(),
+      stats: synonymService.getStats(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Synonym list error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Synonyms unavailable',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.put('/synonyms', [
+  // Request body validation
+  body('alias')
+    .isString()
+    .withMessage('alias must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('alias must be between 1 and 100 characters'),
+
+  body('expansions')
+    .custom(expansions => {
+      const list = Array.isArray(expansions) ? expansions : [expansions];
+      if (list.length === 0 || list.length > 20 || !list.every(item => typeof item === 'string' && item.length <= 100)) {
+        throw new Error('expansions must be a string or an array of 1 to 20 strings of at most 100 characters');
+      }
+      return true;
+    })
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const synonymService = SynonymService.fromLocals(req.app.locals);
+    const oldExpansions = synonymService.getAlias(req.body.alias);
+
+    let entry;
+    try {
+      entry = synonymService.setAlias(req.body.alias, req.body.expansions);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid synonym',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      alias: entry.alias,
+      oldExpansions,
+      newExpansions: entry.expansions,
+      version: synonymService.getVersion(),
+      message: `Alias "${entry.alias}" now expands to ${entry.expansions.map(expansion => `"${expansion}"`).join(', ')}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Synonym update error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Synonym update failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.delete('/synonyms', [
+  // Request body validation
+  body('alias')
+    .isString()
+    .withMessage('alias must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('alias must be between 1 and 100 characters')
+], (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { alias } = req.body;
+    const synonymService = SynonymService.fromLocals(req.app.locals);
+
+    if (!synonymService.removeAlias(alias)) {
+      return res.status(404).json({
+        success: false,
+        alias,
+        message: `Alias "${alias}" not found in synonym dictionary`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      alias,
+      version: synonymService.getVersion(),
+      message: `Alias "${alias}" removed from synonym dictionary`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Synonym delete error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Synonym delete failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Blocklist endpoints
+ * GET /api/admin/blocklist - Rules and suppression counts
+ * PUT /api/admin/blocklist - Add words, prefixes or patterns
+ * DELETE /api/admin/blocklist - Remove words, prefixes or patterns
+ * POST /api/admin/blocklist/reload - Reload the rules from the blocklist file
+ * Changes clear cached search results, which may hold newly blocked suggestions.
+ */
+router.get('/blocklist', (req, res) => {
+  try {
+    const blocklist = BlocklistService.fromLocals(req.app.locals);
+
+    res.json({
+      rules: blocklist.getRules(),
+      stats: blocklist.getStats(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Blocklist error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Blocklist unavailable',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Validates the rule lists of a blocklist edit
+ * @returns {Array} express-validator chains
+ */
+function blocklistRuleValidators() {
+  return [
+    body(BlocklistService.RULE_TYPES)
+      .optional()
+      .isArray({ max: 1000 })
+      .withMessage('words, prefixes and patterns must be arrays of at most 1000 rules'),
+
+    body()
+      .custom(rules => BlocklistService.RULE_TYPES.some(type => Array.isArray(rules[type]) && rules[type].length > 0))
+      .withMessage('At least one word, prefix or pattern is required')
+  ];
+}
+
+/**
+ * Picks the rule lists out of a request body
+ * @param {Object} requestBody - Request body
+ * @returns {Object} Lists of words, prefixes and patterns that were given
+ */
+function pickBlocklistRules(requestBody) {
+  const rules = {};
+  for (const type of BlocklistService.RULE_TYPES) {
+    if (requestBody[type] !== undefined) {
+      rules[type] = requestBody[type];
+    }
+  }
+  return rules;
+}
+
+router.put('/blocklist', blocklistRuleValidators(), (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const blocklist = BlocklistService.fromLocals(req.app.locals);
+
+    let added;
+    try {
+      added = blocklist.addRules(pickBlocklistRules(req.body));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid blocklist rule',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Cached suggestion lists may contain newly blocked entries
+    invalidateCache(req);
+
+    res.json({
+      success: true,
+      added,
+      rules: blocklist.getRules(),
+      message: `${added} blocklist rule(s) added`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Blocklist update error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Blocklist update failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.delete('/blocklist', blocklistRuleValidators(), (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const blocklist = BlocklistService.fromLocals(req.app.locals);
+
+    let removed;
+    try {
+      removed = blocklist.removeRules(pickBlocklistRules(req.body));
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid blocklist rule',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (removed === 0) {
+      return res.status(404).json({
+        success: false,
+        removed,
+        message: 'None of the given rules are in the blocklist',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    invalidateCache(req);
+
+    res.json({
+      success: true,
+      removed,
+      rules: blocklist.getRules(),
+      message: `${removed} blocklist rule(s) removed`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Blocklist delete error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Blocklist delete failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+router.post('/blocklist/reload', (req, res) => {
+  try {
+    const blocklist = BlocklistService.fromLocals(req.app.locals);
+
+    let counts;
+    try {
+      counts = blocklist.reload();
+    } catch (error) {
+      // The previous rules stay active when the file cannot be used
+      return res.status(422).json({
+        error: 'Blocklist reload failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    invalidateCache(req);
+    console.log(`[BLOCKLIST] Reloaded ${counts.words} words, ${counts.prefixes} prefixes and ${counts.patterns} patterns`);
+
+    res.json({
+      success: true,
+      rules: counts,
+      filePath: blocklist.getStats().filePath,
+      message: 'Blocklist reloaded',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Blocklist reload error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Blocklist reload failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Frequency feedback endpoints
+ * GET /api/admin/frequency-feedback - Settings and report of the last run
+ * POST /api/admin/frequency-feedback/run - Fold recorded selections into frequencies now
+ * Available when search analytics are enabled (MongoDB configured).
+ */
+router.get('/frequency-feedback', (req, res) => {
+  const frequencyFeedbackService = req.app.locals.frequencyFeedbackService;
+  if (!frequencyFeedbackService) {
+    return res.status(503).json(feedbackUnavailable());
+  }
+
+  res.json({
+    ...frequencyFeedbackService.getStats(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/frequency-feedback/run', async (req, res) => {
+  const frequencyFeedbackService = req.app.locals.frequencyFeedbackService;
+  const analyticsService = req.app.locals.analyticsService;
+  if (!frequencyFeedbackService || !analyticsService || !analyticsService.isAvailable()) {
+    return res.status(503).json(feedbackUnavailable());
+  }
+
+  try {
+    const report = await frequencyFeedbackService.run();
+
+    res.json({
+      success: true,
+      report,
+      message: `${report.changes.length} frequencies updated`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Frequency feedback error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Frequency feedback run failed',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Builds the 503 response sent while selections cannot be read
+ * @returns {Object} Error response body
+ */
+function feedbackUnavailable() {
+  return {
+    error: 'Frequency feedback unavailable',
+    message: 'Frequency feedback requires search analytics and a MongoDB connection',
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Builds the 404 response for a dataset that is not loaded
+ * @param {Object} req - Express request
+ * @param {string} dataset - Requested dataset name (optional)
+ * @returns {Object|null} Error response body, or null if the dataset is loaded or none was named
+ */
+function findMissingDataset(req, dataset) {
+  if (!dataset) {
+    return null;
+  }
+
+  const { missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+  if (missing.length === 0) {
+    return null;
+  }
+
+  return {
+    error: 'Dataset not found',
+    message: `Unknown dataset: ${missing.join(', ')}`,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Clears cached search results after the index has been modified
+ * @param {Object} req - Express request
+ */
+function invalidateCache(req) {
+  const cacheService = req.app.locals.cacheService;
+  if (cacheService) {
+    cacheService.clear();
+  }
+}
+
+module.exports = router;
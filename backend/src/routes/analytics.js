@@ -0,0 +1,371 @@
+/**
+ * Analytics API routes
+ * Aggregations over the searches and selections recorded by SearchAnalyticsService
+ * (requires MongoDB)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, param, validationResult } = require('express-validator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest date range a single aggregation may cover
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Validates the optional startDate/endDate parameters shared by every endpoint
+ * @returns {Array} express-validator chains
+ */
+function dateRangeValidators() {
+  return [
+    query('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('startDate must be an ISO 8601 date')
+      .toDate(),
+
+    query('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('endDate must be an ISO 8601 date')
+      .toDate()
+  ];
+}
+
+/**
+ * Resolves the date range of a request
+ * @param {Object} req - Express request with validated startDate/endDate
+ * @param {number} defaultDays - Days covered when startDate is omitted
+ * @returns {{startDate: Date, endDate: Date, error: string|null}} Range, or an error message if it is invalid
+ */
+function resolveDateRange(req, defaultDays) {
+  const endDate = req.query.endDate || new Date();
+  const startDate = req.query.startDate || new Date(endDate.getTime() - defaultDays * DAY_MS);
+
+  let error = null;
+  if (startDate > endDate) {
+    error = 'startDate must not be after endDate';
+  } else if (endDate - startDate > MAX_RANGE_DAYS * DAY_MS) {
+    error = `Date range must not exceed ${MAX_RANGE_DAYS} days`;
+  }
+
+  return { startDate, endDate, error };
+}
+
+/**
+ * Validates a request and resolves its analytics service and date range
+ * Sends the error response itself when the request cannot be served.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} defaultDays - Days covered when startDate is omitted
+ * @returns {{analyticsService: SearchAnalyticsService, startDate: Date, endDate: Date}|null} Context, or null if a response was sent
+ */
+function prepareRequest(req, res, defaultDays) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      details: errors.array(),
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  const { startDate, endDate, error } = resolveDateRange(req, defaultDays);
+  if (error) {
+    res.status(400).json({
+      error: 'Invalid date range',
+      message: error,
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  const analyticsService = req.app.locals.analyticsService;
+  if (!analyticsService || !analyticsService.isAvailable()) {
+    res.status(503).json({
+      error: 'Analytics unavailable',
+      message: 'Search analytics require a MongoDB connection',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+
+  return { analyticsService, startDate, endDate };
+}
+
+/**
+ * Sends the response for a failed aggregation
+ * @param {Object} res - Express response
+ * @param {Error} error - Aggregation error
+ * @param {string} fallbackMessage - Message shown outside development
+ */
+function sendAnalyticsError(res, error, fallbackMessage) {
+  res.status(500).json({
+    error: 'Internal server error',
+    message: process.env.NODE_ENV === 'development' ? error.message : fallbackMessage,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Most searched queries
+ * GET /api/analytics/popular?startDate=<iso>&endDate=<iso>&limit=<number>
+ */
+router.get('/popular', [
+  ...dateRangeValidators(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt()
+], async (req, res) => {
+  const context = prepareRequest(req, res, 7);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const { limit = 50 } = req.query;
+    const queries = await analyticsService.getPopularQueries({ startDate, endDate, limit });
+
+    res.json({
+      queries,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      limit,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Popular queries error:', error);
+    sendAnalyticsError(res, error, 'Popular queries unavailable');
+  }
+});
+
+/**
+ * Search volume over time
+ * GET /api/analytics/trends?startDate=<iso>&endDate=<iso>&interval=<hour|day|week>
+ */
+router.get('/trends', [
+  ...dateRangeValidators(),
+
+  query('interval')
+    .optional()
+    .isIn(['hour', 'day', 'week'])
+    .withMessage('interval must be hour, day or week')
+], async (req, res) => {
+  const context = prepareRequest(req, res, 7);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const { interval = 'day' } = req.query;
+    const trends = await analyticsService.getSearchTrends({ startDate, endDate, interval });
+
+    res.json({
+      trends,
+      interval,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Search trends error:', error);
+    sendAnalyticsError(res, error, 'Search trends unavailable');
+  }
+});
+
+/**
+ * Response times and share of searches with results
+ * GET /api/analytics/performance?startDate=<iso>&endDate=<iso>
+ */
+router.get('/performance', dateRangeValidators(), async (req, res) => {
+  const context = prepareRequest(req, res, 1);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const metrics = await analyticsService.getPerformanceMetrics({ startDate, endDate });
+
+    res.json({
+      metrics,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Search performance metrics error:', error);
+    sendAnalyticsError(res, error, 'Search performance metrics unavailable');
+  }
+});
+
+/**
+ * Suggestion click-through rate of each query
+ * GET /api/analytics/ctr?startDate=<iso>&endDate=<iso>&limit=<number>&minSearches=<number>
+ */
+router.get('/ctr', [
+  ...dateRangeValidators(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  query('minSearches')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minSearches must be a positive integer')
+    .toInt()
+], async (req, res) => {
+  const context = prepareRequest(req, res, 7);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const { limit = 50, minSearches = 1 } = req.query;
+    const queries = await analyticsService.getClickThroughRates({ startDate, endDate, limit, minSearches });
+
+    res.json({
+      queries,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      limit,
+      minSearches,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Click-through rate error:', error);
+    sendAnalyticsError(res, error, 'Click-through rates unavailable');
+  }
+});
+
+/**
+ * Distribution of selected suggestion positions
+ * GET /api/analytics/positions?startDate=<iso>&endDate=<iso>&query=<string>
+ */
+router.get('/positions', [
+  ...dateRangeValidators(),
+
+  query('query')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query must be between 1 and 100 characters')
+], async (req, res) => {
+  const context = prepareRequest(req, res, 7);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const distribution = await analyticsService.getSelectionPositions({ startDate, endDate, query: req.query.query });
+
+    res.json({
+      query: req.query.query ? req.query.query.toLowerCase() : null,
+      ...distribution,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Selection positions error:', error);
+    sendAnalyticsError(res, error, 'Selection positions unavailable');
+  }
+});
+
+/**
+ * Frequent zero-result queries, ranked as candidates for the datasets
+ * GET /api/analytics/content-gaps?startDate=<iso>&endDate=<iso>&limit=<number>&minSearches=<number>
+ */
+router.get('/content-gaps', [
+  ...dateRangeValidators(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  query('minSearches')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('minSearches must be a positive integer')
+    .toInt()
+], async (req, res) => {
+  const context = prepareRequest(req, res, 30);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const { limit = 50, minSearches = 2 } = req.query;
+    const queries = await analyticsService.getZeroResultQueries({ startDate, endDate, limit, minSearches });
+
+    res.json({
+      queries,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      limit,
+      minSearches,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Content gap error:', error);
+    sendAnalyticsError(res, error, 'Content gaps unavailable');
+  }
+});
+
+/**
+ * Searches and selections of one query
+ * GET /api/analytics/queries/:query?startDate=<iso>&endDate=<iso>
+ */
+router.get('/queries/:query', [
+  param('query')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query must be between 1 and 100 characters'),
+
+  ...dateRangeValidators()
+], async (req, res) => {
+  const context = prepareRequest(req, res, 30);
+  if (!context) {
+    return;
+  }
+
+  try {
+    const { analyticsService, startDate, endDate } = context;
+    const analytics = await analyticsService.getQueryAnalytics(req.params.query, { startDate, endDate });
+
+    res.json({
+      query: req.params.query.toLowerCase(),
+      analytics,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Query analytics error:', error);
+    sendAnalyticsError(res, error, 'Query analytics unavailable');
+  }
+});
+
+module.exports = router;
@@ -206,19 +206,30 @@ router.get('/startup', (req, res) => {
   try {
     const trie = req.app.locals.trie;
     const datasetLoader = req.app.locals.datasetLoader;
+    const bootstrap = req.app.locals.bootstrap;
     
     const isStarted = trie && datasetLoader;
+
+    // Live ingestion percentage per dataset while datasets are streamed into the Trie
+    const startup = bootstrap ? bootstrap.getStartupProgress() : {
+      phase: null,
+      datasets: datasetLoader ? datasetLoader.getIngestionProgress() : {}
+    };
+    const datasets = summarizeIngestion(startup.datasets);
     
     if (isStarted) {
       res.status(200).json({
         status: 'STARTED',
         message: 'Application startup completed',
+        datasets,
         timestamp: new Date().toISOString()
       });
     } else {
       res.status(503).json({
         status: 'STARTING',
         message: 'Application still starting up',
+        phase: startup.phase,
+        datasets,
         timestamp: new Date().toISOString()
       });
     }
@@ -308,4 +319,22 @@ router.get('/metrics', (req, res) => {
   }
 });
 
+/**
+ * Reduces dataset ingestion progress to the fields reported by the startup check
+ * @param {Object} progress - Ingestion progress keyed by dataset name
+ * @returns {Object} Status, percentage and record count per dataset
+ */
+function summarizeIngestion(progress) {
+  const summary = {};
+  for (const [dataset, entry] of Object.entries(progress)) {
+    summary[dataset] = {
+      status: entry.status,
+      percentage: entry.percentage,
+      processedRecords: entry.processedRecords,
+      ...(entry.error && { error: entry.error })
+    };
+  }
+  return summary;
+}
+
 module.exports = router;
\ No newline at end of file
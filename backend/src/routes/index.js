@@ -6,9 +6,13 @@
 const searchRoutes = require('./search');
 const trieRoutes = require('./trie');
 const performanceRoutes = require('./performance');
+const adminRoutes = require('./admin');
+const analyticsRoutes = require('./analytics');
 
 module.exports = {
   searchRoutes,
   trieRoutes,
-  performanceRoutes
+  performanceRoutes,
+  adminRoutes,
+  analyticsRoutes
 };
\ No newline at end of file
@@ -1,25 +1,348 @@
 /**
  * Search API routes
  * Handles autocomplete search functionality with query validation and ranking
- * Includes optional typo tolerance for fuzzy matching
+ * Includes optional typo tolerance for fuzzy matching and phonetic matching
  */
 
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
 const TypoToleranceService = require('../services/TypoToleranceService');
+const TrieRegistry = require('../services/TrieRegistry');
+const RankingService = require('../services/RankingService');
+const SessionHistoryService = require('../services/SessionHistoryService');
+const SynonymService = require('../services/SynonymService');
+const BlocklistService = require('../services/BlocklistService');
+const { getKeyboardLayoutNames } = require('../utils/keyboardLayouts');
+
+/**
+ * Merges token (infix) matches into search results
+ * Prefix matches keep priority; token matches fill the remaining slots ahead of
+ * typo corrections and phonetic matches, skipping words already present in the results.
+ * @param {Object} searchResults - Results with exactMatches, typoCorrections, phoneticMatches and combined
+ * @param {Array} tokenMatches - Matches from TokenIndex.search
+ * @param {number} limit - Maximum number of combined results
+ * @returns {Object} Search results including tokenMatches
+ */
+function mergeTokenMatches(searchResults, tokenMatches, limit) {
+  const exactMatches = searchResults.exactMatches.map(match => ({ ...match, matchType: 'prefix' }));
+  const seen = new Set(exactMatches.map(match => match.word));
+
+  const uniqueTokenMatches = tokenMatches
+    .filter(match => !seen.has(match.word))
+    .map(match => ({ ...match, type: 'exact_match', matchType: 'token' }));
+  uniqueTokenMatches.forEach(match => seen.add(match.word));
+
+  const typoCorrections = searchResults.typoCorrections.filter(correction => !seen.has(correction.word));
+  const phoneticMatches = (searchResults.phoneticMatches || []).filter(match => !seen.has(match.word));
+
+  return {
+    exactMatches,
+    tokenMatches: uniqueTokenMatches,
+    typoCorrections,
+    phoneticMatches,
+    combined: [...exactMatches, ...uniqueTokenMatches, ...typoCorrections, ...phoneticMatches].slice(0, limit)
+  };
+}
+
+/**
+ * Merges next-word predictions into search results for queries ending in a space
+ * Each predicted token extends the query to a phrase, suggested as the entry it names
+ * when the dataset has one and as the bare phrase when it prefixes entries; phrases the
+ * dataset no longer contains are dropped. Predictions rank after prefix matches and
+ * ahead of token matches, skipping words already present.
+ * @param {Object} searchResults - Results with exactMatches, tokenMatches, typoCorrections and phoneticMatches
+ * @param {Array} predictions - Predictions from NGramModel.predict
+ * @param {Trie|RadixTrie} trie - Dataset Trie, to look up predicted phrases
+ * @param {string} normalizedQuery - Normalized query without the trailing space
+ * @param {number} limit - Maximum number of combined results
+ * @returns {Object} Search results including nextWordMatches
+ */
+function mergeNextWordPredictions(searchResults, predictions, trie, normalizedQuery, limit) {
+  const seen = new Set(searchResults.exactMatches.map(match => match.word));
+
+  const nextWordMatches = [];
+  for (const prediction of predictions) {
+    const phrase = `${normalizedQuery} ${prediction.token}`;
+    if (seen.has(phrase)) {
+      continue;
+    }
+    seen.add(phrase);
+
+    const entry = trie.getEntry(phrase);
+    if (!entry && trie.search(phrase, 1).length === 0) {
+      continue;
+    }
+
+    nextWordMatches.push({
+      ...(entry || { word: phrase, frequency: prediction.count }),
+      type: 'next_word',
+      predictedToken: prediction.token,
+      probability: prediction.probability
+    });
+  }
+
+  const tokenMatches = searchResults.tokenMatches.filter(match => !seen.has(match.word));
+  const typoCorrections = searchResults.typoCorrections.filter(correction => !seen.has(correction.word));
+  const phoneticMatches = searchResults.phoneticMatches.filter(match => !seen.has(match.word));
+
+  return {
+    exactMatches: searchResults.exactMatches,
+    nextWordMatches,
+    tokenMatches,
+    typoCorrections,
+    phoneticMatches,
+    combined: [...searchResults.exactMatches, ...nextWordMatches, ...tokenMatches, ...typoCorrections, ...phoneticMatches].slice(0, limit)
+  };
+}
+
+/**
+ * Finds prefix, token, typo and phonetic matches for one query in a dataset index
+ * @param {Object} req - Express request (for app locals)
+ * @param {Object} index - Index entry with name, trie, tokenIndex and phoneticIndex
+ * @param {string} searchQuery - Search query
+ * @param {number} candidateLimit - Maximum number of matches per group
+ * @param {boolean} typoTolerance - Whether to add typo corrections
+ * @param {PhoneticIndex|null} phoneticIndex - Phonetic index to add phonetic matches from
+ * @returns {Object} Unranked results with exactMatches, tokenMatches, typoCorrections and phoneticMatches
+ */
+function findMatches(req, index, searchQuery, candidateLimit, typoTolerance, phoneticIndex) {
+  let searchResults;
+  if (typoTolerance || phoneticIndex) {
+    // Initialize typo tolerance service if not already available
+    if (!req.app.locals.typoToleranceService) {
+      req.app.locals.typoToleranceService = new TypoToleranceService();
+    }
+
+    const typoService = req.app.locals.typoToleranceService;
+    searchResults = typoService.search(searchQuery, index.trie, candidateLimit, {
+      typoCorrections: typoTolerance,
+      phoneticIndex
+    });
+  } else {
+    // Standard Trie search
+    const suggestions = index.trie.search(searchQuery, candidateLimit);
+    searchResults = {
+      exactMatches: suggestions.map(s => ({ ...s, type: 'exact_match' })),
+      typoCorrections: [],
+      combined: suggestions.map(s => ({ ...s, type: 'exact_match' }))
+    };
+  }
+
+  // Let words trending through selections or boosted by frequency feedback compete with more frequent ones
+  if (index.trie.hasSelections()) {
+    searchResults = addPopularMatches(searchResults, index.trie.getPopularWords(searchQuery, candidateLimit));
+  }
+
+  const frequencyFeedback = req.app.locals.frequencyFeedbackService;
+  if (frequencyFeedback && frequencyFeedback.hasBoosts(index.trie)) {
+    searchResults = addPopularMatches(searchResults, frequencyFeedback.getBoostedWords(index.trie, searchQuery, candidateLimit));
+  }
+
+  // Add entries containing a word that starts with the query (e.g. "york" -> "new york")
+  const tokenMatches = index.tokenIndex ? index.tokenIndex.search(searchQuery, candidateLimit) : [];
+  return mergeTokenMatches(searchResults, tokenMatches, candidateLimit);
+}
+
+/**
+ * Adds the most popular selected or boosted words with the query as prefix to the prefix matches
+ * The Trie returns prefix matches in dataset frequency order, so without them a trending
+ * word with a low frequency under a busy prefix would never reach the ranking pool.
+ * @param {Object} searchResults - Results with exactMatches
+ * @param {Array} popularMatches - Matches from Trie.getPopularWords or FrequencyFeedbackService.getBoostedWords
+ * @returns {Object} Search results with the popular words appended to exactMatches
+ */
+function addPopularMatches(searchResults, popularMatches) {
+  const seen = new Set(searchResults.exactMatches.map(match => match.word));
+  const addedMatches = popularMatches
+    .filter(match => !seen.has(match.word))
+    .map(match => ({ ...match, type: 'exact_match' }));
+
+  return { ...searchResults, exactMatches: [...searchResults.exactMatches, ...addedMatches] };
+}
+
+/**
+ * Merges the matches of a synonym-expanded query into the matches of the original query
+ * Each added match notes the alias and the expanded query that produced it; words the
+ * original query (or an earlier expansion) already matched are skipped.
+ * @param {Object} searchResults - Matches so far
+ * @param {Object} expandedResults - Matches of the expanded query
+ * @param {{alias: string, expansion: string, query: string}} expansion - Expansion that was searched
+ * @param {number} limit - Maximum number of combined results
+ * @returns {Object} Merged matches
+ */
+function mergeExpansionMatches(searchResults, expandedResults, expansion, limit) {
+  const groups = ['exactMatches', 'tokenMatches', 'typoCorrections', 'phoneticMatches'];
+  const seen = new Set(groups.flatMap(group => searchResults[group].map(match => match.word)));
+
+  const merged = {};
+  for (const group of groups) {
+    const added = expandedResults[group]
+      .filter(match => !seen.has(match.word))
+      .map(match => ({ ...match, alias: expansion.alias, expandedQuery: expansion.query }));
+    added.forEach(match => seen.add(match.word));
+    merged[group] = [...searchResults[group], ...added];
+  }
+
+  merged.combined = groups.flatMap(group => merged[group]).slice(0, limit);
+  return merged;
+}
+
+/**
+ * Removes suggestions matching the blocklist from every result group
+ * @param {Object} searchResults - Unranked results
+ * @param {BlocklistService} blocklist - Blocklist, counting what it suppresses
+ * @returns {Object} Results without blocked suggestions
+ */
+function filterBlocked(searchResults, blocklist) {
+  if (blocklist.isEmpty()) {
+    return searchResults;
+  }
+
+  const groups = ['exactMatches', 'nextWordMatches', 'tokenMatches', 'typoCorrections', 'phoneticMatches'];
+  const filtered = { ...searchResults };
+  for (const group of groups) {
+    if (searchResults[group]) {
+      filtered[group] = blocklist.filterSuggestions(searchResults[group]);
+    }
+  }
+
+  filtered.combined = groups.flatMap(group => filtered[group] || []);
+  return filtered;
+}
+
+/**
+ * Searches a single dataset index, using the cache when available
+ * Extra candidates are fetched when the dataset's ranking weights can reorder them,
+ * then RankingService scores the results and trims them to the limit.
+ * Results personalized by a session history bypass the cache.
+ * Synonym expansions of the query are searched too and merged before ranking;
+ * suggestions matching the blocklist are dropped before ranking.
+ * @param {Object} req - Express request (for app locals)
+ * @param {Object} index - Index entry with name, trie, tokenIndex, phoneticIndex and ngramModel
+ * @param {string} searchQuery - Search query
+ * @param {number} limit - Maximum number of results
+ * @param {Object} options - Search options
+ * @param {boolean} options.typoTolerance - Whether to add typo corrections
+ * @param {boolean} options.phonetic - Whether to add phonetic matches
+ * @param {string|null} options.session - Session whose history boosts results
+ * @param {boolean} options.nextWord - Whether the query ended in a space, adding next-word predictions
+ * @param {Array} options.expansions - Synonym expansions of the query (from SynonymService.expand)
+ * @param {number} options.expansionVersion - Synonym dictionary version the expansions came from
+ * @returns {{searchResults: Object, fromCache: boolean, typoToleranceUsed: boolean, phoneticUsed: boolean}} Search outcome
+ */
+function searchIndex(req, index, searchQuery, limit, options = {}) {
+  const { typoTolerance = false, phonetic = false, session = null, expansions = [], expansionVersion = 0 } = options;
+  const nextWord = options.nextWord === true && Boolean(index.ngramModel);
+  const sessionHistory = session ? SessionHistoryService.fromLocals(req.app.locals) : null;
+  const personalized = sessionHistory !== null && sessionHistory.hasHistory(session);
+  const cacheService = personalized ? null : req.app.locals.cacheService;
+
+  if (cacheService) {
+    const cachedResult = cacheService.get(searchQuery, limit, typoTolerance, index.name, { phonetic, nextWord, expansionVersion });
+    if (cachedResult) {
+      return { searchResults: cachedResult, fromCache: true, typoToleranceUsed: false, phoneticUsed: false };
+    }
+  }
+
+  const phoneticIndex = phonetic ? index.phoneticIndex : null;
+  const rankingService = RankingService.fromLocals(req.app.locals);
+  const frequencyFeedback = req.app.locals.frequencyFeedbackService || null;
+  const candidateLimit = rankingService.getCandidateLimit(limit, index.name, index.trie, personalized, frequencyFeedback);
+
+  // Queries expanded through the synonym dictionary (e.g. "nyc" -> "new york") are searched the same way
+  let searchResults = findMatches(req, index, searchQuery, candidateLimit, typoTolerance, phoneticIndex);
+  for (const expansion of expansions) {
+    const expandedResults = findMatches(req, index, expansion.query, candidateLimit, typoTolerance, phoneticIndex);
+    searchResults = mergeExpansionMatches(searchResults, expandedResults, expansion, candidateLimit);
+  }
+
+  // Add phrases extending the query by a likely next word (e.g. "new " -> "new york")
+  const normalizedQuery = index.trie.normalize(searchQuery);
+  if (nextWord) {
+    const predictions = index.ngramModel.predict(`${normalizedQuery} `, candidateLimit);
+    searchResults = mergeNextWordPredictions(searchResults, predictions, index.trie, normalizedQuery, candidateLimit);
+  }
+
+  // Drop blocked suggestions before ranking so the limit is filled with allowed ones
+  searchResults = filterBlocked(searchResults, BlocklistService.fromLocals(req.app.locals));
+
+  searchResults = rankingService.rank(searchResults, {
+    query: normalizedQuery,
+    dataset: index.name,
+    limit,
+    trie: index.trie,
+    session: personalized ? session : null,
+    sessionHistory,
+    frequencyFeedback
+  });
+
+  if (index.name) {
+    searchResults = tagDataset(searchResults, index.name);
+  }
+
+  // Cache the results
+  if (cacheService && searchResults.combined.length > 0) {
+    cacheService.set(searchQuery, limit, typoTolerance, searchResults, index.name, { phonetic, nextWord, expansionVersion });
+  }
+
+  return { searchResults, fromCache: false, typoToleranceUsed: typoTolerance, phoneticUsed: phoneticIndex !== null };
+}
+
+/**
+ * Marks every result with the dataset it came from
+ * @param {Object} searchResults - Search results of one dataset
+ * @param {string} dataset - Dataset name
+ * @returns {Object} Search results with a dataset field on each suggestion
+ */
+function tagDataset(searchResults, dataset) {
+  const tag = suggestions => suggestions.map(suggestion => ({ ...suggestion, dataset }));
+
+  return {
+    exactMatches: tag(searchResults.exactMatches),
+    nextWordMatches: tag(searchResults.nextWordMatches),
+    tokenMatches: tag(searchResults.tokenMatches),
+    typoCorrections: tag(searchResults.typoCorrections),
+    phoneticMatches: tag(searchResults.phoneticMatches),
+    combined: tag(searchResults.combined)
+  };
+}
+
+/**
+ * Interleaves the results of several datasets by score for federated search
+ * Result groups keep their priority across datasets (prefix matches before next-word
+ * predictions, token matches, typo corrections and phonetic matches). Ties keep dataset order, so the
+ * sort is stable across requests
+ * @param {Array<Object>} resultsList - Search results per dataset
+ * @param {number} limit - Maximum number of combined results
+ * @returns {Object} Federated search results
+ */
+function interleaveByScore(resultsList, limit) {
+  return {
+    exactMatches: resultsList.flatMap(results => results.exactMatches),
+    nextWordMatches: resultsList.flatMap(results => results.nextWordMatches || []),
+    tokenMatches: resultsList.flatMap(results => results.tokenMatches || []),
+    typoCorrections: resultsList.flatMap(results => results.typoCorrections),
+    phoneticMatches: resultsList.flatMap(results => results.phoneticMatches || []),
+    combined: resultsList
+      .flatMap(results => results.combined)
+      .sort(RankingService.compareResults)
+      .slice(0, limit)
+  };
+}
 
 /**
  * Search endpoint with query parameter validation
- * GET /api/search?query=<prefix>&limit=<number>&typoTolerance=<boolean>
+ * GET /api/search?query=<prefix>&limit=<number>&typoTolerance=<boolean>&phonetic=<boolean>&dataset=<name|name,name|all>&explain=<boolean>&session=<id>
  */
 router.get('/search', [
   // Query parameter validation
+  // Only leading whitespace is trimmed: a trailing space asks for next-word predictions
   query('query')
-    .trim()
+    .ltrim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Query must be between 1 and 100 characters')
-    .matches(/^[a-zA-Z0-9\s\-_'.]+$/)
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
     .withMessage('Query contains invalid characters'),
   
   query('limit')
@@ -32,7 +355,31 @@ router.get('/search', [
     .optional()
     .isBoolean()
     .withMessage('typoTolerance must be a boolean value')
-    .toBoolean()
+    .toBoolean(),
+
+  query('phonetic')
+    .optional()
+    .isBoolean()
+    .withMessage('phonetic must be a boolean value')
+    .toBoolean(),
+
+  query('explain')
+    .optional()
+    .isBoolean()
+    .withMessage('explain must be a boolean value')
+    .toBoolean(),
+
+  query('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+(,[a-z0-9_-]+)*$/)
+    .withMessage('dataset must be a dataset name, a comma-separated list of names, or "all"'),
+
+  query('session')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,100}$/)
+    .withMessage('session must be 1-100 letters, digits, dashes or underscores')
 ], async (req, res) => {
   const startTime = Date.now();
   
@@ -47,12 +394,23 @@ router.get('/search', [
       });
     }
 
-    const { query: searchQuery, limit = 5, typoTolerance = false } = req.query;
+    const { query: rawQuery, limit = 5, typoTolerance = false, phonetic = false, explain = false, dataset, session = null } = req.query;
+    const searchQuery = rawQuery.trim();
+    const nextWord = /\s$/.test(rawQuery);
     
-    // Get Trie instance from app locals (set during server initialization)
-    const trie = req.app.locals.trie;
+    // Resolve the dataset indexes to search (set during server initialization)
+    const { indexes, missing, federated } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        availableDatasets: req.app.locals.trieRegistry ? req.app.locals.trieRegistry.getNames() : [],
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    if (!trie) {
+    if (indexes.length === 0) {
       return res.status(503).json({
         error: 'Search service unavailable',
         message: 'Trie data structure not initialized',
@@ -60,58 +418,40 @@ router.get('/search', [
       });
     }
 
-    // Check cache first
-    const cacheService = req.app.locals.cacheService;
-    let searchResults;
-    let typoToleranceUsed = false;
-    let fromCache = false;
-
-    if (cacheService) {
-      const cachedResult = cacheService.get(searchQuery, limit, typoTolerance);
-      if (cachedResult) {
-        searchResults = cachedResult;
-        fromCache = true;
-      }
-    }
+    const personalized = session !== null && SessionHistoryService.fromLocals(req.app.locals).hasHistory(session);
+    const synonymService = SynonymService.fromLocals(req.app.locals);
+    const expansions = synonymService.expand(searchQuery);
+    const expansionVersion = synonymService.getVersion();
+    const outcomes = indexes.map(index => searchIndex(req, index, searchQuery, limit, {
+      typoTolerance, phonetic, session, nextWord, expansions, expansionVersion
+    }));
+    const searchResults = federated
+      ? interleaveByScore(outcomes.map(outcome => outcome.searchResults), limit)
+      : outcomes[0].searchResults;
+    const fromCache = outcomes.every(outcome => outcome.fromCache);
+    const typoToleranceUsed = outcomes.some(outcome => outcome.typoToleranceUsed);
+    const phoneticUsed = outcomes.some(outcome => outcome.phoneticUsed);
 
-    // Perform search if not cached
-    if (!searchResults) {
-      if (typoTolerance) {
-        // Initialize typo tolerance service if not already available
-        if (!req.app.locals.typoToleranceService) {
-          req.app.locals.typoToleranceService = new TypoToleranceService();
-        }
-        
-        const typoService = req.app.locals.typoToleranceService;
-        searchResults = typoService.search(searchQuery, trie, limit);
-        typoToleranceUsed = true;
-      } else {
-        // Standard Trie search
-        const suggestions = trie.search(searchQuery, limit);
-        searchResults = {
-          exactMatches: suggestions.map(s => ({ ...s, type: 'exact_match' })),
-          typoCorrections: [],
-          combined: suggestions.map(s => ({ ...s, type: 'exact_match' }))
-        };
-      }
+    const processingTime = Date.now() - startTime;
 
-      // Cache the results
-      if (cacheService && searchResults.combined.length > 0) {
-        cacheService.set(searchQuery, limit, typoTolerance, searchResults);
-      }
+    // Remember the query so later searches of this session are boosted
+    if (session) {
+      SessionHistoryService.fromLocals(req.app.locals).recordSearch(session, indexes[0].trie.normalize(searchQuery));
     }
 
-    const processingTime = Date.now() - startTime;
-
-    // Log search analytics (if analytics service is available)
+    // Log search analytics (if analytics service is available); the write is not awaited
     if (req.app.locals.analyticsService) {
       req.app.locals.analyticsService.logSearch({
         query: searchQuery,
-        resultCount: suggestions.length,
-        processingTime,
-        timestamp: new Date(),
-        userAgent: req.get('User-Agent'),
-        ip: req.ip
+        responseTime: processingTime,
+        resultCount: searchResults.combined.length,
+        userSession: session,
+        metadata: {
+          userAgent: req.get('User-Agent') || null,
+          ipAddress: req.ip,
+          dataset: federated ? indexes.map(index => index.name) : indexes[0].name,
+          cached: fromCache
+        }
       });
     }
 
@@ -119,21 +459,44 @@ router.get('/search', [
     res.json({
       suggestions: searchResults.combined.map(suggestion => ({
         word: suggestion.word,
+        display: suggestion.display || suggestion.word,
         frequency: suggestion.frequency,
-        score: suggestion.score || suggestion.frequency,
+        score: suggestion.score,
         type: suggestion.type,
+        ...(explain && { scoreBreakdown: suggestion.scoreBreakdown }),
+        ...(suggestion.payload && { payload: suggestion.payload }),
+        ...(suggestion.dataset && { dataset: suggestion.dataset }),
+        ...(suggestion.matchType && { matchType: suggestion.matchType }),
+        ...(suggestion.matchType === 'token' && { matchedToken: suggestion.matchedToken }),
+        ...(suggestion.alias && { alias: suggestion.alias, expandedQuery: suggestion.expandedQuery }),
         ...(suggestion.type === 'typo_correction' && {
           originalQuery: suggestion.originalQuery,
           editDistance: suggestion.editDistance,
           similarity: suggestion.similarity,
           correctionType: suggestion.correctionType
+        }),
+        ...(suggestion.type === 'phonetic_match' && {
+          originalQuery: suggestion.originalQuery,
+          phoneticCode: suggestion.phoneticCode
+        }),
+        ...(suggestion.type === 'next_word' && {
+          predictedToken: suggestion.predictedToken,
+          probability: suggestion.probability
         })
       })),
       exactMatches: searchResults.exactMatches.length,
+      nextWordMatches: (searchResults.nextWordMatches || []).length,
+      tokenMatches: (searchResults.tokenMatches || []).length,
       typoCorrections: searchResults.typoCorrections.length,
+      phoneticMatches: (searchResults.phoneticMatches || []).length,
       query: searchQuery,
+      expansions,
+      dataset: federated ? indexes.map(index => index.name) : indexes[0].name,
+      federated,
       limit,
       typoToleranceUsed,
+      phoneticUsed,
+      personalized,
       totalMatches: searchResults.combined.length,
       processingTime,
       cached: fromCache,
@@ -155,8 +518,200 @@ router.get('/search', [
   }
 });
 
+/**
+ * "Did you mean" endpoint returning the single most likely intended query
+ * GET /api/search/suggest-correction?query=<query>&dataset=<name|name,name|all>
+ */
+router.get('/search/suggest-correction', [
+  query('query')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query must be between 1 and 100 characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
+    .withMessage('Query contains invalid characters'),
+
+  query('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+(,[a-z0-9_-]+)*$/)
+    .withMessage('dataset must be a dataset name, a comma-separated list of names, or "all"')
+], (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { query: searchQuery, dataset } = req.query;
+    const { indexes, missing, federated } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        availableDatasets: req.app.locals.trieRegistry ? req.app.locals.trieRegistry.getNames() : [],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (indexes.length === 0) {
+      return res.status(503).json({
+        error: 'Search service unavailable',
+        message: 'Trie data structure not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Initialize typo tolerance service if not already available
+    if (!req.app.locals.typoToleranceService) {
+      req.app.locals.typoToleranceService = new TypoToleranceService();
+    }
+    const typoService = req.app.locals.typoToleranceService;
+
+    // A query that already has prefix matches, directly or through a synonym, needs no correction
+    const queries = [searchQuery, ...SynonymService.fromLocals(req.app.locals).expand(searchQuery).map(expansion => expansion.query)];
+    const hasMatches = indexes.some(index => queries.some(candidate => index.trie.search(candidate, 1).length > 0));
+
+    let correction = null;
+    if (!hasMatches) {
+      for (const index of indexes) {
+        const candidate = typoService.suggestCorrection(searchQuery, index.trie, { phoneticIndex: index.phoneticIndex });
+        if (candidate && (!correction || candidate.confidence > correction.confidence)) {
+          correction = { ...candidate, dataset: index.name };
+        }
+      }
+    }
+
+    res.json({
+      query: searchQuery,
+      correction: correction && {
+        query: correction.word,
+        display: correction.display || correction.word,
+        frequency: correction.frequency,
+        confidence: correction.confidence,
+        similarity: correction.similarity,
+        source: correction.source,
+        ...(correction.editDistance !== undefined && { editDistance: correction.editDistance }),
+        ...(correction.dataset && { dataset: correction.dataset })
+      },
+      hasMatches,
+      dataset: federated ? indexes.map(index => index.name) : indexes[0].name,
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Suggest correction error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Correction temporarily unavailable',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Next-word prediction endpoint for multi-word queries
+ * A context ending in a space predicts the following word; otherwise the last,
+ * incomplete word filters the predictions by prefix ("new y" -> "york").
+ * GET /api/search/next-word?context=<text>&limit=<number>&dataset=<name>
+ */
+router.get('/search/next-word', [
+  // Only leading whitespace is trimmed: a trailing space marks the last word as complete
+  query('context')
+    .ltrim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Context must be between 1 and 100 characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
+    .withMessage('Context contains invalid characters'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+    .toInt(),
+
+  query('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
+], (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: errors.array(),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const { context, limit = 5, dataset } = req.query;
+    const { indexes, missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        availableDatasets: req.app.locals.trieRegistry ? req.app.locals.trieRegistry.getNames() : [],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const ngramModel = indexes.length > 0 ? indexes[0].ngramModel : null;
+    if (!ngramModel) {
+      return res.status(503).json({
+        error: 'Next-word predictions unavailable',
+        message: 'N-gram model not initialized',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // The completed words are the context; an unfinished last word only narrows the predictions
+    const tokens = ngramModel.tokenize(context);
+    const complete = /\s$/.test(context);
+    const completedWords = complete ? tokens : tokens.slice(0, -1);
+    const predictions = ngramModel.predict(context, limit).map(prediction => ({
+      ...prediction,
+      text: [...completedWords, prediction.token].join(' ')
+    }));
+
+    res.json({
+      context,
+      completedWords,
+      partialWord: complete ? null : tokens[tokens.length - 1] || null,
+      predictions,
+      dataset: indexes[0].name,
+      processingTime: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Next-word prediction error:', error);
+
+    res.status(500).json({
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Next-word prediction temporarily unavailable',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * Frequency increment endpoint for usage tracking
+ * Selections raise the word's time-decayed popularity, which ranking combines with the dataset frequency
+ * and, with a session, are remembered to personalize that session's searches
  * POST /api/search/increment
  */
 router.post('/search/increment', [
@@ -165,13 +720,35 @@ router.post('/search/increment', [
     .trim()
     .isLength({ min: 1, max: 100 })
     .withMessage('Word must be between 1 and 100 characters')
-    .matches(/^[a-zA-Z0-9\s\-_'.]+$/)
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
     .withMessage('Word contains invalid characters'),
   
   body('increment')
     .optional()
     .isInt({ min: 1, max: 10 })
     .withMessage('Increment must be between 1 and 10')
+    .toInt(),
+  body('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name'),
+  body('session')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{1,100}$/)
+    .withMessage('session must be 1-100 letters, digits, dashes or underscores'),
+  body('query')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query must be between 1 and 100 characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
+    .withMessage('Query contains invalid characters'),
+  body('position')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('position must be between 0 and 100')
     .toInt()
 ], async (req, res) => {
   try {
@@ -185,10 +762,19 @@ router.post('/search/increment', [
       });
     }
 
-    const { word, increment = 1 } = req.body;
+    const { word, increment = 1, dataset, session, query: selectedFrom, position = -1 } = req.body;
     
-    // Get Trie instance from app locals
-    const trie = req.app.locals.trie;
+    // Get the dataset's Trie from app locals
+    const { indexes, missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+    const trie = indexes.length > 0 ? indexes[0].trie : null;
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     if (!trie) {
       return res.status(503).json({
@@ -198,20 +784,26 @@ router.post('/search/increment', [
       });
     }
 
-    // Increment frequency if word exists
-    const success = trie.incrementFrequency(word, increment);
+    // Add the selection to the word's time-decayed popularity; the dataset frequency stays as loaded
+    const popularity = trie.recordSelection(word, increment);
     
-    if (success) {
-      const newFrequency = trie.getFrequency(word);
+    if (popularity !== null) {
+      const frequency = trie.getFrequency(word);
+      const newFrequency = Math.round((frequency + popularity) * 1000) / 1000;
+
+      if (session) {
+        SessionHistoryService.fromLocals(req.app.locals).recordSelection(session, trie.normalize(word));
+      }
       
-      // Log frequency update (if analytics service is available)
+      // Log the selection (if analytics service is available); the write is not awaited
       if (req.app.locals.analyticsService) {
-        req.app.locals.analyticsService.logFrequencyUpdate({
-          word,
-          increment,
-          newFrequency,
-          timestamp: new Date(),
-          ip: req.ip
+        // Without the query the selection was made from, it counts towards no query's click-through rate
+        req.app.locals.analyticsService.logSelection({
+          query: selectedFrom || null,
+          selectedSuggestion: trie.normalize(word),
+          userSession: session,
+          selectionIndex: position,
+          dataset: indexes[0].name
         });
       }
       
@@ -219,6 +811,8 @@ router.post('/search/increment', [
         success: true,
         word,
         increment,
+        frequency,
+        popularity: Math.round(popularity * 1000) / 1000,
         newFrequency,
         message: `Frequency updated for "${word}"`,
         timestamp: new Date().toISOString()
@@ -288,15 +882,45 @@ router.put('/search/typo-config', [
     .isInt({ min: 1, max: 10 })
     .withMessage('minWordLength must be between 1 and 10'),
   
-  body('maxCandidates')
-    .optional()
-    .isInt({ min: 10, max: 1000 })
-    .withMessage('maxCandidates must be between 10 and 1000'),
-  
   body('similarityThreshold')
     .optional()
     .isFloat({ min: 0.1, max: 1.0 })
-    .withMessage('similarityThreshold must be between 0.1 and 1.0')
+    .withMessage('similarityThreshold must be between 0.1 and 1.0'),
+
+  body('prefixMatching')
+    .optional()
+    .isBoolean()
+    .withMessage('prefixMatching must be a boolean value')
+    .toBoolean(),
+
+  body('keyboardLayout')
+    .optional()
+    .isIn(getKeyboardLayoutNames())
+    .withMessage(`keyboardLayout must be one of: ${getKeyboardLayoutNames().join(', ')}`),
+
+  body('adjacentKeyCost')
+    .optional()
+    .isFloat({ min: 0.1, max: 1.0 })
+    .withMessage('adjacentKeyCost must be between 0.1 and 1.0')
+    .toFloat(),
+
+  body('transpositionCost')
+    .optional()
+    .isFloat({ min: 0.1, max: 2.0 })
+    .withMessage('transpositionCost must be between 0.1 and 2.0')
+    .toFloat(),
+
+  body('similarityWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('similarityWeight must be between 0 and 1')
+    .toFloat(),
+
+  body('frequencyWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('frequencyWeight must be between 0 and 1')
+    .toFloat()
 ], (req, res) => {
   try {
     // Check for validation errors
@@ -363,10 +987,19 @@ router.get('/search/stats', (req, res) => {
     const typoService = req.app.locals.typoToleranceService;
     const typoStats = typoService ? typoService.getStats() : null;
 
+    // Per-dataset index stats when datasets are kept in separate Tries
+    const trieRegistry = req.app.locals.trieRegistry;
+    const registryStats = trieRegistry ? trieRegistry.getStats() : null;
+
+    // Rule counts and how many suggestions the blocklist suppressed
+    const blocklistStats = BlocklistService.fromLocals(req.app.locals).getStats();
+
     res.json({
       trie: trieStats,
       datasets: loaderStats,
+      datasetIndexes: registryStats,
       typoTolerance: typoStats,
+      blocklist: blocklistStats,
       timestamp: new Date().toISOString()
     });
 
@@ -6,10 +6,12 @@
 const express = require('express');
 const router = express.Router();
 const { query, validationResult } = require('express-validator');
+const { RadixTrie } = require('../data-structures');
+const TrieRegistry = require('../services/TrieRegistry');
 
 /**
  * Trie structure endpoint for visualization data
- * GET /api/trie/structure?depth=<number>&prefix=<string>
+ * GET /api/trie/structure?depth=<number>&prefix=<string>&dataset=<name>
  */
 router.get('/structure', [
   // Query parameter validation
@@ -24,8 +26,14 @@ router.get('/structure', [
     .trim()
     .isLength({ max: 50 })
     .withMessage('Prefix must be 50 characters or less')
-    .matches(/^[a-zA-Z0-9\s\-_'.]*$/)
-    .withMessage('Prefix contains invalid characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]*$/u)
+    .withMessage('Prefix contains invalid characters'),
+
+  query('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -38,10 +46,19 @@ router.get('/structure', [
       });
     }
 
-    const { depth = 5, prefix = '' } = req.query;
+    const { depth = 5, prefix = '', dataset } = req.query;
     
-    // Get Trie instance from app locals
-    const trie = req.app.locals.trie;
+    // Get the dataset's Trie from app locals
+    const { indexes, missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+    const trie = indexes.length > 0 ? indexes[0].trie : null;
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     if (!trie) {
       return res.status(503).json({
@@ -69,6 +86,7 @@ router.get('/structure', [
       metadata: {
         prefix,
         depth,
+        dataset: indexes[0].name,
         totalNodes: structureData.totalNodes,
         totalWords: structureData.totalWords,
         maxDepth: structureData.maxDepth
@@ -90,7 +108,7 @@ router.get('/structure', [
 
 /**
  * Trie path endpoint for real-time path highlighting
- * GET /api/trie/path?query=<string>
+ * GET /api/trie/path?query=<string>&dataset=<name>
  */
 router.get('/path', [
   // Query parameter validation
@@ -98,8 +116,14 @@ router.get('/path', [
     .trim()
     .isLength({ min: 1, max: 50 })
     .withMessage('Query must be between 1 and 50 characters')
-    .matches(/^[a-zA-Z0-9\s\-_'.]+$/)
-    .withMessage('Query contains invalid characters')
+    .matches(/^[\p{L}\p{M}\p{N}\s\-_'.]+$/u)
+    .withMessage('Query contains invalid characters'),
+
+  query('dataset')
+    .optional()
+    .trim()
+    .matches(/^[a-z0-9_-]+$/)
+    .withMessage('dataset must be a dataset name')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -112,10 +136,19 @@ router.get('/path', [
       });
     }
 
-    const { query: searchQuery } = req.query;
+    const { query: searchQuery, dataset } = req.query;
     
-    // Get Trie instance from app locals
-    const trie = req.app.locals.trie;
+    // Get the dataset's Trie from app locals
+    const { indexes, missing } = TrieRegistry.resolveFromLocals(req.app.locals, dataset);
+    const trie = indexes.length > 0 ? indexes[0].trie : null;
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Dataset not found',
+        message: `Unknown dataset: ${missing.join(', ')}`,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     if (!trie) {
       return res.status(503).json({
@@ -219,6 +252,10 @@ router.get('/complexity', (req, res) => {
  * @returns {Object} Structure data for visualization
  */
 function generateTrieStructure(trie, prefix = '', maxDepth = 5) {
+  if (trie instanceof RadixTrie) {
+    return generateRadixTrieStructure(trie, prefix, maxDepth);
+  }
+
   const result = {
     nodes: [],
     edges: [],
@@ -238,7 +275,7 @@ function generateTrieStructure(trie, prefix = '', maxDepth = 5) {
   console.log('Root node children:', startNode.children ? startNode.children.size : 'no children property');
   
   if (prefix) {
-    for (const char of prefix.toLowerCase()) {
+    for (const char of trie.normalize(prefix)) {
       console.log('Looking for char:', char, 'in node with children:', startNode.children ? startNode.children.size : 0);
       if (!startNode.hasChild(char)) {
         // Prefix doesn't exist in Trie
@@ -310,14 +347,94 @@ function generateTrieStructure(trie, prefix = '', maxDepth = 5) {
   return result;
 }
 
+/**
+ * Generates RadixTrie structure data for visualization
+ * Each node is one compressed edge; depth counts edges below the prefix node
+ * @param {RadixTrie} trie - RadixTrie instance
+ * @param {string} prefix - Optional prefix to focus on
+ * @param {number} maxDepth - Maximum number of edges to traverse
+ * @returns {Object} Structure data for visualization
+ */
+function generateRadixTrieStructure(trie, prefix = '', maxDepth = 5) {
+  const result = {
+    nodes: [],
+    edges: [],
+    totalNodes: 0,
+    totalWords: 0,
+    maxDepth: 0
+  };
+
+  const normalizedPrefix = trie.normalize(prefix);
+  const path = normalizedPrefix ? trie.findPrefixPath(normalizedPrefix) : [trie.root];
+
+  if (!path) {
+    return {
+      ...result,
+      error: `Prefix "${prefix}" not found in Trie`
+    };
+  }
+
+  const startNode = path[path.length - 1];
+  const startPrefix = path.map(node => node.label).join('');
+  let nodeId = 0;
+
+  function traverse(node, currentPrefix, depth, parentId = null) {
+    if (depth > maxDepth) {
+      return;
+    }
+
+    const currentNodeId = nodeId++;
+    result.totalNodes++;
+    result.maxDepth = Math.max(result.maxDepth, depth);
+
+    const nodeData = {
+      id: currentNodeId,
+      character: node.label || 'ROOT',
+      label: node.label,
+      prefix: currentPrefix,
+      isEndOfWord: node.isEndOfWord,
+      frequency: node.frequency || 0,
+      word: node.word || null,
+      depth,
+      childCount: node.children.size
+    };
+
+    if (node.isEndOfWord) {
+      result.totalWords++;
+    }
+
+    result.nodes.push(nodeData);
+
+    if (parentId !== null) {
+      result.edges.push({
+        from: parentId,
+        to: currentNodeId,
+        character: node.label
+      });
+    }
+
+    for (const childNode of node.children.values()) {
+      traverse(childNode, currentPrefix + childNode.label, depth + 1, currentNodeId);
+    }
+  }
+
+  traverse(startNode, startPrefix, 0, null);
+
+  return result;
+}
+
 /**
  * Generates path data for a specific query
- * @param {Trie} trie - Trie instance
+ * @param {Trie|RadixTrie} trie - Trie instance
  * @param {string} query - Query to trace path for
  * @returns {Object} Path data including nodes and suggestions
  */
 function generateTriePath(trie, query) {
-  const normalizedQuery = query.toLowerCase().trim();
+  if (trie instanceof RadixTrie) {
+    return generateRadixTriePath(trie, query);
+  }
+
+  const normalizedQuery = trie.normalize(query);
   const path = [];
   let currentNode = trie.root;
   let exists = true;
@@ -359,6 +476,52 @@ function generateTriePath(trie, query) {
   };
 }
 
+/**
+ * Generates path data for a query through a RadixTrie, one entry per edge
+ * @param {RadixTrie} trie - RadixTrie instance
+ * @param {string} query - Query to trace path for
+ * @returns {Object} Path data including nodes and suggestions
+ */
+function generateRadixTriePath(trie, query) {
+  const normalizedQuery = trie.normalize(query);
+  const nodes = trie.findPrefixPath(normalizedQuery);
+
+  if (!nodes) {
+    return {
+      path: [],
+      exists: false,
+      isCompleteWord: false,
+      frequency: 0,
+      suggestions: []
+    };
+  }
+
+  const path = [];
+  let currentPrefix = '';
+  for (const node of nodes.slice(1)) {
+    currentPrefix += node.label;
+    path.push({
+      character: node.label,
+      prefix: currentPrefix,
+      isEndOfWord: node.isEndOfWord,
+      frequency: node.frequency || 0,
+      word: node.word || null
+    });
+  }
+
+  // The query may end partway through the last edge label
+  const lastNode = nodes[nodes.length - 1];
+  const endsOnNode = currentPrefix === normalizedQuery;
+
+  return {
+    path,
+    exists: true,
+    isCompleteWord: endsOnNode && lastNode.isEndOfWord,
+    frequency: endsOnNode ? (lastNode.frequency || 0) : 0,
+    suggestions: trie.search(normalizedQuery, 5)
+  };
+}
+
 /**
  * Calculates memory efficiency metric
  * @param {Object} stats - Trie statistics
@@ -11,10 +11,17 @@ const { ApplicationBootstrap } = require('../scripts/bootstrap');
 
 // Import services
 const CacheService = require('./services/CacheService');
+const RankingService = require('./services/RankingService');
+const SessionHistoryService = require('./services/SessionHistoryService');
+const SynonymService = require('./services/SynonymService');
+const SearchAnalyticsService = require('./services/SearchAnalyticsService');
+const AnalyticsWriteBuffer = require('./services/AnalyticsWriteBuffer');
+const FrequencyFeedbackService = require('./services/FrequencyFeedbackService');
+const { createNormalizer } = require('./utils/textNormalizer');
 const PerformanceMonitor = require('./middleware/performanceMonitoring');
 
 // Import routes
-const { searchRoutes, trieRoutes } = require('./routes');
+const { searchRoutes, trieRoutes, adminRoutes, analyticsRoutes } = require('./routes');
 const performanceRoutes = require('./routes/performance');
 const healthRoutes = require('./routes/health');
 
@@ -37,10 +44,37 @@ async function startApplication() {
       maxSize: appConfig.CACHE_MAX_SIZE,
       ttl: appConfig.CACHE_TTL
     });
+    const rankingService = new RankingService({
+      weights: { session: appConfig.SESSION_BOOST_WEIGHT }
+    });
+    const sessionHistoryService = new SessionHistoryService({
+      maxSessions: appConfig.SESSION_HISTORY_MAX_SESSIONS,
+      maxTermsPerSession: appConfig.SESSION_HISTORY_MAX_TERMS,
+      ttl: appConfig.SESSION_HISTORY_TTL_MS
+    });
+    const synonymService = new SynonymService({
+      normalizer: createNormalizer({
+        unicodeForm: appConfig.TEXT_UNICODE_FORM,
+        stripDiacritics: appConfig.TEXT_STRIP_DIACRITICS,
+        caseFolding: appConfig.TEXT_CASE_FOLDING
+      }),
+      maxExpansions: appConfig.SYNONYMS_MAX_EXPANSIONS
+    });
+
+    // A missing or invalid dictionary leaves query expansion off rather than failing startup
+    try {
+      const aliasCount = synonymService.loadFromFile(appConfig.SYNONYMS_PATH || SynonymService.DEFAULT_SYNONYMS_PATH);
+      console.log(`[SYNONYMS] Loaded ${aliasCount} aliases`);
+    } catch (error) {
+      console.warn(`[SYNONYMS] Synonym dictionary not loaded: ${error.message}`);
+    }
 
     // Store services in app locals for route access
     app.locals.performanceMonitor = performanceMonitor;
     app.locals.cacheService = cacheService;
+    app.locals.rankingService = rankingService;
+    app.locals.sessionHistoryService = sessionHistoryService;
+    app.locals.synonymService = synonymService;
     app.locals.config = appConfig;
 
     // Configure middleware
@@ -97,9 +131,23 @@ async function startApplication() {
     // Performance monitoring middleware
     app.use(performanceMonitor.middleware());
 
-    // Bootstrap application (load datasets, initialize Trie, etc.)
+    return appConfig;
+
+  } catch (error) {
+    console.error('[SERVER] Failed to start application:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Bootstrap application (load datasets, initialize Trie, etc.)
+ * Runs after the server is listening so /health/startup can report ingestion progress
+ */
+async function bootstrapApplication(appConfig) {
+  try {
     console.log('[SERVER] Running application bootstrap...');
     const bootstrap = new ApplicationBootstrap();
+    app.locals.bootstrap = bootstrap;
     const bootstrapResult = await bootstrap.bootstrap();
     
     // Auto-seed in production if no data exists
@@ -120,15 +168,50 @@ async function startApplication() {
 
     // Store bootstrap results in app locals
     app.locals.trie = bootstrapResult.trie;
+    app.locals.tokenIndex = bootstrapResult.tokenIndex;
+    app.locals.phoneticIndex = bootstrapResult.phoneticIndex;
+    app.locals.ngramModel = bootstrapResult.ngramModel;
+    app.locals.trieRegistry = bootstrapResult.trieRegistry;
+    app.locals.blocklistService = bootstrapResult.blocklistService;
     app.locals.datasetLoader = bootstrapResult.datasetLoader;
+    app.locals.trieJournals = bootstrapResult.trieJournals;
     app.locals.mongoConnected = bootstrapResult.mongoConnected;
+
+    // Searches and selections are recorded whenever MongoDB is configured; while it is
+    // unreachable the write buffer spills them to a file that is replayed on reconnect
+    if (appConfig.MONGODB_URI) {
+      const writeBuffer = new AnalyticsWriteBuffer('search_analytics', {
+        maxSize: appConfig.ANALYTICS_BUFFER_SIZE,
+        flushInterval: appConfig.ANALYTICS_FLUSH_INTERVAL_MS,
+        spillPath: appConfig.ANALYTICS_SPILL_PATH || undefined
+      });
+      writeBuffer.start();
+      app.locals.analyticsService = new SearchAnalyticsService({ writeBuffer });
+      console.log(`[SERVER] Search analytics enabled (${bootstrapResult.mongoConnected ? 'MongoDB' : 'spilling to ' + writeBuffer.spillPath})`);
+
+      // Recorded selections boost ranking frequencies, recomputed on a schedule; the
+      // dataset frequencies themselves are never changed
+      const frequencyFeedbackService = new FrequencyFeedbackService({
+        analyticsService: app.locals.analyticsService,
+        trieRegistry: bootstrapResult.trieRegistry,
+        cacheService: app.locals.cacheService,
+        interval: appConfig.FREQUENCY_FEEDBACK_INTERVAL_MS,
+        windowHours: appConfig.FREQUENCY_FEEDBACK_WINDOW_HOURS,
+        weight: appConfig.FREQUENCY_FEEDBACK_WEIGHT,
+        maxBoost: appConfig.FREQUENCY_FEEDBACK_MAX_BOOST,
+        minSelections: appConfig.FREQUENCY_FEEDBACK_MIN_SELECTIONS
+      });
+      // Boosts are held in memory, so set them now rather than after the first interval
+      frequencyFeedbackService.run().catch(error => console.error('[FEEDBACK] Startup run failed:', error.message));
+      frequencyFeedbackService.start();
+      app.locals.frequencyFeedbackService = frequencyFeedbackService;
+    }
     app.locals.bootstrapSummary = bootstrapResult.summary;
 
     console.log('[SERVER] Application bootstrap completed successfully');
-    return appConfig;
 
   } catch (error) {
-    console.error('[SERVER] Failed to start application:', error.message);
+    console.error('[SERVER] Failed to bootstrap application:', error.message);
     throw error;
   }
 }
@@ -162,6 +245,8 @@ function configureRoutes() {
   app.use('/api', searchRoutes);
   app.use('/api/trie', trieRoutes);
   app.use('/api/performance', performanceRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/analytics', analyticsRoutes);
 
   // Error handling middleware
   app.use((err, req, res, _next) => {
@@ -247,6 +332,13 @@ async function main() {
     gracefulShutdown.registerServer(server);
     gracefulShutdown.init();
     
+    gracefulShutdown.registerResource('dataset-ingestion', async () => {
+      const bootstrap = app.locals.bootstrap;
+      if (bootstrap && bootstrap.cancelIngestion()) {
+        console.log('[SHUTDOWN] Dataset ingestion cancelled');
+      }
+    }, 10);
+
     // Register cleanup resources
     gracefulShutdown.registerResource('cache', async () => {
       const cacheService = app.locals.cacheService;
@@ -264,6 +356,37 @@ async function main() {
       }
     }, 60);
 
+    gracefulShutdown.registerResource('frequency-feedback', async () => {
+      const frequencyFeedbackService = app.locals.frequencyFeedbackService;
+      if (frequencyFeedbackService) {
+        frequencyFeedbackService.stop();
+        console.log('[SHUTDOWN] Frequency feedback stopped');
+      }
+    }, 60);
+
+    // Save journaled Trie changes before the MongoDB connection closes
+    gracefulShutdown.registerResource('trie-journals', async () => {
+      const bootstrap = app.locals.bootstrap;
+      if (bootstrap && bootstrap.trieJournals.size > 0) {
+        const saved = await bootstrap.drainChangeJournals();
+        console.log(`[SHUTDOWN] Trie change journals drained (${saved} changes saved)`);
+      }
+    }, 70);
+
+    // Write buffered analytics before the MongoDB connection closes
+    gracefulShutdown.registerResource('analytics-buffer', async () => {
+      const analyticsService = app.locals.analyticsService;
+      if (analyticsService) {
+        const result = await analyticsService.drain();
+        if (result) {
+          console.log(`[SHUTDOWN] Analytics buffer drained (${result.written} written, ${result.spilled} spilled)`);
+        }
+      }
+    }, 80);
+
+    // Load datasets while the server already answers health checks
+    await bootstrapApplication(appConfig);
+
     console.log('[SERVER] Application started successfully');
     
   } catch (error) {
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const mongoDBService = require('./MongoDBService');
+
+const DEFAULT_SPILL_PATH = path.resolve(__dirname, '../../../data/analytics-spill.jsonl');
+
+// MongoDB error code of a duplicate _id, expected when a spill file is replayed twice
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Write buffer for analytics entries
+ * Collects entries in memory and writes them with one insertMany once the buffer is
+ * full or the flush interval elapses. While MongoDB is unreachable, flushed entries
+ * are appended to a JSONL spill file instead; the file is replayed by the first
+ * flush after the connection is back. Entries keep their _id, so replaying the same
+ * entries twice does not duplicate them.
+ */
+class AnalyticsWriteBuffer {
+  /**
+   * Creates a new AnalyticsWriteBuffer
+   * @param {string} collectionName - Collection the entries are written to
+   * @param {Object} options - Buffer options
+   * @param {number} options.maxSize - Buffered entries that trigger a flush (default: 100)
+   * @param {number} options.flushInterval - Milliseconds between timed flushes (default: 5000)
+   * @param {string} options.spillPath - JSONL file used while MongoDB is unreachable (default: data/analytics-spill.jsonl)
+   * @param {MongoDBService} options.mongoService - MongoDB connection (default: the shared MongoDBService)
+   */
+  constructor(collectionName, options = {}) {
+    this.collectionName = collectionName;
+    this.maxSize = options.maxSize || 100;
+    this.flushInterval = options.flushInterval || 5000;
+    this.spillPath = path.resolve(options.spillPath || DEFAULT_SPILL_PATH);
+    this.replayPath = `${this.spillPath}.replaying`;
+    this.mongoService = options.mongoService || mongoDBService;
+    this.buffer = [];
+    this.flushPromise = null;
+    this.flushTimer = null;
+    this.stats = {
+      written: 0,
+      spilled: 0,
+      replayed: 0,
+      flushes: 0,
+      failedWrites: 0
+    };
+  }
+
+  /**
+   * Starts timed flushes
+   */
+  start() {
+    if (this.flushTimer) {
+      return;
+    }
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => console.error('[ANALYTICS] Timed flush failed:', error.message));
+    }, this.flushInterval);
+
+    // Timed flushes alone must not keep the process alive
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Stops timed flushes
+   */
+  stop() {
+    if (this.flushTimer) {
+      clearInterval(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+
+  /**
+   * Buffers an entry, flushing in the background once the buffer is full
+   * @param {Object} entry - Analytics document with an _id
+   */
+  add(entry) {
+    this.buffer.push(entry);
+
+    if (this.buffer.length >= this.maxSize) {
+      this.flush().catch(error => console.error('[ANALYTICS] Flush failed:', error.message));
+    }
+  }
+
+  /**
+   * Writes every buffered entry
+   * Concurrent calls wait for the running flush and then flush what was buffered meanwhile.
+   * @returns {Promise<{written: number, spilled: number, replayed: number}>} Entries written, spilled and replayed
+   */
+  async flush() {
+    while (this.flushPromise) {
+      await this.flushPromise.catch(() => {});
+    }
+
+    this.flushPromise = this.writeBuffered();
+    try {
+      return await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  /**
+   * Takes the buffered entries and writes them to MongoDB, or to the spill file when unreachable
+   * @returns {Promise<{written: number, spilled: number, replayed: number}>} Entries written, spilled and replayed
+   */
+  async writeBuffered() {
+    const entries = this.buffer.splice(0);
+    const result = { written: 0, spilled: 0, replayed: 0 };
+
+    if (!this.mongoService.isConnectedToMongoDB()) {
+      result.spilled = await this.spill(entries);
+      return result;
+    }
+
+    this.stats.flushes++;
+    try {
+      result.replayed = await this.replaySpill();
+    } catch (error) {
+      // The spill file is kept and retried by the next flush
+      console.warn('[ANALYTICS] Replaying spilled entries failed:', error.message);
+    }
+
+    if (entries.length === 0) {
+      return result;
+    }
+
+    try {
+      await this.insert(entries);
+      result.written = entries.length;
+      this.stats.written += entries.length;
+    } catch (error) {
+      console.warn(`[ANALYTICS] Writing ${entries.length} entries failed, spilling them: ${error.message}`);
+      this.stats.failedWrites++;
+      result.spilled = await this.spill(entries);
+    }
+
+    return result;
+  }
+
+  /**
+   * Inserts entries, ignoring those already stored
+   * @param {Array<Object>} entries - Analytics documents
+   * @returns {Promise<void>}
+   * @throws {Error} If the write fails for any other reason than duplicate ids
+   */
+  async insert(entries) {
+    try {
+      await this.mongoService.getCollection(this.collectionName).insertMany(entries, { ordered: false });
+    } catch (error) {
+      const writeErrors = error.writeErrors ? [].concat(error.writeErrors) : [];
+      const onlyDuplicates = writeErrors.length > 0 && writeErrors.every(writeError => writeError.code === DUPLICATE_KEY_ERROR);
+      if (!onlyDuplicates) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Appends entries to the spill file, one JSON document per line
+   * @param {Array<Object>} entries - Analytics documents
+   * @returns {Promise<number>} Number of entries spilled
+   */
+  async spill(entries) {
+    if (entries.length === 0) {
+      return 0;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.spillPath), { recursive: true });
+    await fs.promises.appendFile(this.spillPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    this.stats.spilled += entries.length;
+    return entries.length;
+  }
+
+  /**
+   * Writes the entries of the spill file to MongoDB and removes the file
+   * The file is renamed before it is read, so entries spilled meanwhile go to a new file.
+   * @returns {Promise<number>} Number of entries replayed
+   */
+  async replaySpill() {
+    if (!fs.existsSync(this.replayPath)) {
+      if (!fs.existsSync(this.spillPath)) {
+        return 0;
+      }
+      await fs.promises.rename(this.spillPath, this.replayPath);
+    }
+
+    const entries = this.parseSpill(await fs.promises.readFile(this.replayPath, 'utf8'));
+    for (let start = 0; start < entries.length; start += this.maxSize) {
+      await this.insert(entries.slice(start, start + this.maxSize));
+    }
+
+    await fs.promises.unlink(this.replayPath);
+    this.stats.replayed += entries.length;
+    if (entries.length > 0) {
+      console.log(`[ANALYTICS] Replayed ${entries.length} spilled entries`);
+    }
+    return entries.length;
+  }
+
+  /**
+   * Parses spill file content, skipping lines cut off by a crash
+   * @param {string} content - JSONL content
+   * @returns {Array<Object>} Analytics documents with timestamps restored to Dates
+   */
+  parseSpill(content) {
+    const entries = [];
+
+    for (const line of content.split('\n')) {
+      if (line.trim().length === 0) {
+        continue;
+      }
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.timestamp) {
+          entry.timestamp = new Date(entry.timestamp);
+        }
+        entries.push(entry);
+      } catch (error) {
+        console.warn('[ANALYTICS] Skipping malformed spilled entry');
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Stops timed flushes and writes everything still buffered
+   * Called during graceful shutdown; without MongoDB the entries end up in the spill file.
+   * @returns {Promise<{written: number, spilled: number, replayed: number}>} Result of the final flush
+   */
+  async drain() {
+    this.stop();
+    return this.flush();
+  }
+
+  /**
+   * Gets buffer statistics
+   * @returns {Object} Buffered entry count, settings and counters
+   */
+  getStats() {
+    return {
+      buffered: this.buffer.length,
+      maxSize: this.maxSize,
+      flushInterval: this.flushInterval,
+      spillPath: this.spillPath,
+      hasSpilledEntries: fs.existsSync(this.spillPath) || fs.existsSync(this.replayPath),
+      ...this.stats
+    };
+  }
+}
+
+AnalyticsWriteBuffer.DEFAULT_SPILL_PATH = DEFAULT_SPILL_PATH;
+
+module.exports = AnalyticsWriteBuffer;
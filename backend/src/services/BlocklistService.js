@@ -0,0 +1,356 @@
+/**
+ * Blocklist Service
+ * Keeps offensive or legally problematic terms out of suggestions. Rules are exact
+ * words, word prefixes and regular expressions; entries matching any rule are skipped
+ * when datasets are loaded and removed from search results. Rules are loaded from a
+ * file, can be reloaded or edited at runtime, and suppressions are counted for auditing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { defaultNormalizer } = require('../utils/textNormalizer');
+
+const DEFAULT_BLOCKLIST_PATH = path.join(__dirname, '../config/blocklist.json');
+
+/**
+ * Rule types, as named in blocklist files and admin requests
+ * words: the entry contains the word (or phrase) as whole words
+ * prefixes: a word of the entry starts with the prefix
+ * patterns: the regular expression matches the normalized entry (case-insensitive)
+ */
+const RULE_TYPES = ['words', 'prefixes', 'patterns'];
+
+class BlocklistService {
+  /**
+   * Creates a new BlocklistService
+   * @param {Object} options - Blocklist options
+   * @param {Function} options.normalizer - Text normalizer applied to rules and checked terms (default: defaultNormalizer)
+   */
+  constructor(options = {}) {
+    this.normalizer = options.normalizer || defaultNormalizer;
+    this.words = new Set();
+    this.prefixes = new Set();
+    this.patterns = new Map(); // Map<source, RegExp>
+    this.filePath = null;
+    this.version = 0;
+    this.lastLoadedAt = null;
+    this.suppressed = {
+      insert: 0,
+      search: 0
+    };
+  }
+
+  /**
+   * Normalizes a term and collapses its whitespace
+   * @param {string} term - Rule or checked term
+   * @returns {string} Normalized term
+   */
+  normalize(term) {
+    return typeof term === 'string' ? this.normalizer(term).split(/\s+/).filter(Boolean).join(' ') : '';
+  }
+
+  /**
+   * Validates rules and converts them to their stored form
+   * @param {Object} rules - Lists of words, prefixes and patterns (each optional)
+   * @returns {{words: string[], prefixes: string[], patterns: Array<[string, RegExp]>}} Normalized rules
+   * @throws {Error} If a rule type is unknown, a rule is empty or a pattern does not compile
+   */
+  parseRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new Error(`Blocklist rules must be an object with ${RULE_TYPES.join(', ')}`);
+    }
+
+    const unknown = Object.keys(rules).filter(type => !RULE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown blocklist rule type: ${unknown.join(', ')}`);
+    }
+
+    const parsed = { words: [], prefixes: [], patterns: [] };
+    for (const type of RULE_TYPES) {
+      const list = rules[type] === undefined ? [] : rules[type];
+      if (!Array.isArray(list) || !list.every(rule => typeof rule === 'string')) {
+        throw new Error(`Blocklist ${type} must be an array of strings`);
+      }
+
+      for (const rule of list) {
+        if (type === 'patterns') {
+          parsed.patterns.push([rule, this.compilePattern(rule)]);
+          continue;
+        }
+
+        const normalized = this.normalize(rule);
+        if (!normalized) {
+          throw new Error(`Blocklist ${type} must not be empty`);
+        }
+        parsed[type].push(normalized);
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Compiles a pattern rule
+   * @param {string} source - Regular expression source
+   * @returns {RegExp} Case-insensitive Unicode regular expression
+   * @throws {Error} If the pattern is empty or invalid
+   */
+  compilePattern(source) {
+    if (source.length === 0) {
+      throw new Error('Blocklist patterns must not be empty');
+    }
+
+    try {
+      return new RegExp(source, 'iu');
+    } catch (error) {
+      throw new Error(`Invalid blocklist pattern "${source}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces every rule
+   * @param {Object} rules - Lists of words, prefixes and patterns
+   * @returns {Object} Rule counts after the load
+   * @throws {Error} If a rule is invalid; the previous rules are kept
+   */
+  load(rules) {
+    const parsed = this.parseRules(rules);
+
+    this.words = new Set(parsed.words);
+    this.prefixes = new Set(parsed.prefixes);
+    this.patterns = new Map(parsed.patterns);
+    this.version++;
+    this.lastLoadedAt = new Date();
+
+    return this.getRuleCounts();
+  }
+
+  /**
+   * Loads the rules from a JSON or YAML file and remembers it for reload()
+   * @param {string} filePath - Blocklist file (default: src/config/blocklist.json)
+   * @returns {Object} Rule counts after the load
+   * @throws {Error} If the file cannot be read, parsed or holds invalid rules
+   */
+  loadFromFile(filePath = DEFAULT_BLOCKLIST_PATH) {
+    const absolutePath = path.resolve(filePath || DEFAULT_BLOCKLIST_PATH);
+    const content = fs.readFileSync(absolutePath, 'utf8');
+    const extension = path.extname(absolutePath).toLowerCase();
+
+    let rules;
+    try {
+      rules = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse blocklist file ${absolutePath}: ${error.message}`);
+    }
+
+    const counts = this.load(rules || {});
+    this.filePath = absolutePath;
+    return counts;
+  }
+
+  /**
+   * Reloads the rules from the file they were last loaded from
+   * @returns {Object} Rule counts after the reload
+   * @throws {Error} If the file cannot be read or holds invalid rules; the previous rules are kept
+   */
+  reload() {
+    return this.loadFromFile(this.filePath || DEFAULT_BLOCKLIST_PATH);
+  }
+
+  /**
+   * Adds rules to the current ones
+   * @param {Object} rules - Lists of words, prefixes and patterns to add
+   * @returns {number} Number of rules that were not already present
+   * @throws {Error} If a rule is invalid; nothing is added
+   */
+  addRules(rules) {
+    const parsed = this.parseRules(rules);
+    let added = 0;
+
+    for (const word of parsed.words) {
+      added += this.words.has(word) ? 0 : 1;
+      this.words.add(word);
+    }
+    for (const prefix of parsed.prefixes) {
+      added += this.prefixes.has(prefix) ? 0 : 1;
+      this.prefixes.add(prefix);
+    }
+    for (const [source, pattern] of parsed.patterns) {
+      added += this.patterns.has(source) ? 0 : 1;
+      this.patterns.set(source, pattern);
+    }
+
+    if (added > 0) {
+      this.version++;
+    }
+    return added;
+  }
+
+  /**
+   * Removes rules
+   * @param {Object} rules - Lists of words, prefixes and patterns to remove
+   * @returns {number} Number of rules removed
+   * @throws {Error} If a rule is invalid
+   */
+  removeRules(rules) {
+    const parsed = this.parseRules(rules);
+    let removed = 0;
+
+    for (const word of parsed.words) {
+      removed += this.words.delete(word) ? 1 : 0;
+    }
+    for (const prefix of parsed.prefixes) {
+      removed += this.prefixes.delete(prefix) ? 1 : 0;
+    }
+    for (const [source] of parsed.patterns) {
+      removed += this.patterns.delete(source) ? 1 : 0;
+    }
+
+    if (removed > 0) {
+      this.version++;
+    }
+    return removed;
+  }
+
+  /**
+   * Finds the first rule a term matches
+   * Time Complexity: O(W * L + P) where W is the number of words in the term,
+   * L the longest rule in words and P the number of patterns
+   * @param {string} term - Entry or suggestion
+   * @returns {{type: string, rule: string}|null} Matching rule, or null if the term is allowed
+   */
+  getMatch(term) {
+    if (this.isEmpty()) {
+      return null;
+    }
+
+    const normalized = this.normalize(term);
+    if (!normalized) {
+      return null;
+    }
+
+    const words = normalized.split(' ');
+    for (let start = 0; start < words.length; start++) {
+      for (let end = start + 1; end <= words.length; end++) {
+        const phrase = words.slice(start, end).join(' ');
+        if (this.words.has(phrase)) {
+          return { type: 'words', rule: phrase };
+        }
+      }
+    }
+
+    for (const prefix of this.prefixes) {
+      if (normalized.startsWith(prefix) || normalized.includes(` ${prefix}`)) {
+        return { type: 'prefixes', rule: prefix };
+      }
+    }
+
+    for (const [source, pattern] of this.patterns) {
+      if (pattern.test(normalized)) {
+        return { type: 'patterns', rule: source };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Checks whether a term matches any rule
+   * @param {string} term - Entry or suggestion
+   * @returns {boolean} True if the term must not be suggested
+   */
+  isBlocked(term) {
+    return this.getMatch(term) !== null;
+  }
+
+  /**
+   * Checks whether there are no rules
+   * @returns {boolean} True if nothing is blocked
+   */
+  isEmpty() {
+    return this.words.size === 0 && this.prefixes.size === 0 && this.patterns.size === 0;
+  }
+
+  /**
+   * Removes blocked suggestions from a list and counts them as suppressed at search time
+   * @param {Array<{word: string}>} suggestions - Suggestions
+   * @returns {Array<{word: string}>} Allowed suggestions
+   */
+  filterSuggestions(suggestions) {
+    if (this.isEmpty()) {
+      return suggestions;
+    }
+
+    const allowed = suggestions.filter(suggestion => !this.isBlocked(suggestion.word));
+    this.recordSuppressed('search', suggestions.length - allowed.length);
+    return allowed;
+  }
+
+  /**
+   * Counts suppressed suggestions
+   * @param {string} stage - 'insert' (dataset loading) or 'search' (result filtering)
+   * @param {number} count - Number of suppressed entries
+   */
+  recordSuppressed(stage, count = 1) {
+    this.suppressed[stage] += count;
+  }
+
+  /**
+   * Gets the rules
+   * @returns {{words: string[], prefixes: string[], patterns: string[]}} Rules by type
+   */
+  getRules() {
+    return {
+      words: Array.from(this.words),
+      prefixes: Array.from(this.prefixes),
+      patterns: Array.from(this.patterns.keys())
+    };
+  }
+
+  /**
+   * Gets the number of rules of each type
+   * @returns {{words: number, prefixes: number, patterns: number}} Rule counts
+   */
+  getRuleCounts() {
+    return {
+      words: this.words.size,
+      prefixes: this.prefixes.size,
+      patterns: this.patterns.size
+    };
+  }
+
+  /**
+   * Gets statistics about the blocklist
+   * @returns {Object} Rule counts, version, source file and suppression counts
+   */
+  getStats() {
+    return {
+      rules: this.getRuleCounts(),
+      version: this.version,
+      filePath: this.filePath,
+      lastLoadedAt: this.lastLoadedAt ? this.lastLoadedAt.toISOString() : null,
+      suppressed: {
+        ...this.suppressed,
+        total: this.suppressed.insert + this.suppressed.search
+      }
+    };
+  }
+
+  /**
+   * Gets the blocklist service from app locals, creating an empty one on first use
+   * @param {Object} locals - Express app.locals
+   * @returns {BlocklistService} Shared blocklist service
+   */
+  static fromLocals(locals) {
+    if (!locals.blocklistService) {
+      locals.blocklistService = new BlocklistService();
+    }
+    return locals.blocklistService;
+  }
+}
+
+BlocklistService.RULE_TYPES = RULE_TYPES;
+BlocklistService.DEFAULT_BLOCKLIST_PATH = DEFAULT_BLOCKLIST_PATH;
+
+module.exports = BlocklistService;
@@ -23,16 +23,32 @@ class CacheService {
 
   /**
    * Generate cache key from search parameters
+   * Keys are prefixed with the dataset name when results are scoped to one dataset
+   * and suffixed when phonetic matches or next-word predictions are included.
+   * The synonym dictionary version is part of the key, so editing aliases
+   * makes earlier expansions unreachable instead of serving them stale.
+   * @param {string} query - Search query
+   * @param {number} limit - Result limit
+   * @param {boolean} typoTolerance - Whether typo corrections were included
+   * @param {string|null} dataset - Dataset name
+   * @param {Object} variant - Further options that change the results
+   * @param {boolean} variant.phonetic - Whether phonetic matches were included
+   * @param {boolean} variant.nextWord - Whether next-word predictions were included
+   * @param {number} variant.expansionVersion - Synonym dictionary version used to expand the query
+   * @returns {string} Cache key
    */
-  generateKey(query, limit = 5, typoTolerance = false) {
-    return `${query.toLowerCase().trim()}:${limit}:${typoTolerance}`;
+  generateKey(query, limit = 5, typoTolerance = false, dataset = null, variant = {}) {
+    const { phonetic = false, nextWord = false, expansionVersion = 0 } = variant;
+    const key = `${query.toLowerCase().trim()}:${limit}:${typoTolerance}` +
+      `${phonetic ? ':phonetic' : ''}${nextWord ? ':next' : ''}${expansionVersion ? `:v${expansionVersion}` : ''}`;
+    return dataset ? `${dataset}|${key}` : key;
   }
 
   /**
    * Get cached search results
    */
-  get(query, limit, typoTolerance) {
-    const key = this.generateKey(query, limit, typoTolerance);
+  get(query, limit, typoTolerance, dataset = null, variant = {}) {
+    const key = this.generateKey(query, limit, typoTolerance, dataset, variant);
     this.stats.totalRequests++;
     
     const entry = this.cache.get(key);
@@ -66,8 +82,8 @@ class CacheService {
   /**
    * Cache search results
    */
-  set(query, limit, typoTolerance, data) {
-    const key = this.generateKey(query, limit, typoTolerance);
+  set(query, limit, typoTolerance, data, dataset = null, variant = {}) {
+    const key = this.generateKey(query, limit, typoTolerance, dataset, variant);
     
     // Check if we need to evict entries
     if (this.cache.size >= this.maxSize) {
@@ -1,21 +1,130 @@
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const { pipeline } = require('stream');
 const csv = require('csv-parser');
 const Trie = require('../data-structures/Trie');
+const { readXlsxRows } = require('../utils/xlsxReader');
+
+/**
+ * Header names accepted for each movie field, compared case-insensitively in order
+ * Covers IMDb-style exports (tconst, primaryTitle, averageRating, numVotes) and common variants
+ */
+const MOVIE_COLUMNS = {
+  id: ['tconst', 'id', 'movie_id', 'imdb_id'],
+  title: ['primarytitle', 'title', 'originaltitle', 'movie_title', 'name'],
+  year: ['startyear', 'year', 'release_year'],
+  genres: ['genres', 'genre'],
+  rating: ['averagerating', 'rating', 'vote_average', 'imdb_rating'],
+  votes: ['numvotes', 'votes', 'vote_count', 'num_votes']
+};
+
+// IMDb TSV exports mark missing values with \N
+const TSV_NULL = '\\N';
+
+/**
+ * Resolves on the next turn of the event loop, after pending I/O callbacks
+ * @returns {Promise<void>}
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Parses tab-separated lines into records keyed by the header line
+ * Fields equal to \N (the IMDb null marker) are read as empty.
+ * @param {fs.ReadStream} readStream - File read stream
+ * @returns {AsyncIterable<Object>} Records
+ */
+async function* parseTSVLines(readStream) {
+  let header = null;
+
+  for await (const line of readline.createInterface({ input: readStream, crlfDelay: Infinity })) {
+    if (line.length === 0) {
+      continue;
+    }
+
+    const fields = line.split('\t');
+    if (!header) {
+      header = fields.map(field => field.trim());
+      continue;
+    }
+
+    const record = {};
+    header.forEach((name, index) => {
+      const value = fields[index] === undefined ? '' : fields[index];
+      record[name] = value === TSV_NULL ? '' : value;
+    });
+    yield record;
+  }
+}
+
+/**
+ * Parses JSON Lines; lines that are not JSON objects yield null
+ * @param {fs.ReadStream} readStream - File read stream
+ * @returns {AsyncIterable<Object|null>} Records
+ */
+async function* parseJSONLines(readStream) {
+  for await (const line of readline.createInterface({ input: readStream, crlfDelay: Infinity })) {
+    if (line.trim().length === 0) {
+      continue;
+    }
+
+    try {
+      const record = JSON.parse(line);
+      yield record && typeof record === 'object' && !Array.isArray(record) ? record : null;
+    } catch (error) {
+      yield null;
+    }
+  }
+}
+
+/**
+ * Reads a streamed XLSX workbook and yields the rows of one worksheet
+ * @param {fs.ReadStream} readStream - File read stream
+ * @param {string|number|null} sheet - Sheet name or 1-based position (default: first sheet)
+ * @returns {AsyncIterable<Object>} Records
+ */
+async function* parseWorkbook(readStream, sheet) {
+  const chunks = [];
+  for await (const chunk of readStream) {
+    chunks.push(chunk);
+  }
+
+  yield* readXlsxRows(Buffer.concat(chunks), { sheet });
+}
 
 /**
  * DatasetLoader service for loading and processing CSV datasets into Trie structure
- * Supports multiple dataset formats with validation and error handling
+ * Supports multiple dataset formats with validation and error handling.
+ * Files are streamed into the Trie in batches; ingestion emits 'start', 'progress',
+ * 'complete', 'failed' and 'cancelled' events with the dataset's progress.
  */
-class DatasetLoader {
-  constructor() {
-    this.trie = new Trie();
+class DatasetLoader extends EventEmitter {
+  /**
+   * Creates a new DatasetLoader
+   * @param {Object} options - Loader options
+   * @param {Trie|RadixTrie} options.trie - Prefix tree to load into (default: new Trie)
+   * @param {ProgressReporter} options.progressReporter - Reports progress of streamed loads (default: none)
+   * @param {number} options.batchSize - Records inserted between event loop yields (default: 1000)
+   * @param {BlocklistService} options.blocklist - Terms that are never inserted (default: none)
+   */
+  constructor(options = {}) {
+    super();
+    this.trie = options.trie || new Trie();
+    this.progressReporter = options.progressReporter || null;
+    this.batchSize = options.batchSize || 1000;
+    this.blocklist = options.blocklist || null;
+    this.ingestionProgress = new Map(); // Map<dataset, progress>
+    this.cancelRequests = new Set(); // Datasets whose ingestion stops at the next batch
     this.loadedDatasets = new Set();
     this.stats = {
       totalRecords: 0,
       validRecords: 0,
       invalidRecords: 0,
       duplicates: 0,
+      blockedRecords: 0,
       loadTime: 0
     };
   }
@@ -36,33 +145,9 @@ class DatasetLoader {
         throw new Error(`Cities dataset file not found: ${absolutePath}`);
       }
 
-      const results = await this.parseCSV(absolutePath);
-      
-      for (const row of results) {
-        this.stats.totalRecords++;
-        
-        try {
-          const cityData = this.validateCityRecord(row);
-          if (cityData) {
-            // Calculate initial frequency based on population (higher population = higher frequency)
-            const frequency = this.calculateCityFrequency(cityData.population);
-            
-            if (this.trie.contains(cityData.city)) {
-              this.stats.duplicates++;
-              // Update frequency if city already exists
-              this.trie.incrementFrequency(cityData.city, frequency);
-            } else {
-              this.trie.insert(cityData.city, frequency);
-              this.stats.validRecords++;
-            }
-          } else {
-            this.stats.invalidRecords++;
-          }
-        } catch (error) {
-          console.warn(`Error processing city record:`, error.message);
-          this.stats.invalidRecords++;
-        }
-      }
+      await this.ingestFile('cities', absolutePath, readStream => this.createCSVStream(readStream), row => {
+        this.processCityRecord(row);
+      });
 
       this.stats.loadTime = Date.now() - startTime;
       this.loadedDatasets.add('cities');
@@ -94,32 +179,9 @@ class DatasetLoader {
         throw new Error(`Products dataset file not found: ${absolutePath}`);
       }
 
-      const results = await this.parseCSV(absolutePath);
-      
-      for (const row of results) {
-        this.stats.totalRecords++;
-        
-        try {
-          const productData = this.validateProductRecord(row);
-          if (productData) {
-            // Calculate initial frequency based on price and rating
-            const frequency = this.calculateProductFrequency(productData);
-            
-            if (this.trie.contains(productData.name)) {
-              this.stats.duplicates++;
-              this.trie.incrementFrequency(productData.name, frequency);
-            } else {
-              this.trie.insert(productData.name, frequency);
-              this.stats.validRecords++;
-            }
-          } else {
-            this.stats.invalidRecords++;
-          }
-        } catch (error) {
-          console.warn(`Error processing product record:`, error.message);
-          this.stats.invalidRecords++;
-        }
-      }
+      await this.ingestFile('products', absolutePath, readStream => this.createCSVStream(readStream), row => {
+        this.processProductRecord(row);
+      });
 
       this.stats.loadTime = Date.now() - startTime;
       this.loadedDatasets.add('products');
@@ -135,6 +197,108 @@ class DatasetLoader {
     }
   }
 
+  /**
+   * Loads a movie TSV dataset with title extraction
+   * The file is streamed line by line, so memory use does not grow with file size.
+   * Titles shared by several releases are stored once, with the most popular release.
+   * @param {string} filePath - Path to Movie.tsv file
+   * @returns {Promise<Object>} Loading statistics
+   */
+  async loadMoviesDataset(filePath = 'Movie.tsv') {
+    const startTime = Date.now();
+    this.resetStats();
+
+    try {
+      const absolutePath = path.resolve(filePath);
+      
+      if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Movies dataset file not found: ${absolutePath}`);
+      }
+
+      let columns = null;
+      const parseLines = readStream => readline.createInterface({ input: readStream, crlfDelay: Infinity });
+
+      await this.ingestFile('movies', absolutePath, parseLines, line => {
+        if (!columns) {
+          columns = this.resolveMovieColumns(line.split('\t'));
+        } else if (line.length > 0) {
+          this.processMovieRecord(line.split('\t'), columns);
+        }
+      });
+
+      this.stats.loadTime = Date.now() - startTime;
+      this.loadedDatasets.add('movies');
+      
+      return {
+        dataset: 'movies',
+        ...this.stats,
+        message: `Successfully loaded ${this.stats.validRecords} movies from ${this.stats.totalRecords} records`
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to load movies dataset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads a dataset described by a dataset descriptor (see src/config/datasetDescriptors.js)
+   * Records are streamed from CSV, TSV or JSONL files; XLSX workbooks are read whole once
+   * the file has been streamed in, as the zip format keeps its directory at the end.
+   * @param {Object} descriptor - Normalized generic descriptor
+   * @param {string} filePath - Path to the dataset file (default: descriptor.file)
+   * @returns {Promise<Object>} Loading statistics
+   */
+  async loadGenericDataset(descriptor, filePath = descriptor.file) {
+    const startTime = Date.now();
+    this.resetStats();
+
+    try {
+      const absolutePath = path.resolve(filePath);
+
+      if (!fs.existsSync(absolutePath)) {
+        throw new Error(`Dataset file not found: ${absolutePath}`);
+      }
+
+      await this.ingestFile(descriptor.name, absolutePath, readStream => this.createRecordStream(readStream, descriptor), record => {
+        this.processDescriptorRecord(record, descriptor);
+      });
+
+      this.stats.loadTime = Date.now() - startTime;
+      this.loadedDatasets.add(descriptor.name);
+
+      return {
+        dataset: descriptor.name,
+        ...this.stats,
+        message: `Successfully loaded ${this.stats.validRecords} ${descriptor.name} entries from ${this.stats.totalRecords} records`
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to load ${descriptor.name} dataset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads a single dataset by type
+   * @param {{type: string, filePath: string, descriptor: Object}} dataset - Dataset configuration;
+   *   generic datasets carry their descriptor
+   * @returns {Promise<Object>} Loading statistics
+   * @throws {Error} If the dataset type is unknown
+   */
+  async loadDataset(dataset) {
+    switch (dataset.type) {
+    case 'cities':
+      return this.loadCitiesDataset(dataset.filePath);
+    case 'products':
+      return this.loadProductsDataset(dataset.filePath);
+    case 'movies':
+      return this.loadMoviesDataset(dataset.filePath);
+    case 'generic':
+      return this.loadGenericDataset(dataset.descriptor, dataset.filePath);
+    default:
+      throw new Error(`Unknown dataset type: ${dataset.type}`);
+    }
+  }
+
   /**
    * Loads multiple datasets into the same Trie
    * @param {Array<{type: string, filePath: string}>} datasets - Array of dataset configurations
@@ -147,28 +311,20 @@ class DatasetLoader {
       totalRecords: 0,
       validRecords: 0,
       invalidRecords: 0,
-      duplicates: 0
+      duplicates: 0,
+      blockedRecords: 0
     };
 
     for (const dataset of datasets) {
       try {
-        let result;
-        switch (dataset.type) {
-          case 'cities':
-            result = await this.loadCitiesDataset(dataset.filePath);
-            break;
-          case 'products':
-            result = await this.loadProductsDataset(dataset.filePath);
-            break;
-          default:
-            throw new Error(`Unknown dataset type: ${dataset.type}`);
-        }
+        const result = await this.loadDataset(dataset);
         
         results.push(result);
         totalStats.totalRecords += result.totalRecords;
         totalStats.validRecords += result.validRecords;
         totalStats.invalidRecords += result.invalidRecords;
         totalStats.duplicates += result.duplicates;
+        totalStats.blockedRecords += result.blockedRecords;
         
       } catch (error) {
         results.push({
@@ -189,6 +345,162 @@ class DatasetLoader {
     };
   }
 
+  /**
+   * Streams records from a file into the Trie in batches
+   * Records are handed to handleRecord as they are parsed, so the file is never held in memory.
+   * Between batches the loop yields to the event loop, keeping the server responsive while the
+   * paused read stream waits (backpressure), and checks for a cancellation request.
+   * @param {string} dataset - Dataset name used for progress and cancellation
+   * @param {string} absolutePath - File to read
+   * @param {Function} parse - Maps the file read stream to an async iterable of records
+   * @param {Function} handleRecord - Processes one record
+   * @returns {Promise<Object>} Final ingestion progress
+   * @throws {Error} If reading or parsing fails, or the ingestion is cancelled
+   */
+  async ingestFile(dataset, absolutePath, parse, handleRecord) {
+    const totalBytes = fs.statSync(absolutePath).size;
+    const readStream = fs.createReadStream(absolutePath);
+    const progress = {
+      dataset,
+      status: 'loading',
+      processedRecords: 0,
+      bytesRead: 0,
+      totalBytes,
+      percentage: 0,
+      startedAt: new Date(),
+      completedAt: null
+    };
+
+    this.ingestionProgress.set(dataset, progress);
+    this.cancelRequests.delete(dataset);
+    if (this.progressReporter) {
+      this.progressReporter.start();
+    }
+    this.emit('start', { ...progress });
+
+    try {
+      let batchCount = 0;
+
+      for await (const record of parse(readStream)) {
+        handleRecord(record);
+        progress.processedRecords++;
+
+        if (++batchCount >= this.batchSize) {
+          batchCount = 0;
+          this.updateProgress(progress, readStream.bytesRead);
+          await yieldToEventLoop();
+
+          if (this.cancelRequests.has(dataset)) {
+            throw new Error(`Ingestion of ${dataset} cancelled`);
+          }
+        }
+      }
+
+      this.updateProgress(progress, totalBytes);
+      progress.status = 'completed';
+      progress.completedAt = new Date();
+      if (this.progressReporter) {
+        this.progressReporter.finish(`${dataset} ingestion`);
+      }
+      this.emit('complete', { ...progress });
+
+      return { ...progress };
+    } catch (error) {
+      progress.status = this.cancelRequests.has(dataset) ? 'cancelled' : 'failed';
+      progress.error = error.message;
+      progress.completedAt = new Date();
+      this.emit(progress.status, { ...progress });
+      throw error;
+    } finally {
+      this.cancelRequests.delete(dataset);
+      readStream.destroy();
+    }
+  }
+
+  /**
+   * Records bytes read for an ingestion and publishes the new percentage
+   * @param {Object} progress - Ingestion progress entry
+   * @param {number} bytesRead - Bytes read from the file so far
+   */
+  updateProgress(progress, bytesRead) {
+    progress.bytesRead = Math.min(bytesRead, progress.totalBytes);
+    progress.percentage = progress.totalBytes > 0
+      ? Math.round((progress.bytesRead / progress.totalBytes) * 1000) / 10
+      : 100;
+
+    if (this.progressReporter) {
+      this.progressReporter.report(progress.bytesRead, progress.totalBytes, `Loading ${progress.dataset} (bytes read)`);
+    }
+    this.emit('progress', { ...progress });
+  }
+
+  /**
+   * Requests cancellation of running ingestions
+   * The ingestion stops after its current batch and its load call rejects.
+   * @param {string} dataset - Dataset to cancel (default: every running ingestion)
+   * @returns {boolean} True if a running ingestion was asked to stop
+   */
+  cancel(dataset = null) {
+    let requested = false;
+
+    for (const progress of this.ingestionProgress.values()) {
+      if (progress.status === 'loading' && (!dataset || progress.dataset === dataset)) {
+        this.cancelRequests.add(progress.dataset);
+        requested = true;
+      }
+    }
+
+    return requested;
+  }
+
+  /**
+   * Gets the progress of every ingestion started by this loader
+   * @returns {Object} Progress keyed by dataset name
+   */
+  getIngestionProgress() {
+    const progress = {};
+    for (const [dataset, entry] of this.ingestionProgress) {
+      progress[dataset] = { ...entry };
+    }
+    return progress;
+  }
+
+  /**
+   * Pipes a file read stream through the CSV parser
+   * Read errors are forwarded to the parser so that consumers see them
+   * @param {fs.ReadStream} readStream - File read stream
+   * @returns {stream.Transform} Object stream of parsed rows
+   */
+  createCSVStream(readStream) {
+    return pipeline(readStream, csv({
+      skipEmptyLines: true,
+      skipLinesWithError: true
+    }), () => {});
+  }
+
+  /**
+   * Parses a file read stream into records in the descriptor's format
+   * CSV and XLSX rows, and JSONL lines, become objects; TSV lines are keyed by their header.
+   * Lines that cannot be parsed yield null.
+   * @param {fs.ReadStream} readStream - File read stream
+   * @param {Object} descriptor - Normalized generic descriptor
+   * @returns {AsyncIterable<Object|null>} Parsed records
+   */
+  createRecordStream(readStream, descriptor) {
+    switch (descriptor.format) {
+    case 'csv':
+      return this.createCSVStream(readStream);
+    case 'tsv':
+      return parseTSVLines(readStream);
+    case 'jsonl':
+      return parseJSONLines(readStream);
+    case 'xlsx':
+      return parseWorkbook(readStream, descriptor.sheet);
+    default:
+      throw new Error(`Unsupported dataset format: ${descriptor.format}`);
+    }
+  }
+
   /**
    * Parses CSV file and returns array of records
    * @param {string} filePath - Path to CSV file
@@ -224,6 +536,220 @@ class DatasetLoader {
     });
   }
 
+  /**
+   * Validates a city row and adds it to the Trie
+   * @param {Object} row - Raw CSV record
+   */
+  processCityRecord(row) {
+    this.stats.totalRecords++;
+    
+    try {
+      const cityData = this.validateCityRecord(row);
+      if (cityData && this.isBlockedTerm(cityData.city)) {
+        return;
+      }
+
+      if (cityData) {
+        // Calculate initial frequency based on population (higher population = higher frequency)
+        const frequency = this.calculateCityFrequency(cityData.population);
+        
+        if (this.trie.contains(cityData.city)) {
+          this.stats.duplicates++;
+          // Update frequency if city already exists
+          this.trie.incrementFrequency(cityData.city, frequency);
+        } else {
+          this.trie.insert(cityData.city, frequency, this.buildCityPayload(cityData));
+          this.stats.validRecords++;
+        }
+      } else {
+        this.stats.invalidRecords++;
+      }
+    } catch (error) {
+      console.warn('Error processing city record:', error.message);
+      this.stats.invalidRecords++;
+    }
+  }
+
+  /**
+   * Validates a product row and adds it to the Trie
+   * @param {Object} row - Raw CSV record
+   */
+  processProductRecord(row) {
+    this.stats.totalRecords++;
+    
+    try {
+      const productData = this.validateProductRecord(row);
+      if (productData && this.isBlockedTerm(productData.name)) {
+        return;
+      }
+
+      if (productData) {
+        // Calculate initial frequency based on price and rating
+        const frequency = this.calculateProductFrequency(productData);
+        
+        if (this.trie.contains(productData.name)) {
+          this.stats.duplicates++;
+          this.trie.incrementFrequency(productData.name, frequency);
+        } else {
+          this.trie.insert(productData.name, frequency, this.buildProductPayload(productData));
+          this.stats.validRecords++;
+        }
+      } else {
+        this.stats.invalidRecords++;
+      }
+    } catch (error) {
+      console.warn('Error processing product record:', error.message);
+      this.stats.invalidRecords++;
+    }
+  }
+
+  /**
+   * Validates a movie line and adds it to the Trie
+   * @param {string[]} fields - Tab-separated fields of one line
+   * @param {Object} columns - Column positions from resolveMovieColumns
+   */
+  processMovieRecord(fields, columns) {
+    this.stats.totalRecords++;
+
+    try {
+      const movieData = this.validateMovieRecord(fields, columns);
+      if (movieData && this.isBlockedTerm(movieData.title)) {
+        return;
+      }
+
+      if (movieData) {
+        // Calculate initial frequency based on rating and number of votes
+        const frequency = this.calculateMovieFrequency(movieData);
+
+        if (this.trie.contains(movieData.title)) {
+          this.stats.duplicates++;
+          // Keep the most popular release of a shared title (e.g. remakes)
+          if (frequency > this.trie.getFrequency(movieData.title)) {
+            this.trie.insert(movieData.title, frequency, this.buildMoviePayload(movieData));
+          }
+        } else {
+          this.trie.insert(movieData.title, frequency, this.buildMoviePayload(movieData));
+          this.stats.validRecords++;
+        }
+      } else {
+        this.stats.invalidRecords++;
+      }
+    } catch (error) {
+      console.warn('Error processing movie record:', error.message);
+      this.stats.invalidRecords++;
+    }
+  }
+
+  /**
+   * Applies a descriptor to a parsed record and adds the resulting term to the Trie
+   * Records rejected by the descriptor's filters count as invalid.
+   * @param {Object|null} record - Parsed record
+   * @param {Object} descriptor - Normalized generic descriptor
+   */
+  processDescriptorRecord(record, descriptor) {
+    this.stats.totalRecords++;
+
+    try {
+      const term = record && descriptor.filters.every(filter => filter(record))
+        ? this.extractDescriptorTerm(record, descriptor)
+        : null;
+
+      if (!term) {
+        this.stats.invalidRecords++;
+        return;
+      }
+
+      if (this.isBlockedTerm(term)) {
+        return;
+      }
+
+      const frequency = this.calculateDescriptorFrequency(record, descriptor.frequency);
+
+      if (this.trie.contains(term)) {
+        this.stats.duplicates++;
+        if (descriptor.duplicates === 'sum') {
+          this.trie.incrementFrequency(term, frequency);
+        } else if (descriptor.duplicates === 'max' && frequency > this.trie.getFrequency(term)) {
+          this.trie.insert(term, frequency, this.buildDescriptorPayload(record, term, descriptor));
+        }
+      } else {
+        this.trie.insert(term, frequency, this.buildDescriptorPayload(record, term, descriptor));
+        this.stats.validRecords++;
+      }
+    } catch (error) {
+      console.warn(`Error processing ${descriptor.name} record:`, error.message);
+      this.stats.invalidRecords++;
+    }
+  }
+
+  /**
+   * Checks a term against the blocklist, counting it when blocked
+   * Blocked records are valid but never reach the Trie.
+   * @param {string} term - Term about to be inserted
+   * @returns {boolean} True if the term must be skipped
+   */
+  isBlockedTerm(term) {
+    if (!this.blocklist || !this.blocklist.isBlocked(term)) {
+      return false;
+    }
+
+    this.stats.blockedRecords++;
+    this.blocklist.recordSuppressed('insert');
+    return true;
+  }
+
+  /**
+   * Reads the search term from the first non-empty term column
+   * @param {Object} record - Parsed record
+   * @param {Object} descriptor - Normalized generic descriptor
+   * @returns {string|null} Term, or null if missing or shorter than minTermLength
+   */
+  extractDescriptorTerm(record, descriptor) {
+    for (const column of descriptor.term) {
+      const value = record[column] === undefined || record[column] === null ? '' : String(record[column]).trim();
+      if (value) {
+        return value.length >= descriptor.minTermLength ? value : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Evaluates a descriptor's frequency rule for a record
+   * Results are clamped to the rule's min and max and rounded; non-numeric results give min.
+   * @param {Object} record - Parsed record
+   * @param {Object} rule - Frequency rule with evaluate, min and max
+   * @returns {number} Calculated frequency score
+   */
+  calculateDescriptorFrequency(record, rule) {
+    const value = rule.evaluate(record);
+    if (!Number.isFinite(value)) {
+      return rule.min;
+    }
+
+    const clamped = Math.max(rule.min, rule.max === null ? value : Math.min(rule.max, value));
+    return Math.round(clamped);
+  }
+
+  /**
+   * Builds the payload stored with a descriptor-loaded term in the Trie
+   * @param {Object} record - Parsed record
+   * @param {string} term - Term read from the record
+   * @param {Object} descriptor - Normalized generic descriptor
+   * @returns {Object} Payload with display form, source, ID and metadata
+   */
+  buildDescriptorPayload(record, term, descriptor) {
+    const { id, display, metadata } = descriptor.payload;
+    const value = column => (record[column] === undefined || record[column] === '' ? null : record[column]);
+
+    return {
+      display: (display && value(display)) || term,
+      source: descriptor.name,
+      id: id ? value(id) : null,
+      metadata: Object.fromEntries(Object.entries(metadata).map(([key, column]) => [key, value(column)]))
+    };
+  }
+
   /**
    * Validates and extracts city data from CSV record
    * @param {Object} record - Raw CSV record
@@ -231,8 +757,8 @@ class DatasetLoader {
    */
   validateCityRecord(record) {
     try {
-      // Extract city name (prefer city_ascii over city for better search)
-      const city = (record.city_ascii || record.city || '').trim();
+      // Extract city name; the Trie folds diacritics, so the accented form stays searchable as ASCII
+      const city = (record.city || record.city_ascii || '').trim();
       
       if (!city || city.length < 2) {
         return null; // Skip cities with very short names
@@ -252,6 +778,7 @@ class DatasetLoader {
       }
 
       return {
+        id: record.id,
         city: city,
         country: country,
         population: population,
@@ -295,6 +822,7 @@ class DatasetLoader {
       const brand = (record.brand || '').trim();
 
       return {
+        id: record.uniq_id,
         name: cleanName,
         brand: brand,
         price: price,
@@ -306,6 +834,129 @@ class DatasetLoader {
     }
   }
 
+  /**
+   * Maps movie fields to column positions from the TSV header
+   * @param {string[]} header - Header fields
+   * @returns {Object} Column index per field (-1 when absent)
+   * @throws {Error} If the header has no title column
+   */
+  resolveMovieColumns(header) {
+    const names = header.map(name => name.trim().toLowerCase());
+    const columns = {};
+
+    for (const [field, candidates] of Object.entries(MOVIE_COLUMNS)) {
+      const match = candidates.find(candidate => names.includes(candidate));
+      columns[field] = match ? names.indexOf(match) : -1;
+    }
+
+    if (columns.title === -1) {
+      throw new Error(`No title column in header (expected one of: ${MOVIE_COLUMNS.title.join(', ')})`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Validates and extracts movie data from a TSV record
+   * @param {string[]} fields - Tab-separated fields of one line
+   * @param {Object} columns - Column positions from resolveMovieColumns
+   * @returns {Object|null} Validated movie data or null if invalid
+   */
+  validateMovieRecord(fields, columns) {
+    const field = (name) => {
+      const value = columns[name] === -1 ? '' : (fields[columns[name]] || '').trim();
+      return value === TSV_NULL ? '' : value;
+    };
+
+    const title = field('title');
+    if (!title) {
+      return null;
+    }
+
+    const rating = parseFloat(field('rating'));
+    const votes = parseInt(field('votes'), 10);
+    const year = parseInt(field('year'), 10);
+    const genres = field('genres');
+
+    return {
+      id: field('id') || null,
+      title,
+      year: isNaN(year) ? null : year,
+      genres: genres ? genres.split(',').map(genre => genre.trim()).filter(Boolean) : [],
+      rating: isNaN(rating) ? 0 : Math.min(Math.max(rating, 0), 10),
+      votes: isNaN(votes) || votes < 0 ? 0 : votes
+    };
+  }
+
+  /**
+   * Builds the payload stored with a city in the Trie
+   * @param {Object} cityData - Validated city data
+   * @returns {Object} Payload with display form, source, ID and metadata
+   */
+  buildCityPayload(cityData) {
+    return {
+      display: cityData.city,
+      source: 'cities',
+      id: cityData.id || null,
+      metadata: {
+        country: cityData.country,
+        population: cityData.population,
+        isCapital: cityData.isCapital
+      }
+    };
+  }
+
+  /**
+   * Builds the payload stored with a product in the Trie
+   * @param {Object} productData - Validated product data
+   * @returns {Object} Payload with display form, source, ID and metadata
+   */
+  buildProductPayload(productData) {
+    return {
+      display: productData.name,
+      source: 'products',
+      id: productData.id || null,
+      metadata: {
+        brand: productData.brand,
+        price: productData.price,
+        category: this.getTopLevelCategory(productData.category)
+      }
+    };
+  }
+
+  /**
+   * Builds the payload stored with a movie in the Trie
+   * @param {Object} movieData - Validated movie data
+   * @returns {Object} Payload with display form, source, ID and metadata
+   */
+  buildMoviePayload(movieData) {
+    return {
+      display: movieData.title,
+      source: 'movies',
+      id: movieData.id,
+      metadata: {
+        year: movieData.year,
+        genres: movieData.genres,
+        rating: movieData.rating,
+        votes: movieData.votes
+      }
+    };
+  }
+
+  /**
+   * Extracts the top-level category from a Flipkart category tree
+   * e.g. '["Clothing >> Women's Clothing >> Shorts"]' -> 'Clothing'
+   * @param {string} categoryTree - Raw product_category_tree value
+   * @returns {string} Top-level category, or empty string if unavailable
+   */
+  getTopLevelCategory(categoryTree) {
+    if (!categoryTree) {
+      return '';
+    }
+
+    return categoryTree.replace(/^\["|"\]$/g, '').split('>>')[0].trim();
+  }
+
   /**
    * Calculates initial frequency for cities based on population
    * @param {number} population - City population
@@ -357,6 +1008,21 @@ class DatasetLoader {
     return Math.min(frequency, 10); // Cap at 10
   }
 
+  /**
+   * Calculates initial frequency for movies based on votes and rating
+   * @param {Object} movieData - Movie data with rating (0-10) and votes
+   * @returns {number} Calculated frequency score
+   */
+  calculateMovieFrequency(movieData) {
+    if (movieData.votes <= 0) return 1;
+
+    // Logarithmic vote scaling: 10 votes = 3, 1K = 7, 1M = 13; the rating adds up to 5
+    const popularity = Math.floor(Math.log10(movieData.votes + 1) * 2) + 1;
+    const quality = Math.floor(movieData.rating / 2);
+
+    return Math.min(20, popularity + quality);
+  }
+
   /**
    * Gets the populated Trie instance
    * @returns {Trie} The Trie with loaded data
@@ -365,6 +1031,15 @@ class DatasetLoader {
     return this.trie;
   }
 
+  /**
+   * Switches the Trie that subsequent loads write into
+   * Used to load each dataset into its own Trie
+   * @param {Trie|RadixTrie} trie - Target Trie
+   */
+  setTrie(trie) {
+    this.trie = trie;
+  }
+
   /**
    * Gets loading statistics
    * @returns {Object} Current loading statistics
@@ -386,6 +1061,7 @@ class DatasetLoader {
       validRecords: 0,
       invalidRecords: 0,
       duplicates: 0,
+      blockedRecords: 0,
       loadTime: 0
     };
   }
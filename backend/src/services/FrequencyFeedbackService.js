@@ -0,0 +1,304 @@
+/**
+ * Frequency Feedback Service
+ * Folds recorded suggestion selections back into ranking frequencies. Each run reads the
+ * selection counts of a sliding window from SearchAnalyticsService and sets every
+ * selected word's boost to weight * selections, capped at maxBoost. Boosts are kept per
+ * Trie beside the dataset frequency, which is never changed, and RankingService adds them
+ * to it at query time; runs replace rather than add to earlier boosts, words whose
+ * selections leave the window lose them again, and persisted Tries never contain a boost.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class FrequencyFeedbackService {
+  /**
+   * Creates a new FrequencyFeedbackService
+   * @param {Object} options - Feedback options
+   * @param {SearchAnalyticsService} options.analyticsService - Source of selection counts
+   * @param {TrieRegistry} options.trieRegistry - Dataset tries whose words are boosted
+   * @param {CacheService} options.cacheService - Cache cleared after boosts change (optional)
+   * @param {number} options.windowHours - Hours of selections counted by each run (default: 168)
+   * @param {number} options.weight - Frequency added per selection (default: 0.1)
+   * @param {number} options.maxBoost - Largest frequency boost of a word (default: 10)
+   * @param {number} options.minSelections - Selections a word needs in the window to be boosted (default: 3)
+   * @param {number} options.interval - Milliseconds between scheduled runs, 0 disables scheduling (default: 3600000)
+   * @param {number} options.maxWords - Most selected words read per run (default: 10000)
+   */
+  constructor(options = {}) {
+    this.analyticsService = options.analyticsService;
+    this.trieRegistry = options.trieRegistry;
+    this.cacheService = options.cacheService || null;
+    this.windowHours = options.windowHours || 168;
+    this.weight = options.weight === undefined ? 0.1 : options.weight;
+    this.maxBoost = options.maxBoost === undefined ? 10 : options.maxBoost;
+    this.minSelections = options.minSelections || 3;
+    this.interval = options.interval === undefined ? HOUR_MS : options.interval;
+    this.maxWords = options.maxWords || 10000;
+
+    if (!(this.weight >= 0) || !(this.maxBoost >= 0)) {
+      throw new Error('Frequency feedback weight and maxBoost must be non-negative');
+    }
+
+    this.boosts = new WeakMap(); // WeakMap<Trie, Map<word, boost>>
+    this.timer = null;
+    this.runPromise = null;
+    this.lastReport = null;
+    this.runCount = 0;
+  }
+
+  /**
+   * Starts scheduled runs (no-op when the interval is 0)
+   */
+  start() {
+    if (this.timer || this.interval <= 0) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => console.error('[FEEDBACK] Scheduled run failed:', error.message));
+    }, this.interval);
+
+    // Scheduled runs alone must not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stops scheduled runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Reads the selections of the window and updates the boosts
+   * A run requested while another is in progress gets the result of the running one.
+   * @param {Date} now - End of the window (default: now)
+   * @returns {Promise<Object>} Report of the run (see applySelectionCounts)
+   * @throws {Error} If the selection counts cannot be read; boosts are left unchanged
+   */
+  async run(now = new Date()) {
+    if (this.runPromise) {
+      return this.runPromise;
+    }
+
+    this.runPromise = this.execute(now);
+    try {
+      return await this.runPromise;
+    } finally {
+      this.runPromise = null;
+    }
+  }
+
+  /**
+   * Performs one run
+   * @param {Date} now - End of the window
+   * @returns {Promise<Object>} Report of the run
+   */
+  async execute(now) {
+    const startedAt = Date.now();
+    const endDate = now;
+    const startDate = new Date(endDate.getTime() - this.windowHours * HOUR_MS);
+
+    const counts = await this.analyticsService.getSelectionCounts({ startDate, endDate, limit: this.maxWords });
+    const report = this.applySelectionCounts(counts);
+
+    report.startDate = startDate.toISOString();
+    report.endDate = endDate.toISOString();
+    report.durationMs = Date.now() - startedAt;
+    report.completedAt = new Date().toISOString();
+
+    this.lastReport = report;
+    this.runCount++;
+
+    if (report.changes.length > 0 && this.cacheService) {
+      this.cacheService.clear();
+    }
+    console.log(`[FEEDBACK] ${report.changes.length} frequencies updated from ${report.selections} selections (${report.skipped.unknownDataset + report.skipped.missingWord} skipped)`);
+
+    return report;
+  }
+
+  /**
+   * Sets the boosts of every dataset to match the given selection counts
+   * Selections recorded without a dataset count towards the default dataset. Reported
+   * frequencies are the dataset frequency plus the boost, as RankingService ranks by them.
+   * Time Complexity: O(S * L + B * L) where S is the number of counts, B the number of
+   * boosted words and L the longest word
+   * @param {Array<{dataset: string|null, suggestion: string, count: number}>} counts - Selection counts of the window
+   * @returns {{selections: number, changes: Array<Object>, skipped: Object}} Changed boosts and skipped counts
+   */
+  applySelectionCounts(counts) {
+    const skipped = { unknownDataset: 0, missingWord: 0, belowMinimum: 0 };
+    const defaultName = this.trieRegistry.getDefaultName();
+    const selectionsByDataset = new Map(); // Map<name, Map<word, selections>>
+    let selections = 0;
+
+    for (const { dataset, suggestion, count } of counts) {
+      selections += count;
+      const name = dataset || defaultName;
+      const trie = name ? this.trieRegistry.get(name) : null;
+      if (!trie) {
+        skipped.unknownDataset++;
+        continue;
+      }
+
+      const word = trie.normalize(suggestion);
+      if (!selectionsByDataset.has(name)) {
+        selectionsByDataset.set(name, new Map());
+      }
+      const words = selectionsByDataset.get(name);
+      words.set(word, (words.get(word) || 0) + count);
+    }
+
+    const changes = [];
+    for (const name of this.trieRegistry.getNames()) {
+      const trie = this.trieRegistry.get(name);
+      const boosts = this.boosts.get(trie) || new Map();
+      const selected = selectionsByDataset.get(name) || new Map();
+
+      for (const word of new Set([...boosts.keys(), ...selected.keys()])) {
+        const wordSelections = selected.get(word) || 0;
+        if (wordSelections > 0 && wordSelections < this.minSelections) {
+          skipped.belowMinimum++;
+        }
+
+        const previousBoost = boosts.get(word) || 0;
+        const boost = this.calculateBoost(wordSelections);
+        if (boost === previousBoost) {
+          continue;
+        }
+
+        const entry = trie.getEntry(word);
+        if (!entry) {
+          // Deleted since it was boosted, or selected from an older version of the dataset
+          boosts.delete(word);
+          if (wordSelections > 0) {
+            skipped.missingWord++;
+          }
+          continue;
+        }
+
+        if (boost > 0) {
+          boosts.set(word, boost);
+        } else {
+          boosts.delete(word);
+        }
+
+        changes.push({
+          dataset: name,
+          word: entry.word,
+          selections: wordSelections,
+          previousFrequency: round(entry.frequency + previousBoost),
+          frequency: round(entry.frequency + boost),
+          previousBoost,
+          boost
+        });
+      }
+
+      this.boosts.set(trie, boosts);
+    }
+
+    changes.sort((a, b) => Math.abs(b.frequency - b.previousFrequency) - Math.abs(a.frequency - a.previousFrequency));
+
+    return { selections, changes, skipped };
+  }
+
+  /**
+   * Calculates the boost earned by a number of selections
+   * @param {number} selections - Selections in the window
+   * @returns {number} Frequency boost
+   */
+  calculateBoost(selections) {
+    if (selections < this.minSelections) {
+      return 0;
+    }
+    return round(Math.min(this.maxBoost, selections * this.weight));
+  }
+
+  /**
+   * Gets the boost currently applied to a word
+   * @param {Trie|RadixTrie} trie - Dataset Trie
+   * @param {string} word - Word to look up
+   * @returns {number} Frequency boost, 0 if the word is not boosted
+   */
+  getBoost(trie, word) {
+    const boosts = this.boosts.get(trie);
+    return boosts ? boosts.get(trie.normalize(word)) || 0 : 0;
+  }
+
+  /**
+   * Gets the boosted words with the given prefix, highest effective frequency first
+   * Time Complexity: O(B * L + B log B) where B is the number of boosted words of the Trie
+   * and L the longest word
+   * @param {Trie|RadixTrie} trie - Dataset Trie
+   * @param {string} prefix - Prefix to search for
+   * @param {number} limit - Maximum number of results (default: 5)
+   * @returns {Array<{word: string, frequency: number, display?: string, payload?: Object}>} Entries with their dataset frequency
+   */
+  getBoostedWords(trie, prefix, limit = 5) {
+    const boosts = this.boosts.get(trie);
+    if (!boosts || boosts.size === 0 || typeof prefix !== 'string') {
+      return [];
+    }
+
+    const normalizedPrefix = trie.normalize(prefix);
+    if (normalizedPrefix.length === 0) {
+      return [];
+    }
+
+    const boosted = [];
+    for (const [word, boost] of boosts) {
+      const entry = word.startsWith(normalizedPrefix) ? trie.getEntry(word) : null;
+      if (entry) {
+        boosted.push({ entry, frequency: entry.frequency + boost });
+      }
+    }
+
+    return boosted
+      .sort((a, b) => b.frequency - a.frequency)
+      .slice(0, limit)
+      .map(({ entry }) => entry);
+  }
+
+  /**
+   * Checks whether any word of a Trie is boosted
+   * @param {Trie|RadixTrie} trie - Dataset Trie
+   * @returns {boolean} True if the last run boosted at least one word
+   */
+  hasBoosts(trie) {
+    const boosts = this.boosts.get(trie);
+    return boosts !== undefined && boosts.size > 0;
+  }
+
+  /**
+   * Gets the settings, run count and last report
+   * @returns {Object} Feedback statistics
+   */
+  getStats() {
+    return {
+      windowHours: this.windowHours,
+      weight: this.weight,
+      maxBoost: this.maxBoost,
+      minSelections: this.minSelections,
+      interval: this.interval,
+      scheduled: this.timer !== null,
+      running: this.runPromise !== null,
+      runCount: this.runCount,
+      lastReport: this.lastReport
+    };
+  }
+}
+
+/**
+ * Rounds a frequency to three decimals, as the increment endpoint reports them
+ * @param {number} value - Frequency
+ * @returns {number} Rounded frequency
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = FrequencyFeedbackService;
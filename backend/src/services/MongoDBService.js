@@ -62,6 +62,14 @@ class MongoDBService {
         this.isConnected = false;
       });
 
+      // The driver reconnects on its own; mark the connection usable again once a server answers
+      this.client.on('serverHeartbeatSucceeded', () => {
+        if (!this.isConnected && this.db) {
+          console.log('MongoDB connection restored');
+          this.isConnected = true;
+        }
+      });
+
     } catch (error) {
       this.isConnected = false;
       throw new Error(`Failed to connect to MongoDB: ${error.message}`);
@@ -166,6 +174,10 @@ class MongoDBService {
       await trieNodesCollection.createIndex({ character: 1 });
       await trieNodesCollection.createIndex({ isEndOfWord: 1 });
 
+      // Create indexes for trie_deltas collection
+      const deltasCollection = db.collection('trie_deltas');
+      await deltasCollection.createIndex({ version: 1, sequence: 1 }, { unique: true });
+
       // Create indexes for search_analytics collection
       const analyticsCollection = db.collection('search_analytics');
       await analyticsCollection.createIndex({ timestamp: -1 });
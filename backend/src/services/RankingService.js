@@ -0,0 +1,425 @@
+/**
+ * Ranking Service
+ * Scores search results by combining named signals (frequency and decayed popularity,
+ * recency, prefix-match length, payload fields and an edit-distance penalty) with weights that can be
+ * changed per dataset at runtime. Result groups keep their priority (prefix matches,
+ * token matches, typo corrections, phonetic matches); signals order results within
+ * each group and interleave federated results.
+ */
+
+/**
+ * Built-in ranking signals
+ * Each signal maps a candidate to a value between 0 and 1; penalty signals are
+ * subtracted from the score instead of added.
+ */
+const SIGNALS = {
+  frequency: {
+    description: 'Dataset frequency plus time-decayed selection popularity and frequency feedback boost, log-scaled against the most popular candidate',
+    compute: (candidate, context) => logScale(context.getEffectiveFrequency(candidate), context.maxFrequency)
+  },
+  recency: {
+    description: 'Time since the word was last chosen through /search/increment, halving every recencyHalfLife',
+    compute: (candidate, context) => {
+      const lastSelectedAt = context.getLastSelectedAt(candidate.word);
+      if (lastSelectedAt === null) {
+        return 0;
+      }
+      const age = Math.max(0, context.now - lastSelectedAt);
+      return Math.pow(0.5, age / context.recencyHalfLife);
+    }
+  },
+  prefixLength: {
+    description: 'Share of the matched word covered by the query, favouring short completions',
+    compute: (candidate, context) => {
+      const target = candidate.matchedToken || candidate.word;
+      const targetLength = Array.from(target).length;
+      return targetLength > 0 ? Math.min(1, context.queryLength / targetLength) : 0;
+    }
+  },
+  session: {
+    description: 'Boost for words the requesting session has searched or selected before (only with the session parameter)',
+    compute: (candidate, context) => context.getSessionAffinity(candidate.word)
+  },
+  editDistance: {
+    description: 'Penalty of one minus the similarity of typo corrections (0 for exact matches)',
+    penalty: true,
+    compute: candidate => (
+      candidate.type === 'typo_correction' && typeof candidate.similarity === 'number'
+        ? Math.min(1, Math.max(0, 1 - candidate.similarity))
+        : 0
+    )
+  }
+};
+
+/**
+ * Prefix of weight names that rank by a numeric payload field (e.g. "payload.population")
+ */
+const PAYLOAD_SIGNAL_PREFIX = 'payload.';
+
+const PAYLOAD_SIGNAL_PATTERN = /^payload\.[A-Za-z0-9_]+$/;
+
+/**
+ * Weights used for datasets without their own weights
+ * Frequency alone keeps exact matches in frequency order; the edit-distance penalty
+ * keeps close corrections ahead of distant ones. The session boost only applies to
+ * requests that name a session.
+ */
+const DEFAULT_WEIGHTS = {
+  frequency: 1,
+  recency: 0,
+  prefixLength: 0,
+  session: 0.5,
+  editDistance: 1
+};
+
+/**
+ * Result groups in priority order
+ */
+const RESULT_GROUPS = ['exactMatches', 'nextWordMatches', 'tokenMatches', 'typoCorrections', 'phoneticMatches'];
+
+/**
+ * Scales a non-negative value logarithmically against a maximum
+ * @param {number} value - Value to scale
+ * @param {number} max - Largest value among the candidates
+ * @returns {number} Scaled value between 0 and 1
+ */
+function logScale(value, max) {
+  if (!(value > 0) || !(max > 0)) {
+    return 0;
+  }
+  return Math.min(1, Math.log1p(value) / Math.log1p(max));
+}
+
+/**
+ * Reads a numeric payload field, looking in payload.metadata first
+ * @param {Object} candidate - Search result
+ * @param {string} field - Field name
+ * @returns {number|null} Field value or null if missing or not numeric
+ */
+function getPayloadValue(candidate, field) {
+  const payload = candidate.payload;
+  if (!payload) {
+    return null;
+  }
+
+  const value = payload.metadata && payload.metadata[field] !== undefined
+    ? payload.metadata[field]
+    : payload[field];
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+
+  return typeof number === 'number' && Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Orders results by group priority, then by score
+ * @param {Object} a - First result
+ * @param {Object} b - Second result
+ * @returns {number} Sort order
+ */
+function compareResults(a, b) {
+  return (groupRank(a) - groupRank(b)) || (b.score - a.score);
+}
+
+/**
+ * Gets the priority of a result's group (lower ranks first)
+ * @param {Object} result - Search result with type and matchType
+ * @returns {number} Group priority
+ */
+function groupRank(result) {
+  if (result.type === 'next_word') {
+    return 1;
+  }
+  if (result.type === 'typo_correction') {
+    return 3;
+  }
+  if (result.type === 'phonetic_match') {
+    return 4;
+  }
+  return result.matchType === 'token' ? 2 : 0;
+}
+
+class RankingService {
+  /**
+   * Creates a new RankingService
+   * @param {Object} options - Ranking options
+   * @param {Object} options.weights - Default signal weights (merged over DEFAULT_WEIGHTS)
+   * @param {number} options.recencyHalfLife - Milliseconds after which the recency signal halves (default: 24 hours)
+   * @param {number} options.candidatePoolFactor - Candidates fetched per result when more than the dataset frequency can reorder them (default: 3)
+   */
+  constructor(options = {}) {
+    this.defaultWeights = this.validateWeights({ ...DEFAULT_WEIGHTS, ...options.weights });
+    this.datasetWeights = new Map(); // Map<dataset, weights>
+    this.recencyHalfLife = options.recencyHalfLife || 24 * 60 * 60 * 1000;
+    this.candidatePoolFactor = options.candidatePoolFactor || 3;
+  }
+
+  /**
+   * Checks whether a weight name refers to a known signal
+   * @param {string} name - Signal name, or "payload.<field>"
+   * @returns {boolean} True if the signal exists
+   */
+  isKnownSignal(name) {
+    return Object.prototype.hasOwnProperty.call(SIGNALS, name) || PAYLOAD_SIGNAL_PATTERN.test(name);
+  }
+
+  /**
+   * Validates a set of weights
+   * @param {Object} weights - Weights keyed by signal name
+   * @returns {Object} A copy of the weights
+   * @throws {Error} If a signal is unknown or a weight is not a non-negative number
+   */
+  validateWeights(weights) {
+    if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+      throw new Error('Weights must be an object');
+    }
+
+    for (const [name, weight] of Object.entries(weights)) {
+      if (!this.isKnownSignal(name)) {
+        throw new Error(`Unknown ranking signal: ${name}`);
+      }
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Invalid weight for ${name}: ${weight}`);
+      }
+    }
+
+    return { ...weights };
+  }
+
+  /**
+   * Gets the weights applied to a dataset
+   * @param {string|null} dataset - Dataset name (null for the single-Trie setup)
+   * @returns {Object} Default weights overridden by the dataset's own weights
+   */
+  getWeights(dataset = null) {
+    return { ...this.defaultWeights, ...this.datasetWeights.get(dataset) };
+  }
+
+  /**
+   * Sets weights for one dataset, or the defaults for every dataset
+   * Only the given signals change; a weight of 0 switches a signal off.
+   * @param {Object} weights - Weights keyed by signal name
+   * @param {string|null} dataset - Dataset name, or null to change the defaults
+   * @returns {Object} Weights now applied to the dataset (or the defaults)
+   * @throws {Error} If the weights are invalid
+   */
+  setWeights(weights, dataset = null) {
+    const validated = this.validateWeights(weights);
+
+    if (dataset === null) {
+      this.defaultWeights = { ...this.defaultWeights, ...validated };
+      return this.getWeights();
+    }
+
+    this.datasetWeights.set(dataset, { ...this.datasetWeights.get(dataset), ...validated });
+    return this.getWeights(dataset);
+  }
+
+  /**
+   * Removes a dataset's own weights so it uses the defaults again
+   * @param {string} dataset - Dataset name
+   * @returns {boolean} True if the dataset had its own weights
+   */
+  resetWeights(dataset) {
+    return this.datasetWeights.delete(dataset);
+  }
+
+  /**
+   * Gets how many candidates to fetch so signals other than the dataset frequency can reorder them
+   * The Trie returns candidates in dataset frequency order, so extra candidates are needed
+   * when other signals are weighted, selections or frequency feedback have made some words
+   * more popular or the request is personalized by a session with history.
+   * @param {number} limit - Number of results requested
+   * @param {string|null} dataset - Dataset name
+   * @param {Trie|RadixTrie} trie - Dataset Trie (optional)
+   * @param {boolean} personalized - Whether a session history will boost results
+   * @param {FrequencyFeedbackService} frequencyFeedback - Source of frequency boosts (optional)
+   * @returns {number} Candidate count
+   */
+  getCandidateLimit(limit, dataset = null, trie = null, personalized = false, frequencyFeedback = null) {
+    const reorders = Object.entries(this.getWeights(dataset)).some(([name, weight]) => {
+      if (weight === 0 || name === 'editDistance') {
+        return false;
+      }
+      if (name === 'frequency') {
+        return trie !== null && (trie.hasSelections() || (frequencyFeedback !== null && frequencyFeedback.hasBoosts(trie)));
+      }
+      if (name === 'session') {
+        return personalized;
+      }
+      return true;
+    });
+
+    return reorders ? limit * this.candidatePoolFactor : limit;
+  }
+
+  /**
+   * Scores one candidate
+   * @param {Object} candidate - Search result
+   * @param {Object} weights - Signal weights
+   * @param {Object} context - Values shared by every candidate (see createContext)
+   * @returns {{score: number, scoreBreakdown: Object}} Score and per-signal contributions
+   */
+  scoreCandidate(candidate, weights, context) {
+    const scoreBreakdown = {};
+    let score = 0;
+
+    for (const [name, weight] of Object.entries(weights)) {
+      if (weight === 0) {
+        continue;
+      }
+
+      let value;
+      let penalty = false;
+      if (name.startsWith(PAYLOAD_SIGNAL_PREFIX)) {
+        const field = name.slice(PAYLOAD_SIGNAL_PREFIX.length);
+        value = logScale(getPayloadValue(candidate, field), context.maxPayloadValues[field]);
+      } else {
+        value = SIGNALS[name].compute(candidate, context);
+        penalty = SIGNALS[name].penalty === true;
+      }
+
+      const contribution = (penalty ? -1 : 1) * weight * value;
+      score += contribution;
+      scoreBreakdown[name] = {
+        value: round(value),
+        weight,
+        contribution: round(contribution)
+      };
+    }
+
+    return { score: round(score), scoreBreakdown };
+  }
+
+  /**
+   * Collects the values every signal compares candidates against
+   * @param {Array<Object>} candidates - All candidates being ranked
+   * @param {Object} weights - Signal weights
+   * @param {Object} options - Query, dataset, Trie, session and frequency feedback
+   * @returns {Object} Ranking context
+   */
+  createContext(candidates, weights, options) {
+    const now = Date.now();
+    const trie = options.trie || null;
+    const { session = null, sessionHistory = null, frequencyFeedback = null } = options;
+
+    // Popularity decays lazily, so it is read once per candidate at the same instant
+    const popularity = new Map(candidates.map(candidate => [
+      candidate.word,
+      trie ? trie.getPopularity(candidate.word, now) : 0
+    ]));
+    // Frequency feedback boosts are kept beside the dataset frequency, never in it
+    const boosts = new Map(candidates.map(candidate => [
+      candidate.word,
+      trie && frequencyFeedback ? frequencyFeedback.getBoost(trie, candidate.word) : 0
+    ]));
+    const getEffectiveFrequency = candidate => (
+      (candidate.frequency || 0) + popularity.get(candidate.word) + boosts.get(candidate.word)
+    );
+
+    const maxPayloadValues = {};
+    for (const name of Object.keys(weights)) {
+      if (name.startsWith(PAYLOAD_SIGNAL_PREFIX)) {
+        const field = name.slice(PAYLOAD_SIGNAL_PREFIX.length);
+        maxPayloadValues[field] = Math.max(0, ...candidates.map(candidate => getPayloadValue(candidate, field) || 0));
+      }
+    }
+
+    return {
+      queryLength: Array.from(options.query || '').length,
+      maxFrequency: Math.max(0, ...candidates.map(getEffectiveFrequency)),
+      maxPayloadValues,
+      now,
+      recencyHalfLife: this.recencyHalfLife,
+      getEffectiveFrequency,
+      getLastSelectedAt: word => (trie ? trie.getLastSelectedAt(word) : null),
+      getSessionAffinity: word => (session && sessionHistory ? sessionHistory.getAffinity(session, word, now) : 0)
+    };
+  }
+
+  /**
+   * Scores and orders the results of one dataset
+   * Each group is sorted by score (ties keep their original order) and trimmed to
+   * the limit; the combined list takes groups in priority order.
+   * @param {Object} searchResults - Results with exactMatches, nextWordMatches, tokenMatches, typoCorrections and phoneticMatches
+   * @param {Object} options - Ranking options
+   * @param {string} options.query - Normalized query
+   * @param {string|null} options.dataset - Dataset name whose weights apply
+   * @param {number} options.limit - Maximum number of results per group and combined
+   * @param {Trie|RadixTrie} options.trie - Dataset Trie holding selection popularity (optional)
+   * @param {string} options.session - Session whose history boosts results (optional)
+   * @param {SessionHistoryService} options.sessionHistory - Session histories (required with session)
+   * @param {FrequencyFeedbackService} options.frequencyFeedback - Source of frequency boosts added to the frequency signal (optional)
+   * @returns {Object} Ranked results; every result has score and scoreBreakdown
+   */
+  rank(searchResults, options) {
+    const { dataset = null, limit } = options;
+    const weights = this.getWeights(dataset);
+    if (!options.session) {
+      // Anonymous requests are not personalized, so the signal stays out of the breakdown
+      delete weights.session;
+    }
+    const candidates = RESULT_GROUPS.flatMap(group => searchResults[group] || []);
+    const context = this.createContext(candidates, weights, options);
+
+    const ranked = {};
+    for (const group of RESULT_GROUPS) {
+      ranked[group] = (searchResults[group] || [])
+        .map(candidate => ({ ...candidate, ...this.scoreCandidate(candidate, weights, context) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    }
+
+    ranked.combined = RESULT_GROUPS.flatMap(group => ranked[group]).slice(0, limit);
+    return ranked;
+  }
+
+  /**
+   * Gets the available signals and the configured weights
+   * @returns {Object} Signals, default weights, per-dataset weights and recency half-life
+   */
+  getConfig() {
+    const signals = {};
+    for (const [name, signal] of Object.entries(SIGNALS)) {
+      signals[name] = { description: signal.description, penalty: signal.penalty === true };
+    }
+    signals[`${PAYLOAD_SIGNAL_PREFIX}<field>`] = {
+      description: 'Numeric payload field such as population, log-scaled against the largest candidate value',
+      penalty: false
+    };
+
+    return {
+      signals,
+      defaultWeights: { ...this.defaultWeights },
+      datasetWeights: Object.fromEntries(this.datasetWeights),
+      recencyHalfLife: this.recencyHalfLife,
+      candidatePoolFactor: this.candidatePoolFactor
+    };
+  }
+
+  /**
+   * Gets the ranking service from app locals, creating it on first use
+   * @param {Object} locals - Express app.locals
+   * @returns {RankingService} Shared ranking service
+   */
+  static fromLocals(locals) {
+    if (!locals.rankingService) {
+      locals.rankingService = new RankingService();
+    }
+    return locals.rankingService;
+  }
+}
+
+/**
+ * Rounds a score for stable output
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to 4 decimals
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+RankingService.SIGNALS = SIGNALS;
+RankingService.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
+RankingService.compareResults = compareResults;
+
+module.exports = RankingService;
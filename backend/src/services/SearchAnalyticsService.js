@@ -1,13 +1,38 @@
 const mongoDBService = require('./MongoDBService');
 const crypto = require('crypto');
 
+// Type of the entries recorded for selections; search entries have no type
+const SELECTION_TYPE = 'suggestion_selection';
+
 /**
  * Service for tracking and analyzing search usage patterns
  * Stores search queries, response times, and user interactions
  */
 class SearchAnalyticsService {
-  constructor() {
+  /**
+   * Creates a new SearchAnalyticsService
+   * @param {Object} options - Service options
+   * @param {AnalyticsWriteBuffer} options.writeBuffer - Buffer batching recorded entries (default: none, one insert per entry)
+   */
+  constructor(options = {}) {
     this.COLLECTION_NAME = 'search_analytics';
+    this.writeBuffer = options.writeBuffer || null;
+  }
+
+  /**
+   * Writes an analytics entry, through the write buffer when there is one
+   * @param {Object} entry - Analytics document
+   * @returns {Promise<{success: boolean, id: string, entry: Object, buffered: boolean}>} Write result
+   */
+  async writeEntry(entry) {
+    if (this.writeBuffer) {
+      this.writeBuffer.add(entry);
+      return { success: true, id: entry._id, entry, buffered: true };
+    }
+
+    const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
+    const result = await collection.insertOne(entry);
+    return { success: true, id: result.insertedId, entry, buffered: false };
   }
 
   /**
@@ -64,14 +89,7 @@ class SearchAnalyticsService {
         }
       };
 
-      const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
-      const result = await collection.insertOne(analyticsEntry);
-
-      return {
-        success: true,
-        id: result.insertedId,
-        entry: analyticsEntry
-      };
+      return await this.writeEntry(analyticsEntry);
 
     } catch (error) {
       console.error('Error recording search analytics:', error);
@@ -82,10 +100,11 @@ class SearchAnalyticsService {
   /**
    * Records when a user selects a suggestion
    * @param {Object} selectionData - Selection data
-   * @param {string} selectionData.query - Original search query
+   * @param {string|null} selectionData.query - Query the suggestion was selected from (null if unknown)
    * @param {string} selectionData.selectedSuggestion - Selected suggestion
    * @param {string} selectionData.userSession - User session identifier
    * @param {number} selectionData.selectionIndex - Index of selected suggestion
+   * @param {string} selectionData.dataset - Dataset the suggestion belongs to (default: none recorded)
    * @returns {Promise<Object>} Recorded selection entry
    */
   async recordSuggestionSelection(selectionData) {
@@ -94,28 +113,23 @@ class SearchAnalyticsService {
         query,
         selectedSuggestion,
         userSession,
-        selectionIndex = -1
+        selectionIndex = -1,
+        dataset = null
       } = selectionData;
 
       const selectionEntry = {
         _id: crypto.randomUUID(),
-        type: 'suggestion_selection',
-        query: query.toLowerCase().trim(),
-        originalQuery: query,
+        type: SELECTION_TYPE,
+        query: query ? query.toLowerCase().trim() : null,
+        originalQuery: query || null,
         selectedSuggestion,
         selectionIndex,
+        dataset,
         userSession: userSession || 'anonymous',
         timestamp: new Date()
       };
 
-      const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
-      const result = await collection.insertOne(selectionEntry);
-
-      return {
-        success: true,
-        id: result.insertedId,
-        entry: selectionEntry
-      };
+      return await this.writeEntry(selectionEntry);
 
     } catch (error) {
       console.error('Error recording suggestion selection:', error);
@@ -123,6 +137,40 @@ class SearchAnalyticsService {
     }
   }
 
+  /**
+   * Records a search without making the caller wait for the write
+   * Used on the request path: failures are logged by recordSearch and never reach the caller.
+   * @param {Object} searchData - Search data (see recordSearch)
+   */
+  logSearch(searchData) {
+    this.recordSearch(searchData).catch(() => {});
+  }
+
+  /**
+   * Records a suggestion selection without making the caller wait for the write
+   * Used on the request path: failures are logged by recordSuggestionSelection and never reach the caller.
+   * @param {Object} selectionData - Selection data (see recordSuggestionSelection)
+   */
+  logSelection(selectionData) {
+    this.recordSuggestionSelection(selectionData).catch(() => {});
+  }
+
+  /**
+   * Checks whether recorded analytics can be queried
+   * @returns {boolean} True if MongoDB is connected
+   */
+  isAvailable() {
+    return Boolean(mongoDBService.isConnectedToMongoDB());
+  }
+
+  /**
+   * Writes every buffered entry and stops timed flushes
+   * @returns {Promise<Object|null>} Result of the final flush, or null without a write buffer
+   */
+  async drain() {
+    return this.writeBuffer ? this.writeBuffer.drain() : null;
+  }
+
   /**
    * Gets popular search queries within a time range
    * @param {Object} options - Query options
@@ -145,6 +193,7 @@ class SearchAnalyticsService {
         {
           $match: {
             timestamp: { $gte: startDate, $lte: endDate },
+            type: { $ne: SELECTION_TYPE },
             query: { $ne: '' }
           }
         },
@@ -202,7 +251,8 @@ class SearchAnalyticsService {
       const pipeline = [
         {
           $match: {
-            timestamp: { $gte: startDate, $lte: endDate }
+            timestamp: { $gte: startDate, $lte: endDate },
+            type: { $ne: SELECTION_TYPE }
           }
         },
         {
@@ -309,7 +359,8 @@ class SearchAnalyticsService {
       const pipeline = [
         {
           $match: {
-            timestamp: { $gte: startDate, $lte: endDate }
+            timestamp: { $gte: startDate, $lte: endDate },
+            type: { $ne: SELECTION_TYPE }
           }
         },
         {
@@ -372,7 +423,8 @@ class SearchAnalyticsService {
         {
           $group: {
             _id: null,
-            totalSearches: { $sum: 1 },
+            // Selection entries only count towards selections
+            totalSearches: { $sum: { $cond: [{ $eq: ['$type', SELECTION_TYPE] }, 0, 1] } },
             avgResponseTime: { $avg: '$responseTime' },
             avgResultCount: { $avg: '$resultCount' },
             firstSearched: { $min: '$timestamp' },
@@ -418,6 +470,288 @@ class SearchAnalyticsService {
     }
   }
 
+  /**
+   * Gets the click-through rate of each query
+   * A query's CTR is the share of its searches followed by a suggestion selection.
+   * Selections recorded without the query they were made from count towards no query.
+   * @param {Object} options - Query options
+   * @param {Date} options.startDate - Start date for analysis
+   * @param {Date} options.endDate - End date for analysis
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.minSearches - Searches a query needs to be listed (default: 1)
+   * @returns {Promise<Array<Object>>} Queries with searches, selections, CTR (%) and mean selected position, most searched first
+   */
+  async getClickThroughRates(options = {}) {
+    try {
+      const {
+        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
+        endDate = new Date(),
+        limit = 50,
+        minSearches = 1
+      } = options;
+
+      const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
+      const isSelection = { $eq: ['$type', SELECTION_TYPE] };
+
+      const pipeline = [
+        {
+          $match: {
+            timestamp: { $gte: startDate, $lte: endDate },
+            query: { $nin: ['', null] }
+          }
+        },
+        {
+          $group: {
+            _id: '$query',
+            searches: { $sum: { $cond: [isSelection, 0, 1] } },
+            selections: { $sum: { $cond: [isSelection, 1, 0] } },
+            // Selections recorded without a position (-1) are left out of the mean
+            avgSelectedPosition: {
+              $avg: {
+                $cond: [
+                  { $and: [isSelection, { $gte: ['$selectionIndex', 0] }] },
+                  '$selectionIndex',
+                  null
+                ]
+              }
+            }
+          }
+        },
+        {
+          $match: {
+            searches: { $gte: Math.max(1, minSearches) }
+          }
+        },
+        {
+          $sort: { searches: -1, selections: -1 }
+        },
+        {
+          $limit: limit
+        },
+        {
+          $project: {
+            query: '$_id',
+            searches: 1,
+            selections: 1,
+            ctr: {
+              $round: [
+                { $multiply: [
+                  { $divide: [{ $min: ['$selections', '$searches'] }, '$searches'] },
+                  100
+                ]},
+                2
+              ]
+            },
+            avgSelectedPosition: { $round: ['$avgSelectedPosition', 2] },
+            _id: 0
+          }
+        }
+      ];
+
+      return await collection.aggregate(pipeline).toArray();
+
+    } catch (error) {
+      console.error('Error getting click-through rates:', error);
+      throw new Error(`Failed to get click-through rates: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets how often each suggestion position was selected
+   * @param {Object} options - Query options
+   * @param {Date} options.startDate - Start date for analysis
+   * @param {Date} options.endDate - End date for analysis
+   * @param {string} options.query - Only count selections made from this query (default: all queries)
+   * @returns {Promise<Object>} Selection count, mean position and per-position counts and shares (%)
+   */
+  async getSelectionPositions(options = {}) {
+    try {
+      const {
+        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
+        endDate = new Date(),
+        query = null
+      } = options;
+
+      const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
+
+      const match = {
+        timestamp: { $gte: startDate, $lte: endDate },
+        type: SELECTION_TYPE,
+        selectionIndex: { $gte: 0 }
+      };
+      if (query) {
+        match.query = query.toLowerCase().trim();
+      }
+
+      const pipeline = [
+        {
+          $match: match
+        },
+        {
+          $group: {
+            _id: '$selectionIndex',
+            count: { $sum: 1 }
+          }
+        },
+        {
+          $sort: { _id: 1 }
+        }
+      ];
+
+      const buckets = await collection.aggregate(pipeline).toArray();
+      const totalSelections = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+      const positionSum = buckets.reduce((sum, bucket) => sum + bucket._id * bucket.count, 0);
+
+      return {
+        totalSelections,
+        meanPosition: totalSelections > 0 ? Math.round((positionSum / totalSelections) * 100) / 100 : null,
+        positions: buckets.map(bucket => ({
+          position: bucket._id,
+          count: bucket.count,
+          share: Math.round((bucket.count / totalSelections) * 10000) / 100
+        }))
+      };
+
+    } catch (error) {
+      console.error('Error getting selection positions:', error);
+      throw new Error(`Failed to get selection positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets how often each suggestion was selected, per dataset
+   * @param {Object} options - Query options
+   * @param {Date} options.startDate - Start date for analysis
+   * @param {Date} options.endDate - End date for analysis
+   * @param {number} options.limit - Maximum number of results
+   * @returns {Promise<Array<{dataset: string|null, suggestion: string, count: number}>>} Selection counts, most selected first
+   */
+  async getSelectionCounts(options = {}) {
+    try {
+      const {
+        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
+        endDate = new Date(),
+        limit = 10000
+      } = options;
+
+      const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
+
+      const pipeline = [
+        {
+          $match: {
+            timestamp: { $gte: startDate, $lte: endDate },
+            type: SELECTION_TYPE,
+            selectedSuggestion: { $nin: [null, ''] }
+          }
+        },
+        {
+          $group: {
+            // Selections recorded before datasets were tracked have no dataset
+            _id: { dataset: { $ifNull: ['$dataset', null] }, suggestion: '$selectedSuggestion' },
+            count: { $sum: 1 }
+          }
+        },
+        {
+          $sort: { count: -1 }
+        },
+        {
+          $limit: limit
+        },
+        {
+          $project: {
+            dataset: '$_id.dataset',
+            suggestion: '$_id.suggestion',
+            count: 1,
+            _id: 0
+          }
+        }
+      ];
+
+      return await collection.aggregate(pipeline).toArray();
+
+    } catch (error) {
+      console.error('Error getting selection counts:', error);
+      throw new Error(`Failed to get selection counts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the queries that most often returned no suggestions
+   * Ranked by searches, then by distinct sessions, so terms many users miss come first;
+   * these are the candidates for adding to the datasets.
+   * @param {Object} options - Query options
+   * @param {Date} options.startDate - Start date for analysis
+   * @param {Date} options.endDate - End date for analysis
+   * @param {number} options.limit - Maximum number of results
+   * @param {number} options.minSearches - Zero-result searches a query needs to be listed (default: 1)
+   * @returns {Promise<Array<Object>>} Ranked queries with zero-result searches, sessions and last search
+   */
+  async getZeroResultQueries(options = {}) {
+    try {
+      const {
+        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // Last 30 days
+        endDate = new Date(),
+        limit = 50,
+        minSearches = 1
+      } = options;
+
+      const collection = mongoDBService.getCollection(this.COLLECTION_NAME);
+
+      const pipeline = [
+        {
+          $match: {
+            timestamp: { $gte: startDate, $lte: endDate },
+            type: { $ne: SELECTION_TYPE },
+            resultCount: 0,
+            query: { $ne: '' }
+          }
+        },
+        {
+          $group: {
+            _id: '$query',
+            searches: { $sum: 1 },
+            sessions: { $addToSet: '$userSession' },
+            lastSearched: { $max: '$timestamp' }
+          }
+        },
+        {
+          $project: {
+            searches: 1,
+            uniqueSessions: { $size: '$sessions' },
+            lastSearched: 1
+          }
+        },
+        {
+          $match: {
+            searches: { $gte: Math.max(1, minSearches) }
+          }
+        },
+        {
+          $sort: { searches: -1, uniqueSessions: -1, lastSearched: -1 }
+        },
+        {
+          $limit: limit
+        },
+        {
+          $project: {
+            query: '$_id',
+            searches: 1,
+            uniqueSessions: 1,
+            lastSearched: 1,
+            _id: 0
+          }
+        }
+      ];
+
+      const queries = await collection.aggregate(pipeline).toArray();
+      return queries.map((entry, index) => ({ rank: index + 1, ...entry }));
+
+    } catch (error) {
+      console.error('Error getting zero-result queries:', error);
+      throw new Error(`Failed to get zero-result queries: ${error.message}`);
+    }
+  }
+
   /**
    * Cleans up old analytics data
    * @param {number} daysToKeep - Number of days of data to keep
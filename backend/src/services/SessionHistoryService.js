@@ -0,0 +1,248 @@
+/**
+ * Session History Service
+ * Remembers the terms each user session has searched or selected so search
+ * results can be personalized. Histories are kept in memory, bounded per session
+ * and in session count, and expire after a period of inactivity.
+ */
+
+/**
+ * Weight of a selection relative to a search when computing affinity
+ * Choosing a suggestion is a stronger signal than typing a query.
+ */
+const SELECTION_WEIGHT = 3;
+
+class SessionHistoryService {
+  /**
+   * Creates a new SessionHistoryService
+   * @param {Object} options - History options
+   * @param {number} options.maxSessions - Sessions kept before the least recently active is evicted (default: 10000)
+   * @param {number} options.maxTermsPerSession - Terms kept per session before the oldest is dropped (default: 50)
+   * @param {number} options.ttl - Milliseconds of inactivity after which a session is forgotten (default: 30 minutes)
+   */
+  constructor(options = {}) {
+    this.maxSessions = options.maxSessions || 10000;
+    this.maxTermsPerSession = options.maxTermsPerSession || 50;
+    this.ttl = options.ttl || 30 * 60 * 1000;
+    // Map<session, {terms: Map<term, {searches, selections, lastSeenAt}>, updatedAt}>
+    // Insertion order doubles as activity order: touched sessions are moved to the end
+    this.sessions = new Map();
+    this.stats = {
+      searches: 0,
+      selections: 0,
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  /**
+   * Normalizes a term for storage and lookup
+   * @param {string} term - Query or selected word
+   * @returns {string} Lowercased, trimmed term
+   */
+  normalizeTerm(term) {
+    return term.toLowerCase().trim();
+  }
+
+  /**
+   * Records a query searched by a session
+   * @param {string} session - Session identifier
+   * @param {string} query - Search query
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the query was recorded
+   */
+  recordSearch(session, query, now = Date.now()) {
+    if (!this.record(session, query, 'searches', now)) {
+      return false;
+    }
+    this.stats.searches++;
+    return true;
+  }
+
+  /**
+   * Records a suggestion selected by a session
+   * @param {string} session - Session identifier
+   * @param {string} word - Selected word
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the selection was recorded
+   */
+  recordSelection(session, word, now = Date.now()) {
+    if (!this.record(session, word, 'selections', now)) {
+      return false;
+    }
+    this.stats.selections++;
+    return true;
+  }
+
+  /**
+   * Adds one search or selection to a session's history
+   * @param {string} session - Session identifier
+   * @param {string} term - Query or selected word
+   * @param {string} counter - 'searches' or 'selections'
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the term was recorded
+   */
+  record(session, term, counter, now) {
+    if (!session || typeof session !== 'string' || !term || typeof term !== 'string') {
+      return false;
+    }
+
+    const normalized = this.normalizeTerm(term);
+    if (!normalized) {
+      return false;
+    }
+
+    let history = this.getActiveHistory(session, now);
+    if (!history) {
+      history = { terms: new Map(), updatedAt: now };
+      this.evictIfFull();
+    }
+
+    const entry = history.terms.get(normalized) || { searches: 0, selections: 0, lastSeenAt: now };
+    entry[counter]++;
+    entry.lastSeenAt = now;
+
+    // Re-insert so the most recently seen terms and sessions sit at the end
+    history.terms.delete(normalized);
+    history.terms.set(normalized, entry);
+    if (history.terms.size > this.maxTermsPerSession) {
+      history.terms.delete(history.terms.keys().next().value);
+    }
+
+    history.updatedAt = now;
+    this.sessions.delete(session);
+    this.sessions.set(session, history);
+    return true;
+  }
+
+  /**
+   * Gets a session's history, dropping it if it has expired
+   * @param {string} session - Session identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object|null} History or null if unknown or expired
+   */
+  getActiveHistory(session, now = Date.now()) {
+    const history = this.sessions.get(session);
+    if (!history) {
+      return null;
+    }
+
+    if (now - history.updatedAt > this.ttl) {
+      this.sessions.delete(session);
+      this.stats.expirations++;
+      return null;
+    }
+
+    return history;
+  }
+
+  /**
+   * Evicts the least recently active session when the session limit is reached
+   */
+  evictIfFull() {
+    while (this.sessions.size >= this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Checks whether a session has any active history
+   * @param {string} session - Session identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if the session has searched or selected something
+   */
+  hasHistory(session, now = Date.now()) {
+    return typeof session === 'string' && this.getActiveHistory(session, now) !== null;
+  }
+
+  /**
+   * Gets how strongly a session is drawn to a term
+   * Selections count SELECTION_WEIGHT times as much as searches; the sum is mapped
+   * to 0-1 so one search already gives a noticeable boost and repeats saturate.
+   * @param {string} session - Session identifier
+   * @param {string} term - Candidate word
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Affinity between 0 (never seen) and 1
+   */
+  getAffinity(session, term, now = Date.now()) {
+    const history = typeof session === 'string' ? this.getActiveHistory(session, now) : null;
+    const entry = history && typeof term === 'string' ? history.terms.get(this.normalizeTerm(term)) : null;
+    if (!entry) {
+      return 0;
+    }
+
+    const weight = entry.searches + entry.selections * SELECTION_WEIGHT;
+    return weight / (weight + 1);
+  }
+
+  /**
+   * Gets a session's history, most recent term first
+   * @param {string} session - Session identifier
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} Terms with searches, selections and lastSeenAt
+   */
+  getHistory(session, now = Date.now()) {
+    const history = this.getActiveHistory(session, now);
+    if (!history) {
+      return [];
+    }
+
+    return Array.from(history.terms, ([term, entry]) => ({ term, ...entry })).reverse();
+  }
+
+  /**
+   * Forgets a session's history
+   * @param {string} session - Session identifier
+   * @returns {boolean} True if the session had a history
+   */
+  clearSession(session) {
+    return this.sessions.delete(session);
+  }
+
+  /**
+   * Removes every expired session
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Number of sessions removed
+   */
+  cleanup(now = Date.now()) {
+    let removed = 0;
+    for (const [session, history] of this.sessions) {
+      if (now - history.updatedAt > this.ttl) {
+        this.sessions.delete(session);
+        removed++;
+      }
+    }
+    this.stats.expirations += removed;
+    return removed;
+  }
+
+  /**
+   * Gets history statistics
+   * @returns {Object} Session count, limits and counters
+   */
+  getStats() {
+    return {
+      sessions: this.sessions.size,
+      maxSessions: this.maxSessions,
+      maxTermsPerSession: this.maxTermsPerSession,
+      ttl: this.ttl,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Gets the session history service from app locals, creating it on first use
+   * @param {Object} locals - Express app.locals
+   * @returns {SessionHistoryService} Shared session history service
+   */
+  static fromLocals(locals) {
+    if (!locals.sessionHistoryService) {
+      locals.sessionHistoryService = new SessionHistoryService();
+    }
+    return locals.sessionHistoryService;
+  }
+}
+
+SessionHistoryService.SELECTION_WEIGHT = SELECTION_WEIGHT;
+
+module.exports = SessionHistoryService;
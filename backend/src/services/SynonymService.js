@@ -0,0 +1,236 @@
+/**
+ * Synonym Service
+ * Holds the alias dictionary used to expand queries before they reach the Trie, so
+ * "nyc" also searches "new york" and "tv" also searches "television". Aliases are
+ * one-way and whole-word: an alias only expands when the query contains all of its words.
+ * Every change bumps the dictionary version, which cache keys include.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { defaultNormalizer } = require('../utils/textNormalizer');
+
+const DEFAULT_SYNONYMS_PATH = path.join(__dirname, '../config/synonyms.json');
+
+class SynonymService {
+  /**
+   * Creates a new SynonymService
+   * @param {Object} options - Synonym options
+   * @param {Function} options.normalizer - Text normalizer applied to aliases, expansions and queries (default: defaultNormalizer)
+   * @param {number} options.maxExpansions - Expanded queries searched per query (default: 5)
+   */
+  constructor(options = {}) {
+    this.normalizer = options.normalizer || defaultNormalizer;
+    this.maxExpansions = options.maxExpansions || 5;
+    this.aliases = new Map(); // Map<alias, string[]>
+    this.maxAliasWords = 0;
+    this.version = 0;
+  }
+
+  /**
+   * Normalizes a term and collapses its whitespace
+   * @param {string} term - Alias, expansion or query
+   * @returns {string} Normalized term
+   */
+  normalize(term) {
+    return typeof term === 'string' ? this.splitWords(this.normalizer(term)).join(' ') : '';
+  }
+
+  /**
+   * Splits normalized text into whitespace-separated words
+   * @param {string} text - Normalized text
+   * @returns {string[]} Words
+   */
+  splitWords(text) {
+    return text.split(/\s+/).filter(word => word.length > 0);
+  }
+
+  /**
+   * Sets the expansions of an alias, replacing any it had
+   * @param {string} alias - Term users type (e.g. "nyc")
+   * @param {string|string[]} expansions - Terms the alias stands for (e.g. "new york")
+   * @returns {{alias: string, expansions: string[]}} Normalized dictionary entry
+   * @throws {Error} If the alias or expansions are empty, or the alias expands to itself
+   */
+  setAlias(alias, expansions) {
+    const normalizedAlias = this.normalize(alias);
+    if (!normalizedAlias) {
+      throw new Error('Alias must be a non-empty string');
+    }
+
+    const list = Array.isArray(expansions) ? expansions : [expansions];
+    const normalizedExpansions = [...new Set(list.map(expansion => this.normalize(expansion)))];
+    if (normalizedExpansions.length === 0 || normalizedExpansions.includes('')) {
+      throw new Error(`Expansions of "${normalizedAlias}" must be non-empty strings`);
+    }
+    if (normalizedExpansions.includes(normalizedAlias)) {
+      throw new Error(`Alias "${normalizedAlias}" cannot expand to itself`);
+    }
+
+    this.aliases.set(normalizedAlias, normalizedExpansions);
+    this.maxAliasWords = Math.max(this.maxAliasWords, this.splitWords(normalizedAlias).length);
+    this.version++;
+
+    return { alias: normalizedAlias, expansions: normalizedExpansions };
+  }
+
+  /**
+   * Removes an alias
+   * @param {string} alias - Alias to remove
+   * @returns {boolean} True if the alias existed
+   */
+  removeAlias(alias) {
+    if (!this.aliases.delete(this.normalize(alias))) {
+      return false;
+    }
+
+    this.maxAliasWords = Math.max(0, ...Array.from(this.aliases.keys(), key => this.splitWords(key).length));
+    this.version++;
+    return true;
+  }
+
+  /**
+   * Gets the expansions of an alias
+   * @param {string} alias - Alias
+   * @returns {string[]|null} Expansions or null if the alias is unknown
+   */
+  getAlias(alias) {
+    const expansions = this.aliases.get(this.normalize(alias));
+    return expansions ? [...expansions] : null;
+  }
+
+  /**
+   * Replaces the dictionary
+   * @param {Object} dictionary - Expansions (string or array) keyed by alias
+   * @returns {number} Number of aliases loaded
+   * @throws {Error} If an entry is invalid; the previous dictionary is kept
+   */
+  load(dictionary) {
+    if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+      throw new Error('Synonym dictionary must map aliases to expansions');
+    }
+
+    const previous = { aliases: this.aliases, maxAliasWords: this.maxAliasWords };
+    this.aliases = new Map();
+    this.maxAliasWords = 0;
+
+    try {
+      for (const [alias, expansions] of Object.entries(dictionary)) {
+        this.setAlias(alias, expansions);
+      }
+    } catch (error) {
+      this.aliases = previous.aliases;
+      this.maxAliasWords = previous.maxAliasWords;
+      throw error;
+    }
+
+    this.version++;
+    return this.aliases.size;
+  }
+
+  /**
+   * Loads the dictionary from a JSON or YAML file
+   * The file maps each alias to one expansion or a list of expansions.
+   * @param {string} filePath - Dictionary file (default: src/config/synonyms.json)
+   * @returns {number} Number of aliases loaded
+   * @throws {Error} If the file cannot be read or parsed
+   */
+  loadFromFile(filePath = DEFAULT_SYNONYMS_PATH) {
+    const absolutePath = path.resolve(filePath || DEFAULT_SYNONYMS_PATH);
+    const content = fs.readFileSync(absolutePath, 'utf8');
+    const extension = path.extname(absolutePath).toLowerCase();
+
+    let dictionary;
+    try {
+      dictionary = extension === '.yaml' || extension === '.yml' ? yaml.load(content) : JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse synonym file ${absolutePath}: ${error.message}`);
+    }
+
+    return this.load(dictionary);
+  }
+
+  /**
+   * Expands a query by replacing each alias it contains with its expansions
+   * Longer aliases are tried first at each position, so "big apple" wins over "big".
+   * Time Complexity: O(W * A) where W is the number of query words and A the longest alias in words
+   * @param {string} query - Search query
+   * @returns {Array<{alias: string, expansion: string, query: string}>} Expanded queries (at most maxExpansions)
+   */
+  expand(query) {
+    const words = this.splitWords(this.normalize(query));
+    const original = words.join(' ');
+    const expansions = new Map(); // Map<expandedQuery, expansion>
+
+    for (let start = 0; start < words.length; start++) {
+      const longest = Math.min(this.maxAliasWords, words.length - start);
+      for (let length = longest; length >= 1; length--) {
+        const alias = words.slice(start, start + length).join(' ');
+        const targets = this.aliases.get(alias);
+        if (!targets) {
+          continue;
+        }
+
+        for (const expansion of targets) {
+          const expandedQuery = [...words.slice(0, start), expansion, ...words.slice(start + length)].join(' ');
+          if (expandedQuery !== original && !expansions.has(expandedQuery)) {
+            expansions.set(expandedQuery, { alias, expansion, query: expandedQuery });
+          }
+        }
+      }
+    }
+
+    return Array.from(expansions.values()).slice(0, this.maxExpansions);
+  }
+
+  /**
+   * Gets the dictionary
+   * @returns {Object} Expansions keyed by alias
+   */
+  getAliases() {
+    return Object.fromEntries(Array.from(this.aliases, ([alias, expansions]) => [alias, [...expansions]]));
+  }
+
+  /**
+   * Gets the dictionary version, bumped on every change
+   * @returns {number} Version
+   */
+  getVersion() {
+    return this.version;
+  }
+
+  /**
+   * Gets statistics about the dictionary
+   * @returns {Object} Alias count, expansion count and version
+   */
+  getStats() {
+    let expansionCount = 0;
+    for (const expansions of this.aliases.values()) {
+      expansionCount += expansions.length;
+    }
+
+    return {
+      aliasCount: this.aliases.size,
+      expansionCount,
+      maxExpansions: this.maxExpansions,
+      version: this.version
+    };
+  }
+
+  /**
+   * Gets the synonym service from app locals, creating an empty one on first use
+   * @param {Object} locals - Express app.locals
+   * @returns {SynonymService} Shared synonym service
+   */
+  static fromLocals(locals) {
+    if (!locals.synonymService) {
+      locals.synonymService = new SynonymService();
+    }
+    return locals.synonymService;
+  }
+}
+
+SynonymService.DEFAULT_SYNONYMS_PATH = DEFAULT_SYNONYMS_PATH;
+
+module.exports = SynonymService;
@@ -0,0 +1,272 @@
+/**
+ * Trie Change Journal
+ * Records the inserts, deletes, frequency and popularity changes of a Trie so they can be
+ * persisted as small deltas on top of a snapshot written by TriePersistenceService, instead of
+ * rewriting every node. Every change is absolute (it carries the resulting frequency, not
+ * the increment), so replaying a delta twice gives the same Trie. Pending changes to the
+ * same word are coalesced: a hundred frequency bumps of one word flush as one change.
+ */
+
+class TrieChangeJournal {
+  /**
+   * Creates a new TrieChangeJournal
+   * @param {Object} options - Journal options
+   * @param {TriePersistenceService} options.persistenceService - Service saving deltas and compacting snapshots
+   * @param {string} options.version - Snapshot version the deltas apply to
+   * @param {number} options.flushInterval - Milliseconds between timed flushes (default: 300000)
+   * @param {number} options.compactAfter - Deltas on a snapshot that trigger a compaction, 0 disables (default: 50)
+   */
+  constructor(options = {}) {
+    this.persistenceService = options.persistenceService || null;
+    this.version = options.version || null;
+    this.flushInterval = options.flushInterval || 300000;
+    this.compactAfter = options.compactAfter === undefined ? 50 : options.compactAfter;
+    this.changes = new Map(); // Map<key, change>, in recording order
+    this.barrierCount = 0; // Gives deletePrefix and clear changes unique keys
+    this.trie = null;
+    this.timer = null;
+    this.flushPromise = null;
+    this.stats = {
+      recorded: 0,
+      flushed: 0,
+      deltas: 0,
+      compactions: 0,
+      failedFlushes: 0
+    };
+  }
+
+  /**
+   * Starts recording the changes of a Trie
+   * @param {Trie|RadixTrie} trie - Trie to journal
+   * @returns {TrieChangeJournal} This journal
+   */
+  attach(trie) {
+    this.detach();
+    trie.setChangeJournal(this);
+    this.trie = trie;
+    return this;
+  }
+
+  /**
+   * Stops recording the changes of the attached Trie
+   */
+  detach() {
+    if (this.trie) {
+      this.trie.setChangeJournal(null);
+      this.trie = null;
+    }
+  }
+
+  /**
+   * Records a change (called by the Trie)
+   * @param {Object} change - Change with an op ('insert', 'frequency', 'popularity', 'delete', 'deletePrefix' or 'clear')
+   */
+  record(change) {
+    this.merge(change);
+    this.stats.recorded++;
+  }
+
+  /**
+   * Adds a change to the pending ones, replacing the pending change of the same word
+   * A frequency or popularity change keeps a pending insert of the word, so its display form and
+   * payload are not lost. Popularity is pending apart from the word's other changes, since
+   * frequency changes do not carry it; an insert or delete supersedes it.
+   * Time Complexity: O(1), O(P) for clear where P is the number of pending changes
+   * @param {Object} change - Change
+   */
+  merge(change) {
+    if (change.op === 'clear') {
+      // Nothing recorded before a clear survives it
+      this.changes.clear();
+      this.changes.set(`clear:${this.barrierCount++}`, change);
+      return;
+    }
+
+    if (change.op === 'deletePrefix') {
+      this.changes.set(`prefix:${this.barrierCount++}`, change);
+      return;
+    }
+
+    // Re-adding the key moves the word's change after any deletePrefix recorded meanwhile
+    const key = `word:${change.word}`;
+    const popularityKey = `popularity:${change.word}`;
+    const previous = this.changes.get(key);
+
+    if (change.op === 'popularity') {
+      if (previous && previous.op === 'insert') {
+        this.changes.set(key, {
+          ...previous,
+          popularity: change.popularity,
+          popularityUpdatedAt: change.popularityUpdatedAt
+        });
+      } else {
+        this.changes.delete(popularityKey);
+        this.changes.set(popularityKey, change);
+      }
+      return;
+    }
+
+    this.changes.delete(key);
+    if (change.op === 'insert' || change.op === 'delete') {
+      this.changes.delete(popularityKey);
+    }
+
+    if (change.op === 'frequency' && previous && previous.op === 'insert') {
+      this.changes.set(key, { ...previous, frequency: change.frequency });
+    } else {
+      this.changes.set(key, change);
+    }
+  }
+
+  /**
+   * Gets the number of pending changes
+   * @returns {number} Pending changes
+   */
+  size() {
+    return this.changes.size;
+  }
+
+  /**
+   * Removes and returns the pending changes
+   * @returns {Array<Object>} Changes in the order they must be replayed
+   */
+  takeChanges() {
+    const changes = Array.from(this.changes.values());
+    this.changes = new Map();
+    return changes;
+  }
+
+  /**
+   * Puts changes that could not be saved back in front of those recorded meanwhile
+   * @param {Array<Object>} changes - Changes returned by takeChanges
+   */
+  requeue(changes) {
+    const newer = Array.from(this.changes.values());
+    this.changes = new Map();
+    for (const change of [...changes, ...newer]) {
+      this.merge(change);
+    }
+  }
+
+  /**
+   * Starts timed flushes
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch(error => console.error('[TRIE] Delta flush failed:', error.message));
+    }, this.flushInterval);
+
+    // Timed flushes alone must not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stops timed flushes
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Saves the pending changes as one delta, compacting the snapshot once it has compactAfter deltas
+   * Flushes and compactions run one at a time; changes recorded meanwhile wait for the next flush.
+   * @returns {Promise<{saved: number, sequence: number|null, compacted: boolean}>} Changes saved, delta sequence and whether a compaction ran
+   * @throws {Error} If the delta cannot be saved; its changes stay pending
+   */
+  async flush() {
+    while (this.flushPromise) {
+      await this.flushPromise.catch(() => {});
+    }
+
+    this.flushPromise = this.saveDelta();
+    try {
+      return await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+
+  /**
+   * Performs one flush
+   * @returns {Promise<{saved: number, sequence: number|null, compacted: boolean}>} Flush result
+   */
+  async saveDelta() {
+    const result = { saved: 0, sequence: null, compacted: false };
+    if (this.changes.size === 0 || !this.persistenceService || !this.version) {
+      return result;
+    }
+
+    const changes = this.takeChanges();
+    let delta;
+    try {
+      delta = await this.persistenceService.saveDelta(this.version, changes);
+    } catch (error) {
+      this.requeue(changes);
+      this.stats.failedFlushes++;
+      throw error;
+    }
+
+    this.stats.flushed += changes.length;
+    this.stats.deltas++;
+    result.saved = changes.length;
+    result.sequence = delta.sequence;
+
+    if (this.compactAfter > 0 && delta.sequence >= this.compactAfter) {
+      try {
+        await this.compact();
+        result.compacted = true;
+      } catch (error) {
+        // The deltas stay valid on the old snapshot; the next flush retries
+        console.warn(`[TRIE] Compacting snapshot ${this.version} failed: ${error.message}`);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Folds the saved deltas into a new snapshot that later deltas apply to
+   * @returns {Promise<Object>} Compaction result from TriePersistenceService.compactBackup
+   */
+  async compact() {
+    const result = await this.persistenceService.compactBackup(this.version);
+    this.version = result.version;
+    if (result.compacted) {
+      this.stats.compactions++;
+      console.log(`[TRIE] Compacted ${result.deltasFolded} deltas into snapshot ${result.version}`);
+    }
+    return result;
+  }
+
+  /**
+   * Stops timed flushes and saves the pending changes
+   * @returns {Promise<Object>} Result of the final flush
+   */
+  async drain() {
+    this.stop();
+    return this.flush();
+  }
+
+  /**
+   * Gets journal statistics
+   * @returns {Object} Snapshot version, pending changes, settings and counters
+   */
+  getStats() {
+    return {
+      version: this.version,
+      pending: this.changes.size,
+      flushInterval: this.flushInterval,
+      compactAfter: this.compactAfter,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = TrieChangeJournal;
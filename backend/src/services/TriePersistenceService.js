@@ -1,16 +1,48 @@
 const mongoDBService = require('./MongoDBService');
 const Trie = require('../data-structures/Trie');
 const TrieNode = require('../data-structures/TrieNode');
+const RadixTrie = require('../data-structures/RadixTrie');
+const RadixTrieNode = require('../data-structures/RadixTrieNode');
 
 /**
  * Service for persisting Trie data to MongoDB and restoring it
  * Handles serialization, backup, and restore operations
+ * A backup is a full snapshot of the nodes plus the deltas saved on top of it by a
+ * TrieChangeJournal; restoring replays the deltas, and compaction folds them into a new snapshot.
  */
 class TriePersistenceService {
-  constructor() {
+  /**
+   * Creates a new TriePersistenceService
+   * @param {Object} options - Service options
+   * @param {Object} options.trieOptions - Options for restored Tries, such as normalizer and popularityHalfLife,
+   *   which must match those of the Tries that were backed up
+   */
+  constructor(options = {}) {
+    this.trieOptions = options.trieOptions || {};
     this.COLLECTIONS = {
       TRIE_NODES: 'trie_nodes',
-      TRIE_METADATA: 'trie_metadata'
+      TRIE_METADATA: 'trie_metadata',
+      TRIE_DELTAS: 'trie_deltas'
+    };
+  }
+
+  /**
+   * Describes what a dataset Trie is built from, for the source of its backups
+   * A backup is only restored while the description of the dataset is unchanged.
+   * @param {Object} dataset - Dataset with filePath, size and modifiedAt (milliseconds), or {key} for sample data
+   * @param {Object} normalization - Text normalization settings (unicodeForm, stripDiacritics, caseFolding)
+   * @returns {Object} Dataset file size and modification time, and the normalization settings
+   */
+  static describeSource(dataset, normalization) {
+    return {
+      filePath: dataset.filePath || null,
+      size: dataset.size === undefined ? null : dataset.size,
+      modifiedAt: dataset.modifiedAt === undefined ? null : dataset.modifiedAt,
+      normalization: {
+        unicodeForm: normalization.unicodeForm,
+        stripDiacritics: normalization.stripDiacritics,
+        caseFolding: normalization.caseFolding
+      }
     };
   }
 
@@ -18,11 +50,14 @@ class TriePersistenceService {
    * Exports Trie data to MongoDB for persistence
    * @param {Trie} trie - Trie instance to backup
    * @param {string} version - Version identifier for this backup
+   * @param {Object} options - Backup options
+   * @param {string} options.dataset - Dataset the Trie indexes, so its backups can be found by name
+   * @param {Object} options.source - Description of the dataset file, to tell whether the backup is stale
    * @returns {Promise<Object>} Backup result with statistics
    */
-  async exportTrieToMongoDB(trie, version = null) {
+  async exportTrieToMongoDB(trie, version = null, options = {}) {
     try {
-      if (!trie || !(trie instanceof Trie)) {
+      if (!trie || !(trie instanceof Trie || trie instanceof RadixTrie)) {
         throw new Error('Valid Trie instance is required');
       }
 
@@ -57,7 +92,12 @@ class TriePersistenceService {
         version: backupVersion,
         nodeCount: insertedCount,
         wordCount: trie.getWordCount(),
+        implementation: this.getImplementation(trie),
+        dataset: options.dataset || null,
+        source: options.source || null,
         trieStats: trie.getStats(),
+        deltaCount: 0,
+        deltaChangeCount: 0,
         createdAt: new Date(),
         backupDuration: Date.now() - startTime
       };
@@ -85,16 +125,17 @@ class TriePersistenceService {
   /**
    * Restores Trie data from MongoDB
    * @param {string} version - Version to restore (null for latest)
-   * @returns {Promise<Trie>} Restored Trie instance
+   * @param {string} dataset - Restore the latest backup of this dataset (null for any)
+   * @returns {Promise<{trie: Trie|RadixTrie, metadata: Object}>} Restored Trie and backup metadata
    */
-  async restoreTrieFromMongoDB(version = null) {
+  async restoreTrieFromMongoDB(version = null, dataset = null) {
     try {
       const startTime = Date.now();
       
       console.log(`Starting Trie restore from MongoDB${version ? ` (version: ${version})` : ' (latest version)'}...`);
 
       // Get backup metadata
-      const metadata = await this.getBackupMetadata(version);
+      const metadata = await this.getBackupMetadata(version, dataset);
       if (!metadata) {
         throw new Error(version ? `Backup version '${version}' not found` : 'No backups found');
       }
@@ -109,18 +150,27 @@ class TriePersistenceService {
         throw new Error(`No nodes found for backup version: ${metadata.version}`);
       }
 
-      // Deserialize nodes back to Trie
-      const trie = this.deserializeTrie(nodes);
+      // Deserialize nodes back to Trie (backups predating RadixTrie are standard)
+      const trie = this.deserializeTrie(nodes, metadata.implementation || 'standard');
+
+      // Replay the changes saved since the snapshot
+      const deltas = await this.loadDeltas(metadata.version);
+      let changesApplied = 0;
+      for (const delta of deltas) {
+        changesApplied += this.applyChanges(trie, delta.changes);
+      }
       
       const restoreDuration = Date.now() - startTime;
-      console.log(`Trie restore completed: ${nodes.length} nodes restored in ${restoreDuration}ms`);
+      console.log(`Trie restore completed: ${nodes.length} nodes and ${deltas.length} deltas restored in ${restoreDuration}ms`);
 
       return {
         trie,
         metadata: {
           ...metadata,
           restoreDuration,
-          nodesRestored: nodes.length
+          nodesRestored: nodes.length,
+          deltasApplied: deltas.length,
+          changesApplied
         }
       };
 
@@ -130,9 +180,174 @@ class TriePersistenceService {
     }
   }
 
+  /**
+   * Saves changes recorded by a TrieChangeJournal as a delta of a backup version
+   * @param {string} version - Backup version the changes apply to
+   * @param {Array<Object>} changes - Changes in replay order
+   * @returns {Promise<Object>} Save result with the delta's sequence number
+   * @throws {Error} If the version does not exist or the delta cannot be saved
+   */
+  async saveDelta(version, changes) {
+    try {
+      if (!version) {
+        throw new Error('Version is required');
+      }
+
+      if (!Array.isArray(changes) || changes.length === 0) {
+        throw new Error('Changes must be a non-empty array');
+      }
+
+      // Reserving the sequence number on the metadata keeps concurrent writers ordered
+      const metadataCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_METADATA);
+      const metadata = await metadataCollection.findOneAndUpdate(
+        { version },
+        {
+          $inc: { deltaCount: 1, deltaChangeCount: changes.length },
+          $set: { lastDeltaAt: new Date() }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!metadata) {
+        throw new Error(`Backup version '${version}' not found`);
+      }
+
+      const delta = {
+        version,
+        sequence: metadata.deltaCount,
+        changes,
+        changeCount: changes.length,
+        createdAt: new Date()
+      };
+
+      const deltasCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_DELTAS);
+      await deltasCollection.insertOne(delta);
+
+      return {
+        success: true,
+        version,
+        sequence: delta.sequence,
+        changeCount: delta.changeCount
+      };
+
+    } catch (error) {
+      console.error('Error saving Trie delta:', error);
+      throw new Error(`Failed to save Trie delta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Loads the deltas of a backup version
+   * @param {string} version - Backup version
+   * @returns {Promise<Array<Object>>} Delta documents in sequence order
+   */
+  async loadDeltas(version) {
+    const deltasCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_DELTAS);
+    return deltasCollection.find({ version }).sort({ sequence: 1 }).toArray();
+  }
+
+  /**
+   * Replays journaled changes on a Trie
+   * Changes are absolute, so replaying one that is already reflected changes nothing.
+   * @param {Trie|RadixTrie} trie - Trie to update
+   * @param {Array<Object>} changes - Changes in replay order
+   * @returns {number} Number of changes replayed
+   * @throws {Error} If a change has an unknown op
+   */
+  applyChanges(trie, changes) {
+    for (const change of changes) {
+      switch (change.op) {
+      case 'insert':
+        trie.insert(change.word, change.frequency, { ...change.payload, display: change.display });
+        // An insert without popularity replaced a deleted word, whose popularity was reset
+        trie.setPopularity(change.word, change.popularity || 0, change.popularityUpdatedAt || null);
+        break;
+      case 'frequency': {
+        // Frequency changes only reach words that existed when they were recorded
+        const entry = trie.getEntry(change.word);
+        if (entry) {
+          trie.insert(entry.word, change.frequency, { ...entry.payload, display: entry.display });
+        }
+        break;
+      }
+      case 'popularity':
+        trie.setPopularity(change.word, change.popularity, change.popularityUpdatedAt);
+        break;
+      case 'delete':
+        trie.delete(change.word);
+        break;
+      case 'deletePrefix':
+        trie.deletePrefix(change.prefix);
+        break;
+      case 'clear':
+        trie.clear();
+        break;
+      default:
+        throw new Error(`Unknown Trie change: ${change.op}`);
+      }
+    }
+
+    return changes.length;
+  }
+
+  /**
+   * Folds the deltas of a backup version into a new snapshot and deletes the old version
+   * @param {string} version - Backup version to compact (null for latest)
+   * @param {string} newVersion - Version of the new snapshot (default: compact_<timestamp>)
+   * @returns {Promise<Object>} Compaction result; compacted is false when there were no deltas
+   */
+  async compactBackup(version = null, newVersion = null) {
+    try {
+      const { trie, metadata } = await this.restoreTrieFromMongoDB(version);
+
+      if (metadata.deltasApplied === 0) {
+        return {
+          success: true,
+          compacted: false,
+          previousVersion: metadata.version,
+          version: metadata.version,
+          deltasFolded: 0,
+          changesFolded: 0
+        };
+      }
+
+      const compactedVersion = newVersion || `compact_${Date.now()}`;
+      const backup = await this.exportTrieToMongoDB(trie, compactedVersion, {
+        dataset: metadata.dataset,
+        source: metadata.source
+      });
+      await this.deleteBackupVersion(metadata.version);
+
+      return {
+        success: true,
+        compacted: true,
+        previousVersion: metadata.version,
+        version: compactedVersion,
+        deltasFolded: metadata.deltasApplied,
+        changesFolded: metadata.changesApplied,
+        nodesBackedUp: backup.nodesBackedUp
+      };
+
+    } catch (error) {
+      console.error('Error compacting Trie backup:', error);
+      throw new Error(`Failed to compact backup: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the implementation name recorded in backup metadata
+   * @param {Trie|RadixTrie} trie - Trie instance
+   * @returns {string} 'radix' or 'standard'
+   */
+  getImplementation(trie) {
+    return trie instanceof RadixTrie ? 'radix' : 'standard';
+  }
+
   /**
    * Serializes Trie structure to MongoDB document format
-   * @param {Trie} trie - Trie to serialize
+   * RadixTrie nodes additionally carry their edge label; end-of-word nodes keep their display form, payload
+   * and, once selected, their popularity
+   * @param {Trie|RadixTrie} trie - Trie to serialize
    * @param {string} version - Backup version
    * @returns {Array<Object>} Array of serialized node documents
    */
@@ -166,6 +381,23 @@ class TriePersistenceService {
         createdAt: new Date()
       };
 
+      if (node.label !== undefined) {
+        nodeDoc.label = node.label;
+      }
+
+      if (node.display) {
+        nodeDoc.display = node.display;
+      }
+
+      if (node.payload) {
+        nodeDoc.payload = node.payload;
+      }
+
+      if (node.popularityUpdatedAt !== null && node.popularityUpdatedAt !== undefined) {
+        nodeDoc.popularity = node.popularity;
+        nodeDoc.popularityUpdatedAt = node.popularityUpdatedAt;
+      }
+
       // Process children
       for (const [char, childNode] of node.children) {
         const childId = getNodeId(childNode);
@@ -190,18 +422,29 @@ class TriePersistenceService {
   /**
    * Deserializes MongoDB documents back to Trie structure
    * @param {Array<Object>} nodeDocuments - Array of node documents from MongoDB
-   * @returns {Trie} Reconstructed Trie instance
+   * @param {string} implementation - 'standard' or 'radix' (default: 'standard')
+   * @returns {Trie|RadixTrie} Reconstructed Trie instance
    */
-  deserializeTrie(nodeDocuments) {
-    const trie = new Trie();
-    const nodeMap = new Map(); // Map nodeId to actual TrieNode instances
+  deserializeTrie(nodeDocuments, implementation = 'standard') {
+    const isRadix = implementation === 'radix';
+    const trie = isRadix ? new RadixTrie(this.trieOptions) : new Trie(this.trieOptions);
+    const nodeMap = new Map(); // Map nodeId to actual node instances
     
     // Create a map of all nodes first
     for (const doc of nodeDocuments) {
-      const node = new TrieNode();
+      const node = isRadix ? new RadixTrieNode(doc.label || '') : new TrieNode();
       node.isEndOfWord = doc.isEndOfWord;
       node.frequency = doc.frequency || 0;
       node.word = doc.word;
+      node.display = doc.display || null;
+      node.payload = doc.payload || null;
+
+      if (doc.popularityUpdatedAt !== undefined && doc.popularityUpdatedAt !== null) {
+        node.popularity = doc.popularity;
+        node.popularityUpdatedAt = doc.popularityUpdatedAt;
+        trie.selectedWords.add(doc.word);
+        trie.lastSelectionAt = Math.max(trie.lastSelectionAt || 0, doc.popularityUpdatedAt);
+      }
       
       nodeMap.set(doc.nodeId, {
         node,
@@ -239,9 +482,10 @@ class TriePersistenceService {
   /**
    * Gets backup metadata for a specific version or latest
    * @param {string} version - Backup version (null for latest)
+   * @param {string} dataset - Only consider backups of this dataset (null for any)
    * @returns {Promise<Object|null>} Backup metadata or null if not found
    */
-  async getBackupMetadata(version = null) {
+  async getBackupMetadata(version = null, dataset = null) {
     try {
       const metadataCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_METADATA);
       
@@ -253,6 +497,10 @@ class TriePersistenceService {
         sort = {};
       }
 
+      if (dataset) {
+        query.dataset = dataset;
+      }
+
       return await metadataCollection.findOne(query, { sort });
     } catch (error) {
       console.error('Error getting backup metadata:', error);
@@ -290,9 +538,13 @@ class TriePersistenceService {
 
       const nodesCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_NODES);
       const metadataCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_METADATA);
+      const deltasCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_DELTAS);
 
       // Delete nodes
       const nodesResult = await nodesCollection.deleteMany({ version });
+
+      // Delete deltas
+      const deltasResult = await deltasCollection.deleteMany({ version });
       
       // Delete metadata
       const metadataResult = await metadataCollection.deleteOne({ version });
@@ -301,6 +553,7 @@ class TriePersistenceService {
         success: true,
         version,
         nodesDeleted: nodesResult.deletedCount,
+        deltasDeleted: deltasResult.deletedCount,
         metadataDeleted: metadataResult.deletedCount > 0
       };
     } catch (error) {
@@ -309,6 +562,25 @@ class TriePersistenceService {
     }
   }
 
+  /**
+   * Deletes the backups of a dataset, except one version
+   * @param {string} dataset - Dataset name
+   * @param {string} keepVersion - Version to keep (null to delete all)
+   * @returns {Promise<number>} Number of backups deleted
+   */
+  async deleteDatasetBackups(dataset, keepVersion = null) {
+    const metadataCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_METADATA);
+    const backups = await metadataCollection
+      .find({ dataset, version: { $ne: keepVersion } })
+      .toArray();
+
+    for (const backup of backups) {
+      await this.deleteBackupVersion(backup.version);
+    }
+
+    return backups.length;
+  }
+
   /**
    * Clears all data for a specific backup version
    * @param {string} version - Version to clear
@@ -318,9 +590,11 @@ class TriePersistenceService {
     try {
       const nodesCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_NODES);
       const metadataCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_METADATA);
+      const deltasCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_DELTAS);
 
       await Promise.all([
         nodesCollection.deleteMany({ version }),
+        deltasCollection.deleteMany({ version }),
         metadataCollection.deleteOne({ version })
       ]);
     } catch (error) {
@@ -337,21 +611,25 @@ class TriePersistenceService {
     try {
       const metadataCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_METADATA);
       const nodesCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_NODES);
+      const deltasCollection = mongoDBService.getCollection(this.COLLECTIONS.TRIE_DELTAS);
 
-      const [metadataCount, totalNodes, latestBackup] = await Promise.all([
+      const [metadataCount, totalNodes, totalDeltas, latestBackup] = await Promise.all([
         metadataCollection.countDocuments(),
         nodesCollection.countDocuments(),
+        deltasCollection.countDocuments(),
         metadataCollection.findOne({}, { sort: { createdAt: -1 } })
       ]);
 
       return {
         totalBackups: metadataCount,
         totalNodes: totalNodes,
+        totalDeltas,
         latestBackup: latestBackup ? {
           version: latestBackup.version,
           createdAt: latestBackup.createdAt,
           nodeCount: latestBackup.nodeCount,
-          wordCount: latestBackup.wordCount
+          wordCount: latestBackup.wordCount,
+          deltaCount: latestBackup.deltaCount || 0
         } : null
       };
     } catch (error) {
@@ -359,6 +637,7 @@ class TriePersistenceService {
       return {
         totalBackups: 0,
         totalNodes: 0,
+        totalDeltas: 0,
         latestBackup: null,
         error: error.message
       };
@@ -0,0 +1,303 @@
+/**
+ * Trie Registry
+ * Keeps one named index (Trie plus TokenIndex, PhoneticIndex and NGramModel) per dataset so that searches
+ * can target cities, products or any other dataset without mixing results
+ */
+
+const { Trie, TokenIndex, PhoneticIndex, NGramModel } = require('../data-structures');
+
+/**
+ * Dataset parameter value that selects every registered dataset
+ */
+const ALL_DATASETS = 'all';
+
+const DATASET_NAME_PATTERN = /^[a-z0-9_-]+$/;
+
+class TrieRegistry {
+  /**
+   * Creates a new TrieRegistry
+   * @param {Object} options - Registry options
+   * @param {Function} options.createTrie - Factory for new dataset tries (default: new Trie())
+   * @param {string} options.defaultDataset - Dataset used when a request names none (default: first registered)
+   */
+  constructor(options = {}) {
+    this.createTrie = options.createTrie || (() => new Trie());
+    this.defaultDataset = options.defaultDataset || null;
+    this.indexes = new Map(); // Map<name, {name, trie, tokenIndex, phoneticIndex, ngramModel, createdAt}>
+  }
+
+  /**
+   * Registers an existing Trie under a dataset name
+   * @param {string} name - Dataset name (lowercase letters, digits, '-' and '_')
+   * @param {Trie|RadixTrie} trie - Trie holding the dataset
+   * @returns {Trie|RadixTrie} The registered Trie
+   * @throws {Error} If the name is invalid, reserved or already registered
+   */
+  register(name, trie) {
+    if (typeof name !== 'string' || !DATASET_NAME_PATTERN.test(name) || name === ALL_DATASETS) {
+      throw new Error(`Invalid dataset name: ${name}`);
+    }
+
+    if (this.indexes.has(name)) {
+      throw new Error(`Dataset already registered: ${name}`);
+    }
+
+    this.indexes.set(name, {
+      name,
+      trie,
+      tokenIndex: null,
+      phoneticIndex: null,
+      ngramModel: null,
+      createdAt: new Date()
+    });
+
+    return trie;
+  }
+
+  /**
+   * Creates and registers an empty Trie for a dataset
+   * @param {string} name - Dataset name
+   * @returns {Trie|RadixTrie} The new Trie
+   */
+  create(name) {
+    return this.register(name, this.createTrie());
+  }
+
+  /**
+   * Removes a dataset from the registry
+   * @param {string} name - Dataset name
+   * @returns {boolean} True if the dataset was registered
+   */
+  remove(name) {
+    return this.indexes.delete(name);
+  }
+
+  /**
+   * Checks whether a dataset is registered
+   * @param {string} name - Dataset name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.indexes.has(name);
+  }
+
+  /**
+   * Gets the index entry for a dataset
+   * @param {string} name - Dataset name
+   * @returns {{name: string, trie: Trie|RadixTrie, tokenIndex: TokenIndex|null, phoneticIndex: PhoneticIndex|null, ngramModel: NGramModel|null}|null} Index entry or null
+   */
+  getIndex(name) {
+    return this.indexes.get(name) || null;
+  }
+
+  /**
+   * Gets the Trie for a dataset
+   * @param {string} name - Dataset name
+   * @returns {Trie|RadixTrie|null} Trie or null if not registered
+   */
+  get(name) {
+    const index = this.getIndex(name);
+    return index ? index.trie : null;
+  }
+
+  /**
+   * Gets the TokenIndex for a dataset
+   * @param {string} name - Dataset name
+   * @returns {TokenIndex|null} Token index or null if not built
+   */
+  getTokenIndex(name) {
+    const index = this.getIndex(name);
+    return index ? index.tokenIndex : null;
+  }
+
+  /**
+   * Gets the PhoneticIndex for a dataset
+   * @param {string} name - Dataset name
+   * @returns {PhoneticIndex|null} Phonetic index or null if not built
+   */
+  getPhoneticIndex(name) {
+    const index = this.getIndex(name);
+    return index ? index.phoneticIndex : null;
+  }
+
+  /**
+   * Gets the NGramModel for a dataset
+   * @param {string} name - Dataset name
+   * @returns {NGramModel|null} N-gram model or null if not built
+   */
+  getNGramModel(name) {
+    const index = this.getIndex(name);
+    return index ? index.ngramModel : null;
+  }
+
+  /**
+   * Gets registered dataset names in registration order
+   * @returns {string[]} Dataset names
+   */
+  getNames() {
+    return Array.from(this.indexes.keys());
+  }
+
+  /**
+   * Gets the number of registered datasets
+   * @returns {number} Dataset count
+   */
+  size() {
+    return this.indexes.size;
+  }
+
+  /**
+   * Sets the dataset used when a request names none
+   * @param {string} name - Registered dataset name
+   * @throws {Error} If the dataset is not registered
+   */
+  setDefault(name) {
+    if (!this.has(name)) {
+      throw new Error(`Dataset not found: ${name}`);
+    }
+    this.defaultDataset = name;
+  }
+
+  /**
+   * Gets the default dataset name
+   * Falls back to the first registered dataset when no valid default is set
+   * @returns {string|null} Default dataset name or null if the registry is empty
+   */
+  getDefaultName() {
+    if (this.defaultDataset && this.has(this.defaultDataset)) {
+      return this.defaultDataset;
+    }
+    const [first] = this.indexes.keys();
+    return first || null;
+  }
+
+  /**
+   * Gets the default dataset's Trie
+   * @returns {Trie|RadixTrie|null} Default Trie or null if the registry is empty
+   */
+  getDefault() {
+    return this.get(this.getDefaultName());
+  }
+
+  /**
+   * Resolves a dataset request parameter to index entries
+   * Accepts a single name, a comma-separated list, or 'all'; no value selects the default
+   * @param {string} datasetParam - Raw dataset parameter
+   * @returns {{indexes: Array<Object>, missing: string[], federated: boolean}} Resolved indexes and unknown names
+   */
+  resolve(datasetParam) {
+    if (!datasetParam) {
+      const defaultIndex = this.getIndex(this.getDefaultName());
+      return { indexes: defaultIndex ? [defaultIndex] : [], missing: [], federated: false };
+    }
+
+    const names = datasetParam === ALL_DATASETS
+      ? this.getNames()
+      : [...new Set(datasetParam.split(',').map(name => name.trim()).filter(Boolean))];
+
+    return {
+      indexes: names.filter(name => this.has(name)).map(name => this.getIndex(name)),
+      missing: names.filter(name => !this.has(name)),
+      federated: datasetParam === ALL_DATASETS || names.length > 1
+    };
+  }
+
+  /**
+   * Builds (or rebuilds) the TokenIndex of every dataset
+   * @returns {Object} Token index statistics keyed by dataset name
+   */
+  buildTokenIndexes() {
+    const stats = {};
+    for (const index of this.indexes.values()) {
+      index.tokenIndex = new TokenIndex(index.trie);
+      stats[index.name] = index.tokenIndex.build();
+    }
+    return stats;
+  }
+
+  /**
+   * Builds (or rebuilds) the PhoneticIndex of every dataset
+   * @param {Object} options - PhoneticIndex options (e.g. algorithm)
+   * @returns {Object} Phonetic index statistics keyed by dataset name
+   */
+  buildPhoneticIndexes(options = {}) {
+    const stats = {};
+    for (const index of this.indexes.values()) {
+      index.phoneticIndex = new PhoneticIndex(index.trie, options);
+      stats[index.name] = index.phoneticIndex.build();
+    }
+    return stats;
+  }
+
+  /**
+   * Builds (or rebuilds) the NGramModel of every dataset
+   * @param {Object} options - NGramModel options (e.g. order)
+   * @returns {Object} N-gram model statistics keyed by dataset name
+   */
+  buildNGramModels(options = {}) {
+    const stats = {};
+    for (const index of this.indexes.values()) {
+      index.ngramModel = new NGramModel(index.trie, options);
+      stats[index.name] = index.ngramModel.build();
+    }
+    return stats;
+  }
+
+  /**
+   * Gets statistics for every dataset
+   * @returns {Object} Default dataset name and per-dataset Trie statistics
+   */
+  getStats() {
+    const datasets = {};
+    for (const index of this.indexes.values()) {
+      datasets[index.name] = {
+        ...index.trie.getStats(),
+        tokenIndex: index.tokenIndex ? index.tokenIndex.getStats() : null,
+        phoneticIndex: index.phoneticIndex ? index.phoneticIndex.getStats() : null,
+        ngramModel: index.ngramModel ? index.ngramModel.getStats() : null,
+        createdAt: index.createdAt
+      };
+    }
+
+    return {
+      defaultDataset: this.getDefaultName(),
+      datasetCount: this.indexes.size,
+      datasets
+    };
+  }
+
+  /**
+   * Resolves a dataset request parameter against app locals
+   * Uses the registry when one is configured, otherwise the single app.locals.trie
+   * @param {Object} locals - Express app.locals
+   * @param {string} datasetParam - Raw dataset parameter
+   * @returns {{indexes: Array<Object>, missing: string[], federated: boolean}} Resolved indexes and unknown names
+   */
+  static resolveFromLocals(locals, datasetParam) {
+    if (locals.trieRegistry) {
+      return locals.trieRegistry.resolve(datasetParam);
+    }
+
+    if (datasetParam) {
+      return { indexes: [], missing: datasetParam.split(','), federated: false };
+    }
+
+    return {
+      indexes: locals.trie
+        ? [{
+          name: null,
+          trie: locals.trie,
+          tokenIndex: locals.tokenIndex || null,
+          phoneticIndex: locals.phoneticIndex || null,
+          ngramModel: locals.ngramModel || null
+        }]
+        : [],
+      missing: [],
+      federated: false
+    };
+  }
+}
+
+TrieRegistry.ALL_DATASETS = ALL_DATASETS;
+
+module.exports = TrieRegistry;
@@ -1,10 +1,15 @@
 /**
  * Typo Tolerance Service
  * Provides fuzzy matching capabilities using Levenshtein distance algorithm
- * Integrates with Trie search for typo-corrected suggestions
+ * Integrates with Trie search for typo-corrected suggestions; candidates come from
+ * the Trie's own fuzzy search, which walks the tree instead of scanning every word.
+ * Edits are weighted: hitting a neighbouring key costs less than an unrelated substitution.
+ * Phonetic matches from a PhoneticIndex can be merged in after the corrections.
  */
 
 const levenshtein = require('damerau-levenshtein');
+const LevenshteinAutomaton = require('../data-structures/LevenshteinAutomaton');
+const { createSubstitutionCost } = require('../utils/keyboardLayouts');
 
 /**
  * Configuration for typo tolerance
@@ -12,8 +17,13 @@ const levenshtein = require('damerau-levenshtein');
 const DEFAULT_CONFIG = {
   maxEditDistance: 2,        // Maximum allowed edit distance
   minWordLength: 3,          // Minimum word length to apply typo correction
-  maxCandidates: 100,        // Maximum candidates to evaluate for typo correction
-  similarityThreshold: 0.6   // Minimum similarity score (0-1)
+  similarityThreshold: 0.6,  // Minimum similarity score (0-1)
+  prefixMatching: true,      // Also complete misspelled prefixes ("calfor" -> "california")
+  keyboardLayout: 'qwerty',  // Layout for adjacent-key substitutions ('none' weighs every substitution the same)
+  adjacentKeyCost: 0.5,      // Cost of substituting a neighbouring key ("s" -> "a")
+  transpositionCost: 1,      // Cost of swapping two adjacent characters ("teh" -> "the")
+  similarityWeight: 0.7,     // Weight of similarity in the correction score
+  frequencyWeight: 0.3       // Weight of frequency (relative to the most frequent candidate) in the correction score
 };
 
 class TypoToleranceService {
@@ -23,29 +33,64 @@ class TypoToleranceService {
    */
   constructor(config = {}) {
     this.config = { ...DEFAULT_CONFIG, ...config };
+    this.editCosts = this.buildEditCosts(this.config);
+  }
+
+  /**
+   * Builds the weighted edit costs for a configuration
+   * @param {Object} config - Configuration with keyboardLayout, adjacentKeyCost and transpositionCost
+   * @returns {{substitutionCost: Function, transpositionCost: number}} Costs understood by LevenshteinAutomaton
+   * @throws {Error} If the keyboard layout is not supported
+   */
+  buildEditCosts(config) {
+    return {
+      substitutionCost: createSubstitutionCost(config.keyboardLayout, config.adjacentKeyCost),
+      transpositionCost: config.transpositionCost
+    };
+  }
+
+  /**
+   * Calculates the weighted edit cost between two strings
+   * Insertions and deletions cost 1, substitutions of adjacent keys cost adjacentKeyCost
+   * and transpositions cost transpositionCost.
+   * Time Complexity: O(n * m) where n and m are the string lengths
+   * @param {string} str1 - First string
+   * @param {string} str2 - Second string
+   * @returns {number} Weighted edit cost
+   */
+  calculateWeightedCost(str1, str2) {
+    const automaton = new LevenshteinAutomaton(str1, this.editCosts);
+    let state = automaton.start();
+    for (const char of str2) {
+      state = automaton.step(state, char);
+    }
+    return automaton.distance(state);
   }
 
   /**
    * Calculates Levenshtein distance between two strings
+   * steps counts edits; cost weighs them (adjacent keys and transpositions may cost less),
+   * and relative and similarity are derived from the weighted cost.
    * @param {string} str1 - First string
    * @param {string} str2 - Second string
    * @param {number} maxDistance - Maximum distance to calculate (optimization)
-   * @returns {Object} Distance information with steps, relative, and similarity
+   * @returns {Object} Distance information with steps, cost, relative, and similarity
    */
   calculateDistance(str1, str2, maxDistance = this.config.maxEditDistance) {
     if (typeof str1 !== 'string' || typeof str2 !== 'string') {
-      return { steps: Infinity, relative: 1, similarity: 0 };
+      return { steps: Infinity, cost: Infinity, relative: 1, similarity: 0 };
     }
 
     // Early exit for identical strings (including both empty)
     if (str1 === str2) {
-      return { steps: 0, relative: 0, similarity: 1 };
+      return { steps: 0, cost: 0, relative: 0, similarity: 1 };
     }
 
     // Handle empty strings
     if (str1.length === 0) {
       return { 
         steps: str2.length, 
+        cost: str2.length,
         relative: str2.length > 0 ? 1 : 0, 
         similarity: 0 
       };
@@ -53,34 +98,37 @@ class TypoToleranceService {
     if (str2.length === 0) {
       return { 
         steps: str1.length, 
+        cost: str1.length,
         relative: str1.length > 0 ? 1 : 0, 
         similarity: 0 
       };
     }
 
-    // Early exit if length difference exceeds max distance
+    // Early exit if length difference exceeds max distance (each extra character costs 1)
     const lengthDiff = Math.abs(str1.length - str2.length);
     if (lengthDiff > maxDistance) {
-      return { steps: lengthDiff, relative: lengthDiff / Math.max(str1.length, str2.length), similarity: 0 };
+      return { steps: lengthDiff, cost: lengthDiff, relative: lengthDiff / Math.max(str1.length, str2.length), similarity: 0 };
     }
 
+    const a = str1.toLowerCase();
+    const b = str2.toLowerCase();
+    const maxLen = Math.max(str1.length, str2.length);
+    const cost = this.calculateWeightedCost(a, b);
+
+    let steps;
     try {
-      const result = levenshtein(str1.toLowerCase(), str2.toLowerCase());
-      return {
-        steps: result.steps,
-        relative: result.relative,
-        similarity: result.similarity
-      };
+      steps = levenshtein(a, b).steps;
     } catch (error) {
       // Fallback to simple implementation if library fails
-      const distance = this.simpleLevenshteinDistance(str1.toLowerCase(), str2.toLowerCase());
-      const maxLen = Math.max(str1.length, str2.length);
-      return {
-        steps: distance,
-        relative: distance / maxLen,
-        similarity: 1 - (distance / maxLen)
-      };
+      steps = this.simpleLevenshteinDistance(a, b);
     }
+
+    return {
+      steps,
+      cost,
+      relative: cost / maxLen,
+      similarity: 1 - (cost / maxLen)
+    };
   }
 
   /**
@@ -120,6 +168,10 @@ class TypoToleranceService {
 
   /**
    * Finds typo-corrected suggestions for a query
+   * Every word within the allowed edit cost is considered, then ranked by correction score.
+   * With prefixMatching the cost is measured against the closest prefix of each word,
+   * so partially typed words are corrected and completed at once. Each correction's
+   * editDistance is its weighted edit cost.
    * @param {string} query - Original query with potential typos
    * @param {Trie} trie - Trie instance to search for corrections
    * @param {number} limit - Maximum number of suggestions to return
@@ -130,29 +182,37 @@ class TypoToleranceService {
       return [];
     }
 
-    const normalizedQuery = query.toLowerCase().trim();
-    
-    // Get all words from the Trie for comparison
-    const allWords = trie.getAllWordsInTrie();
+    // Compare against keys normalized the same way the Trie stores them
+    const normalizedQuery = trie.normalize(query);
+    const queryLength = Array.from(normalizedQuery).length;
+    const prefix = this.config.prefixMatching;
+
+    // Prefix matches are scored against the query length, so the similarity threshold
+    // caps the cost worth walking for (e.g. 1.2 for a 3-letter query)
+    const maxDistance = prefix
+      ? Math.min(this.config.maxEditDistance, (1 - this.config.similarityThreshold) * queryLength)
+      : this.config.maxEditDistance;
+
+    if (maxDistance <= 0) {
+      return [];
+    }
+
+    const matches = trie.fuzzySearch(normalizedQuery, { ...this.editCosts, maxDistance, prefix });
+    const maxFrequency = Math.max(0, ...matches.map(match => match.frequency));
+
     const corrections = [];
+    for (const match of matches) {
+      const comparedLength = prefix ? queryLength : Math.max(queryLength, Array.from(match.word).length);
+      const similarity = 1 - (match.editDistance / comparedLength);
 
-    // Evaluate each word for potential typo correction
-    for (const wordData of allWords.slice(0, this.config.maxCandidates)) {
-      const distance = this.calculateDistance(normalizedQuery, wordData.word);
-      
       // Check if the word qualifies as a typo correction
-      if (distance.steps > 0 && 
-          distance.steps <= this.config.maxEditDistance && 
-          distance.similarity >= this.config.similarityThreshold) {
-        
+      if (match.editDistance > 0 && similarity >= this.config.similarityThreshold) {
         corrections.push({
-          word: wordData.word,
-          frequency: wordData.frequency,
+          ...match,
           originalQuery: query,
-          editDistance: distance.steps,
-          similarity: distance.similarity,
-          correctionType: this.getCorrectionType(distance.steps),
-          score: this.calculateCorrectionScore(wordData.frequency, distance.similarity)
+          similarity,
+          correctionType: this.getCorrectionType(match.editDistance),
+          score: this.calculateCorrectionScore(match.frequency, similarity, maxFrequency)
         });
       }
     }
@@ -165,67 +225,95 @@ class TypoToleranceService {
 
   /**
    * Determines the type of correction based on edit distance
-   * @param {number} editDistance - Number of edits required
+   * @param {number} editDistance - Weighted edit cost of the correction
    * @returns {string} Correction type description
    */
   getCorrectionType(editDistance) {
-    switch (editDistance) {
-      case 1:
-        return 'minor_typo';
-      case 2:
-        return 'moderate_typo';
-      default:
-        return 'major_typo';
+    if (editDistance <= 1) {
+      return 'minor_typo';
     }
+    if (editDistance <= 2) {
+      return 'moderate_typo';
+    }
+    return 'major_typo';
   }
 
   /**
    * Calculates a combined score for typo corrections
-   * Balances word frequency with similarity to original query
+   * Balances word frequency with similarity to original query, weighted by
+   * similarityWeight and frequencyWeight. Frequency is measured relative to the
+   * most frequent candidate, so the score does not depend on the dataset's scale.
    * @param {number} frequency - Word frequency in the dataset
-   * @param {number} similarity - Similarity score (0-1)
+   * @param {number} similarity - Similarity score (0-1), one minus the weighted edit cost per character
+   * @param {number} maxFrequency - Highest frequency among the candidates (default: the word's own)
    * @returns {number} Combined correction score
    */
-  calculateCorrectionScore(frequency, similarity) {
-    // Weight similarity more heavily than frequency for typo corrections
-    const similarityWeight = 0.7;
-    const frequencyWeight = 0.3;
-    
-    // Normalize frequency (assuming max frequency of 1000 for scaling)
-    const normalizedFrequency = Math.min(frequency / 1000, 1);
-    
-    return (similarity * similarityWeight) + (normalizedFrequency * frequencyWeight);
+  calculateCorrectionScore(frequency, similarity, maxFrequency = frequency) {
+    const normalizedFrequency = maxFrequency > 0 ? Math.min(frequency / maxFrequency, 1) : 0;
+
+    return (similarity * this.config.similarityWeight) + (normalizedFrequency * this.config.frequencyWeight);
+  }
+
+  /**
+   * Finds entries that sound like the query, for misspellings too far apart for typo correction
+   * @param {string} query - Search query
+   * @param {PhoneticIndex} phoneticIndex - Phonetic index of the dataset
+   * @param {number} limit - Maximum number of matches to return
+   * @returns {Array<Object>} Phonetic matches by rank
+   */
+  findPhoneticMatches(query, phoneticIndex, limit = 5) {
+    if (!phoneticIndex || !query || typeof query !== 'string') {
+      return [];
+    }
+
+    return phoneticIndex.search(query, limit).map(match => ({
+      ...match,
+      originalQuery: query
+    }));
   }
 
   /**
-   * Combines exact matches with typo corrections
+   * Combines exact matches with typo corrections and phonetic matches
+   * Words already suggested by an earlier group are not repeated in a later one.
    * @param {Array} exactMatches - Exact prefix matches from Trie
    * @param {Array} typoCorrections - Typo-corrected suggestions
    * @param {number} totalLimit - Total number of suggestions to return
-   * @returns {Object} Categorized suggestions with exact matches and corrections
+   * @param {Array} phoneticMatches - Phonetic matches from a PhoneticIndex (default: none)
+   * @returns {Object} Categorized suggestions with exact matches, corrections and phonetic matches
    */
-  combineResults(exactMatches, typoCorrections, totalLimit = 5) {
+  combineResults(exactMatches, typoCorrections, totalLimit = 5, phoneticMatches = []) {
+    const seen = new Set(exactMatches.map(match => match.word));
+    const unseen = suggestion => {
+      if (seen.has(suggestion.word)) {
+        return false;
+      }
+      seen.add(suggestion.word);
+      return true;
+    };
+
     const result = {
       exactMatches: exactMatches.map(match => ({
         ...match,
         type: 'exact_match'
       })),
-      typoCorrections: typoCorrections.map(correction => ({
+      typoCorrections: typoCorrections.filter(unseen).map(correction => ({
         ...correction,
         type: 'typo_correction'
       })),
+      phoneticMatches: phoneticMatches.filter(unseen).map(match => ({
+        ...match,
+        type: 'phonetic_match'
+      })),
       combined: []
     };
 
-    // Prioritize exact matches, then add typo corrections
-    const combined = [...result.exactMatches];
-    const remainingSlots = totalLimit - combined.length;
-    
-    if (remainingSlots > 0) {
-      combined.push(...result.typoCorrections.slice(0, remainingSlots));
-    }
+    // Prioritize exact matches, then typo corrections, then phonetic matches
+    result.combined = [
+      ...result.exactMatches,
+      ...result.typoCorrections,
+      ...result.phoneticMatches
+    ].slice(0, totalLimit);
 
-    result.combined = combined;
     return result;
   }
 
@@ -234,13 +322,17 @@ class TypoToleranceService {
    * @param {string} query - Search query
    * @param {Trie} trie - Trie instance
    * @param {number} limit - Maximum number of results
-   * @returns {Object} Search results with exact matches and typo corrections
+   * @param {Object} options - Search options
+   * @param {boolean} options.typoCorrections - Add typo corrections (default: true)
+   * @param {PhoneticIndex} options.phoneticIndex - Add phonetic matches from this index (default: none)
+   * @returns {Object} Search results with exact matches, typo corrections and phonetic matches
    */
-  search(query, trie, limit = 5) {
+  search(query, trie, limit = 5, options = {}) {
     if (!query || !trie) {
       return {
         exactMatches: [],
         typoCorrections: [],
+        phoneticMatches: [],
         combined: []
       };
     }
@@ -253,19 +345,75 @@ class TypoToleranceService {
       return this.combineResults(exactMatches, [], limit);
     }
 
-    // Find typo corrections for remaining slots
+    // Find typo corrections and phonetic matches for remaining slots
     const remainingSlots = limit - exactMatches.length;
-    const typoCorrections = this.findTypoCorrections(query, trie, remainingSlots * 2); // Get more candidates
+    const typoCorrections = options.typoCorrections === false
+      ? []
+      : this.findTypoCorrections(query, trie, remainingSlots * 2); // Get more candidates
+    const phoneticMatches = this.findPhoneticMatches(query, options.phoneticIndex, remainingSlots * 2);
     
-    return this.combineResults(exactMatches, typoCorrections, limit);
+    return this.combineResults(exactMatches, typoCorrections, limit, phoneticMatches);
+  }
+
+  /**
+   * Picks the single most likely intended query ("Did you mean ...?")
+   * Typo corrections are preferred; phonetic matches are the fallback for
+   * misspellings beyond the edit distance limit. Confidence is the correction's
+   * similarity, discounted when other candidates are nearly as frequent:
+   * similarity * (0.5 + 0.5 * frequency share of the best candidate).
+   * @param {string} query - Query that returned no suggestions
+   * @param {Trie} trie - Trie instance to search for corrections
+   * @param {Object} options - Options
+   * @param {PhoneticIndex} options.phoneticIndex - Phonetic index for the fallback (default: none)
+   * @param {number} options.candidates - Candidates compared for the frequency share (default: 5)
+   * @returns {Object|null} Best correction with word, display, frequency, similarity, confidence and source, or null
+   */
+  suggestCorrection(query, trie, options = {}) {
+    if (!query || typeof query !== 'string' || !trie) {
+      return null;
+    }
+
+    const candidateCount = options.candidates || 5;
+    let source = 'typo_correction';
+    let candidates = this.findTypoCorrections(query, trie, candidateCount);
+
+    if (candidates.length === 0) {
+      source = 'phonetic_match';
+      candidates = this.findPhoneticMatches(query, options.phoneticIndex, candidateCount)
+        .map(match => ({
+          ...match,
+          // Phonetic matches can be many edits away, so similarity may reach zero
+          similarity: Math.max(0, this.calculateDistance(trie.normalize(query), match.word, Infinity).similarity)
+        }))
+        .filter(match => match.similarity > 0);
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const [best] = candidates;
+    const totalFrequency = candidates.reduce((sum, candidate) => sum + candidate.frequency, 0);
+    const frequencyShare = totalFrequency > 0 ? best.frequency / totalFrequency : 1 / candidates.length;
+    const confidence = best.similarity * (0.5 + 0.5 * frequencyShare);
+
+    return {
+      ...best,
+      originalQuery: query,
+      confidence: Math.round(confidence * 1000) / 1000,
+      source
+    };
   }
 
   /**
    * Updates configuration
    * @param {Object} newConfig - New configuration options
+   * @throws {Error} If the keyboard layout is not supported
    */
   updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    const config = { ...this.config, ...newConfig };
+    this.editCosts = this.buildEditCosts(config);
+    this.config = config;
   }
 
   /**
@@ -284,10 +432,10 @@ class TypoToleranceService {
     return {
       config: this.getConfig(),
       algorithmInfo: {
-        name: 'Damerau-Levenshtein Distance',
-        description: 'Calculates minimum edit operations (insertions, deletions, substitutions, transpositions)',
-        timeComplexity: 'O(m*n) where m and n are string lengths',
-        spaceComplexity: 'O(m*n)'
+        name: 'Damerau-Levenshtein Automaton',
+        description: 'Walks the Trie computing one weighted edit cost row per node (insertions, deletions, keyboard-weighted substitutions, transpositions) and prunes branches beyond maxEditDistance',
+        timeComplexity: 'O(V*n) where V is the number of Trie nodes visited and n is the query length',
+        spaceComplexity: 'O(d*n) where d is the depth of the Trie'
       }
     };
   }
@@ -1,9 +1,27 @@
 const DatasetLoader = require('./DatasetLoader');
 const TypoToleranceService = require('./TypoToleranceService');
 const CacheService = require('./CacheService');
+const TrieRegistry = require('./TrieRegistry');
+const RankingService = require('./RankingService');
+const SessionHistoryService = require('./SessionHistoryService');
+const SynonymService = require('./SynonymService');
+const BlocklistService = require('./BlocklistService');
+const AnalyticsWriteBuffer = require('./AnalyticsWriteBuffer');
+const FrequencyFeedbackService = require('./FrequencyFeedbackService');
+const TrieChangeJournal = require('./TrieChangeJournal');
+const TriePersistenceService = require('./TriePersistenceService');
 
 module.exports = {
   DatasetLoader,
   TypoToleranceService,
-  CacheService
-};
\ No newline at end of file
+  CacheService,
+  TrieRegistry,
+  RankingService,
+  SessionHistoryService,
+  SynonymService,
+  BlocklistService,
+  AnalyticsWriteBuffer,
+  FrequencyFeedbackService,
+  TrieChangeJournal,
+  TriePersistenceService
+};
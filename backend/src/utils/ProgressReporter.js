@@ -0,0 +1,53 @@
+/**
+ * Progress Reporter
+ * Prints throttled progress lines for long-running dataset loads
+ */
+
+/**
+ * Progress reporter for large dataset loading
+ */
+class ProgressReporter {
+  constructor(enabled = true) {
+    this.enabled = enabled;
+    this.startTime = Date.now();
+    this.lastReportTime = Date.now();
+    this.reportInterval = 2000; // Report every 2 seconds
+  }
+
+  /**
+   * Restarts the clock used for rate and ETA, e.g. when a new dataset starts loading
+   */
+  start() {
+    this.startTime = Date.now();
+    this.lastReportTime = this.startTime;
+  }
+
+  report(current, total, operation = 'Processing') {
+    if (!this.enabled) return;
+
+    const now = Date.now();
+    if (now - this.lastReportTime < this.reportInterval && current < total) return;
+
+    const elapsed = now - this.startTime;
+    const percentage = total > 0 ? ((current / total) * 100).toFixed(1) : 0;
+    const rate = current > 0 ? (current / (elapsed / 1000)).toFixed(1) : 0;
+    const eta = current > 0 && current < total ?
+      Math.round(((total - current) / current) * elapsed / 1000) : 0;
+
+    process.stdout.write(`\r[PROGRESS] ${operation}: ${current}/${total} (${percentage}%) - ${rate} items/sec - ETA: ${eta}s`);
+
+    if (current >= total) {
+      console.log(); // New line when complete
+    }
+
+    this.lastReportTime = now;
+  }
+
+  finish(operation = 'Operation') {
+    if (!this.enabled) return;
+    const elapsed = Date.now() - this.startTime;
+    console.log(`[PROGRESS] ${operation} completed in ${elapsed}ms`);
+  }
+}
+
+module.exports = ProgressReporter;
@@ -0,0 +1,190 @@
+/**
+ * Frequency Expression
+ * Compiles the arithmetic expressions used by dataset descriptors to derive a
+ * term's frequency from its record, e.g. "log10(population + 1) * 2".
+ * Expressions are parsed into closures; nothing is passed to eval.
+ */
+
+/**
+ * Functions available to expressions
+ */
+const FUNCTIONS = {
+  abs: Math.abs,
+  ceil: Math.ceil,
+  floor: Math.floor,
+  log: Math.log,
+  log10: Math.log10,
+  max: Math.max,
+  min: Math.min,
+  pow: Math.pow,
+  round: Math.round,
+  sqrt: Math.sqrt
+};
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/y;
+
+/**
+ * Splits an expression into number, identifier and symbol tokens
+ * @param {string} source - Expression source
+ * @returns {Array<{type: string, value: string|number}>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  let match;
+  while (TOKEN_PATTERN.lastIndex < source.length && (match = TOKEN_PATTERN.exec(source))) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'identifier', value: match[2] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'symbol', value: match[3] });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Converts a record value to a number; missing or non-numeric values count as 0
+ * @param {*} value - Raw record value
+ * @returns {number} Numeric value
+ */
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Compiles a frequency expression
+ * Supports numbers, column names, + - * / %, parentheses and the functions in FUNCTIONS.
+ * A bare column name is a valid expression.
+ * @param {string} source - Expression source
+ * @returns {Function} Function mapping a record to a number; its `columns` lists referenced columns
+ * @throws {Error} If the expression cannot be parsed
+ */
+function compileExpression(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw new Error('Invalid frequency expression: expression must be a non-empty string');
+  }
+
+  const tokens = tokenize(source);
+  const columns = new Set();
+  let position = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid frequency expression "${source}": ${message}`);
+  };
+  const peek = () => tokens[position];
+  const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      fail(`expected "${value}"`);
+    }
+    position++;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = tokens[position++].value;
+      const left = node;
+      const right = parseTerm();
+      node = operator === '+'
+        ? record => left(record) + right(record)
+        : record => left(record) - right(record);
+    }
+    return node;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isSymbol('*') || isSymbol('/') || isSymbol('%')) {
+      const operator = tokens[position++].value;
+      const left = node;
+      const right = parseUnary();
+      if (operator === '*') {
+        node = record => left(record) * right(record);
+      } else if (operator === '/') {
+        node = record => left(record) / right(record);
+      } else {
+        node = record => left(record) % right(record);
+      }
+    }
+    return node;
+  };
+
+  // unary := '-' unary | primary
+  const parseUnary = () => {
+    if (isSymbol('-')) {
+      position++;
+      const operand = parseUnary();
+      return record => -operand(record);
+    }
+    return parsePrimary();
+  };
+
+  // primary := number | function '(' arguments ')' | column | '(' expression ')'
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      fail('unexpected end of expression');
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return () => token.value;
+    }
+
+    if (token.type === 'identifier') {
+      position++;
+
+      if (isSymbol('(')) {
+        const fn = FUNCTIONS[token.value];
+        if (!fn) {
+          fail(`unknown function "${token.value}"`);
+        }
+
+        position++;
+        const args = [];
+        if (!isSymbol(')')) {
+          args.push(parseExpression());
+          while (isSymbol(',')) {
+            position++;
+            args.push(parseExpression());
+          }
+        }
+        expect(')');
+        return record => fn(...args.map(arg => arg(record)));
+      }
+
+      columns.add(token.value);
+      return record => toNumber(record[token.value]);
+    }
+
+    if (isSymbol('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    return fail(`unexpected "${token.value}"`);
+  };
+
+  const evaluate = parseExpression();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position].value}"`);
+  }
+
+  evaluate.columns = Array.from(columns);
+  return evaluate;
+}
+
+module.exports = {
+  FUNCTIONS,
+  compileExpression
+};
@@ -0,0 +1,117 @@
+/**
+ * Keyboard Layouts
+ * Builds key adjacency tables so that substituting a neighbouring key ("s" -> "a")
+ * can cost less than substituting a distant one ("s" -> "q")
+ */
+
+/**
+ * Letter rows of each supported layout, top to bottom
+ * Rows are staggered the way physical keyboards are: each row starts
+ * a quarter, then half a key further right than the one above it.
+ */
+const KEYBOARD_LAYOUTS = {
+  qwerty: ['qwertyuiop', 'asdfghjkl;', 'zxcvbnm,.'],
+  qwertz: ['qwertzuiopü', 'asdfghjklöä', 'yxcvbnm,.'],
+  azerty: ['azertyuiop', 'qsdfghjklm', 'wxcvbn,;'],
+  dvorak: ['\',.pyfgcrl', 'aoeuidhtns', ';qjkxbmwvz']
+};
+
+// Horizontal offset of each row, in key widths
+const ROW_OFFSETS = [0, 0.25, 0.75];
+
+// Layout name that turns adjacency weighting off
+const NO_LAYOUT = 'none';
+
+const adjacencyCache = new Map();
+
+/**
+ * Gets the names accepted wherever a keyboard layout is configured
+ * @returns {string[]} Layout names, including 'none'
+ */
+function getKeyboardLayoutNames() {
+  return [...Object.keys(KEYBOARD_LAYOUTS), NO_LAYOUT];
+}
+
+/**
+ * Gets the keys physically adjacent to each key of a layout
+ * Two keys are adjacent when they sit next to each other in a row, or in
+ * neighbouring rows less than one key width apart horizontally.
+ * Time Complexity: O(k^2) on first use where k is the number of keys, O(1) afterwards
+ * @param {string} layout - Layout name
+ * @returns {Map<string, Set<string>>} Adjacent keys by key
+ * @throws {Error} If the layout is not supported
+ */
+function getAdjacentKeys(layout) {
+  if (adjacencyCache.has(layout)) {
+    return adjacencyCache.get(layout);
+  }
+
+  const rows = KEYBOARD_LAYOUTS[layout];
+  if (!rows) {
+    throw new Error(`Unknown keyboard layout: ${layout}`);
+  }
+
+  const keys = [];
+  rows.forEach((row, rowIndex) => {
+    Array.from(row).forEach((key, column) => {
+      keys.push({ key, row: rowIndex, x: ROW_OFFSETS[rowIndex] + column });
+    });
+  });
+
+  const adjacency = new Map(keys.map(({ key }) => [key, new Set()]));
+  for (const a of keys) {
+    for (const b of keys) {
+      const rowGap = Math.abs(a.row - b.row);
+      const xGap = Math.abs(a.x - b.x);
+      if (a !== b && ((rowGap === 0 && xGap === 1) || (rowGap === 1 && xGap < 1))) {
+        adjacency.get(a.key).add(b.key);
+      }
+    }
+  }
+
+  adjacencyCache.set(layout, adjacency);
+  return adjacency;
+}
+
+/**
+ * Checks whether two keys are next to each other on a layout
+ * @param {string} layout - Layout name
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {boolean} True if the keys are adjacent
+ */
+function areAdjacentKeys(layout, a, b) {
+  const neighbours = getAdjacentKeys(layout).get(a);
+  return neighbours !== undefined && neighbours.has(b);
+}
+
+/**
+ * Creates the substitution cost function for a layout
+ * @param {string} layout - Layout name, or 'none' to cost every substitution the same
+ * @param {number} adjacentKeyCost - Cost of substituting an adjacent key (default: 0.5)
+ * @returns {Function} Function mapping two characters to a substitution cost (0 when equal, otherwise up to 1)
+ * @throws {Error} If the layout is not supported
+ */
+function createSubstitutionCost(layout, adjacentKeyCost = 0.5) {
+  if (layout === NO_LAYOUT) {
+    return (a, b) => (a === b ? 0 : 1);
+  }
+
+  const adjacency = getAdjacentKeys(layout);
+  return (a, b) => {
+    if (a === b) {
+      return 0;
+    }
+    const neighbours = adjacency.get(a);
+    return neighbours !== undefined && neighbours.has(b) ? adjacentKeyCost : 1;
+  };
+}
+
+module.exports = {
+  KEYBOARD_LAYOUTS,
+  NO_LAYOUT,
+  areAdjacentKeys,
+  createSubstitutionCost,
+  getAdjacentKeys,
+  getKeyboardLayoutNames
+};
@@ -0,0 +1,612 @@
+/**
+ * Phonetic Encoders
+ * Map a word to codes describing how it sounds, so that spellings which are far
+ * apart in edit distance but pronounced alike ("Filadelfia", "Philadelphia")
+ * share a code. Words are expected to be normalized (diacritics stripped).
+ */
+
+const VOWELS = 'AEIOUY';
+
+const SOUNDEX_CODES = {
+  B: '1', F: '1', P: '1', V: '1',
+  C: '2', G: '2', J: '2', K: '2', Q: '2', S: '2', X: '2', Z: '2',
+  D: '3', T: '3',
+  L: '4',
+  M: '5', N: '5',
+  R: '6'
+};
+
+/**
+ * Encodes a word with American Soundex
+ * The first letter is kept and the following consonant sounds become up to three digits.
+ * Time Complexity: O(n) where n is the word length
+ * @param {string} word - Word to encode
+ * @returns {string[]} The Soundex code (e.g. ["C220"] for "chicago"), or [] if the word has no letters
+ */
+function soundex(word) {
+  const letters = String(word).toUpperCase().replace(/[^A-Z]/g, '');
+  if (letters.length === 0) {
+    return [];
+  }
+
+  let code = letters[0];
+  let previous = SOUNDEX_CODES[letters[0]] || '';
+
+  for (let i = 1; i < letters.length && code.length < 4; i++) {
+    const char = letters[i];
+    const digit = SOUNDEX_CODES[char];
+
+    if (digit) {
+      if (digit !== previous) {
+        code += digit;
+      }
+      previous = digit;
+    } else if (char !== 'H' && char !== 'W') {
+      // Vowels separate repeated codes; H and W do not
+      previous = '';
+    }
+  }
+
+  return [code.padEnd(4, '0')];
+}
+
+/**
+ * Encodes a word with Double Metaphone
+ * Produces a primary code and, for words with an ambiguous origin or pronunciation,
+ * a different alternate code ("schmidt" is XMT or SMT). "0" stands for "th".
+ * Time Complexity: O(n) where n is the word length
+ * @param {string} word - Word to encode
+ * @param {number} maxLength - Maximum code length (default: 4)
+ * @returns {string[]} Primary code followed by the alternate code when it differs, or [] if nothing is encoded
+ */
+function doubleMetaphone(word, maxLength = 4) {
+  const value = String(word).toUpperCase();
+  const length = value.length;
+  let primary = '';
+  let secondary = '';
+  let index = 0;
+
+  const charAt = i => (i >= 0 && i < length ? value[i] : '');
+  const isVowel = i => VOWELS.includes(charAt(i)) && charAt(i) !== '';
+  const stringAt = (start, count, ...options) => start >= 0 && options.includes(value.substr(start, count));
+  const add = (main, alternate = main) => {
+    primary += main;
+    secondary += alternate;
+  };
+
+  const isSlavoGermanic = /W|K|CZ|WITZ/.test(value);
+  const isGermanic = stringAt(0, 4, 'VAN ', 'VON ') || stringAt(0, 3, 'SCH');
+
+  // Silent first letters
+  if (stringAt(0, 2, 'GN', 'KN', 'PN', 'WR', 'PS')) {
+    index++;
+  }
+
+  // Initial "X" sounds like "S" ("Xavier")
+  if (charAt(0) === 'X') {
+    add('S');
+    index++;
+  }
+
+  while (index < length) {
+    const char = value[index];
+    const next = charAt(index + 1);
+
+    switch (char) {
+    case 'A':
+    case 'E':
+    case 'I':
+    case 'O':
+    case 'U':
+    case 'Y':
+      if (index === 0) {
+        add('A');
+      }
+      index++;
+      break;
+
+    case 'B':
+      add('P');
+      index += next === 'B' ? 2 : 1;
+      break;
+
+    case 'C':
+      index = encodeC(index);
+      break;
+
+    case 'D':
+      if (stringAt(index, 2, 'DG')) {
+        if (stringAt(index + 2, 1, 'I', 'E', 'Y')) {
+          add('J');
+          index += 3;
+        } else {
+          add('TK');
+          index += 2;
+        }
+      } else {
+        add('T');
+        index += stringAt(index, 2, 'DT', 'DD') ? 2 : 1;
+      }
+      break;
+
+    case 'F':
+      add('F');
+      index += next === 'F' ? 2 : 1;
+      break;
+
+    case 'G':
+      index = encodeG(index);
+      break;
+
+    case 'H':
+      // Only pronounced between vowels or at the start before a vowel
+      if ((index === 0 || isVowel(index - 1)) && isVowel(index + 1)) {
+        add('H');
+        index += 2;
+      } else {
+        index++;
+      }
+      break;
+
+    case 'J':
+      index = encodeJ(index);
+      break;
+
+    case 'K':
+      add('K');
+      index += next === 'K' ? 2 : 1;
+      break;
+
+    case 'L':
+      if (next === 'L') {
+        // Spanish "ll" as in "Cabrillo" or "Gallegos"
+        const spanish = (index === length - 3 && stringAt(index - 1, 4, 'ILLO', 'ILLA', 'ALLE')) ||
+          ((stringAt(length - 2, 2, 'AS', 'OS') || stringAt(length - 1, 1, 'A', 'O')) && stringAt(index - 1, 4, 'ALLE'));
+        add('L', spanish ? '' : 'L');
+        index += 2;
+      } else {
+        add('L');
+        index++;
+      }
+      break;
+
+    case 'M':
+      add('M');
+      // Silent "b" in "dumb" and "thumber"
+      index += (stringAt(index - 1, 3, 'UMB') && (index + 1 === length - 1 || stringAt(index + 2, 2, 'ER'))) || next === 'M'
+        ? 2
+        : 1;
+      break;
+
+    case 'N':
+      add('N');
+      index += next === 'N' ? 2 : 1;
+      break;
+
+    case 'P':
+      if (next === 'H') {
+        add('F');
+        index += 2;
+      } else {
+        add('P');
+        index += stringAt(index + 1, 1, 'P', 'B') ? 2 : 1;
+      }
+      break;
+
+    case 'Q':
+      add('K');
+      index += next === 'Q' ? 2 : 1;
+      break;
+
+    case 'R':
+      // French final "r" as in "Rogier"
+      if (index === length - 1 && !isSlavoGermanic && stringAt(index - 2, 2, 'IE') && !stringAt(index - 4, 2, 'ME', 'MA')) {
+        add('', 'R');
+      } else {
+        add('R');
+      }
+      index += next === 'R' ? 2 : 1;
+      break;
+
+    case 'S':
+      index = encodeS(index);
+      break;
+
+    case 'T':
+      if (stringAt(index, 4, 'TION') || stringAt(index, 3, 'TIA', 'TCH')) {
+        add('X');
+        index += 3;
+      } else if (stringAt(index, 2, 'TH') || stringAt(index, 3, 'TTH')) {
+        // "Thomas" and "Thames" keep a hard "t"
+        if (stringAt(index + 2, 2, 'OM', 'AM') || isGermanic) {
+          add('T');
+        } else {
+          add('0', 'T');
+        }
+        index += 2;
+      } else {
+        add('T');
+        index += stringAt(index + 1, 1, 'T', 'D') ? 2 : 1;
+      }
+      break;
+
+    case 'V':
+      add('F');
+      index += next === 'V' ? 2 : 1;
+      break;
+
+    case 'W':
+      index = encodeW(index);
+      break;
+
+    case 'X':
+      // French final "x" as in "Breaux" is silent
+      if (!(index === length - 1 && (stringAt(index - 3, 3, 'IAU', 'EAU') || stringAt(index - 2, 2, 'AU', 'OU')))) {
+        add('KS');
+      }
+      index += stringAt(index + 1, 1, 'C', 'X') ? 2 : 1;
+      break;
+
+    case 'Z':
+      if (next === 'H') {
+        add('J');
+        index += 2;
+      } else {
+        if (stringAt(index + 1, 2, 'ZO', 'ZI', 'ZA') || (isSlavoGermanic && index > 0 && charAt(index - 1) !== 'T')) {
+          add('S', 'TS');
+        } else {
+          add('S');
+        }
+        index += next === 'Z' ? 2 : 1;
+      }
+      break;
+
+    default:
+      index++;
+    }
+  }
+
+  /**
+   * Encodes a "c" and returns the index after it
+   * @param {number} i - Index of the "c"
+   * @returns {number} Next index
+   */
+  function encodeC(i) {
+    // Germanic "ach" as in "Bacher" but not "Macher"
+    if (i > 1 && !isVowel(i - 2) && stringAt(i - 1, 3, 'ACH') && charAt(i + 2) !== 'I' &&
+        (charAt(i + 2) !== 'E' || stringAt(i - 2, 6, 'BACHER', 'MACHER'))) {
+      add('K');
+      return i + 2;
+    }
+
+    if (i === 0 && stringAt(i, 6, 'CAESAR')) {
+      add('S');
+      return i + 2;
+    }
+
+    // Italian "chianti"
+    if (stringAt(i, 4, 'CHIA')) {
+      add('K');
+      return i + 2;
+    }
+
+    if (stringAt(i, 2, 'CH')) {
+      if (i > 0 && stringAt(i, 4, 'CHAE')) {
+        add('K', 'X');
+      } else if (i === 0 && (stringAt(i + 1, 5, 'HARAC', 'HARIS') || stringAt(i + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) &&
+          !stringAt(0, 5, 'CHORE')) {
+        // Greek roots: "character", "chorus"
+        add('K');
+      } else if (isGermanic || stringAt(i - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') || stringAt(i + 2, 1, 'T', 'S') ||
+          ((stringAt(i - 1, 1, 'A', 'O', 'U', 'E') || i === 0) &&
+            stringAt(i + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '))) {
+        add('K');
+      } else if (i > 0) {
+        if (stringAt(0, 2, 'MC')) {
+          add('K');
+        } else {
+          add('X', 'K');
+        }
+      } else {
+        add('X');
+      }
+      return i + 2;
+    }
+
+    // Polish "cz" as in "Czerny", but not "Wicz"
+    if (stringAt(i, 2, 'CZ') && !stringAt(i - 2, 4, 'WICZ')) {
+      add('S', 'X');
+      return i + 2;
+    }
+
+    if (stringAt(i + 1, 3, 'CIA')) {
+      add('X');
+      return i + 3;
+    }
+
+    // Double "c" but not "McClellan"
+    if (stringAt(i, 2, 'CC') && !(i === 1 && charAt(0) === 'M')) {
+      if (stringAt(i + 2, 1, 'I', 'E', 'H') && !stringAt(i + 2, 2, 'HU')) {
+        // "accident", "succeed" versus "bacci", "bertucci"
+        if ((i === 1 && charAt(i - 1) === 'A') || stringAt(i - 1, 5, 'UCCEE', 'UCCES')) {
+          add('KS');
+        } else {
+          add('X');
+        }
+        return i + 3;
+      }
+      add('K');
+      return i + 2;
+    }
+
+    if (stringAt(i, 2, 'CK', 'CG', 'CQ')) {
+      add('K');
+      return i + 2;
+    }
+
+    if (stringAt(i, 2, 'CI', 'CE', 'CY')) {
+      if (stringAt(i, 3, 'CIO', 'CIE', 'CIA')) {
+        add('S', 'X');
+      } else {
+        add('S');
+      }
+      return i + 2;
+    }
+
+    add('K');
+    if (stringAt(i + 1, 2, ' C', ' Q', ' G')) {
+      return i + 3;
+    }
+    if (stringAt(i + 1, 1, 'C', 'K', 'Q') && !stringAt(i + 1, 2, 'CE', 'CI')) {
+      return i + 2;
+    }
+    return i + 1;
+  }
+
+  /**
+   * Encodes a "g" and returns the index after it
+   * @param {number} i - Index of the "g"
+   * @returns {number} Next index
+   */
+  function encodeG(i) {
+    const next = charAt(i + 1);
+
+    if (next === 'H') {
+      if (i > 0 && !isVowel(i - 1)) {
+        add('K');
+        return i + 2;
+      }
+      if (i === 0) {
+        // "Ghislane" versus "Ghent"
+        add(charAt(i + 2) === 'I' ? 'J' : 'K');
+        return i + 2;
+      }
+      // Silent in "Hugh", "bough" and "broughton"
+      if (stringAt(i - 2, 1, 'B', 'H', 'D') || stringAt(i - 3, 1, 'B', 'H', 'D') || stringAt(i - 4, 1, 'B', 'H')) {
+        return i + 2;
+      }
+      // "laugh", "McLaughlin", "cough", "rough"
+      if (i > 2 && charAt(i - 1) === 'U' && stringAt(i - 3, 1, 'C', 'G', 'L', 'R', 'T')) {
+        add('F');
+      } else if (i > 0 && charAt(i - 1) !== 'I') {
+        add('K');
+      }
+      return i + 2;
+    }
+
+    if (next === 'N') {
+      if (i === 1 && isVowel(0) && !isSlavoGermanic) {
+        add('KN', 'N');
+      } else if (!stringAt(i + 2, 2, 'EY') && charAt(i + 1) !== 'Y' && !isSlavoGermanic) {
+        add('N', 'KN');
+      } else {
+        add('KN');
+      }
+      return i + 2;
+    }
+
+    // "tagliaro"
+    if (stringAt(i + 1, 2, 'LI') && !isSlavoGermanic) {
+      add('KL', 'L');
+      return i + 2;
+    }
+
+    // "-ges-", "-gep-", "-gel-" and "-gie-" at the start
+    if (i === 0 && (next === 'Y' ||
+        stringAt(i + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+      add('K', 'J');
+      return i + 2;
+    }
+
+    // "-ger-" and "-gy-" but not "danger", "ranger" or "manger"
+    if ((stringAt(i + 1, 2, 'ER') || next === 'Y') && !stringAt(0, 6, 'DANGER', 'RANGER', 'MANGER') &&
+        !stringAt(i - 1, 1, 'E', 'I') && !stringAt(i - 1, 3, 'RGY', 'OGY')) {
+      add('K', 'J');
+      return i + 2;
+    }
+
+    // Italian "biaggi"
+    if (stringAt(i + 1, 1, 'E', 'I', 'Y') || stringAt(i - 1, 4, 'AGGI', 'OGGI')) {
+      if (isGermanic || stringAt(i + 1, 2, 'ET')) {
+        add('K');
+      } else if (stringAt(i + 1, 4, 'IER ')) {
+        add('J');
+      } else {
+        add('J', 'K');
+      }
+      return i + 2;
+    }
+
+    add('K');
+    return next === 'G' ? i + 2 : i + 1;
+  }
+
+  /**
+   * Encodes a "j" and returns the index after it
+   * @param {number} i - Index of the "j"
+   * @returns {number} Next index
+   */
+  function encodeJ(i) {
+    const next = charAt(i + 1);
+
+    // Spanish "Jose" and "San Jacinto"
+    if (stringAt(i, 4, 'JOSE') || stringAt(0, 4, 'SAN ')) {
+      if ((i === 0 && charAt(i + 4) === ' ') || stringAt(0, 4, 'SAN ')) {
+        add('H');
+      } else {
+        add('J', 'H');
+      }
+      return i + 1;
+    }
+
+    if (i === 0) {
+      add('J', 'A');
+    } else if (isVowel(i - 1) && !isSlavoGermanic && (next === 'A' || next === 'O')) {
+      add('J', 'H');
+    } else if (i === length - 1) {
+      add('J', '');
+    } else if (!stringAt(i + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !stringAt(i - 1, 1, 'S', 'K', 'L')) {
+      add('J');
+    }
+
+    return next === 'J' ? i + 2 : i + 1;
+  }
+
+  /**
+   * Encodes an "s" and returns the index after it
+   * @param {number} i - Index of the "s"
+   * @returns {number} Next index
+   */
+  function encodeS(i) {
+    const next = charAt(i + 1);
+
+    // Silent in "island" and "carlisle"
+    if (stringAt(i - 1, 3, 'ISL', 'YSL')) {
+      return i + 1;
+    }
+
+    if (i === 0 && stringAt(i, 5, 'SUGAR')) {
+      add('X', 'S');
+      return i + 1;
+    }
+
+    if (stringAt(i, 2, 'SH')) {
+      // Germanic "Holmsheim"
+      add(stringAt(i + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ') ? 'S' : 'X');
+      return i + 2;
+    }
+
+    // Italian and Armenian "-sio-", "-sia-"
+    if (stringAt(i, 3, 'SIO', 'SIA') || stringAt(i, 4, 'SIAN')) {
+      if (isSlavoGermanic) {
+        add('S');
+      } else {
+        add('S', 'X');
+      }
+      return i + 3;
+    }
+
+    // German and anglicized "Smith"/"Schmidt", "snider"/"Schneider"
+    if ((i === 0 && stringAt(i + 1, 1, 'M', 'N', 'L', 'W')) || next === 'Z') {
+      add('S', 'X');
+      return next === 'Z' ? i + 2 : i + 1;
+    }
+
+    if (stringAt(i, 2, 'SC')) {
+      if (charAt(i + 2) === 'H') {
+        if (stringAt(i + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+          // Dutch "school", "schooner"; "schermerhorn" and "schenker"
+          if (stringAt(i + 3, 2, 'ER', 'EN')) {
+            add('X', 'SK');
+          } else {
+            add('SK');
+          }
+        } else if (i === 0 && !isVowel(3) && charAt(3) !== 'W') {
+          add('X', 'S');
+        } else {
+          add('X');
+        }
+      } else if (stringAt(i + 2, 1, 'I', 'E', 'Y')) {
+        add('S');
+      } else {
+        add('SK');
+      }
+      return i + 3;
+    }
+
+    // French final "s" as in "resnais" and "artois"
+    if (i === length - 1 && stringAt(i - 2, 2, 'AI', 'OI')) {
+      add('', 'S');
+    } else {
+      add('S');
+    }
+    return stringAt(i + 1, 1, 'S', 'Z') ? i + 2 : i + 1;
+  }
+
+  /**
+   * Encodes a "w" and returns the index after it
+   * @param {number} i - Index of the "w"
+   * @returns {number} Next index
+   */
+  function encodeW(i) {
+    if (stringAt(i, 2, 'WR')) {
+      add('R');
+      return i + 2;
+    }
+
+    if (i === 0 && (isVowel(i + 1) || stringAt(i, 2, 'WH'))) {
+      // "Wasserman" may also be pronounced "Vasserman"
+      if (isVowel(i + 1)) {
+        add('A', 'F');
+      } else {
+        add('A');
+      }
+    }
+
+    // Polish "Filipowicz" and final "w" as in "Arnow"
+    if ((i === length - 1 && isVowel(i - 1)) || stringAt(i - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') ||
+        stringAt(0, 3, 'SCH')) {
+      add('', 'F');
+      return i + 1;
+    }
+
+    if (stringAt(i, 4, 'WICZ', 'WITZ')) {
+      add('TS', 'FX');
+      return i + 4;
+    }
+
+    return i + 1;
+  }
+
+  const codes = [primary.slice(0, maxLength), secondary.slice(0, maxLength)].filter(code => code.length > 0);
+  return [...new Set(codes)];
+}
+
+/**
+ * Supported encoders, keyed by algorithm name
+ */
+const PHONETIC_ENCODERS = {
+  doubleMetaphone,
+  soundex
+};
+
+/**
+ * Gets an encoder by algorithm name
+ * @param {string} algorithm - 'doubleMetaphone' or 'soundex'
+ * @returns {Function} Encoder mapping a word to its codes
+ * @throws {Error} If the algorithm is not supported
+ */
+function getPhoneticEncoder(algorithm) {
+  const encoder = PHONETIC_ENCODERS[algorithm];
+  if (!encoder) {
+    throw new Error(`Unknown phonetic algorithm: ${algorithm}`);
+  }
+  return encoder;
+}
+
+module.exports = {
+  PHONETIC_ENCODERS,
+  doubleMetaphone,
+  getPhoneticEncoder,
+  soundex
+};
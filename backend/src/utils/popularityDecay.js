@@ -0,0 +1,32 @@
+/**
+ * Popularity decay helpers
+ * Popularity is stored together with the time it was last updated and decayed
+ * exponentially when read, so no background job has to touch every node.
+ */
+
+/**
+ * Default popularity half-life: one week in milliseconds
+ */
+const DEFAULT_POPULARITY_HALF_LIFE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Decays a stored popularity value to a point in time
+ * @param {number} popularity - Popularity at updatedAt
+ * @param {number|null} updatedAt - Time of the last update in milliseconds (null if never updated)
+ * @param {number} now - Time to decay to in milliseconds
+ * @param {number} halfLife - Milliseconds after which popularity halves
+ * @returns {number} Decayed popularity
+ */
+function decayPopularity(popularity, updatedAt, now, halfLife) {
+  if (!popularity || updatedAt === null) {
+    return 0;
+  }
+
+  const age = Math.max(0, now - updatedAt);
+  return popularity * Math.pow(0.5, age / halfLife);
+}
+
+module.exports = {
+  DEFAULT_POPULARITY_HALF_LIFE,
+  decayPopularity
+};
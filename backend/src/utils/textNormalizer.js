@@ -0,0 +1,83 @@
+/**
+ * Text Normalizer
+ * Builds the function that turns words and queries into Trie keys, so that
+ * "São Paulo", "SAO PAULO" and "sao paulo" all reach the same node
+ */
+
+/**
+ * Default normalization options
+ */
+const NORMALIZER_DEFAULTS = {
+  unicodeForm: 'NFKD', // Compatibility decomposition separates base letters from accents
+  stripDiacritics: true, // Drop combining diacritical marks left by decomposition
+  caseFolding: 'lower' // 'lower', 'full' (also folds ß -> ss) or 'none'
+};
+
+const UNICODE_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD', 'none'];
+const CASE_FOLDING_MODES = ['lower', 'full', 'none'];
+
+// Combining Diacritical Marks block; marks that carry meaning in other scripts are kept
+const DIACRITIC_PATTERN = /[\u0300-\u036f]/g;
+
+// Unicode normalization and diacritic stripping leave ASCII text unchanged
+const NON_ASCII_PATTERN = /[\u0080-\uffff]/;
+
+/**
+ * Creates a normalizer function
+ * @param {Object} options - Normalization options (see NORMALIZER_DEFAULTS)
+ * @param {string} options.unicodeForm - Unicode normalization form or 'none'
+ * @param {boolean} options.stripDiacritics - Whether to remove diacritical marks
+ * @param {string} options.caseFolding - Case folding mode
+ * @returns {Function} Function mapping a string to its normalized form
+ * @throws {Error} If an option value is not supported
+ */
+function createNormalizer(options = {}) {
+  const config = { ...NORMALIZER_DEFAULTS, ...options };
+
+  if (!UNICODE_FORMS.includes(config.unicodeForm)) {
+    throw new Error(`Unsupported Unicode normalization form: ${config.unicodeForm}`);
+  }
+
+  if (!CASE_FOLDING_MODES.includes(config.caseFolding)) {
+    throw new Error(`Unsupported case folding mode: ${config.caseFolding}`);
+  }
+
+  const normalizer = (text) => {
+    let result = text;
+
+    if (NON_ASCII_PATTERN.test(result)) {
+      if (config.unicodeForm !== 'none') {
+        result = result.normalize(config.unicodeForm);
+      }
+
+      if (config.stripDiacritics) {
+        result = result.replace(DIACRITIC_PATTERN, '');
+      }
+    }
+
+    if (config.caseFolding === 'lower') {
+      result = result.toLowerCase();
+    } else if (config.caseFolding === 'full') {
+      // Upper-casing first expands characters such as ß to SS before lowering
+      result = result.toUpperCase().toLowerCase();
+    }
+
+    return result.trim();
+  };
+
+  normalizer.options = config;
+  return normalizer;
+}
+
+/**
+ * Normalizer used by Trie instances that are not given one
+ */
+const defaultNormalizer = createNormalizer();
+
+module.exports = {
+  NORMALIZER_DEFAULTS,
+  UNICODE_FORMS,
+  CASE_FOLDING_MODES,
+  createNormalizer,
+  defaultNormalizer
+};
@@ -0,0 +1,242 @@
+/**
+ * XLSX Reader
+ * Minimal reader for the first (or a named) worksheet of an .xlsx workbook.
+ * An .xlsx file is a zip archive of XML parts; entries are inflated with zlib and
+ * cell values are read from the sheet and shared-strings XML. Formatting, formulas
+ * and dates are not interpreted: cells yield their stored value.
+ */
+
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Reads the entries of a zip archive
+ * @param {Buffer} buffer - Archive contents
+ * @returns {Map<string, Function>} Lazy readers returning each entry's contents, keyed by entry name
+ * @throws {Error} If the buffer is not a zip archive or uses an unsupported compression method
+ */
+function readZipEntries(buffer) {
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 65557); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = offset;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error('Not a valid XLSX file (zip directory not found)');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Not a valid XLSX file (corrupt zip directory)');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Not a valid XLSX file (corrupt entry ${name})`);
+      }
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return zlib.inflateRawSync(data);
+      }
+      throw new Error(`Unsupported zip compression method ${method} in ${name}`);
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decodes XML character entities
+ * @param {string} text - Escaped XML text
+ * @returns {string} Decoded text
+ */
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+    }
+    return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+  });
+}
+
+/**
+ * Concatenates the text runs (<t> elements) of an XML fragment
+ * @param {string} xml - Fragment such as a shared string item
+ * @returns {string} Decoded text
+ */
+function readText(xml) {
+  let text = '';
+  for (const match of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(match[1]);
+  }
+  return text;
+}
+
+/**
+ * Reads an attribute from an XML tag's attribute string
+ * @param {string} attributes - Attribute string
+ * @param {string} name - Attribute name
+ * @returns {string|null} Attribute value, or null if absent
+ */
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Converts a cell reference's column letters to a zero-based index, e.g. "AB12" -> 27
+ * @param {string} reference - Cell reference
+ * @returns {number} Column index
+ */
+function columnIndex(reference) {
+  let index = 0;
+  for (const letter of reference.match(/^[A-Z]+/)[0]) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Finds the archive path of a worksheet
+ * @param {Map<string, Function>} entries - Zip entries
+ * @param {string|number} sheet - Sheet name or 1-based position (default: first sheet)
+ * @returns {string} Worksheet entry name
+ * @throws {Error} If the workbook has no such sheet
+ */
+function resolveSheetPath(entries, sheet) {
+  const readEntry = name => {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`Not a valid XLSX file (missing ${name})`);
+    }
+    return entry().toString('utf8');
+  };
+
+  const sheets = Array.from(readEntry('xl/workbook.xml').matchAll(/<sheet\s([^>]*?)\/?>/g), match => ({
+    name: readAttribute(match[1], 'name'),
+    relationId: readAttribute(match[1], 'r:id')
+  }));
+
+  const selected = sheet === undefined || sheet === null
+    ? sheets[0]
+    : sheets.find((candidate, index) => candidate.name === sheet || index + 1 === sheet);
+
+  if (!selected) {
+    throw new Error(`Worksheet not found: ${sheet === undefined || sheet === null ? 'workbook has no sheets' : sheet}`);
+  }
+
+  for (const match of readEntry('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\s([^>]*?)\/?>/g)) {
+    if (readAttribute(match[1], 'Id') === selected.relationId) {
+      const target = readAttribute(match[1], 'Target');
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  throw new Error(`Worksheet not found: ${selected.name}`);
+}
+
+/**
+ * Reads the rows of a worksheet
+ * The first row is the header; each following row becomes an object keyed by header name.
+ * Rows without any value are skipped.
+ * @param {Buffer} buffer - Workbook contents
+ * @param {Object} options - Reader options
+ * @param {string|number} options.sheet - Sheet name or 1-based position (default: first sheet)
+ * @returns {Array<Object>} Row objects
+ * @throws {Error} If the workbook cannot be read
+ */
+function readXlsxRows(buffer, options = {}) {
+  const entries = readZipEntries(buffer);
+  const sheetPath = resolveSheetPath(entries, options.sheet);
+
+  const sharedStrings = [];
+  if (entries.has('xl/sharedStrings.xml')) {
+    const xml = entries.get('xl/sharedStrings.xml')().toString('utf8');
+    for (const match of xml.matchAll(/<si>([\s\S]*?)<\/si>/g)) {
+      sharedStrings.push(readText(match[1]));
+    }
+  }
+
+  const sheetXml = entries.get(sheetPath)().toString('utf8');
+  const rows = [];
+  let header = null;
+
+  for (const rowMatch of sheetXml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const values = [];
+    let position = 0;
+
+    for (const cellMatch of (rowMatch[1] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const reference = readAttribute(cellMatch[1], 'r');
+      const index = reference ? columnIndex(reference) : position;
+      const type = readAttribute(cellMatch[1], 't');
+      const content = cellMatch[2] || '';
+      const stored = content.match(/<v>([\s\S]*?)<\/v>/);
+      let value = stored ? decodeXml(stored[1]) : '';
+
+      if (type === 's') {
+        value = sharedStrings[parseInt(value, 10)] || '';
+      } else if (type === 'inlineStr') {
+        value = readText(content);
+      }
+
+      values[index] = value;
+      position = index + 1;
+    }
+
+    if (!header) {
+      header = Array.from(values, value => (value || '').trim());
+      continue;
+    }
+
+    if (values.some(value => value !== undefined && value !== '')) {
+      const row = {};
+      header.forEach((name, index) => {
+        if (name) {
+          row[name] = values[index] === undefined ? '' : values[index];
+        }
+      });
+      rows.push(row);
+    }
+  }
+
+  return rows;
+}
+
+module.exports = {
+  readXlsxRows
+};
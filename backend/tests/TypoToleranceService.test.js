@@ -5,6 +5,7 @@
 
 const TypoToleranceService = require('../src/services/TypoToleranceService');
 const Trie = require('../src/data-structures/Trie');
+const PhoneticIndex = require('../src/data-structures/PhoneticIndex');
 
 describe('TypoToleranceService', () => {
   let typoService;
@@ -34,8 +35,9 @@ describe('TypoToleranceService', () => {
       
       expect(config.maxEditDistance).toBe(2);
       expect(config.minWordLength).toBe(3);
-      expect(config.maxCandidates).toBe(100);
       expect(config.similarityThreshold).toBe(0.6);
+      expect(config.prefixMatching).toBe(true);
+      expect(config).toMatchObject({ keyboardLayout: 'qwerty', adjacentKeyCost: 0.5, transpositionCost: 1 });
     });
 
     test('should accept custom configuration', () => {
@@ -51,7 +53,7 @@ describe('TypoToleranceService', () => {
       expect(config.maxEditDistance).toBe(1);
       expect(config.minWordLength).toBe(2);
       expect(config.similarityThreshold).toBe(0.8);
-      expect(config.maxCandidates).toBe(100); // Should keep default
+      expect(config.prefixMatching).toBe(true); // Should keep default
     });
   });
 
@@ -95,6 +97,33 @@ describe('TypoToleranceService', () => {
       
       expect(result.steps).toBeGreaterThan(1);
     });
+
+    test('should count a transposition as a single edit', () => {
+      const result = typoService.calculateDistance('teh', 'the');
+
+      expect(result.steps).toBe(1);
+      expect(result.cost).toBe(1);
+    });
+
+    test('should cost adjacent-key substitutions less than distant ones', () => {
+      const adjacent = typoService.calculateDistance('sat', 'aat');
+      const distant = typoService.calculateDistance('sat', 'qat');
+
+      expect(adjacent).toMatchObject({ steps: 1, cost: 0.5 });
+      expect(distant).toMatchObject({ steps: 1, cost: 1 });
+      expect(adjacent.similarity).toBeGreaterThan(distant.similarity);
+    });
+
+    test('should follow the configured keyboard layout and costs', () => {
+      typoService.updateConfig({ keyboardLayout: 'azerty', transpositionCost: 0.5 });
+
+      expect(typoService.calculateDistance('sat', 'aat').cost).toBe(1);
+      expect(typoService.calculateDistance('sat', 'qat').cost).toBe(0.5);
+      expect(typoService.calculateDistance('teh', 'the').cost).toBe(0.5);
+
+      typoService.updateConfig({ keyboardLayout: 'none' });
+      expect(typoService.calculateDistance('sat', 'aat').cost).toBe(1);
+    });
   });
 
   describe('findTypoCorrections', () => {
@@ -108,6 +137,21 @@ describe('TypoToleranceService', () => {
       expect(corrections[0]).toHaveProperty('correctionType');
     });
 
+    test('should rank adjacent-key corrections above equally frequent distant ones', () => {
+      trie.insert('cat', 50);
+      trie.insert('cab', 50);
+
+      // "v" sits next to "b" on QWERTY but two rows away from "t"
+      const corrections = typoService.findTypoCorrections('cav', trie, 5);
+      const cat = corrections.find(correction => correction.word === 'cat');
+      const cab = corrections.find(correction => correction.word === 'cab');
+
+      expect(cab).toMatchObject({ editDistance: 0.5, correctionType: 'minor_typo' });
+      expect(cat.editDistance).toBe(1);
+      expect(cab.score).toBeGreaterThan(cat.score);
+      expect(corrections.indexOf(cab)).toBeLessThan(corrections.indexOf(cat));
+    });
+
     test('should return empty array for very short words', () => {
       const corrections = typoService.findTypoCorrections('hi', trie, 3);
       
@@ -130,6 +174,25 @@ describe('TypoToleranceService', () => {
       }
     });
 
+    test('should consider every word, not only the most frequent ones', () => {
+      for (let i = 0; i < 300; i++) {
+        trie.insert(`common${i}`, 1000 + i);
+      }
+
+      const corrections = typoService.findTypoCorrections('pythn', trie, 3);
+      expect(corrections.map(correction => correction.word)).toContain('python');
+    });
+
+    test('should correct and complete misspelled prefixes', () => {
+      trie.insert('california', 40);
+
+      const corrections = typoService.findTypoCorrections('calfor', trie, 3);
+      expect(corrections[0]).toMatchObject({ word: 'california', editDistance: 1, correctionType: 'minor_typo' });
+
+      typoService.updateConfig({ prefixMatching: false });
+      expect(typoService.findTypoCorrections('calfor', trie, 3)).toEqual([]);
+    });
+
     test('should handle empty query', () => {
       const corrections = typoService.findTypoCorrections('', trie, 3);
       
@@ -157,8 +220,8 @@ describe('TypoToleranceService', () => {
     });
 
     test('should weight similarity more than frequency', () => {
-      const highFreqLowSim = typoService.calculateCorrectionScore(1000, 0.6);
-      const lowFreqHighSim = typoService.calculateCorrectionScore(10, 0.9);
+      const highFreqLowSim = typoService.calculateCorrectionScore(1000, 0.6, 1000);
+      const lowFreqHighSim = typoService.calculateCorrectionScore(10, 0.9, 1000);
       
       // With similarity weight of 0.7 and frequency weight of 0.3
       // highFreqLowSim = 0.6 * 0.7 + 1.0 * 0.3 = 0.42 + 0.3 = 0.72
@@ -166,6 +229,14 @@ describe('TypoToleranceService', () => {
       // So actually high frequency with low similarity wins in this case
       expect(highFreqLowSim).toBeGreaterThan(lowFreqHighSim);
     });
+
+    test('should scale frequency to the most frequent candidate and use configured weights', () => {
+      expect(typoService.calculateCorrectionScore(50, 0.5, 100)).toBeCloseTo(0.5);
+      expect(typoService.calculateCorrectionScore(5, 0.5, 10)).toBeCloseTo(0.5);
+
+      typoService.updateConfig({ similarityWeight: 1, frequencyWeight: 0 });
+      expect(typoService.calculateCorrectionScore(1000, 0.6, 1000)).toBeCloseTo(0.6);
+    });
   });
 
   describe('combineResults', () => {
@@ -194,6 +265,57 @@ describe('TypoToleranceService', () => {
       
       expect(result.combined).toHaveLength(3);
     });
+
+    test('should add phonetic matches after corrections without repeating words', () => {
+      const exactMatches = [{ word: 'hello', frequency: 100 }];
+      const typoCorrections = [{ word: 'help', frequency: 80, editDistance: 1 }];
+      const phoneticMatches = [
+        { word: 'help', frequency: 80, phoneticCode: 'HLP' },
+        { word: 'hollow', frequency: 20, phoneticCode: 'HL' }
+      ];
+
+      const result = typoService.combineResults(exactMatches, typoCorrections, 5, phoneticMatches);
+
+      expect(result.phoneticMatches).toEqual([{ word: 'hollow', frequency: 20, phoneticCode: 'HL', type: 'phonetic_match' }]);
+      expect(result.combined.map(s => s.type)).toEqual(['exact_match', 'typo_correction', 'phonetic_match']);
+    });
+  });
+
+  describe('phonetic matching', () => {
+    beforeEach(() => {
+      trie.insert('philadelphia', 90);
+      trie.insert('chicago', 95);
+    });
+
+    test('should find misspellings beyond the edit distance limit', () => {
+      const phoneticIndex = new PhoneticIndex(trie);
+      phoneticIndex.build();
+
+      expect(typoService.findTypoCorrections('filadelfia', trie, 5).map(c => c.word)).not.toContain('philadelphia');
+
+      const result = typoService.search('filadelfia', trie, 5, { phoneticIndex });
+      expect(result.phoneticMatches[0]).toMatchObject({
+        word: 'philadelphia',
+        originalQuery: 'filadelfia',
+        type: 'phonetic_match'
+      });
+      expect(result.combined.map(s => s.word)).toContain('philadelphia');
+    });
+
+    test('should skip typo corrections when disabled', () => {
+      const phoneticIndex = new PhoneticIndex(trie);
+      phoneticIndex.build();
+
+      const result = typoService.search('chikago', trie, 5, { phoneticIndex, typoCorrections: false });
+
+      expect(result.typoCorrections).toEqual([]);
+      expect(result.combined.map(s => s.word)).toEqual(['chicago']);
+    });
+
+    test('should return no phonetic matches without an index', () => {
+      expect(typoService.findPhoneticMatches('chikago', null)).toEqual([]);
+      expect(typoService.search('chikago', trie, 5).phoneticMatches).toEqual([]);
+    });
   });
 
   describe('search', () => {
@@ -228,6 +350,37 @@ describe('TypoToleranceService', () => {
     });
   });
 
+  describe('suggestCorrection', () => {
+    test('should pick the most frequent typo correction', () => {
+      const correction = typoService.suggestCorrection('pythn', trie);
+
+      expect(correction).toMatchObject({
+        word: 'python',
+        originalQuery: 'pythn',
+        source: 'typo_correction'
+      });
+      expect(correction.confidence).toBeGreaterThan(0);
+      expect(correction.confidence).toBeLessThanOrEqual(correction.similarity);
+    });
+
+    test('should fall back to phonetic matches', () => {
+      trie.insert('philadelphia', 90);
+      const phoneticIndex = new PhoneticIndex(trie);
+      phoneticIndex.build();
+
+      const correction = typoService.suggestCorrection('filadelfia', trie, { phoneticIndex });
+
+      expect(correction).toMatchObject({ word: 'philadelphia', source: 'phonetic_match' });
+      expect(correction.confidence).toBeGreaterThan(0);
+    });
+
+    test('should return null when nothing is close enough', () => {
+      expect(typoService.suggestCorrection('zzzzzzzz', trie)).toBeNull();
+      expect(typoService.suggestCorrection('', trie)).toBeNull();
+      expect(typoService.suggestCorrection('pythn', null)).toBeNull();
+    });
+  });
+
   describe('configuration management', () => {
     test('should update configuration', () => {
       const newConfig = { maxEditDistance: 1, similarityThreshold: 0.8 };
@@ -238,6 +391,11 @@ describe('TypoToleranceService', () => {
       expect(config.similarityThreshold).toBe(0.8);
     });
 
+    test('should reject unknown keyboard layouts and keep the previous config', () => {
+      expect(() => typoService.updateConfig({ keyboardLayout: 'colemak' })).toThrow('Unknown keyboard layout');
+      expect(typoService.getConfig().keyboardLayout).toBe('qwerty');
+    });
+
     test('should return statistics', () => {
       const stats = typoService.getStats();
       
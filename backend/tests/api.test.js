@@ -170,9 +170,10 @@ describe('API Integration Tests', () => {
     });
 
     describe('POST /api/search/increment', () => {
-      test('should increment frequency for existing word', async () => {
+      test('should add the selection to the popularity of an existing word', async () => {
         const word = 'apple';
         const originalFrequency = app.locals.trie.getFrequency(word);
+        const originalPopularity = app.locals.trie.getPopularity(word);
 
         const response = await request(app)
           .post('/api/search/increment')
@@ -183,12 +184,15 @@ describe('API Integration Tests', () => {
           success: true,
           word,
           increment: 2,
-          newFrequency: originalFrequency + 2,
+          frequency: originalFrequency,
           message: expect.stringContaining(word)
         });
+        expect(response.body.popularity).toBeCloseTo(originalPopularity + 2, 2);
+        expect(response.body.newFrequency).toBeCloseTo(originalFrequency + originalPopularity + 2, 2);
 
-        // Verify frequency was actually updated
-        expect(app.locals.trie.getFrequency(word)).toBe(originalFrequency + 2);
+        // The dataset frequency stays as loaded; the selection only adds decaying popularity
+        expect(app.locals.trie.getFrequency(word)).toBe(originalFrequency);
+        expect(app.locals.trie.getPopularity(word)).toBeCloseTo(originalPopularity + 2, 2);
       });
 
       test('should return 404 for non-existent word', async () => {
@@ -0,0 +1,158 @@
+/**
+ * Dataset Descriptor Tests
+ * Covers descriptor file parsing (JSON and YAML), validation and defaults
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_DESCRIPTOR_PATH,
+  getDatasetSearchPaths,
+  loadDatasetDescriptors,
+  normalizeDescriptor
+} = require('../../src/config/datasetDescriptors');
+
+describe('Dataset descriptors', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'descriptors-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('loadDatasetDescriptors', () => {
+    test('should load the built-in datasets by default', () => {
+      const descriptors = loadDatasetDescriptors();
+
+      expect(descriptors.map(descriptor => descriptor.name)).toEqual(['cities', 'products', 'movies']);
+      expect(descriptors[2]).toMatchObject({ type: 'movies', format: 'tsv', file: 'Movie.tsv' });
+      expect(descriptors[0].baseDir).toBe(path.dirname(DEFAULT_DESCRIPTOR_PATH));
+    });
+
+    test('should read YAML, skip disabled datasets and sort by priority', () => {
+      const file = path.join(tempDir, 'datasets.yaml');
+      fs.writeFileSync(file, [
+        'datasets:',
+        '  - name: airports',
+        '    file: airports.xlsx',
+        '    term: name',
+        '    priority: 5',
+        '  - name: drafts',
+        '    file: drafts.csv',
+        '    term: title',
+        '    enabled: false',
+        '  - name: cities',
+        '    file: worldcities.csv',
+        '    type: cities',
+        '    priority: 1'
+      ].join('\n'));
+
+      const descriptors = loadDatasetDescriptors(file);
+
+      expect(descriptors.map(descriptor => descriptor.name)).toEqual(['cities', 'airports']);
+      expect(descriptors[1]).toMatchObject({ type: 'generic', format: 'xlsx', baseDir: tempDir });
+    });
+
+    test('should reject files without a datasets list and duplicate names', () => {
+      const empty = path.join(tempDir, 'empty.json');
+      fs.writeFileSync(empty, '{}');
+      expect(() => loadDatasetDescriptors(empty)).toThrow('must contain a "datasets" list');
+
+      const duplicated = path.join(tempDir, 'duplicated.json');
+      fs.writeFileSync(duplicated, JSON.stringify({
+        datasets: [
+          { name: 'cities', file: 'a.csv', type: 'cities' },
+          { name: 'cities', file: 'b.csv', type: 'cities' }
+        ]
+      }));
+      expect(() => loadDatasetDescriptors(duplicated)).toThrow('name is used more than once');
+    });
+
+    test('should report syntax errors with the file name', () => {
+      const file = path.join(tempDir, 'broken.json');
+      fs.writeFileSync(file, '{ "datasets": [');
+      expect(() => loadDatasetDescriptors(file)).toThrow(`Failed to parse dataset descriptor file ${file}`);
+    });
+  });
+
+  describe('normalizeDescriptor', () => {
+    test('should fill in generic defaults', () => {
+      const descriptor = normalizeDescriptor({ name: 'airports', file: 'airports.csv', term: 'name' });
+
+      expect(descriptor).toMatchObject({
+        type: 'generic',
+        format: 'csv',
+        term: ['name'],
+        minTermLength: 1,
+        duplicates: 'sum',
+        filters: [],
+        payload: { id: null, display: null, metadata: {} }
+      });
+      expect(descriptor.frequency.evaluate({})).toBe(1);
+    });
+
+    test('should compile frequency expressions and filters', () => {
+      const descriptor = normalizeDescriptor({
+        name: 'airports',
+        file: 'airports.jsonl',
+        term: ['name', 'city'],
+        frequency: { expression: 'log10(passengers + 1)', min: 1, max: 10 },
+        filters: [
+          { column: 'type', op: 'in', value: ['large_airport', 'medium_airport'] },
+          { column: 'passengers', op: 'gte', value: 1000 },
+          { column: 'iata', op: 'matches', value: '^[A-Z]{3}$' }
+        ],
+        payload: { id: 'iata', metadata: ['country'] }
+      });
+      const passes = record => descriptor.filters.every(filter => filter(record));
+
+      expect(descriptor.frequency).toMatchObject({ expression: 'log10(passengers + 1)', min: 1, max: 10 });
+      expect(descriptor.frequency.evaluate({ passengers: 999 })).toBe(3);
+      expect(passes({ type: 'large_airport', passengers: '5000', iata: 'ATL' })).toBe(true);
+      expect(passes({ type: 'heliport', passengers: '5000', iata: 'ATL' })).toBe(false);
+      expect(passes({ type: 'large_airport', passengers: '10', iata: 'ATL' })).toBe(false);
+      expect(passes({ type: 'large_airport', passengers: '5000', iata: '' })).toBe(false);
+      expect(descriptor.payload.metadata).toEqual({ country: 'country' });
+    });
+
+    test('should not require generic fields for built-in types', () => {
+      expect(normalizeDescriptor({ name: 'movies', file: 'Movie.tsv', type: 'movies' }))
+        .not.toHaveProperty('term');
+    });
+
+    test.each([
+      [{ file: 'a.csv', term: 'name' }, 'name must use lowercase letters'],
+      [{ name: 'all', file: 'a.csv', term: 'name' }, 'cannot be "all"'],
+      [{ name: 'a' }, 'file is required'],
+      [{ name: 'a', file: 'a.csv', type: 'music' }, 'unknown type "music"'],
+      [{ name: 'a', file: 'a.parquet', term: 'name' }, 'format must be one of: csv, tsv, jsonl, xlsx'],
+      [{ name: 'a', file: 'a.csv' }, 'term must name the column'],
+      [{ name: 'a', file: 'a.csv', term: 'name', frequency: 'votes +' }, 'Invalid frequency expression'],
+      [{ name: 'a', file: 'a.csv', term: 'name', frequency: { expression: 1, min: 5, max: 2 } }, 'min <= max'],
+      [{ name: 'a', file: 'a.csv', term: 'name', filters: [{ column: 'x', op: 'like' }] }, 'unknown filter operator "like"'],
+      [{ name: 'a', file: 'a.csv', term: 'name', filters: [{ column: 'x', op: 'gt', value: '5' }] }, 'needs a numeric value'],
+      [{ name: 'a', file: 'a.csv', term: 'name', duplicates: 'last' }, 'duplicates must be one of']
+    ])('should reject invalid descriptor %#', (raw, message) => {
+      expect(() => normalizeDescriptor(raw)).toThrow(message);
+    });
+  });
+
+  describe('getDatasetSearchPaths', () => {
+    test('should search next to the descriptor file first', () => {
+      const descriptor = normalizeDescriptor({ name: 'a', file: 'a.csv', term: 'name' }, { baseDir: tempDir });
+      const paths = getDatasetSearchPaths(descriptor);
+
+      expect(paths[0]).toBe(path.join(tempDir, 'a.csv'));
+      expect(paths).toContain(path.resolve(__dirname, '../../../data/a.csv'));
+    });
+
+    test('should use absolute paths as-is', () => {
+      const file = path.join(tempDir, 'a.csv');
+      expect(getDatasetSearchPaths(normalizeDescriptor({ name: 'a', file, term: 'name' }))).toEqual([file]);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const LevenshteinAutomaton = require('../../src/data-structures/LevenshteinAutomaton');
+
+/**
+ * Reads a whole word through the automaton
+ * @param {LevenshteinAutomaton} automaton - Automaton under test
+ * @param {string} word - Word to read
+ * @returns {Object} Final state
+ */
+function read(automaton, word) {
+  return Array.from(word).reduce((state, char) => automaton.step(state, char), automaton.start());
+}
+
+describe('LevenshteinAutomaton', () => {
+  test('should compute edit distances row by row', () => {
+    const automaton = new LevenshteinAutomaton('kitten');
+
+    expect(automaton.distance(read(automaton, 'kitten'))).toBe(0);
+    expect(automaton.distance(read(automaton, 'sitting'))).toBe(3);
+    expect(automaton.distance(read(automaton, ''))).toBe(6);
+  });
+
+  test('should count adjacent transpositions as one edit unless disabled', () => {
+    expect(new LevenshteinAutomaton('form').distance(read(new LevenshteinAutomaton('form'), 'from'))).toBe(1);
+
+    const strict = new LevenshteinAutomaton('form', { transpositions: false });
+    expect(strict.distance(read(strict, 'from'))).toBe(2);
+  });
+
+  test('should apply weighted substitution and transposition costs', () => {
+    const automaton = new LevenshteinAutomaton('sat', {
+      substitutionCost: (a, b) => (a === 's' && b === 'a' ? 0.5 : 1),
+      transpositionCost: 0.5
+    });
+
+    expect(automaton.distance(read(automaton, 'aat'))).toBe(0.5);
+    expect(automaton.distance(read(automaton, 'qat'))).toBe(1);
+    expect(automaton.distance(read(automaton, 'ast'))).toBe(0.5);
+  });
+
+  test('should keep weighted costs that sum to the maximum in range', () => {
+    const automaton = new LevenshteinAutomaton('abc', { maxDistance: 0.3, substitutionCost: () => 0.1 });
+
+    expect(automaton.canMatch(read(automaton, 'xyz'))).toBe(true);
+  });
+
+  test('should report when no continuation can match', () => {
+    const automaton = new LevenshteinAutomaton('cat', { maxDistance: 1 });
+
+    expect(automaton.canMatch(read(automaton, 'ca'))).toBe(true);
+    expect(automaton.canMatch(read(automaton, 'dog'))).toBe(false);
+  });
+});
@@ -0,0 +1,86 @@
+const { Trie, NGramModel } = require('../../src/data-structures');
+
+describe('NGramModel', () => {
+  let trie;
+  let model;
+
+  beforeEach(() => {
+    trie = new Trie();
+    trie.insert('new york', 100);
+    trie.insert('new jersey', 30);
+    trie.insert('new york city', 50);
+    trie.insert('east new york', 3);
+    trie.insert('york', 5);
+
+    model = new NGramModel(trie);
+    model.build();
+  });
+
+  describe('build', () => {
+    test('should count the n-grams of multi-word entries', () => {
+      expect(model.getStats()).toEqual({
+        order: 3,
+        contextCount: 5,
+        vocabularySize: 5,
+        sequenceCount: 4
+      });
+    });
+
+    test('should reject an order below 2', () => {
+      expect(() => new NGramModel(trie, { order: 1 })).toThrow('N-gram order must be an integer of at least 2');
+    });
+  });
+
+  describe('predict', () => {
+    test('should predict the next word weighted by entry frequency', () => {
+      const predictions = model.predict('new ');
+
+      expect(predictions.map(prediction => prediction.token)).toEqual(['york', 'jersey']);
+      expect(predictions[0]).toEqual({ token: 'york', count: 153, probability: 0.8361, contextLength: 1 });
+    });
+
+    test('should filter by an incomplete last word', () => {
+      expect(model.predict('New Y')).toEqual([
+        { token: 'york', count: 153, probability: 0.8361, contextLength: 1 }
+      ]);
+      expect(model.predict('new x')).toEqual([]);
+    });
+
+    test('should prefer the longest known context', () => {
+      // "east new" has only been followed by "york"; "new" alone is discounted
+      const predictions = model.predict('east new ');
+
+      expect(predictions[0]).toMatchObject({ token: 'york', contextLength: 2, probability: 1 });
+      expect(predictions[1]).toMatchObject({ token: 'jersey', contextLength: 1 });
+    });
+
+    test('should return nothing for unknown or empty contexts', () => {
+      expect(model.predict('paris ')).toEqual([]);
+      expect(model.predict('')).toEqual([]);
+      expect(model.predict(null)).toEqual([]);
+    });
+
+    test('should respect the limit', () => {
+      expect(model.predict('new ', 1)).toHaveLength(1);
+    });
+  });
+
+  describe('addQuery', () => {
+    test('should learn queries made of known words only', () => {
+      expect(model.addQuery('york city', 10)).toBe(true);
+      expect(model.addQuery('new york hotels', 10)).toBe(false);
+      expect(model.addQuery('york')).toBe(false);
+
+      expect(model.predict('york ')[0]).toMatchObject({ token: 'city', count: 60 });
+    });
+  });
+
+  describe('removeEntry', () => {
+    test('should remove the counts an entry added', () => {
+      expect(model.removeEntry('new jersey', 30)).toBe(true);
+
+      expect(model.predict('new ').map(prediction => prediction.token)).toEqual(['york']);
+      expect(model.getStats()).toMatchObject({ vocabularySize: 4, sequenceCount: 3 });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const { Trie, RadixTrie, PhoneticIndex } = require('../../src/data-structures');
+
+describe('PhoneticIndex', () => {
+  let trie;
+  let index;
+
+  beforeEach(() => {
+    trie = new Trie();
+    trie.insert('Philadelphia', 90);
+    trie.insert('Chicago', 95);
+    trie.insert('New York', 100);
+    trie.insert('San Francisco', 80);
+    trie.insert('Filey', 5);
+
+    index = new PhoneticIndex(trie);
+    index.build();
+  });
+
+  describe('build', () => {
+    test('should index the codes of every token', () => {
+      expect(index.postings.get('FLTLF')).toEqual(new Set(['philadelphia']));
+      expect(index.postings.get('SN')).toEqual(new Set(['san francisco']));
+      expect(index.getStats()).toMatchObject({ algorithm: 'doubleMetaphone', entryCount: 5 });
+    });
+
+    test('should reject unknown algorithms', () => {
+      expect(() => new PhoneticIndex(trie, { algorithm: 'nysiis' })).toThrow('Unknown phonetic algorithm');
+    });
+  });
+
+  describe('search', () => {
+    test('should find entries spelled the way they sound', () => {
+      expect(index.search('Filadelfia')).toEqual([{
+        word: 'philadelphia',
+        frequency: 90,
+        display: 'Philadelphia',
+        phoneticCode: 'FLTLF'
+      }]);
+      expect(index.search('chikago').map(r => r.word)).toEqual(['chicago']);
+    });
+
+    test('should complete a partially typed last word by code prefix', () => {
+      expect(index.search('filadel').map(r => r.word)).toEqual(['philadelphia']);
+      expect(index.search('san fran').map(r => r.word)).toEqual(['san francisco']);
+    });
+
+    test('should rank exact code matches ahead of prefix matches', () => {
+      expect(index.search('fil').map(r => r.word)).toEqual(['filey', 'philadelphia']);
+    });
+
+    test('should require earlier query words to match consecutive entry words', () => {
+      expect(index.search('nu york').map(r => r.word)).toEqual(['new york']);
+      expect(index.search('york nu')).toEqual([]);
+    });
+
+    test('should ignore short and letterless queries', () => {
+      expect(index.search('fi')).toEqual([]);
+      expect(index.search('1984')).toEqual([]);
+      expect(index.search(null)).toEqual([]);
+    });
+
+    test('should support Soundex', () => {
+      const soundexIndex = new PhoneticIndex(trie, { algorithm: 'soundex' });
+      soundexIndex.build();
+
+      expect(soundexIndex.search('Chikago')[0]).toMatchObject({ word: 'chicago', phoneticCode: 'C220' });
+    });
+
+    test('should work over a RadixTrie', () => {
+      const radix = new RadixTrie();
+      radix.insert('Philadelphia', 10);
+
+      const radixIndex = new PhoneticIndex(radix);
+      radixIndex.build();
+
+      expect(radixIndex.search('filadelfia').map(r => r.word)).toEqual(['philadelphia']);
+    });
+  });
+
+  describe('addEntry and removeEntry', () => {
+    test('should add an entry incrementally', () => {
+      trie.insert('Munich', 40);
+      expect(index.addEntry('Munich', 40)).toBe(2);
+
+      expect(index.search('munik').map(r => r.word)).toEqual(['munich']);
+    });
+
+    test('should drop codes whose posting list becomes empty', () => {
+      expect(index.removeEntry('Philadelphia')).toBe(true);
+
+      expect(index.postings.has('FLTLF')).toBe(false);
+      expect(index.codeTrie.contains('FLTLF')).toBe(false);
+      expect(index.removeEntry('Philadelphia')).toBe(false);
+      expect(index.getStats().entryCount).toBe(4);
+    });
+  });
+});
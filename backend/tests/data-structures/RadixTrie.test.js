@@ -0,0 +1,264 @@
+const { Trie, RadixTrie, RadixTrieNode, createTrie } = require('../../src/data-structures');
+
+describe('RadixTrie', () => {
+  let trie;
+
+  beforeEach(() => {
+    trie = new RadixTrie();
+  });
+
+  describe('constructor', () => {
+    test('should create an empty RadixTrie with root node', () => {
+      expect(trie.root).toBeInstanceOf(RadixTrieNode);
+      expect(trie.root.label).toBe('');
+      expect(trie.getWordCount()).toBe(0);
+    });
+  });
+
+  describe('insert', () => {
+    test('should store a single word on one edge', () => {
+      trie.insert('hello');
+
+      expect(trie.contains('hello')).toBe(true);
+      expect(trie.root.getChildCount()).toBe(1);
+      expect(trie.root.getChild('h').label).toBe('hello');
+    });
+
+    test('should split edges on divergence', () => {
+      trie.insert('romane');
+      trie.insert('romanus');
+      trie.insert('rubens');
+
+      const r = trie.root.getChild('r');
+      expect(r.label).toBe('r');
+      expect(r.getChild('o').label).toBe('oman');
+      expect(r.getChild('o').getChild('e').label).toBe('e');
+      expect(r.getChild('o').getChild('u').label).toBe('us');
+      expect(r.getChild('u').label).toBe('ubens');
+      expect(trie.getWordCount()).toBe(3);
+    });
+
+    test('should mark an intermediate node when a word is a prefix of another', () => {
+      trie.insert('card');
+      trie.insert('car');
+
+      const car = trie.root.getChild('c');
+      expect(car.label).toBe('car');
+      expect(car.isEndOfWord).toBe(true);
+      expect(car.getChild('d').label).toBe('d');
+    });
+
+    test('should handle case insensitive insertion without duplicates', () => {
+      trie.insert('Hello');
+      trie.insert('HELLO', 4);
+
+      expect(trie.getWordCount()).toBe(1);
+      expect(trie.getFrequency('hello')).toBe(4);
+    });
+
+    test('should throw error for invalid input', () => {
+      expect(() => trie.insert('')).toThrow('Word must be a non-empty string');
+      expect(() => trie.insert(null)).toThrow('Word must be a non-empty string');
+      expect(() => trie.insert('hello', -1)).toThrow('Frequency must be non-negative');
+      expect(() => trie.insert('   ')).toThrow('Word cannot be empty after normalization');
+    });
+  });
+
+  describe('search', () => {
+    beforeEach(() => {
+      trie.insert('apple', 10);
+      trie.insert('application', 8);
+      trie.insert('apply', 6);
+      trie.insert('banana', 5);
+    });
+
+    test('should return words by frequency for a prefix ending inside an edge', () => {
+      expect(trie.search('ap')).toEqual([
+        { word: 'apple', frequency: 10 },
+        { word: 'application', frequency: 8 },
+        { word: 'apply', frequency: 6 }
+      ]);
+    });
+
+    test('should respect limit', () => {
+      expect(trie.search('appl', 2).map(r => r.word)).toEqual(['apple', 'application']);
+    });
+
+    test('should return empty array for missing or invalid prefixes', () => {
+      expect(trie.search('apx')).toEqual([]);
+      expect(trie.search('applez')).toEqual([]);
+      expect(trie.search('')).toEqual([]);
+      expect(trie.search(null)).toEqual([]);
+    });
+  });
+
+  describe('normalization', () => {
+    test('should fold diacritics and keep the display form', () => {
+      trie.insert('São Paulo', 10);
+      trie.insert('Sapporo', 4);
+
+      expect(trie.contains('sao paulo')).toBe(true);
+      expect(trie.search('são')).toEqual([{ word: 'sao paulo', frequency: 10, display: 'São Paulo' }]);
+      expect(trie.getEntry('SAO PAULO')).toEqual({ word: 'sao paulo', frequency: 10, display: 'São Paulo' });
+      expect(trie.getEntry('sao')).toBeNull();
+    });
+  });
+
+  describe('payload', () => {
+    test('should keep payloads on nodes moved by edge splits and merges', () => {
+      trie.insert('romanus', 5, { source: 'sample', id: 'r1' });
+      trie.insert('romane', 3);
+      trie.delete('romane');
+
+      expect(trie.search('rom')).toEqual([{ word: 'romanus', frequency: 5, payload: { source: 'sample', id: 'r1' } }]);
+    });
+  });
+
+  describe('incrementFrequency', () => {
+    test('should increment existing words only', () => {
+      trie.insert('card', 2);
+      trie.insert('care', 3);
+
+      expect(trie.incrementFrequency('card', 5)).toBe(true);
+      expect(trie.getFrequency('card')).toBe(7);
+      expect(trie.incrementFrequency('car')).toBe(false);
+      expect(trie.incrementFrequency('dog')).toBe(false);
+      expect(() => trie.incrementFrequency('card', 0)).toThrow('Increment must be positive');
+    });
+  });
+
+  describe('recordSelection', () => {
+    test('should track decayed popularity on split and merged nodes', () => {
+      const halfLife = 1000;
+      const now = Date.now();
+      trie = new RadixTrie({ popularityHalfLife: halfLife });
+      trie.insert('card', 2);
+      trie.recordSelection('card', 6, now);
+      trie.insert('car', 1);
+
+      expect(trie.getPopularity('card', now + halfLife)).toBeCloseTo(3);
+      expect(trie.getLastSelectedAt('card')).toBe(now);
+      expect(trie.recordSelection('ca')).toBeNull();
+
+      trie.delete('car');
+      expect(trie.getPopularity('card', now)).toBe(6);
+      expect(trie.getFrequency('card')).toBe(2);
+    });
+
+    test('should list the most popular selected words with a prefix', () => {
+      const now = Date.now();
+      trie.insert('card', 20);
+      trie.insert('cargo', 1);
+      trie.insert('care', 5);
+      trie.recordSelection('cargo', 4, now);
+      trie.recordSelection('card', 1, now);
+
+      expect(trie.getPopularWords('car', 5, now).map(s => s.word)).toEqual(['cargo', 'card']);
+      expect(trie.getPopularWords('card', 5, now)).toEqual([{ word: 'card', frequency: 20 }]);
+    });
+  });
+
+  describe('delete', () => {
+    beforeEach(() => {
+      trie.insert('romane');
+      trie.insert('romanus');
+      trie.insert('rubens');
+    });
+
+    test('should merge the remaining sibling back into its parent edge', () => {
+      expect(trie.delete('romanus')).toBe(true);
+
+      const r = trie.root.getChild('r');
+      expect(r.getChild('o').label).toBe('omane');
+      expect(r.getChild('o').isEndOfWord).toBe(true);
+      expect(trie.getWordCount()).toBe(2);
+    });
+
+    test('should merge a node with its only child when unmarked', () => {
+      trie.insert('roman');
+      trie.delete('romane');
+      trie.delete('roman');
+
+      expect(trie.root.getChild('r').getChild('o').label).toBe('omanus');
+      expect(trie.contains('romanus')).toBe(true);
+    });
+
+    test('should return false for missing words and prefixes', () => {
+      expect(trie.delete('roman')).toBe(false);
+      expect(trie.delete('zzz')).toBe(false);
+      expect(trie.delete('')).toBe(false);
+      expect(trie.getWordCount()).toBe(3);
+    });
+  });
+
+  describe('deletePrefix', () => {
+    test('should remove all words under a prefix and re-compress', () => {
+      trie.insert('romane');
+      trie.insert('romanus');
+      trie.insert('rubens');
+
+      expect(trie.deletePrefix('rom')).toBe(2);
+      expect(trie.getWordCount()).toBe(1);
+      expect(trie.root.getChild('r').label).toBe('rubens');
+      expect(trie.deletePrefix('x')).toBe(0);
+    });
+  });
+
+  describe('getStats', () => {
+    test('should use fewer nodes than the standard Trie for the same words', () => {
+      const standard = new Trie();
+      const words = ['samsung galaxy s7', 'samsung galaxy note', 'sony bravia tv', 'sony xperia'];
+      for (const word of words) {
+        trie.insert(word);
+        standard.insert(word);
+      }
+
+      const stats = trie.getStats();
+      expect(stats.wordCount).toBe(4);
+      expect(stats.implementation).toBe('radix');
+      expect(stats.maxDepth).toBe(standard.getStats().maxDepth);
+      expect(stats.nodeCount).toBeLessThan(standard.getStats().nodeCount);
+    });
+  });
+
+  describe('parity with Trie', () => {
+    test('should return the same results as Trie after mixed operations', () => {
+      const standard = new Trie();
+      const words = [];
+      for (let i = 0; i < 150; i++) {
+        words.push(`p${(i * 37) % 100} item ${i % 9}`);
+      }
+
+      words.forEach((word, i) => {
+        standard.insert(word, i + 1);
+        trie.insert(word, i + 1);
+      });
+      words.slice(0, 20).forEach(word => {
+        standard.incrementFrequency(word, 300);
+        trie.incrementFrequency(word, 300);
+      });
+      words.slice(20, 50).forEach(word => {
+        expect(trie.delete(word)).toBe(standard.delete(word));
+      });
+      expect(trie.deletePrefix('p7')).toBe(standard.deletePrefix('p7'));
+
+      expect(trie.getWordCount()).toBe(standard.getWordCount());
+      expect(trie.getAllWordsInTrie()).toEqual(standard.getAllWordsInTrie());
+      for (const prefix of ['p', 'p1', 'p2', 'p33 item', 'p5 item 1']) {
+        expect(trie.search(prefix, 5)).toEqual(standard.search(prefix, 5));
+      }
+      for (const query of ['p3 iten', 'p51 itme 2', 'q9']) {
+        expect(trie.fuzzySearch(query)).toEqual(standard.fuzzySearch(query));
+        expect(trie.fuzzySearch(query, { prefix: true })).toEqual(standard.fuzzySearch(query, { prefix: true }));
+      }
+    });
+  });
+
+  describe('createTrie', () => {
+    test('should create the requested implementation', () => {
+      expect(createTrie()).toBeInstanceOf(Trie);
+      expect(createTrie('radix')).toBeInstanceOf(RadixTrie);
+      expect(() => createTrie('btree')).toThrow('Unknown Trie implementation: btree');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { Trie, RadixTrie, TokenIndex } = require('../../src/data-structures');
+
+describe('TokenIndex', () => {
+  let trie;
+  let index;
+
+  beforeEach(() => {
+    trie = new Trie();
+    trie.insert('new york', 100);
+    trie.insert('york', 40);
+    trie.insert('east yorkshire', 30);
+    trie.insert('samsung galaxy s7', 80);
+    trie.insert('samsung galaxy note', 60);
+    trie.insert('galaxy watch', 50);
+    trie.insert('the york city pass', 20);
+
+    index = new TokenIndex(trie);
+    index.build();
+  });
+
+  describe('tokenize', () => {
+    test('should split on whitespace and punctuation and lowercase tokens', () => {
+      expect(TokenIndex.tokenize('Men\'s Running-Shoes (Blue)')).toEqual(['men\'s', 'running', 'shoes', 'blue']);
+      expect(TokenIndex.tokenize('')).toEqual([]);
+      expect(TokenIndex.tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('build', () => {
+    test('should index every token except the first of each entry', () => {
+      const stats = index.getStats();
+
+      expect(index.postings.has('york')).toBe(true);
+      expect(index.postings.has('new')).toBe(false);
+      expect(index.postings.get('galaxy')).toEqual(new Set(['samsung galaxy s7', 'samsung galaxy note']));
+      expect(stats.entryCount).toBe(6);
+      expect(stats.tokenCount).toBe(index.tokenTrie.getWordCount());
+    });
+
+    test('should skip single-character tokens', () => {
+      trie.insert('plan b', 5);
+      index.build();
+
+      expect(index.postings.has('b')).toBe(false);
+    });
+  });
+
+  describe('search', () => {
+    test('should find entries containing a word that starts with the query', () => {
+      const results = index.search('york', 10);
+
+      expect(results.map(r => r.word)).toEqual(['new york', 'east yorkshire', 'the york city pass']);
+      expect(results[0]).toEqual({ word: 'new york', frequency: 100, matchedToken: 'york' });
+      expect(results[1].matchedToken).toBe('yorkshire');
+    });
+
+    test('should leave entries that start with the query to the prefix search', () => {
+      const results = index.search('galaxy', 10);
+
+      expect(results.map(r => r.word)).toEqual(['samsung galaxy s7', 'samsung galaxy note']);
+    });
+
+    test('should match multi-word queries as consecutive tokens', () => {
+      expect(index.search('galaxy no').map(r => r.word)).toEqual(['samsung galaxy note']);
+      expect(index.search('york ci').map(r => r.word)).toEqual(['the york city pass']);
+      expect(index.search('york pass')).toEqual([]);
+    });
+
+    test('should rank by live frequency and respect limit', () => {
+      trie.incrementFrequency('the york city pass', 200);
+
+      const results = index.search('york', 2);
+      expect(results.map(r => r.word)).toEqual(['the york city pass', 'new york']);
+    });
+
+    test('should skip entries deleted from the main Trie', () => {
+      trie.delete('new york');
+
+      expect(index.search('york').map(r => r.word)).not.toContain('new york');
+    });
+
+    test('should return empty array for empty or invalid queries', () => {
+      expect(index.search('')).toEqual([]);
+      expect(index.search('   ')).toEqual([]);
+      expect(index.search(null)).toEqual([]);
+      expect(index.search('zzz')).toEqual([]);
+    });
+
+    test('should match accented tokens with unaccented queries', () => {
+      trie.insert('Saint-Étienne du Rouvray', 15);
+      index.build();
+
+      expect(index.search('etien')).toEqual([{
+        word: 'saint-etienne du rouvray',
+        frequency: 15,
+        display: 'Saint-Étienne du Rouvray',
+        matchedToken: 'etienne'
+      }]);
+    });
+
+    test('should work over a RadixTrie', () => {
+      const radix = new RadixTrie();
+      radix.insert('new york', 10);
+      radix.insert('east yorkshire', 5);
+
+      const radixIndex = new TokenIndex(radix);
+      radixIndex.build();
+
+      expect(radixIndex.search('york').map(r => r.word)).toEqual(['new york', 'east yorkshire']);
+    });
+  });
+
+  describe('addEntry and removeEntry', () => {
+    test('should add an entry incrementally', () => {
+      trie.insert('old york road', 170);
+      expect(index.addEntry('old york road', 170)).toBe(2);
+
+      expect(index.search('york', 1)).toEqual([{ word: 'old york road', frequency: 170, matchedToken: 'york' }]);
+    });
+
+    test('should drop tokens whose posting list becomes empty', () => {
+      expect(index.removeEntry('east yorkshire')).toBe(true);
+
+      expect(index.postings.has('yorkshire')).toBe(false);
+      expect(index.tokenTrie.contains('yorkshire')).toBe(false);
+      expect(index.removeEntry('east yorkshire')).toBe(false);
+      expect(index.getStats().entryCount).toBe(5);
+    });
+  });
+});
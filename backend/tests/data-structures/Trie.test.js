@@ -1,4 +1,5 @@
 const { Trie, TrieNode } = require('../../src/data-structures');
+const { createNormalizer } = require('../../src/utils/textNormalizer');
 
 describe('Trie', () => {
   let trie;
@@ -137,6 +138,44 @@ describe('Trie', () => {
     });
   });
 
+  describe('fuzzySearch', () => {
+    beforeEach(() => {
+      [['california', 50], ['calif', 3], ['calfskin', 2], ['hello', 100], ['help', 80], ['world', 90], ['word', 70]]
+        .forEach(([word, frequency]) => trie.insert(word, frequency));
+    });
+
+    test('should find whole words within the edit distance', () => {
+      expect(trie.fuzzySearch('helo')).toEqual([
+        { word: 'hello', frequency: 100, editDistance: 1 },
+        { word: 'help', frequency: 80, editDistance: 1 }
+      ]);
+      expect(trie.fuzzySearch('wrold', { maxDistance: 1 }).map(match => match.word)).toEqual(['world']);
+      expect(trie.fuzzySearch('wrold', { maxDistance: 1, transpositions: false })).toEqual([]);
+    });
+
+    test('should complete misspelled prefixes', () => {
+      expect(trie.fuzzySearch('calfor', { prefix: true }).map(match => [match.word, match.editDistance]))
+        .toEqual([['california', 1], ['calfskin', 2]]);
+      expect(trie.fuzzySearch('calfor', { prefix: true, maxDistance: 1, limit: 1 })).toHaveLength(1);
+    });
+
+    test('should find matches anywhere in a large dictionary', () => {
+      for (let i = 0; i < 500; i++) {
+        trie.insert(`aa${i}`, 1000 + i);
+      }
+
+      expect(trie.fuzzySearch('wrld', { maxDistance: 1 }).map(match => match.word)).toEqual(['world']);
+    });
+
+    test('should normalize the query and reject invalid input', () => {
+      trie.insert('Zürich', 5);
+
+      expect(trie.fuzzySearch('ZURIHC', { maxDistance: 1 })[0].display).toBe('Zürich');
+      expect(trie.fuzzySearch('')).toEqual([]);
+      expect(trie.fuzzySearch(null)).toEqual([]);
+    });
+  });
+
   describe('incrementFrequency', () => {
     beforeEach(() => {
       trie.insert('hello', 5);
@@ -173,6 +212,80 @@ describe('Trie', () => {
     });
   });
 
+  describe('recordSelection', () => {
+    const halfLife = 60 * 60 * 1000;
+
+    beforeEach(() => {
+      trie = new Trie({ popularityHalfLife: halfLife });
+      trie.insert('hello', 5);
+    });
+
+    test('should accumulate popularity without changing frequency', () => {
+      const now = Date.now();
+      expect(trie.recordSelection('hello', 2, now)).toBe(2);
+      expect(trie.recordSelection('HELLO', 1, now)).toBe(3);
+      expect(trie.getFrequency('hello')).toBe(5);
+      expect(trie.getPopularity('hello', now)).toBe(3);
+      expect(trie.getLastSelectedAt('hello')).toBe(now);
+      expect(trie.hasSelections()).toBe(true);
+    });
+
+    test('should decay popularity by the half-life', () => {
+      const now = Date.now();
+      trie.recordSelection('hello', 8, now);
+
+      expect(trie.getPopularity('hello', now + halfLife)).toBeCloseTo(4);
+      expect(trie.getPopularity('hello', now + 3 * halfLife)).toBeCloseTo(1);
+      expect(trie.recordSelection('hello', 1, now + halfLife)).toBeCloseTo(5);
+    });
+
+    test('should ignore unknown words and reject non-positive amounts', () => {
+      expect(trie.recordSelection('help')).toBeNull();
+      expect(trie.getPopularity('help')).toBe(0);
+      expect(trie.getLastSelectedAt('hello')).toBeNull();
+      expect(trie.hasSelections()).toBe(false);
+      expect(() => trie.recordSelection('hello', 0)).toThrow('Selection amount must be positive');
+    });
+
+    test('should forget popularity when a word is deleted', () => {
+      trie.recordSelection('hello', 4);
+      trie.delete('hello');
+      trie.insert('hello', 1);
+
+      expect(trie.getPopularity('hello')).toBe(0);
+      expect(trie.getLastSelectedAt('hello')).toBeNull();
+    });
+
+    test('should list the most popular selected words with a prefix', () => {
+      const now = Date.now();
+      trie.insert('Help', 50, { id: 'h' });
+      trie.insert('helmet', 1);
+      trie.insert('world', 1);
+      trie.recordSelection('helmet', 6, now);
+      trie.recordSelection('help', 2, now);
+      trie.recordSelection('world', 9, now);
+
+      expect(trie.getPopularWords('HEL', 5, now)).toEqual([
+        { word: 'helmet', frequency: 1 },
+        { word: 'help', frequency: 50, display: 'Help', payload: { id: 'h' } }
+      ]);
+      expect(trie.getPopularWords('hel', 1, now).map(s => s.word)).toEqual(['helmet']);
+      expect(trie.getPopularWords('hello', 5, now)).toEqual([]);
+    });
+
+    test('should drop deleted and cleared words from the popular words', () => {
+      trie.recordSelection('hello', 4);
+      trie.delete('hello');
+      trie.insert('hello', 1);
+      expect(trie.getPopularWords('he')).toEqual([]);
+      expect(trie.selectedWords.size).toBe(0);
+
+      trie.recordSelection('hello', 4);
+      trie.clear();
+      expect(trie.getPopularWords('he')).toEqual([]);
+    });
+  });
+
   describe('contains', () => {
     beforeEach(() => {
       trie.insert('hello');
@@ -201,6 +314,189 @@ describe('Trie', () => {
     });
   });
 
+  describe('delete', () => {
+    beforeEach(() => {
+      trie.insert('car', 9);
+      trie.insert('card', 6);
+      trie.insert('care', 8);
+      trie.insert('cat', 7);
+    });
+
+    test('should delete an existing word and update word count', () => {
+      expect(trie.delete('card')).toBe(true);
+      expect(trie.contains('card')).toBe(false);
+      expect(trie.getWordCount()).toBe(3);
+    });
+
+    test('should keep words that share the deleted prefix', () => {
+      trie.delete('car');
+
+      expect(trie.contains('car')).toBe(false);
+      expect(trie.contains('card')).toBe(true);
+      expect(trie.contains('care')).toBe(true);
+      expect(trie.search('car').map(r => r.word)).toEqual(['care', 'card']);
+    });
+
+    test('should prune nodes that no longer lead to a word', () => {
+      const nodeCountBefore = trie.getStats().nodeCount;
+      trie.insert('catalog');
+      expect(trie.getStats().nodeCount).toBe(nodeCountBefore + 4);
+
+      trie.delete('catalog');
+      expect(trie.getStats().nodeCount).toBe(nodeCountBefore);
+      expect(trie.root.getChild('c').getChild('a').getChild('t').getChildCount()).toBe(0);
+    });
+
+    test('should handle case insensitive deletion', () => {
+      expect(trie.delete('  CAT ')).toBe(true);
+      expect(trie.contains('cat')).toBe(false);
+    });
+
+    test('should return false for words that are only prefixes or missing', () => {
+      expect(trie.delete('ca')).toBe(false);
+      expect(trie.delete('dog')).toBe(false);
+      expect(trie.delete('')).toBe(false);
+      expect(trie.delete(null)).toBe(false);
+      expect(trie.getWordCount()).toBe(4);
+    });
+
+    test('should allow re-inserting a deleted word', () => {
+      trie.delete('cat');
+      trie.insert('cat', 2);
+
+      expect(trie.getFrequency('cat')).toBe(2);
+      expect(trie.getWordCount()).toBe(4);
+    });
+  });
+
+  describe('deletePrefix', () => {
+    beforeEach(() => {
+      trie.insert('car', 9);
+      trie.insert('card', 6);
+      trie.insert('care', 8);
+      trie.insert('cat', 7);
+      trie.insert('dog', 5);
+    });
+
+    test('should remove all words under the prefix', () => {
+      expect(trie.deletePrefix('car')).toBe(3);
+      expect(trie.contains('car')).toBe(false);
+      expect(trie.contains('card')).toBe(false);
+      expect(trie.contains('care')).toBe(false);
+      expect(trie.contains('cat')).toBe(true);
+      expect(trie.getWordCount()).toBe(2);
+    });
+
+    test('should prune ancestors left without words', () => {
+      expect(trie.deletePrefix('do')).toBe(1);
+      expect(trie.root.hasChild('d')).toBe(false);
+      expect(trie.root.hasChild('c')).toBe(true);
+    });
+
+    test('should return 0 for missing or invalid prefixes', () => {
+      expect(trie.deletePrefix('x')).toBe(0);
+      expect(trie.deletePrefix('   ')).toBe(0);
+      expect(trie.deletePrefix(undefined)).toBe(0);
+      expect(trie.getWordCount()).toBe(5);
+    });
+  });
+
+  describe('top-K cache', () => {
+    let cachedTrie;
+
+    beforeEach(() => {
+      cachedTrie = new Trie({ topKCacheSize: 3 });
+      cachedTrie.insert('car', 9);
+      cachedTrie.insert('card', 6);
+      cachedTrie.insert('care', 8);
+      cachedTrie.insert('cat', 7);
+      cachedTrie.insert('cab', 1);
+    });
+
+    test('should be disabled by default', () => {
+      expect(trie.isTopKCacheEnabled()).toBe(false);
+      expect(trie.root.topK).toBeNull();
+    });
+
+    test('should answer searches within the cache size from node lists', () => {
+      expect(cachedTrie.search('ca', 3)).toEqual([
+        { word: 'car', frequency: 9 },
+        { word: 'care', frequency: 8 },
+        { word: 'cat', frequency: 7 }
+      ]);
+      expect(cachedTrie.root.getChild('c').topK).toHaveLength(3);
+    });
+
+    test('should fall back to traversal when limit exceeds cache size', () => {
+      expect(cachedTrie.search('ca', 10)).toHaveLength(5);
+    });
+
+    test('should promote words on frequency increment', () => {
+      cachedTrie.incrementFrequency('cab', 20);
+      expect(cachedTrie.search('ca', 2).map(r => r.word)).toEqual(['cab', 'car']);
+    });
+
+    test('should refill lists when a cached word is deleted', () => {
+      cachedTrie.delete('car');
+      expect(cachedTrie.search('ca', 3).map(r => r.word)).toEqual(['care', 'cat', 'card']);
+    });
+
+    test('should refill lists when a cached word is re-inserted with lower frequency', () => {
+      cachedTrie.insert('care', 2);
+      expect(cachedTrie.search('ca', 3).map(r => r.word)).toEqual(['car', 'cat', 'card']);
+    });
+
+    test('should refill ancestor lists after deletePrefix', () => {
+      cachedTrie.deletePrefix('car');
+      expect(cachedTrie.search('c', 3).map(r => r.word)).toEqual(['cat', 'cab']);
+    });
+
+    test('should build the cache for existing words when enabled later', () => {
+      trie.insert('apple', 10);
+      trie.insert('apply', 6);
+      trie.insert('application', 8);
+
+      trie.enableTopKCache(2);
+      expect(trie.search('app', 2).map(r => r.word)).toEqual(['apple', 'application']);
+
+      trie.disableTopKCache();
+      expect(trie.root.topK).toBeNull();
+      expect(trie.search('app', 2).map(r => r.word)).toEqual(['apple', 'application']);
+    });
+
+    test('should reject invalid cache sizes', () => {
+      expect(() => trie.enableTopKCache(0)).toThrow('Top-K cache size must be a positive integer');
+      expect(() => trie.enableTopKCache(2.5)).toThrow('Top-K cache size must be a positive integer');
+    });
+
+    test('should match uncached results after mixed operations', () => {
+      const words = [];
+      for (let i = 0; i < 200; i++) {
+        words.push(`w${(i * 7919) % 1000}x${i % 13}`);
+      }
+
+      cachedTrie.clear();
+      words.forEach((word, i) => {
+        trie.insert(word, i + 1);
+        cachedTrie.insert(word, i + 1);
+      });
+      words.slice(0, 40).forEach((word, i) => {
+        trie.incrementFrequency(word, 500 + i);
+        cachedTrie.incrementFrequency(word, 500 + i);
+      });
+      words.slice(40, 70).forEach(word => {
+        trie.delete(word);
+        cachedTrie.delete(word);
+      });
+      trie.deletePrefix('w9');
+      cachedTrie.deletePrefix('w9');
+
+      for (const prefix of ['w', 'w1', 'w2', 'w35', 'w4']) {
+        expect(cachedTrie.search(prefix, 3)).toEqual(trie.search(prefix, 3));
+      }
+    });
+  });
+
   describe('getFrequency', () => {
     beforeEach(() => {
       trie.insert('hello', 5);
@@ -327,6 +623,87 @@ describe('Trie', () => {
     });
   });
 
+  describe('normalization', () => {
+    test('should match accented words with and without diacritics', () => {
+      trie.insert('São Paulo', 10);
+      trie.insert('Zürich', 5);
+
+      expect(trie.contains('sao paulo')).toBe(true);
+      expect(trie.contains('SÃO PAULO')).toBe(true);
+      expect(trie.getFrequency('zurich')).toBe(5);
+      expect(trie.search('zü')).toEqual([{ word: 'zurich', frequency: 5, display: 'Zürich' }]);
+    });
+
+    test('should keep the most recently inserted display form', () => {
+      trie.insert('Sao Paulo', 1);
+      trie.insert('São Paulo', 2);
+
+      expect(trie.getWordCount()).toBe(1);
+      expect(trie.getEntry('sao paulo')).toEqual({ word: 'sao paulo', frequency: 2, display: 'São Paulo' });
+    });
+
+    test('should omit display when it equals the normalized word', () => {
+      trie.insert('apple', 3);
+
+      expect(trie.getEntry('APPLE')).toEqual({ word: 'apple', frequency: 3 });
+      expect(trie.getEntry('apples')).toBeNull();
+    });
+
+    test('should use a custom normalizer for insert and query', () => {
+      const caseSensitive = new Trie({ normalizer: createNormalizer({ caseFolding: 'none' }) });
+      caseSensitive.insert('Apple');
+      caseSensitive.insert('apple');
+
+      expect(caseSensitive.getWordCount()).toBe(2);
+      expect(caseSensitive.search('A').map(r => r.word)).toEqual(['Apple']);
+    });
+
+    test('should serve display forms from the top-K cache', () => {
+      trie.enableTopKCache(3);
+      trie.insert('Zürich', 5);
+
+      expect(trie.search('zur')).toEqual([{ word: 'zurich', frequency: 5, display: 'Zürich' }]);
+    });
+  });
+
+  describe('payload', () => {
+    const paris = { display: 'Paris', source: 'cities', id: '1250015082', metadata: { country: 'France', population: 11060000 } };
+
+    test('should return the payload with search results', () => {
+      trie.insert('paris', 12, paris);
+      trie.insert('parma', 4);
+
+      expect(trie.search('par')).toEqual([
+        {
+          word: 'paris',
+          frequency: 12,
+          display: 'Paris',
+          payload: { source: 'cities', id: '1250015082', metadata: { country: 'France', population: 11060000 } }
+        },
+        { word: 'parma', frequency: 4 }
+      ]);
+    });
+
+    test('should keep the payload when frequency changes', () => {
+      trie.insert('paris', 12, paris);
+      trie.incrementFrequency('paris', 3);
+
+      expect(trie.getEntry('paris').payload.source).toBe('cities');
+    });
+
+    test('should replace the payload on re-insert', () => {
+      trie.insert('paris', 12, paris);
+      trie.insert('Paris', 12, { source: 'sample' });
+
+      expect(trie.getEntry('paris')).toEqual({ word: 'paris', frequency: 12, display: 'Paris', payload: { source: 'sample' } });
+    });
+
+    test('should reject non-object payloads', () => {
+      expect(() => trie.insert('paris', 1, 'France')).toThrow('Payload must be an object');
+      expect(() => trie.insert('paris', 1, ['France'])).toThrow('Payload must be an object');
+    });
+  });
+
   describe('performance characteristics', () => {
     test('should handle large number of insertions efficiently', () => {
       const startTime = Date.now();
@@ -86,6 +86,60 @@ describe('TrieNode', () => {
       expect(node.word).toBe('apple');
       expect(node.frequency).toBe(5);
     });
+
+    test('should keep a display form only when it differs from the word', () => {
+      node.markAsEndOfWord('zurich', 2, 'Zürich');
+      expect(node.display).toBe('Zürich');
+
+      node.markAsEndOfWord('zurich', 2, 'zurich');
+      expect(node.display).toBeNull();
+    });
+  });
+
+  describe('toSuggestion', () => {
+    test('should return word and frequency with optional display', () => {
+      node.markAsEndOfWord('apple', 5);
+      expect(node.toSuggestion()).toEqual({ word: 'apple', frequency: 5 });
+
+      node.markAsEndOfWord('zurich', 2, 'Zürich');
+      expect(node.toSuggestion()).toEqual({ word: 'zurich', frequency: 2, display: 'Zürich' });
+    });
+
+    test('should include a non-empty payload', () => {
+      node.markAsEndOfWord('paris', 3, 'Paris', { source: 'cities' });
+      expect(node.toSuggestion()).toEqual({ word: 'paris', frequency: 3, display: 'Paris', payload: { source: 'cities' } });
+
+      node.markAsEndOfWord('paris', 3, 'Paris', {});
+      expect(node.payload).toBeNull();
+
+      node.unmarkEndOfWord();
+      expect(node.display).toBeNull();
+      expect(node.payload).toBeNull();
+    });
+  });
+
+  describe('removeChild', () => {
+    test('should remove an existing child', () => {
+      node.addChild('b');
+
+      expect(node.removeChild('b')).toBe(true);
+      expect(node.hasChild('b')).toBe(false);
+    });
+
+    test('should return false for missing child', () => {
+      expect(node.removeChild('z')).toBe(false);
+    });
+  });
+
+  describe('unmarkEndOfWord', () => {
+    test('should clear word metadata', () => {
+      node.markAsEndOfWord('apple', 5);
+      node.unmarkEndOfWord();
+
+      expect(node.isEndOfWord).toBe(false);
+      expect(node.word).toBeNull();
+      expect(node.frequency).toBe(0);
+    });
   });
 
   describe('incrementFrequency', () => {
@@ -3,6 +3,9 @@
  * Tests the complete application bootstrap process
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
 const { ApplicationBootstrap, ConfigValidator, DatasetDiscovery } = require('../../scripts/bootstrap');
 const { EnvironmentConfig } = require('../../src/config/environment');
@@ -101,6 +104,32 @@ describe('Application Startup Integration Tests', () => {
       });
     });
 
+    test('should discover datasets from a descriptor file', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'discovery-'));
+      fs.writeFileSync(path.join(tempDir, 'airports.csv'), 'name\nAtlanta\n');
+      fs.writeFileSync(path.join(tempDir, 'datasets.json'), JSON.stringify({
+        datasets: [
+          { name: 'airports', file: 'airports.csv', term: 'name', priority: 2 },
+          { name: 'missing', file: 'missing-file.csv', term: 'name', priority: 1 }
+        ]
+      }));
+
+      try {
+        const datasets = await DatasetDiscovery.discoverDatasets(path.join(tempDir, 'datasets.json'));
+
+        expect(datasets).toHaveLength(1);
+        expect(datasets[0]).toMatchObject({
+          key: 'airports',
+          type: 'generic',
+          filePath: path.join(tempDir, 'airports.csv'),
+          priority: 2,
+          descriptor: { name: 'airports', format: 'csv' }
+        });
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
     test('should handle missing datasets gracefully', async () => {
       // This test should not throw even if no datasets are found
       const datasets = await DatasetDiscovery.discoverDatasets();
@@ -407,6 +436,45 @@ describe('Application Startup Integration Tests', () => {
       expect(response.body.wordCount).toBe(100);
     });
 
+    test('should report dataset ingestion progress while starting', async () => {
+      delete app.locals.trie;
+      app.locals.bootstrap = {
+        getStartupProgress: () => ({
+          phase: 'trie-initialization',
+          datasets: {
+            cities: { dataset: 'cities', status: 'completed', percentage: 100, processedRecords: 47868, bytesRead: 1, totalBytes: 1 },
+            products: { dataset: 'products', status: 'loading', percentage: 42.5, processedRecords: 8500, bytesRead: 1, totalBytes: 2 }
+          }
+        })
+      };
+
+      const response = await request(app)
+        .get('/health/startup')
+        .expect(503);
+
+      expect(response.body.status).toBe('STARTING');
+      expect(response.body.phase).toBe('trie-initialization');
+      expect(response.body.datasets).toEqual({
+        cities: { status: 'completed', percentage: 100, processedRecords: 47868 },
+        products: { status: 'loading', percentage: 42.5, processedRecords: 8500 }
+      });
+    });
+
+    test('should report startup completion with dataset progress', async () => {
+      app.locals.datasetLoader = {
+        getIngestionProgress: () => ({
+          cities: { dataset: 'cities', status: 'completed', percentage: 100, processedRecords: 47868 }
+        })
+      };
+
+      const response = await request(app)
+        .get('/health/startup')
+        .expect(200);
+
+      expect(response.body.status).toBe('STARTED');
+      expect(response.body.datasets.cities.percentage).toBe(100);
+    });
+
     test('should respond to liveness probe', async () => {
       const response = await request(app)
         .get('/health/live')
@@ -0,0 +1,355 @@
+/**
+ * Admin Routes Tests
+ * Exercises index maintenance endpoints against an in-memory Trie
+ */
+
+const express = require('express');
+const request = require('supertest');
+const adminRoutes = require('../../src/routes/admin');
+const searchRoutes = require('../../src/routes/search');
+const CacheService = require('../../src/services/CacheService');
+const TrieRegistry = require('../../src/services/TrieRegistry');
+const SynonymService = require('../../src/services/SynonymService');
+const BlocklistService = require('../../src/services/BlocklistService');
+const FrequencyFeedbackService = require('../../src/services/FrequencyFeedbackService');
+const { Trie, NGramModel } = require('../../src/data-structures');
+
+describe('Admin Routes', () => {
+  let app;
+  let trie;
+  let cacheService;
+
+  beforeEach(() => {
+    trie = new Trie();
+    trie.insert('apple', 10);
+    trie.insert('application', 8);
+    trie.insert('apply', 6);
+    trie.insert('banana', 5);
+
+    cacheService = new CacheService();
+    cacheService.set('app', 5, false, { combined: [{ word: 'apple' }] });
+
+    app = express();
+    app.use(express.json());
+    app.locals.trie = trie;
+    app.locals.cacheService = cacheService;
+    app.use('/api/admin', adminRoutes);
+  });
+
+  describe('DELETE /api/admin/words', () => {
+    test('should delete an existing word and clear the cache', async () => {
+      const response = await request(app)
+        .delete('/api/admin/words')
+        .send({ word: 'apple' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        word: 'apple',
+        wordCount: 3
+      });
+      expect(trie.contains('apple')).toBe(false);
+      expect(cacheService.get('app', 5, false)).toBeNull();
+    });
+
+    test('should return 404 for unknown word', async () => {
+      const response = await request(app)
+        .delete('/api/admin/words')
+        .send({ word: 'cherry' })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should validate request body', async () => {
+      await request(app)
+        .delete('/api/admin/words')
+        .send({ word: '<script>' })
+        .expect(400);
+    });
+
+    test('should return 503 when Trie is not initialized', async () => {
+      app.locals.trie = null;
+
+      await request(app)
+        .delete('/api/admin/words')
+        .send({ word: 'apple' })
+        .expect(503);
+    });
+  });
+
+  describe('DELETE /api/admin/prefixes', () => {
+    test('should delete all words under a prefix', async () => {
+      const response = await request(app)
+        .delete('/api/admin/prefixes')
+        .send({ prefix: 'app' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        prefix: 'app',
+        removedWords: 3,
+        wordCount: 1
+      });
+      expect(trie.search('a')).toEqual([]);
+      expect(trie.contains('banana')).toBe(true);
+    });
+
+    test('should remove the deleted words from the next-word model', async () => {
+      trie.insert('new york', 150);
+      trie.insert('new york city', 40);
+      trie.insert('new jersey', 30);
+      const ngramModel = new NGramModel(trie);
+      ngramModel.build();
+      app.locals.ngramModel = ngramModel;
+      app.use('/api', searchRoutes);
+
+      await request(app)
+        .delete('/api/admin/prefixes')
+        .send({ prefix: 'new york' })
+        .expect(200);
+
+      expect(ngramModel.predict('new ').map(prediction => prediction.token)).toEqual(['jersey']);
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'new ' })
+        .expect(200);
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['new jersey']);
+    });
+
+    test('should return 404 for unknown prefix', async () => {
+      await request(app)
+        .delete('/api/admin/prefixes')
+        .send({ prefix: 'zz' })
+        .expect(404);
+    });
+
+    test('should validate request body', async () => {
+      await request(app)
+        .delete('/api/admin/prefixes')
+        .send({})
+        .expect(400);
+    });
+  });
+
+  describe('/api/admin/ranking', () => {
+    test('should list signals and weights', async () => {
+      const response = await request(app)
+        .get('/api/admin/ranking')
+        .expect(200);
+
+      expect(Object.keys(response.body.signals)).toEqual(
+        expect.arrayContaining(['frequency', 'recency', 'prefixLength', 'editDistance'])
+      );
+      expect(response.body.defaultWeights).toMatchObject({ frequency: 1, editDistance: 1 });
+    });
+
+    test('should update dataset weights and clear the cache', async () => {
+      const registry = new TrieRegistry();
+      registry.register('cities', trie);
+      app.locals.trieRegistry = registry;
+
+      const response = await request(app)
+        .put('/api/admin/ranking')
+        .send({ dataset: 'cities', weights: { recency: '0.5', 'payload.population': 2 } })
+        .expect(200);
+
+      expect(response.body.newWeights).toMatchObject({ frequency: 1, recency: 0.5, 'payload.population': 2 });
+      expect(app.locals.rankingService.getWeights('cities').recency).toBe(0.5);
+      expect(app.locals.rankingService.getWeights().recency).toBe(0);
+      expect(cacheService.get('app', 5, false)).toBeNull();
+
+      await request(app)
+        .delete('/api/admin/ranking')
+        .send({ dataset: 'cities' })
+        .expect(200);
+      expect(app.locals.rankingService.getWeights('cities').recency).toBe(0);
+
+      await request(app)
+        .delete('/api/admin/ranking')
+        .send({ dataset: 'cities' })
+        .expect(404);
+    });
+
+    test('should reject unknown signals, invalid weights and unknown datasets', async () => {
+      const unknown = await request(app)
+        .put('/api/admin/ranking')
+        .send({ weights: { popularity: 1 } })
+        .expect(400);
+      expect(unknown.body.details[0].msg).toBe('Unknown ranking signal: popularity');
+
+      await request(app)
+        .put('/api/admin/ranking')
+        .send({ weights: { frequency: -1 } })
+        .expect(400);
+
+      await request(app)
+        .put('/api/admin/ranking')
+        .send({ dataset: 'movies', weights: { frequency: 1 } })
+        .expect(404);
+    });
+  });
+
+  describe('/api/admin/synonyms', () => {
+    beforeEach(() => {
+      app.locals.synonymService = new SynonymService();
+      app.locals.synonymService.load({ nyc: 'new york' });
+    });
+
+    test('should list, update and remove aliases', async () => {
+      const list = await request(app)
+        .get('/api/admin/synonyms')
+        .expect(200);
+      expect(list.body.aliases).toEqual({ nyc: ['new york'] });
+      expect(list.body.stats).toMatchObject({ aliasCount: 1, expansionCount: 1 });
+
+      const update = await request(app)
+        .put('/api/admin/synonyms')
+        .send({ alias: 'NYC', expansions: ['new york', 'New York City'] })
+        .expect(200);
+      expect(update.body).toMatchObject({
+        alias: 'nyc',
+        oldExpansions: ['new york'],
+        newExpansions: ['new york', 'new york city']
+      });
+      expect(update.body.version).toBeGreaterThan(list.body.stats.version);
+
+      await request(app)
+        .delete('/api/admin/synonyms')
+        .send({ alias: 'nyc' })
+        .expect(200);
+      expect(app.locals.synonymService.getAliases()).toEqual({});
+
+      await request(app)
+        .delete('/api/admin/synonyms')
+        .send({ alias: 'nyc' })
+        .expect(404);
+    });
+
+    test('should reject invalid aliases and expansions', async () => {
+      await request(app)
+        .put('/api/admin/synonyms')
+        .send({ alias: 'tv' })
+        .expect(400);
+
+      const selfAlias = await request(app)
+        .put('/api/admin/synonyms')
+        .send({ alias: 'tv', expansions: 'TV' })
+        .expect(400);
+      expect(selfAlias.body.message).toBe('Alias "tv" cannot expand to itself');
+
+      await request(app)
+        .put('/api/admin/synonyms')
+        .send({ alias: '  ', expansions: 'television' })
+        .expect(400);
+    });
+  });
+
+  describe('/api/admin/blocklist', () => {
+    test('should add, list and remove rules and clear the cache', async () => {
+      const added = await request(app)
+        .put('/api/admin/blocklist')
+        .send({ words: ['banana'], patterns: ['^appl(e|y)$'] })
+        .expect(200);
+      expect(added.body).toMatchObject({ added: 2, rules: { words: ['banana'], patterns: ['^appl(e|y)$'] } });
+      expect(cacheService.get('app', 5, false)).toBeNull();
+
+      const list = await request(app)
+        .get('/api/admin/blocklist')
+        .expect(200);
+      expect(list.body.stats.rules).toEqual({ words: 1, prefixes: 0, patterns: 1 });
+
+      await request(app)
+        .delete('/api/admin/blocklist')
+        .send({ words: ['banana'] })
+        .expect(200);
+      await request(app)
+        .delete('/api/admin/blocklist')
+        .send({ words: ['banana'] })
+        .expect(404);
+    });
+
+    test('should reject invalid rules', async () => {
+      await request(app)
+        .put('/api/admin/blocklist')
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .put('/api/admin/blocklist')
+        .send({ words: 'banana' })
+        .expect(400);
+
+      const invalidPattern = await request(app)
+        .put('/api/admin/blocklist')
+        .send({ patterns: ['(unclosed'] })
+        .expect(400);
+      expect(invalidPattern.body.error).toBe('Invalid blocklist rule');
+    });
+
+    test('should reload the rules from the blocklist file', async () => {
+      app.locals.blocklistService = new BlocklistService();
+
+      const response = await request(app)
+        .post('/api/admin/blocklist/reload')
+        .expect(200);
+
+      expect(response.body.filePath).toBe(BlocklistService.DEFAULT_BLOCKLIST_PATH);
+      expect(cacheService.get('app', 5, false)).toBeNull();
+    });
+  });
+
+  describe('frequency feedback', () => {
+    let analyticsService;
+
+    beforeEach(() => {
+      const registry = new TrieRegistry();
+      registry.register('fruits', trie);
+      analyticsService = {
+        isAvailable: () => true,
+        getSelectionCounts: jest.fn().mockResolvedValue([{ dataset: 'fruits', suggestion: 'banana', count: 30 }])
+      };
+      app.locals.trieRegistry = registry;
+      app.locals.analyticsService = analyticsService;
+      app.locals.frequencyFeedbackService = new FrequencyFeedbackService({ analyticsService, trieRegistry: registry, cacheService });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should run the feedback and report the changed frequencies', async () => {
+      const response = await request(app)
+        .post('/api/admin/frequency-feedback/run')
+        .expect(200);
+
+      expect(response.body.report.changes).toEqual([
+        expect.objectContaining({ dataset: 'fruits', word: 'banana', previousFrequency: 5, frequency: 8, boost: 3 })
+      ]);
+      expect(app.locals.frequencyFeedbackService.getBoost(trie, 'banana')).toBe(3);
+      expect(trie.getFrequency('banana')).toBe(5);
+      expect(cacheService.get('app', 5, false)).toBeNull();
+
+      const stats = await request(app)
+        .get('/api/admin/frequency-feedback')
+        .expect(200);
+      expect(stats.body).toMatchObject({ runCount: 1, weight: 0.1, lastReport: { selections: 30 } });
+    });
+
+    test('should return 503 without analytics', async () => {
+      analyticsService.isAvailable = () => false;
+
+      await request(app)
+        .post('/api/admin/frequency-feedback/run')
+        .expect(503);
+
+      delete app.locals.frequencyFeedbackService;
+      const response = await request(app)
+        .get('/api/admin/frequency-feedback')
+        .expect(503);
+      expect(response.body.error).toBe('Frequency feedback unavailable');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Analytics Routes Tests
+ * Exercises parameter handling of the analytics endpoints against a stand-in
+ * for the MongoDB-backed SearchAnalyticsService
+ */
+
+const express = require('express');
+const request = require('supertest');
+const analyticsRoutes = require('../../src/routes/analytics');
+
+describe('Analytics Routes', () => {
+  let app;
+  let analyticsService;
+
+  beforeEach(() => {
+    analyticsService = {
+      isAvailable: () => true,
+      getPopularQueries: jest.fn().mockResolvedValue([{ query: 'paris', count: 12 }]),
+      getSearchTrends: jest.fn().mockResolvedValue([]),
+      getPerformanceMetrics: jest.fn().mockResolvedValue({ totalSearches: 3, successRate: 66.67 }),
+      getQueryAnalytics: jest.fn().mockResolvedValue({ totalSearches: 5, selectionCount: 2 }),
+      getClickThroughRates: jest.fn().mockResolvedValue([{ query: 'paris', searches: 4, selections: 1, ctr: 25 }]),
+      getSelectionPositions: jest.fn().mockResolvedValue({ totalSelections: 2, meanPosition: 0.5, positions: [] }),
+      getZeroResultQueries: jest.fn().mockResolvedValue([{ rank: 1, query: 'atlantis', searches: 9, uniqueSessions: 4 }])
+    };
+
+    app = express();
+    app.locals.analyticsService = analyticsService;
+    app.use('/api/analytics', analyticsRoutes);
+  });
+
+  describe('GET /api/analytics/popular', () => {
+    test('should pass the date range and limit to the service', async () => {
+      const response = await request(app)
+        .get('/api/analytics/popular')
+        .query({ startDate: '2024-01-01', endDate: '2024-01-31T23:59:59Z', limit: 10 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        queries: [{ query: 'paris', count: 12 }],
+        startDate: '2024-01-01T00:00:00.000Z',
+        endDate: '2024-01-31T23:59:59.000Z',
+        limit: 10
+      });
+      expect(analyticsService.getPopularQueries).toHaveBeenCalledWith({
+        startDate: new Date('2024-01-01'),
+        endDate: new Date('2024-01-31T23:59:59Z'),
+        limit: 10
+      });
+    });
+
+    test('should default to the last 7 days', async () => {
+      const response = await request(app)
+        .get('/api/analytics/popular')
+        .expect(200);
+
+      const range = new Date(response.body.endDate) - new Date(response.body.startDate);
+      expect(range).toBe(7 * 24 * 60 * 60 * 1000);
+    });
+  });
+
+  describe('GET /api/analytics/trends', () => {
+    test('should validate the interval', async () => {
+      await request(app)
+        .get('/api/analytics/trends')
+        .query({ interval: 'hour' })
+        .expect(200);
+      expect(analyticsService.getSearchTrends.mock.calls[0][0].interval).toBe('hour');
+
+      await request(app)
+        .get('/api/analytics/trends')
+        .query({ interval: 'month' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/analytics/ctr', () => {
+    test('should pass the limit and minimum searches to the service', async () => {
+      const response = await request(app)
+        .get('/api/analytics/ctr')
+        .query({ limit: 5, minSearches: 3 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ queries: [{ query: 'paris', ctr: 25 }], limit: 5, minSearches: 3 });
+      expect(analyticsService.getClickThroughRates.mock.calls[0][0]).toMatchObject({ limit: 5, minSearches: 3 });
+
+      await request(app)
+        .get('/api/analytics/ctr')
+        .query({ minSearches: 0 })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/analytics/positions', () => {
+    test('should return the distribution, optionally for one query', async () => {
+      const response = await request(app)
+        .get('/api/analytics/positions')
+        .query({ query: 'Paris' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ query: 'paris', totalSelections: 2, meanPosition: 0.5, positions: [] });
+      expect(analyticsService.getSelectionPositions.mock.calls[0][0].query).toBe('Paris');
+    });
+  });
+
+  describe('GET /api/analytics/content-gaps', () => {
+    test('should list queries searched at least twice over the last 30 days by default', async () => {
+      const response = await request(app)
+        .get('/api/analytics/content-gaps')
+        .expect(200);
+
+      expect(response.body.queries[0]).toMatchObject({ rank: 1, query: 'atlantis' });
+      expect(response.body.minSearches).toBe(2);
+      const range = new Date(response.body.endDate) - new Date(response.body.startDate);
+      expect(range).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(analyticsService.getZeroResultQueries.mock.calls[0][0]).toMatchObject({ limit: 50, minSearches: 2 });
+    });
+  });
+
+  describe('GET /api/analytics/queries/:query', () => {
+    test('should return the analytics of one query', async () => {
+      const response = await request(app)
+        .get('/api/analytics/queries/Paris')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ query: 'paris', analytics: { totalSearches: 5, selectionCount: 2 } });
+      expect(analyticsService.getQueryAnalytics.mock.calls[0][0]).toBe('Paris');
+    });
+  });
+
+  describe('errors', () => {
+    test('should reject invalid and reversed date ranges', async () => {
+      await request(app)
+        .get('/api/analytics/performance')
+        .query({ startDate: 'yesterday' })
+        .expect(400);
+
+      const reversed = await request(app)
+        .get('/api/analytics/performance')
+        .query({ startDate: '2024-02-01', endDate: '2024-01-01' })
+        .expect(400);
+      expect(reversed.body.message).toBe('startDate must not be after endDate');
+
+      await request(app)
+        .get('/api/analytics/performance')
+        .query({ startDate: '2020-01-01', endDate: '2024-01-01' })
+        .expect(400);
+    });
+
+    test('should return 503 without an analytics service', async () => {
+      delete app.locals.analyticsService;
+
+      const response = await request(app)
+        .get('/api/analytics/performance')
+        .expect(503);
+      expect(response.body.error).toBe('Analytics unavailable');
+    });
+
+    test('should return 503 while MongoDB is unreachable', async () => {
+      analyticsService.isAvailable = () => false;
+
+      await request(app)
+        .get('/api/analytics/popular')
+        .expect(503);
+      expect(analyticsService.getPopularQueries).not.toHaveBeenCalled();
+    });
+
+    test('should return 500 when an aggregation fails', async () => {
+      analyticsService.getPerformanceMetrics.mockRejectedValue(new Error('connection lost'));
+
+      await request(app)
+        .get('/api/analytics/performance')
+        .expect(500);
+    });
+  });
+});
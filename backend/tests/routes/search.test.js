@@ -0,0 +1,762 @@
+/**
+ * Search Routes Tests
+ * Exercises result merging in the search endpoint against an in-memory Trie
+ */
+
+const express = require('express');
+const request = require('supertest');
+const searchRoutes = require('../../src/routes/search');
+const { Trie, TokenIndex, PhoneticIndex, NGramModel } = require('../../src/data-structures');
+const TrieRegistry = require('../../src/services/TrieRegistry');
+const CacheService = require('../../src/services/CacheService');
+const RankingService = require('../../src/services/RankingService');
+const SynonymService = require('../../src/services/SynonymService');
+const BlocklistService = require('../../src/services/BlocklistService');
+const FrequencyFeedbackService = require('../../src/services/FrequencyFeedbackService');
+
+describe('Search Routes', () => {
+  let app;
+  let trie;
+
+  beforeEach(() => {
+    trie = new Trie();
+    trie.insert('york', 40);
+    trie.insert('yorktown', 20);
+    trie.insert('new york', 100);
+    trie.insert('east yorkshire', 30);
+
+    const tokenIndex = new TokenIndex(trie);
+    tokenIndex.build();
+
+    app = express();
+    app.use(express.json());
+    app.locals.trie = trie;
+    app.locals.tokenIndex = tokenIndex;
+    app.use('/api', searchRoutes);
+  });
+
+  describe('GET /api/search normalization', () => {
+    test('should accept Unicode queries and return display forms', async () => {
+      trie.insert('São Paulo', 50);
+
+      const accented = await request(app)
+        .get('/api/search')
+        .query({ query: 'São' })
+        .expect(200);
+      const plain = await request(app)
+        .get('/api/search')
+        .query({ query: 'sao' })
+        .expect(200);
+
+      expect(accented.body.suggestions[0]).toMatchObject({ word: 'sao paulo', display: 'São Paulo' });
+      expect(plain.body.suggestions).toEqual(accented.body.suggestions);
+    });
+
+    test('should return the stored payload', async () => {
+      trie.insert('Paris', 70, { source: 'cities', id: '1250015082', metadata: { country: 'France' } });
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'par' })
+        .expect(200);
+
+      expect(response.body.suggestions[0]).toMatchObject({
+        word: 'paris',
+        display: 'Paris',
+        payload: { source: 'cities', id: '1250015082', metadata: { country: 'France' } }
+      });
+    });
+
+    test('should fall back to the word as display form', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'yorkt' })
+        .expect(200);
+
+      expect(response.body.suggestions[0].display).toBe('yorktown');
+    });
+
+    test('should still reject symbols', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york<script>' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query parameters');
+    });
+  });
+
+  describe('GET /api/search token matching', () => {
+    test('should append token matches after prefix matches', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 10 })
+        .expect(200);
+
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['york', 'yorktown', 'new york', 'east yorkshire']);
+      expect(response.body.suggestions.map(s => s.matchType)).toEqual(['prefix', 'prefix', 'token', 'token']);
+      expect(response.body.suggestions[3].matchedToken).toBe('yorkshire');
+      expect(response.body.exactMatches).toBe(2);
+      expect(response.body.tokenMatches).toBe(2);
+      expect(response.body.totalMatches).toBe(4);
+    });
+
+    test('should keep prefix matches first when the limit is reached', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 3 })
+        .expect(200);
+
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['york', 'yorktown', 'new york']);
+    });
+
+    test('should not duplicate words returned by both searches', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'new', limit: 10 })
+        .expect(200);
+
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['new york']);
+      expect(response.body.tokenMatches).toBe(0);
+    });
+
+    test('should merge token matches ahead of typo corrections', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'yorkshire', limit: 5, typoTolerance: true })
+        .expect(200);
+
+      const words = response.body.suggestions.map(s => s.word);
+      expect(words[0]).toBe('east yorkshire');
+      expect(response.body.suggestions[0].matchType).toBe('token');
+      expect(new Set(words).size).toBe(words.length);
+    });
+
+    test('should return prefix matches only when no token index is available', async () => {
+      delete app.locals.tokenIndex;
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 10 })
+        .expect(200);
+
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['york', 'yorktown']);
+      expect(response.body.tokenMatches).toBe(0);
+    });
+  });
+
+  describe('GET /api/search datasets', () => {
+    beforeEach(() => {
+      const registry = new TrieRegistry({ defaultDataset: 'cities' });
+      registry.create('cities').insert('Paris', 20, { source: 'cities' });
+      registry.get('cities').insert('Parma', 8, { source: 'cities' });
+      registry.create('products').insert('Paris Perfume', 12, { source: 'products' });
+      registry.get('products').insert('Parka', 3, { source: 'products' });
+      registry.buildTokenIndexes();
+
+      app.locals.trieRegistry = registry;
+      app.locals.cacheService = new CacheService();
+    });
+
+    test('should search the default dataset when none is given', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'par' })
+        .expect(200);
+
+      expect(response.body.dataset).toBe('cities');
+      expect(response.body.federated).toBe(false);
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['paris', 'parma']);
+      expect(response.body.suggestions[0].dataset).toBe('cities');
+    });
+
+    test('should search only the requested dataset', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'par', dataset: 'products' })
+        .expect(200);
+
+      expect(response.body.dataset).toBe('products');
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['paris perfume', 'parka']);
+    });
+
+    test('should interleave federated results by score', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'par', dataset: 'all', limit: 3 })
+        .expect(200);
+
+      expect(response.body.federated).toBe(true);
+      expect(response.body.dataset).toEqual(['cities', 'products']);
+      expect(response.body.suggestions.map(s => [s.word, s.dataset])).toEqual([
+        ['paris', 'cities'],
+        ['paris perfume', 'products'],
+        ['parma', 'cities']
+      ]);
+    });
+
+    test('should keep cached results separate per dataset', async () => {
+      await request(app).get('/api/search').query({ query: 'par', dataset: 'cities' }).expect(200);
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'par', dataset: 'products' })
+        .expect(200);
+
+      expect(response.body.cached).toBe(false);
+      expect(response.body.suggestions[0].word).toBe('paris perfume');
+    });
+
+    test('should return 404 for unknown datasets', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'par', dataset: 'cities,movies' })
+        .expect(404);
+
+      expect(response.body.error).toBe('Dataset not found');
+      expect(response.body.availableDatasets).toEqual(['cities', 'products']);
+    });
+
+    test('should reject malformed dataset names', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ query: 'par', dataset: 'Cities!' })
+        .expect(400);
+    });
+
+    test('should record selections in the requested dataset', async () => {
+      await request(app)
+        .post('/api/search/increment')
+        .send({ word: 'parka', increment: 10, dataset: 'products' })
+        .expect(200);
+
+      expect(app.locals.trieRegistry.get('products').getFrequency('parka')).toBe(3);
+      expect(app.locals.trieRegistry.get('products').getPopularity('parka')).toBeCloseTo(10);
+      expect(app.locals.trieRegistry.get('cities').getPopularity('parka')).toBe(0);
+    });
+
+    test('should report per-dataset stats', async () => {
+      const response = await request(app)
+        .get('/api/search/stats')
+        .expect(200);
+
+      expect(response.body.datasetIndexes.defaultDataset).toBe('cities');
+      expect(Object.keys(response.body.datasetIndexes.datasets)).toEqual(['cities', 'products']);
+    });
+  });
+
+  describe('PUT /api/search/typo-config', () => {
+    test('should switch the keyboard layout used for weighted corrections', async () => {
+      const response = await request(app)
+        .put('/api/search/typo-config')
+        .send({ keyboardLayout: 'azerty', adjacentKeyCost: '0.4' })
+        .expect(200);
+
+      expect(response.body.oldConfig.keyboardLayout).toBe('qwerty');
+      expect(response.body.newConfig).toMatchObject({ keyboardLayout: 'azerty', adjacentKeyCost: 0.4 });
+      expect(app.locals.typoToleranceService.calculateDistance('sat', 'qat').cost).toBe(0.4);
+    });
+
+    test('should reject unknown layouts and out-of-range costs', async () => {
+      const response = await request(app)
+        .put('/api/search/typo-config')
+        .send({ keyboardLayout: 'colemak', transpositionCost: 5 })
+        .expect(400);
+
+      expect(response.body.details.map(detail => detail.path)).toEqual(['keyboardLayout', 'transpositionCost']);
+    });
+  });
+
+  describe('GET /api/search phonetic', () => {
+    beforeEach(() => {
+      trie.insert('Philadelphia', 90);
+
+      const phoneticIndex = new PhoneticIndex(trie);
+      phoneticIndex.build();
+      app.locals.phoneticIndex = phoneticIndex;
+      app.locals.cacheService = new CacheService();
+    });
+
+    test('should add phonetic matches when requested', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'Filadelfia', phonetic: true })
+        .expect(200);
+
+      expect(response.body.phoneticUsed).toBe(true);
+      expect(response.body.phoneticMatches).toBe(1);
+      expect(response.body.suggestions).toEqual([expect.objectContaining({
+        word: 'philadelphia',
+        display: 'Philadelphia',
+        type: 'phonetic_match',
+        originalQuery: 'Filadelfia',
+        phoneticCode: 'FLTLF'
+      })]);
+    });
+
+    test('should leave phonetic matches out by default and cache both variants separately', async () => {
+      const phonetic = await request(app)
+        .get('/api/search')
+        .query({ query: 'Filadelfia', phonetic: true })
+        .expect(200);
+      const plain = await request(app)
+        .get('/api/search')
+        .query({ query: 'Filadelfia' })
+        .expect(200);
+
+      expect(phonetic.body.suggestions).toHaveLength(1);
+      expect(plain.body.suggestions).toEqual([]);
+      expect(plain.body.phoneticUsed).toBe(false);
+    });
+
+    test('should reject a non-boolean phonetic flag', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ query: 'Filadelfia', phonetic: 'sometimes' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/search/suggest-correction', () => {
+    test('should return the best typo correction with a confidence score', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest-correction')
+        .query({ query: 'yrok' })
+        .expect(200);
+
+      expect(response.body.hasMatches).toBe(false);
+      expect(response.body.correction).toMatchObject({
+        query: 'york',
+        display: 'york',
+        source: 'typo_correction'
+      });
+      expect(response.body.correction.confidence).toBeGreaterThan(0);
+      expect(response.body.correction.confidence).toBeLessThanOrEqual(1);
+    });
+
+    test('should fall back to phonetic matches', async () => {
+      trie.insert('Philadelphia', 90);
+      const phoneticIndex = new PhoneticIndex(trie);
+      phoneticIndex.build();
+      app.locals.phoneticIndex = phoneticIndex;
+
+      const response = await request(app)
+        .get('/api/search/suggest-correction')
+        .query({ query: 'Filadelfia' })
+        .expect(200);
+
+      expect(response.body.correction).toMatchObject({
+        query: 'philadelphia',
+        display: 'Philadelphia',
+        source: 'phonetic_match'
+      });
+    });
+
+    test('should not correct queries that already have matches', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest-correction')
+        .query({ query: 'york' })
+        .expect(200);
+
+      expect(response.body.hasMatches).toBe(true);
+      expect(response.body.correction).toBeNull();
+    });
+
+    test('should search the requested datasets', async () => {
+      const registry = new TrieRegistry();
+      registry.register('cities', trie);
+      registry.create('products').insert('yogurt', 10);
+      app.locals.trieRegistry = registry;
+
+      const response = await request(app)
+        .get('/api/search/suggest-correction')
+        .query({ query: 'yoghurt', dataset: 'all' })
+        .expect(200);
+
+      expect(response.body.correction).toMatchObject({ query: 'yogurt', dataset: 'products' });
+
+      await request(app)
+        .get('/api/search/suggest-correction')
+        .query({ query: 'yrok', dataset: 'movies' })
+        .expect(404);
+    });
+
+    test('should reject a missing query', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest-correction')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query parameters');
+    });
+  });
+
+  describe('GET /api/search ranking', () => {
+    test('should explain scores on request', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', explain: true })
+        .expect(200);
+
+      // Frequency is scaled against the most frequent candidate, the "new york" token match
+      expect(response.body.suggestions[2]).toMatchObject({
+        word: 'new york',
+        score: 1,
+        scoreBreakdown: { frequency: { value: 1, weight: 1, contribution: 1 } }
+      });
+      expect(response.body.suggestions[0].score).toBeLessThan(1);
+
+      const plain = await request(app)
+        .get('/api/search')
+        .query({ query: 'york' })
+        .expect(200);
+      expect(plain.body.suggestions[0].scoreBreakdown).toBeUndefined();
+    });
+
+    test('should apply configured weights', async () => {
+      RankingService.fromLocals(app.locals).setWeights({ frequency: 0, prefixLength: 1 });
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 2 })
+        .expect(200);
+
+      // "york" covers the whole query; "new york" matches on its "york" token
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['york', 'yorktown']);
+      expect(response.body.suggestions[1].score).toBe(0.5);
+    });
+
+    test('should rank recently incremented words higher when recency is weighted', async () => {
+      trie.insert('yorkville', 5);
+      RankingService.fromLocals(app.locals).setWeights({ recency: 2 });
+
+      await request(app)
+        .post('/api/search/increment')
+        .send({ word: 'Yorkville' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 2 })
+        .expect(200);
+
+      expect(response.body.suggestions[0].word).toBe('yorkville');
+    });
+
+    test('should rank a trending word above more frequent words sharing its prefix', async () => {
+      trie.insert('yorkton', 25);
+      trie.insert('yorkshire', 22);
+      trie.insert('yorkville', 1);
+      trie.recordSelection('yorkville', 200);
+
+      // "yorkville" is not among the most frequent prefix matches the pool is filled with
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 1 })
+        .expect(200);
+
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['yorkville']);
+    });
+
+    test('should rank a boosted word outside the most frequent prefix matches', async () => {
+      const abTrie = new Trie();
+      for (let i = 0; i < 60; i++) {
+        abTrie.insert(`ab${String.fromCharCode(97 + Math.floor(i / 26))}${String.fromCharCode(97 + (i % 26))}`, 5);
+      }
+      abTrie.insert('abzz', 1);
+      const registry = new TrieRegistry();
+      registry.register('words', abTrie);
+      const frequencyFeedback = new FrequencyFeedbackService({ analyticsService: {}, trieRegistry: registry });
+      frequencyFeedback.applySelectionCounts([{ dataset: 'words', suggestion: 'abzz', count: 100 }]);
+
+      app.locals.trie = abTrie;
+      app.locals.tokenIndex = null;
+      app.locals.frequencyFeedbackService = frequencyFeedback;
+
+      // Dataset frequency 1 plus a boost of 10 outranks the 60 words of frequency 5
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'ab', limit: 5 })
+        .expect(200);
+
+      expect(response.body.suggestions[0].word).toBe('abzz');
+    });
+
+    test('should boost terms the session selected before', async () => {
+      await request(app)
+        .post('/api/search/increment')
+        .send({ word: 'yorktown', session: 'abc-123' })
+        .expect(200);
+
+      const personalized = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 2, session: 'abc-123' })
+        .expect(200);
+      expect(personalized.body.personalized).toBe(true);
+      expect(personalized.body.suggestions.map(s => s.word)).toEqual(['yorktown', 'york']);
+
+      const other = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 2, session: 'other' })
+        .expect(200);
+      expect(other.body.personalized).toBe(false);
+      expect(other.body.suggestions[0].word).toBe('york');
+    });
+
+    test('should remember searched queries and skip the cache for personalized results', async () => {
+      app.locals.cacheService = new CacheService();
+      trie.insert('yorkshire', 10);
+
+      await request(app).get('/api/search').query({ query: 'yorkshire', session: 's1' }).expect(200);
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 2, session: 's1' })
+        .expect(200);
+
+      expect(response.body.cached).toBe(false);
+      expect(response.body.suggestions.map(s => s.word)).toContain('yorkshire');
+    });
+
+    test('should reject an invalid session', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ query: 'york', session: 'not valid!' })
+        .expect(400);
+    });
+
+    test('should reject a non-boolean explain flag', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ query: 'york', explain: 'maybe' })
+        .expect(400);
+    });
+  });
+
+  describe('next-word predictions', () => {
+    beforeEach(() => {
+      trie.insert('new jersey', 30);
+      trie.insert('new haven green', 15);
+
+      const ngramModel = new NGramModel(trie);
+      ngramModel.build();
+      app.locals.ngramModel = ngramModel;
+    });
+
+    test('should predict the word after a completed context', async () => {
+      const response = await request(app)
+        .get('/api/search/next-word')
+        .query({ context: 'new ' })
+        .expect(200);
+
+      expect(response.body.completedWords).toEqual(['new']);
+      expect(response.body.partialWord).toBeNull();
+      expect(response.body.predictions.map(prediction => prediction.token)).toEqual(['york', 'jersey', 'haven']);
+      expect(response.body.predictions[0]).toMatchObject({ token: 'york', text: 'new york', contextLength: 1 });
+    });
+
+    test('should narrow predictions by an unfinished word', async () => {
+      const response = await request(app)
+        .get('/api/search/next-word')
+        .query({ context: 'new y', limit: 3 })
+        .expect(200);
+
+      expect(response.body.partialWord).toBe('y');
+      expect(response.body.predictions.map(prediction => prediction.text)).toEqual(['new york']);
+    });
+
+    test('should blend predictions into searches ending in a space', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'new ' })
+        .expect(200);
+
+      expect(response.body.query).toBe('new');
+      expect(response.body.nextWordMatches).toBe(1);
+      expect(response.body.suggestions.find(s => s.type === 'next_word')).toMatchObject({
+        word: 'new haven',
+        predictedToken: 'haven',
+        frequency: 15
+      });
+
+      const plain = await request(app)
+        .get('/api/search')
+        .query({ query: 'new' })
+        .expect(200);
+      expect(plain.body.nextWordMatches).toBe(0);
+    });
+
+    test('should drop predicted phrases the dataset no longer contains', async () => {
+      // Deleted from the Trie only, so the model still predicts "haven"
+      trie.delete('new haven green');
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'new ' })
+        .expect(200);
+
+      expect(response.body.nextWordMatches).toBe(0);
+      expect(response.body.suggestions.map(s => s.word)).not.toContain('new haven');
+    });
+
+    test('should keep next-word results apart in the cache', async () => {
+      app.locals.cacheService = new CacheService();
+
+      await request(app).get('/api/search').query({ query: 'new' }).expect(200);
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'new ' })
+        .expect(200);
+
+      expect(response.body.cached).toBe(false);
+      expect(response.body.nextWordMatches).toBe(1);
+    });
+
+    test('should return 503 without an n-gram model', async () => {
+      delete app.locals.ngramModel;
+
+      await request(app)
+        .get('/api/search/next-word')
+        .query({ context: 'new ' })
+        .expect(503);
+    });
+
+    test('should reject an invalid context', async () => {
+      await request(app)
+        .get('/api/search/next-word')
+        .query({ context: '   ' })
+        .expect(400);
+    });
+  });
+
+  describe('synonym expansion', () => {
+    beforeEach(() => {
+      trie.insert('los angeles', 60);
+      trie.insert('nycticorax', 2);
+
+      const synonymService = new SynonymService();
+      synonymService.load({ nyc: 'new york', la: ['los angeles'] });
+      app.locals.synonymService = synonymService;
+    });
+
+    test('should add the matches of expanded queries and note the alias', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'nyc' })
+        .expect(200);
+
+      expect(response.body.expansions).toEqual([{ alias: 'nyc', expansion: 'new york', query: 'new york' }]);
+      // Expanded matches join the original query's groups and are ranked with them
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['new york', 'nycticorax']);
+      expect(response.body.suggestions[0]).toMatchObject({ alias: 'nyc', expandedQuery: 'new york', matchType: 'prefix' });
+      expect(response.body.suggestions[1].alias).toBeUndefined();
+    });
+
+    test('should only expand whole words', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'nycti' })
+        .expect(200);
+
+      expect(response.body.expansions).toEqual([]);
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['nycticorax']);
+    });
+
+    test('should not serve cached expansions after an alias edit', async () => {
+      app.locals.cacheService = new CacheService();
+
+      await request(app).get('/api/search').query({ query: 'la' }).expect(200);
+      const cached = await request(app).get('/api/search').query({ query: 'la' }).expect(200);
+      expect(cached.body.cached).toBe(true);
+
+      app.locals.synonymService.removeAlias('la');
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'la' })
+        .expect(200);
+
+      expect(response.body.cached).toBe(false);
+      expect(response.body.suggestions).toEqual([]);
+    });
+
+    test('should not suggest a correction for queries matched through an alias', async () => {
+      const response = await request(app)
+        .get('/api/search/suggest-correction')
+        .query({ query: 'la' })
+        .expect(200);
+
+      expect(response.body.hasMatches).toBe(true);
+      expect(response.body.correction).toBeNull();
+    });
+  });
+
+  describe('blocklist', () => {
+    test('should suppress blocked suggestions and report them in stats', async () => {
+      const blocklist = new BlocklistService();
+      blocklist.load({ prefixes: ['yorksh'] });
+      app.locals.blocklistService = blocklist;
+
+      const response = await request(app)
+        .get('/api/search')
+        .query({ query: 'york', limit: 10 })
+        .expect(200);
+
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['york', 'yorktown', 'new york']);
+
+      const stats = await request(app)
+        .get('/api/search/stats')
+        .expect(200);
+      expect(stats.body.blocklist.suppressed).toMatchObject({ search: 1, total: 1 });
+      expect(stats.body.blocklist.rules).toEqual({ words: 0, prefixes: 1, patterns: 0 });
+    });
+  });
+
+  describe('analytics recording', () => {
+    let analyticsService;
+
+    beforeEach(() => {
+      analyticsService = { logSearch: jest.fn(), logSelection: jest.fn() };
+      app.locals.analyticsService = analyticsService;
+    });
+
+    test('should log searches with their result count', async () => {
+      await request(app)
+        .get('/api/search')
+        .query({ query: 'york', session: 'abc' })
+        .expect(200);
+
+      expect(analyticsService.logSearch).toHaveBeenCalledTimes(1);
+      expect(analyticsService.logSearch.mock.calls[0][0]).toMatchObject({
+        query: 'york',
+        resultCount: 4,
+        userSession: 'abc'
+      });
+    });
+
+    test('should log selections with the query they came from', async () => {
+      await request(app)
+        .post('/api/search/increment')
+        .send({ word: 'New York', query: 'york', position: 2 })
+        .expect(200);
+
+      expect(analyticsService.logSelection).toHaveBeenCalledWith({
+        query: 'york',
+        selectedSuggestion: 'new york',
+        userSession: undefined,
+        selectionIndex: 2,
+        dataset: null
+      });
+    });
+
+    test('should log selections without a query as coming from no query', async () => {
+      await request(app)
+        .post('/api/search/increment')
+        .send({ word: 'New York' })
+        .expect(200);
+
+      expect(analyticsService.logSelection.mock.calls[0][0]).toMatchObject({
+        query: null,
+        selectedSuggestion: 'new york',
+        selectionIndex: -1
+      });
+    });
+  });
+});
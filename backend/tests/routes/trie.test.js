@@ -0,0 +1,129 @@
+/**
+ * Trie Visualization Routes Tests
+ * Covers structure and path endpoints for both Trie implementations
+ */
+
+const express = require('express');
+const request = require('supertest');
+const trieRoutes = require('../../src/routes/trie');
+const { Trie, RadixTrie } = require('../../src/data-structures');
+const TrieRegistry = require('../../src/services/TrieRegistry');
+
+function createApp(trie) {
+  const app = express();
+  app.locals.trie = trie;
+  app.use('/api/trie', trieRoutes);
+  return app;
+}
+
+describe('Trie Routes', () => {
+  const words = [['romane', 3], ['romanus', 5], ['rubens', 2]];
+
+  describe('with standard Trie', () => {
+    test('should return one node per character', async () => {
+      const trie = new Trie();
+      words.forEach(([word, frequency]) => trie.insert(word, frequency));
+
+      const response = await request(createApp(trie))
+        .get('/api/trie/structure?prefix=rom&depth=10')
+        .expect(200);
+
+      expect(response.body.trieStats.implementation).toBe('standard');
+      expect(response.body.structure.nodes[0].prefix).toBe('rom');
+      expect(response.body.structure.totalWords).toBe(2);
+    });
+  });
+
+  describe('with RadixTrie', () => {
+    let app;
+
+    beforeEach(() => {
+      const trie = new RadixTrie();
+      words.forEach(([word, frequency]) => trie.insert(word, frequency));
+      app = createApp(trie);
+    });
+
+    test('should return one node per compressed edge', async () => {
+      const response = await request(app)
+        .get('/api/trie/structure')
+        .expect(200);
+
+      const { structure, trieStats } = response.body;
+      expect(trieStats.implementation).toBe('radix');
+      expect(structure.totalNodes).toBe(6);
+      expect(structure.totalWords).toBe(3);
+      expect(structure.nodes.map(node => node.label)).toEqual(
+        expect.arrayContaining(['oman', 'us', 'ubens'])
+      );
+      expect(structure.edges).toHaveLength(5);
+    });
+
+    test('should focus on a prefix ending inside an edge', async () => {
+      const response = await request(app)
+        .get('/api/trie/structure?prefix=ro')
+        .expect(200);
+
+      expect(response.body.structure.nodes[0].prefix).toBe('roman');
+      expect(response.body.structure.totalWords).toBe(2);
+    });
+
+    test('should report missing prefixes', async () => {
+      const response = await request(app)
+        .get('/api/trie/structure?prefix=xyz')
+        .expect(200);
+
+      expect(response.body.structure.error).toBe('Prefix "xyz" not found in Trie');
+    });
+
+    test('should trace query paths edge by edge', async () => {
+      const response = await request(app)
+        .get('/api/trie/path?query=romanus')
+        .expect(200);
+
+      expect(response.body.path.map(step => step.character)).toEqual(['r', 'oman', 'us']);
+      expect(response.body.exists).toBe(true);
+      expect(response.body.isCompleteWord).toBe(true);
+      expect(response.body.frequency).toBe(5);
+    });
+  });
+
+  describe('with a dataset registry', () => {
+    let app;
+
+    beforeEach(() => {
+      const registry = new TrieRegistry();
+      registry.create('cities').insert('rome', 10);
+      registry.create('products').insert('router', 4);
+
+      app = createApp(registry.getDefault());
+      app.locals.trieRegistry = registry;
+    });
+
+    test('should describe the requested dataset', async () => {
+      const response = await request(app)
+        .get('/api/trie/structure?dataset=products&depth=10')
+        .expect(200);
+
+      expect(response.body.metadata.dataset).toBe('products');
+      expect(response.body.structure.totalWords).toBe(1);
+      expect(response.body.trieStats.wordCount).toBe(1);
+    });
+
+    test('should trace paths in the requested dataset', async () => {
+      const response = await request(app)
+        .get('/api/trie/path?query=rou&dataset=products')
+        .expect(200);
+
+      expect(response.body.exists).toBe(true);
+      expect(response.body.suggestions.map(s => s.word)).toEqual(['router']);
+    });
+
+    test('should return 404 for unknown datasets', async () => {
+      const response = await request(app)
+        .get('/api/trie/structure?dataset=movies')
+        .expect(404);
+
+      expect(response.body.error).toBe('Dataset not found');
+    });
+  });
+});
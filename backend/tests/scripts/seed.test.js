@@ -2,7 +2,12 @@
  * Tests for the database seed script
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { DatabaseSeeder, ArgumentParser, SAMPLE_DATA } = require('../../scripts/seed');
+const { ApplicationBootstrap, ConfigValidator, DatasetDiscovery } = require('../../scripts/bootstrap');
+const TriePersistenceService = require('../../src/services/TriePersistenceService');
 
 describe('Database Seed Script', () => {
   describe('ArgumentParser', () => {
@@ -25,6 +30,13 @@ describe('Database Seed Script', () => {
       expect(options.force).toBe(true); // Reset implies force
     });
 
+    test('should parse the descriptor path', () => {
+      const options = ArgumentParser.parse(['node', 'seed.js', '--descriptor', 'datasets.yaml', '--datasets', 'airports']);
+
+      expect(options.descriptor).toBe('datasets.yaml');
+      expect(options.datasets).toEqual(['airports']);
+    });
+
     test('should handle unknown arguments gracefully', () => {
       const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
       const args = ['node', 'seed.js', '--unknown-option'];
@@ -66,6 +78,74 @@ describe('Database Seed Script', () => {
       expect(filePath).toBeNull();
     });
 
+    test('should load datasets named in the descriptor file', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-'));
+      fs.writeFileSync(path.join(tempDir, 'airports.jsonl'), [
+        JSON.stringify({ name: 'Atlanta', iata: 'ATL', passengers: 104000000 }),
+        JSON.stringify({ name: 'Zürich', iata: 'ZRH', passengers: 31000000 })
+      ].join('\n'));
+      fs.writeFileSync(path.join(tempDir, 'datasets.yaml'), [
+        'datasets:',
+        '  - name: airports',
+        '    file: airports.jsonl',
+        '    term: name',
+        '    frequency: log10(passengers)',
+        '    payload: { id: iata }'
+      ].join('\n'));
+
+      try {
+        const descriptorSeeder = new DatabaseSeeder({ ...mockOptions, progress: false, descriptor: path.join(tempDir, 'datasets.yaml') });
+        descriptorSeeder.initializeTrie();
+        await descriptorSeeder.loadDataset('airports');
+
+        expect(descriptorSeeder.stats.recordsLoaded).toBe(2);
+        expect(descriptorSeeder.trie.getEntry('zurich').payload).toMatchObject({ source: 'airports', id: 'ZRH' });
+        await expect(descriptorSeeder.loadDataset('cities')).rejects.toThrow('Unknown dataset type: cities');
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('should back up each dataset with the metadata bootstrap restores it by', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seed-'));
+      const descriptorPath = path.join(tempDir, 'datasets.yaml');
+      fs.writeFileSync(path.join(tempDir, 'airports.jsonl'), JSON.stringify({ name: 'Zürich', passengers: 31000000 }));
+      fs.writeFileSync(descriptorPath, [
+        'datasets:',
+        '  - name: airports',
+        '    file: airports.jsonl',
+        '    term: name',
+        '    frequency: log10(passengers)'
+      ].join('\n'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const exportSpy = jest.spyOn(TriePersistenceService.prototype, 'exportTrieToMongoDB')
+        .mockImplementation(async (trie, version) => ({ version }));
+      const deleteSpy = jest.spyOn(TriePersistenceService.prototype, 'deleteDatasetBackups').mockResolvedValue(0);
+
+      try {
+        const descriptorSeeder = new DatabaseSeeder({ ...mockOptions, progress: false, descriptor: descriptorPath });
+        descriptorSeeder.initializeTrie();
+        await descriptorSeeder.loadDataset('airports');
+        await descriptorSeeder.loadDataset('sample');
+        await descriptorSeeder.saveToDatabase();
+
+        const bootstrap = new ApplicationBootstrap();
+        bootstrap.config = ConfigValidator.validate();
+        const [discovered] = await DatasetDiscovery.discoverDatasets(descriptorPath);
+
+        expect(exportSpy).toHaveBeenCalledTimes(2);
+        const [airportsTrie, airportsVersion, airportsOptions] = exportSpy.mock.calls[0];
+        expect(airportsTrie.getWordCount()).toBe(1);
+        expect(airportsTrie.contains('zurich')).toBe(true);
+        expect(airportsOptions).toEqual({ dataset: 'airports', source: bootstrap.getBackupSource(discovered) });
+        expect(deleteSpy).toHaveBeenCalledWith('airports', airportsVersion);
+        expect(exportSpy.mock.calls[1][2]).toEqual({ dataset: 'sample', source: bootstrap.getBackupSource({ key: 'sample' }) });
+      } finally {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
     test('should handle duplicate detection correctly', () => {
       seeder.duplicateTracker.add('test');
       expect(seeder.duplicateTracker.has('test')).toBe(true);
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalyticsWriteBuffer = require('../../src/services/AnalyticsWriteBuffer');
+
+describe('AnalyticsWriteBuffer', () => {
+  let directory;
+  let spillPath;
+  let collection;
+  let mongoService;
+  let buffer;
+
+  const entry = (id, query = 'apple') => ({ _id: id, query, timestamp: new Date('2024-01-01T00:00:00Z') });
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-buffer-'));
+    spillPath = path.join(directory, 'spill.jsonl');
+    collection = { insertMany: jest.fn().mockResolvedValue({}) };
+    mongoService = {
+      connected: true,
+      isConnectedToMongoDB() {
+        return this.connected;
+      },
+      getCollection: jest.fn(() => collection)
+    };
+    buffer = new AnalyticsWriteBuffer('search_analytics', { maxSize: 3, spillPath, mongoService });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    buffer.stop();
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('flush', () => {
+    test('should write buffered entries with one insertMany', async () => {
+      buffer.add(entry('a'));
+      buffer.add(entry('b'));
+
+      expect(collection.insertMany).not.toHaveBeenCalled();
+      expect(await buffer.flush()).toEqual({ written: 2, spilled: 0, replayed: 0 });
+      expect(mongoService.getCollection).toHaveBeenCalledWith('search_analytics');
+      expect(collection.insertMany).toHaveBeenCalledWith([entry('a'), entry('b')], { ordered: false });
+      expect(buffer.getStats()).toMatchObject({ buffered: 0, written: 2, flushes: 1 });
+    });
+
+    test('should flush once the buffer is full', async () => {
+      buffer.add(entry('a'));
+      buffer.add(entry('b'));
+      buffer.add(entry('c'));
+      await buffer.flush();
+
+      expect(collection.insertMany).toHaveBeenCalledTimes(1);
+      expect(collection.insertMany.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    test('should flush on the interval', async () => {
+      jest.useFakeTimers();
+      try {
+        buffer = new AnalyticsWriteBuffer('search_analytics', { flushInterval: 1000, spillPath, mongoService });
+        buffer.start();
+        buffer.add(entry('a'));
+
+        jest.advanceTimersByTime(1000);
+      } finally {
+        jest.useRealTimers();
+      }
+      await buffer.flush();
+
+      expect(collection.insertMany).toHaveBeenCalledWith([entry('a')], { ordered: false });
+    });
+  });
+
+  describe('spilling', () => {
+    test('should append entries to the spill file while MongoDB is unreachable', async () => {
+      mongoService.connected = false;
+      buffer.add(entry('a'));
+      buffer.add(entry('b', 'banana'));
+
+      expect(await buffer.flush()).toEqual({ written: 0, spilled: 2, replayed: 0 });
+      expect(collection.insertMany).not.toHaveBeenCalled();
+
+      const lines = fs.readFileSync(spillPath, 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line)._id)).toEqual(['a', 'b']);
+      expect(buffer.getStats()).toMatchObject({ spilled: 2, hasSpilledEntries: true });
+    });
+
+    test('should spill entries whose write fails', async () => {
+      collection.insertMany.mockRejectedValueOnce(new Error('connection reset'));
+      buffer.add(entry('a'));
+
+      expect(await buffer.flush()).toEqual({ written: 0, spilled: 1, replayed: 0 });
+      expect(buffer.getStats().failedWrites).toBe(1);
+      expect(fs.existsSync(spillPath)).toBe(true);
+    });
+
+    test('should replay the spill file once MongoDB is back', async () => {
+      mongoService.connected = false;
+      buffer.add(entry('a'));
+      await buffer.flush();
+
+      mongoService.connected = true;
+      buffer.add(entry('b'));
+
+      expect(await buffer.flush()).toEqual({ written: 1, spilled: 0, replayed: 1 });
+      const replayed = collection.insertMany.mock.calls[0][0];
+      expect(replayed).toEqual([entry('a')]);
+      expect(replayed[0].timestamp).toBeInstanceOf(Date);
+      expect(buffer.getStats().hasSpilledEntries).toBe(false);
+    });
+
+    test('should keep the spill file when the replay fails', async () => {
+      fs.writeFileSync(spillPath, `${JSON.stringify(entry('a'))}\n`);
+      collection.insertMany.mockRejectedValueOnce(new Error('not primary'));
+
+      expect(await buffer.flush()).toEqual({ written: 0, spilled: 0, replayed: 0 });
+      expect(buffer.getStats().hasSpilledEntries).toBe(true);
+
+      expect((await buffer.flush()).replayed).toBe(1);
+    });
+
+    test('should ignore entries that were already written', async () => {
+      fs.writeFileSync(spillPath, `${JSON.stringify(entry('a'))}\n${JSON.stringify(entry('b'))}\n`);
+      const duplicateError = Object.assign(new Error('E11000 duplicate key error'), {
+        writeErrors: [{ code: 11000 }]
+      });
+      collection.insertMany.mockRejectedValueOnce(duplicateError);
+
+      expect((await buffer.flush()).replayed).toBe(2);
+      expect(buffer.getStats().hasSpilledEntries).toBe(false);
+    });
+
+    test('should skip malformed lines', () => {
+      const entries = buffer.parseSpill(`${JSON.stringify(entry('a'))}\n{"_id": "b", "que\n\n`);
+
+      expect(entries.map(parsed => parsed._id)).toEqual(['a']);
+    });
+  });
+
+  describe('drain', () => {
+    test('should stop timed flushes and write the remaining entries', async () => {
+      buffer.start();
+      buffer.add(entry('a'));
+
+      expect(await buffer.drain()).toMatchObject({ written: 1 });
+      expect(buffer.flushTimer).toBeNull();
+    });
+  });
+});
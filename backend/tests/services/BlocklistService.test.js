@@ -0,0 +1,89 @@
+/**
+ * BlocklistService Tests
+ * Covers rule matching, editing, reloading and suppression counts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlocklistService = require('../../src/services/BlocklistService');
+
+describe('BlocklistService', () => {
+  let blocklist;
+
+  beforeEach(() => {
+    blocklist = new BlocklistService();
+    blocklist.load({
+      words: ['Badword', 'knock off'],
+      prefixes: ['curse'],
+      patterns: ['replica\\s+\\w+ watch']
+    });
+  });
+
+  describe('getMatch', () => {
+    test('should match whole words and phrases', () => {
+      expect(blocklist.getMatch('The BADWORD Shirt')).toEqual({ type: 'words', rule: 'badword' });
+      expect(blocklist.getMatch('knock off sneakers')).toEqual({ type: 'words', rule: 'knock off' });
+      expect(blocklist.isBlocked('badwords')).toBe(false);
+      expect(blocklist.isBlocked('knock offs')).toBe(false);
+    });
+
+    test('should match word prefixes', () => {
+      expect(blocklist.getMatch('cursed mug')).toEqual({ type: 'prefixes', rule: 'curse' });
+      expect(blocklist.isBlocked('the cursed child')).toBe(true);
+      expect(blocklist.isBlocked('precursed')).toBe(false);
+    });
+
+    test('should match patterns against the normalized entry', () => {
+      expect(blocklist.getMatch('Replica  Gold Watch')).toEqual({ type: 'patterns', rule: 'replica\\s+\\w+ watch' });
+      expect(blocklist.isBlocked('gold watch')).toBe(false);
+    });
+  });
+
+  describe('editing', () => {
+    test('should add and remove rules', () => {
+      const version = blocklist.version;
+
+      expect(blocklist.addRules({ words: ['scam', 'badword'] })).toBe(1);
+      expect(blocklist.isBlocked('scam alert')).toBe(true);
+      expect(blocklist.removeRules({ words: ['scam'], prefixes: ['unknown'] })).toBe(1);
+      expect(blocklist.isBlocked('scam alert')).toBe(false);
+      expect(blocklist.version).toBe(version + 2);
+    });
+
+    test('should reject invalid rules and keep the current ones', () => {
+      expect(() => blocklist.load({ patterns: ['(unclosed'] })).toThrow('Invalid blocklist pattern "(unclosed"');
+      expect(() => blocklist.addRules({ slurs: ['x'] })).toThrow('Unknown blocklist rule type: slurs');
+      expect(() => blocklist.addRules({ words: ['  '] })).toThrow('Blocklist words must not be empty');
+      expect(blocklist.getRules().words).toEqual(['badword', 'knock off']);
+    });
+  });
+
+  describe('loadFromFile', () => {
+    test('should load a YAML file and reload it after changes', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blocklist-'));
+      const filePath = path.join(directory, 'blocklist.yaml');
+      fs.writeFileSync(filePath, 'words:\n  - scam\n');
+
+      try {
+        expect(blocklist.loadFromFile(filePath)).toEqual({ words: 1, prefixes: 0, patterns: 0 });
+
+        fs.writeFileSync(filePath, 'words:\n  - scam\nprefixes:\n  - fraud\n');
+        expect(blocklist.reload()).toEqual({ words: 1, prefixes: 1, patterns: 0 });
+        expect(blocklist.getStats().filePath).toBe(filePath);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('filterSuggestions', () => {
+    test('should drop blocked suggestions and count them', () => {
+      const allowed = blocklist.filterSuggestions([{ word: 'badword tee' }, { word: 'plain tee' }]);
+      blocklist.recordSuppressed('insert', 2);
+
+      expect(allowed).toEqual([{ word: 'plain tee' }]);
+      expect(blocklist.getStats().suppressed).toEqual({ insert: 2, search: 1, total: 3 });
+    });
+  });
+});
@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 const DatasetLoader = require('../../src/services/DatasetLoader');
+const RadixTrie = require('../../src/data-structures/RadixTrie');
+const BlocklistService = require('../../src/services/BlocklistService');
+const { normalizeDescriptor } = require('../../src/config/datasetDescriptors');
 
 // Mock CSV data for testing
 const mockCitiesCSV = `"city","city_ascii","lat","lng","country","iso2","iso3","admin_name","capital","population","id"
@@ -19,6 +22,16 @@ f449ec65dcbc041b6ae5e6a32717d01b,2016-03-25 22:59:23 +0000,http://www.flipkart.c
 ,,,,,,,,,,,,,,
 invalid_product,,,X,,,,,,,,,,`;
 
+const mockMoviesTSV = [
+  'tconst\ttitleType\tprimaryTitle\toriginalTitle\tstartYear\tgenres\taverageRating\tnumVotes',
+  'tt0111161\tmovie\tThe Shawshank Redemption\tThe Shawshank Redemption\t1994\tDrama\t9.3\t2900000',
+  'tt0068646\tmovie\tThe Godfather\tThe Godfather\t1972\tCrime,Drama\t9.2\t2000000',
+  'tt0042192\tmovie\tAmélie\tLe fabuleux destin d\'Amélie Poulain\t2001\tComedy,Romance\t8.3\t780000',
+  'tt0000001\tshort\tThe Godfather\tThe Godfather\t1950\t\\N\t5.0\t12',
+  'tt0000002\tmovie\t\\N\t\\N\t\\N\t\\N\t\\N\t\\N',
+  'tt0000003\tmovie\tUnrated Film\tUnrated Film\t\\N\t\\N\t\\N\t\\N'
+].join('\n');
+
 describe('DatasetLoader', () => {
   let datasetLoader;
   let tempDir;
@@ -55,6 +68,16 @@ describe('DatasetLoader', () => {
       expect(datasetLoader.getStats().totalRecords).toBe(0);
       expect(datasetLoader.getStats().loadedDatasets).toEqual([]);
     });
+
+    test('should load into a provided Trie implementation', async () => {
+      const radixTrie = new RadixTrie();
+      const loader = new DatasetLoader({ trie: radixTrie });
+
+      await loader.loadCitiesDataset(citiesFile);
+
+      expect(loader.getTrie()).toBe(radixTrie);
+      expect(radixTrie.contains('tokyo')).toBe(true);
+    });
   });
 
   describe('loadCitiesDataset', () => {
@@ -81,6 +104,21 @@ describe('DatasetLoader', () => {
       expect(tokyoFreq).toBeGreaterThanOrEqual(mumbaiFreq);
     });
 
+    test('should store display form, source, ID and metadata with each city', async () => {
+      await datasetLoader.loadCitiesDataset(citiesFile);
+
+      expect(datasetLoader.getTrie().getEntry('sao paulo')).toEqual({
+        word: 'sao paulo',
+        frequency: datasetLoader.calculateCityFrequency(23086000),
+        display: 'São Paulo',
+        payload: {
+          source: 'cities',
+          id: '1076532519',
+          metadata: { country: 'Brazil', population: 23086000, isCapital: true }
+        }
+      });
+    });
+
     test('should handle file not found error', async () => {
       await expect(datasetLoader.loadCitiesDataset('nonexistent.csv'))
         .rejects.toThrow('Cities dataset file not found');
@@ -112,6 +150,36 @@ describe('DatasetLoader', () => {
       expect(trie.contains('aw bellies')).toBe(true);
     });
 
+    test('should skip products matching the blocklist', async () => {
+      const blocklist = new BlocklistService();
+      blocklist.load({ words: ['bellies'], prefixes: ['fabhome'] });
+      const loader = new DatasetLoader({ blocklist });
+
+      const result = await loader.loadProductsDataset(productsFile);
+
+      expect(result.validRecords).toBe(1);
+      expect(result.blockedRecords).toBe(2);
+      expect(loader.getTrie().contains('aw bellies')).toBe(false);
+      expect(blocklist.getStats().suppressed.insert).toBe(2);
+    });
+
+    test('should store display form, source, ID and metadata with each product', async () => {
+      await datasetLoader.loadProductsDataset(productsFile);
+
+      const entry = datasetLoader.getTrie().getEntry('fabhomedecor fabric double sofa bed');
+      expect(entry.display).toBe('FabHomeDecor Fabric Double Sofa Bed');
+      expect(entry.payload).toEqual({
+        source: 'products',
+        id: '7f7036a6d550aaa89d34c77bd39a5e48',
+        metadata: { brand: 'FabHomeDecor', price: 22646, category: 'Furniture' }
+      });
+    });
+
+    test('should extract the top-level product category', () => {
+      expect(datasetLoader.getTopLevelCategory('["Clothing >> Women\'s Clothing >> Shorts"]')).toBe('Clothing');
+      expect(datasetLoader.getTopLevelCategory('')).toBe('');
+    });
+
     test('should handle file not found error', async () => {
       await expect(datasetLoader.loadProductsDataset('nonexistent.csv'))
         .rejects.toThrow('Products dataset file not found');
@@ -131,6 +199,229 @@ describe('DatasetLoader', () => {
     });
   });
 
+  describe('loadMoviesDataset', () => {
+    let moviesFile;
+
+    beforeEach(() => {
+      moviesFile = path.join(tempDir, 'test_movies.tsv');
+      fs.writeFileSync(moviesFile, mockMoviesTSV);
+    });
+
+    test('should stream valid movies from TSV file', async () => {
+      const result = await datasetLoader.loadMoviesDataset(moviesFile);
+
+      expect(result.dataset).toBe('movies');
+      expect(result.totalRecords).toBe(6);
+      expect(result.validRecords).toBe(4);
+      expect(result.duplicates).toBe(1);
+      expect(result.invalidRecords).toBe(1);
+
+      const trie = datasetLoader.getTrie();
+      expect(trie.contains('the shawshank redemption')).toBe(true);
+      expect(trie.contains('amelie')).toBe(true);
+      expect(datasetLoader.getStats().loadedDatasets).toContain('movies');
+    });
+
+    test('should keep the most popular release of a duplicate title', async () => {
+      await datasetLoader.loadMoviesDataset(moviesFile);
+
+      const entry = datasetLoader.getTrie().getEntry('the godfather');
+      expect(entry.frequency).toBe(datasetLoader.calculateMovieFrequency({ rating: 9.2, votes: 2000000 }));
+      expect(entry.payload).toEqual({
+        source: 'movies',
+        id: 'tt0068646',
+        metadata: { year: 1972, genres: ['Crime', 'Drama'], rating: 9.2, votes: 2000000 }
+      });
+    });
+
+    test('should store the display title and treat \\N as missing', async () => {
+      await datasetLoader.loadMoviesDataset(moviesFile);
+
+      expect(datasetLoader.getTrie().getEntry('amelie').display).toBe('Amélie');
+      expect(datasetLoader.getTrie().getEntry('unrated film')).toMatchObject({
+        frequency: 1,
+        payload: { metadata: { year: null, genres: [], rating: 0, votes: 0 } }
+      });
+    });
+
+    test('should report progress by bytes read', async () => {
+      const progressReporter = { start: jest.fn(), report: jest.fn(), finish: jest.fn() };
+      const loader = new DatasetLoader({ progressReporter });
+
+      await loader.loadMoviesDataset(moviesFile);
+
+      const size = fs.statSync(moviesFile).size;
+      expect(progressReporter.start).toHaveBeenCalledTimes(1);
+      expect(progressReporter.report).toHaveBeenLastCalledWith(size, size, expect.any(String));
+      expect(progressReporter.finish).toHaveBeenCalledTimes(1);
+    });
+
+    test('should reject files without a title column', async () => {
+      fs.writeFileSync(moviesFile, 'version https://git-lfs.github.com/spec/v1\nsize 903642662\n');
+
+      await expect(datasetLoader.loadMoviesDataset(moviesFile))
+        .rejects.toThrow('Failed to load movies dataset: No title column in header');
+    });
+
+    test('should throw error for non-existent file', async () => {
+      await expect(datasetLoader.loadMoviesDataset('non-existent.tsv'))
+        .rejects.toThrow('Movies dataset file not found');
+    });
+  });
+
+  describe('loadGenericDataset', () => {
+    const airports = [
+      { name: 'Hartsfield-Jackson Atlanta', iata: 'ATL', type: 'large_airport', country: 'US', passengers: 104000000 },
+      { name: 'Zürich', iata: 'ZRH', type: 'large_airport', country: 'CH', passengers: 31000000 },
+      { name: 'Zürich', iata: 'ZRH', type: 'large_airport', country: 'CH', passengers: 500000 },
+      { name: 'Oshkosh Heliport', iata: '', type: 'heliport', country: 'US', passengers: 0 },
+      { name: '', iata: 'XXX', type: 'small_airport', country: 'US', passengers: 10 }
+    ];
+
+    const airportDescriptor = (file, overrides = {}) => normalizeDescriptor({
+      name: 'airports',
+      file,
+      term: 'name',
+      frequency: { expression: 'log10(passengers + 1)', max: 10 },
+      filters: [{ column: 'type', op: 'ne', value: 'heliport' }],
+      payload: { id: 'iata', metadata: { country: 'country', passengers: 'passengers' } },
+      ...overrides
+    });
+
+    test('should load CSV files described by a descriptor', async () => {
+      const file = path.join(tempDir, 'airports.csv');
+      fs.writeFileSync(file, ['name,iata,type,country,passengers']
+        .concat(airports.map(row => [row.name, row.iata, row.type, row.country, row.passengers].join(',')))
+        .join('\n'));
+
+      const result = await datasetLoader.loadGenericDataset(airportDescriptor(file));
+
+      expect(result).toMatchObject({ dataset: 'airports', totalRecords: 5, validRecords: 2, duplicates: 1, invalidRecords: 2 });
+      expect(datasetLoader.getTrie().getEntry('zurich')).toMatchObject({
+        display: 'Zürich',
+        frequency: 7 + 6,
+        payload: { source: 'airports', id: 'ZRH', metadata: { country: 'CH', passengers: '31000000' } }
+      });
+      expect(datasetLoader.getStats().loadedDatasets).toContain('airports');
+    });
+
+    test('should load TSV and JSONL files', async () => {
+      const tsvFile = path.join(tempDir, 'airports.tsv');
+      fs.writeFileSync(tsvFile, ['name\tiata\ttype\tcountry\tpassengers']
+        .concat(airports.map(row => [row.name, row.iata || '\\N', row.type, row.country, row.passengers].join('\t')))
+        .join('\n'));
+      const jsonlFile = path.join(tempDir, 'airports.jsonl');
+      fs.writeFileSync(jsonlFile, airports.map(row => JSON.stringify(row)).concat('not json').join('\n'));
+
+      const tsvResult = await datasetLoader.loadGenericDataset(airportDescriptor(tsvFile, { duplicates: 'max' }));
+      expect(tsvResult).toMatchObject({ validRecords: 2, duplicates: 1 });
+      expect(datasetLoader.getTrie().getFrequency('zurich')).toBe(7);
+
+      const jsonlLoader = new DatasetLoader();
+      const jsonlResult = await jsonlLoader.loadGenericDataset(airportDescriptor(jsonlFile, { duplicates: 'first' }));
+      expect(jsonlResult).toMatchObject({ totalRecords: 6, validRecords: 2, invalidRecords: 3 });
+      expect(jsonlLoader.getTrie().getEntry('hartsfield-jackson atlanta').payload.metadata.passengers).toBe(104000000);
+    });
+
+    test('should be reachable through loadDataset', async () => {
+      const file = path.join(tempDir, 'airports.jsonl');
+      fs.writeFileSync(file, airports.map(row => JSON.stringify(row)).join('\n'));
+      const descriptor = airportDescriptor(file);
+
+      await datasetLoader.loadDataset({ type: 'generic', filePath: file, descriptor });
+      expect(datasetLoader.getTrie().contains('zurich')).toBe(true);
+    });
+
+    test('should throw error for non-existent file', async () => {
+      await expect(datasetLoader.loadGenericDataset(airportDescriptor('non-existent.csv')))
+        .rejects.toThrow('Failed to load airports dataset: Dataset file not found');
+    });
+  });
+
+  describe('Streaming ingestion', () => {
+    test('should emit start, progress and complete events per batch', async () => {
+      const loader = new DatasetLoader({ batchSize: 2 });
+      const events = [];
+      ['start', 'progress', 'complete'].forEach(name => {
+        loader.on(name, progress => events.push([name, progress.dataset, progress.processedRecords]));
+      });
+
+      await loader.loadCitiesDataset(citiesFile);
+
+      expect(events[0]).toEqual(['start', 'cities', 0]);
+      expect(events.filter(([name]) => name === 'progress').map(([, , count]) => count)).toEqual([2, 4, 6, 7]);
+      expect(events[events.length - 1]).toEqual(['complete', 'cities', 7]);
+    });
+
+    test('should yield to the event loop between batches', async () => {
+      const loader = new DatasetLoader({ batchSize: 1 });
+      let ticks = 0;
+      const tick = () => {
+        ticks++;
+        if (loader.getIngestionProgress().cities?.status === 'loading') {
+          setImmediate(tick);
+        }
+      };
+      loader.once('start', () => setImmediate(tick));
+
+      await loader.loadCitiesDataset(citiesFile);
+
+      expect(ticks).toBeGreaterThan(1);
+    });
+
+    test('should report completed progress per dataset', async () => {
+      await datasetLoader.loadCitiesDataset(citiesFile);
+
+      const progress = datasetLoader.getIngestionProgress().cities;
+      expect(progress).toMatchObject({
+        status: 'completed',
+        percentage: 100,
+        processedRecords: 7,
+        totalBytes: fs.statSync(citiesFile).size
+      });
+      expect(progress.bytesRead).toBe(progress.totalBytes);
+    });
+
+    test('should stop a cancelled ingestion after the current batch', async () => {
+      const loader = new DatasetLoader({ batchSize: 2 });
+      const cancelled = jest.fn();
+      loader.on('cancelled', cancelled);
+      loader.once('progress', () => expect(loader.cancel('cities')).toBe(true));
+
+      await expect(loader.loadCitiesDataset(citiesFile)).rejects.toThrow('Ingestion of cities cancelled');
+
+      expect(loader.getIngestionProgress().cities).toMatchObject({ status: 'cancelled', processedRecords: 2 });
+      expect(loader.getTrie().getWordCount()).toBe(2);
+      expect(cancelled).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not cancel when nothing is loading', () => {
+      expect(datasetLoader.cancel()).toBe(false);
+    });
+
+    test('should mark failed ingestions', async () => {
+      const moviesFile = path.join(tempDir, 'bad_movies.tsv');
+      fs.writeFileSync(moviesFile, 'version https://git-lfs.github.com/spec/v1\n');
+      const failed = jest.fn();
+      datasetLoader.on('failed', failed);
+
+      await expect(datasetLoader.loadMoviesDataset(moviesFile)).rejects.toThrow('No title column');
+
+      expect(datasetLoader.getIngestionProgress().movies.status).toBe('failed');
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ dataset: 'movies', status: 'failed' }));
+    });
+  });
+
+  describe('calculateMovieFrequency', () => {
+    test('should scale with votes and rating', () => {
+      expect(datasetLoader.calculateMovieFrequency({ rating: 0, votes: 0 })).toBe(1);
+      expect(datasetLoader.calculateMovieFrequency({ rating: 0, votes: 10 })).toBe(3);
+      expect(datasetLoader.calculateMovieFrequency({ rating: 0, votes: 1000 })).toBe(7);
+      expect(datasetLoader.calculateMovieFrequency({ rating: 8, votes: 1000 })).toBe(11);
+      expect(datasetLoader.calculateMovieFrequency({ rating: 10, votes: 1e9 })).toBe(20);
+    });
+  });
+
   describe('loadMultipleDatasets', () => {
     test('should load multiple datasets successfully', async () => {
       const datasets = [
@@ -167,6 +458,28 @@ describe('DatasetLoader', () => {
     });
   });
 
+  describe('loadDataset', () => {
+    test('should load each dataset into the Trie set with setTrie', async () => {
+      const citiesTrie = new RadixTrie();
+      const productsTrie = new RadixTrie();
+
+      datasetLoader.setTrie(citiesTrie);
+      await datasetLoader.loadDataset({ type: 'cities', filePath: citiesFile });
+      datasetLoader.setTrie(productsTrie);
+      await datasetLoader.loadDataset({ type: 'products', filePath: productsFile });
+
+      expect(citiesTrie.contains('tokyo')).toBe(true);
+      expect(citiesTrie.contains('aw bellies')).toBe(false);
+      expect(productsTrie.contains('aw bellies')).toBe(true);
+      expect(datasetLoader.getTrie()).toBe(productsTrie);
+    });
+
+    test('should reject unknown dataset types', async () => {
+      await expect(datasetLoader.loadDataset({ type: 'unknown', filePath: 'test.csv' }))
+        .rejects.toThrow('Unknown dataset type: unknown');
+    });
+  });
+
   describe('validateCityRecord', () => {
     test('should validate correct city records', () => {
       const validRecord = {
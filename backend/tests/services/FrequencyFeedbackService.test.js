@@ -0,0 +1,171 @@
+const FrequencyFeedbackService = require('../../src/services/FrequencyFeedbackService');
+const TrieRegistry = require('../../src/services/TrieRegistry');
+
+describe('FrequencyFeedbackService', () => {
+  let registry;
+  let analyticsService;
+  let cacheService;
+  let feedback;
+
+  const counts = (...entries) => entries.map(([dataset, suggestion, count]) => ({ dataset, suggestion, count }));
+
+  beforeEach(() => {
+    registry = new TrieRegistry({ defaultDataset: 'cities' });
+    const cities = registry.create('cities');
+    cities.insert('New York', 20, { id: 'ny' });
+    cities.insert('Newark', 8);
+    cities.insert('Paris', 15);
+    registry.create('products').insert('parka', 3);
+
+    analyticsService = { getSelectionCounts: jest.fn().mockResolvedValue([]) };
+    cacheService = { clear: jest.fn() };
+    feedback = new FrequencyFeedbackService({
+      analyticsService,
+      trieRegistry: registry,
+      cacheService,
+      weight: 0.5,
+      maxBoost: 4,
+      minSelections: 2
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    feedback.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe('run', () => {
+    test('should read the selections of the window', async () => {
+      const now = new Date('2024-01-15T12:00:00Z');
+      feedback.windowHours = 24;
+
+      const report = await feedback.run(now);
+
+      expect(analyticsService.getSelectionCounts).toHaveBeenCalledWith({
+        startDate: new Date('2024-01-14T12:00:00Z'),
+        endDate: now,
+        limit: 10000
+      });
+      expect(report).toMatchObject({ startDate: '2024-01-14T12:00:00.000Z', endDate: '2024-01-15T12:00:00.000Z', changes: [] });
+      expect(cacheService.clear).not.toHaveBeenCalled();
+    });
+
+    test('should boost selected words by weight and report the change', async () => {
+      analyticsService.getSelectionCounts.mockResolvedValue(counts(['cities', 'new york', 6], ['products', 'parka', 2]));
+
+      const report = await feedback.run();
+      const cities = registry.get('cities');
+
+      expect(feedback.getBoost(cities, 'New York')).toBe(3);
+      expect(feedback.getBoost(registry.get('products'), 'parka')).toBe(1);
+      expect(feedback.hasBoosts(cities)).toBe(true);
+      // The dataset frequency is left as loaded, so persisted Tries never include a boost
+      expect(cities.getEntry('new york')).toEqual({ word: 'new york', frequency: 20, display: 'New York', payload: { id: 'ny' } });
+      expect(report.changes[0]).toEqual({
+        dataset: 'cities',
+        word: 'new york',
+        selections: 6,
+        previousFrequency: 20,
+        frequency: 23,
+        previousBoost: 0,
+        boost: 3
+      });
+      expect(report.selections).toBe(8);
+      expect(cacheService.clear).toHaveBeenCalledTimes(1);
+    });
+
+    test('should cap boosts and ignore words below the minimum selections', async () => {
+      analyticsService.getSelectionCounts.mockResolvedValue(counts(['cities', 'new york', 50], ['cities', 'paris', 1]));
+
+      const report = await feedback.run();
+
+      expect(feedback.getBoost(registry.get('cities'), 'new york')).toBe(4);
+      expect(feedback.getBoost(registry.get('cities'), 'paris')).toBe(0);
+      expect(report.changes.map(change => change.frequency)).toEqual([24]);
+      expect(report.skipped.belowMinimum).toBe(1);
+    });
+
+    test('should replace earlier boosts instead of adding to them', async () => {
+      analyticsService.getSelectionCounts.mockResolvedValue(counts(['cities', 'new york', 6]));
+      await feedback.run();
+      const second = await feedback.run();
+      expect(second.changes).toEqual([]);
+      expect(feedback.getBoost(registry.get('cities'), 'new york')).toBe(3);
+
+      // The selections left the window
+      analyticsService.getSelectionCounts.mockResolvedValue([]);
+      const report = await feedback.run();
+
+      expect(report.changes[0]).toMatchObject({ word: 'new york', previousFrequency: 23, frequency: 20, previousBoost: 3, boost: 0 });
+      expect(feedback.getBoost(registry.get('cities'), 'New York')).toBe(0);
+      expect(feedback.hasBoosts(registry.get('cities'))).toBe(false);
+      expect(registry.get('cities').getFrequency('new york')).toBe(20);
+    });
+
+    test('should count selections without a dataset towards the default dataset', async () => {
+      analyticsService.getSelectionCounts.mockResolvedValue(counts([null, 'Newark', 2], ['cities', 'newark', 2], ['movies', 'heat', 9]));
+
+      const report = await feedback.run();
+
+      expect(feedback.getBoost(registry.get('cities'), 'newark')).toBe(2);
+      expect(report.skipped.unknownDataset).toBe(1);
+    });
+
+    test('should skip words that are no longer in the dataset', async () => {
+      analyticsService.getSelectionCounts.mockResolvedValue(counts(['cities', 'atlantis', 5]));
+
+      const report = await feedback.run();
+
+      expect(report.changes).toEqual([]);
+      expect(report.skipped.missingWord).toBe(1);
+    });
+
+    test('should keep frequencies unchanged when the counts cannot be read', async () => {
+      analyticsService.getSelectionCounts.mockRejectedValue(new Error('not connected'));
+
+      await expect(feedback.run()).rejects.toThrow('not connected');
+      expect(feedback.hasBoosts(registry.get('cities'))).toBe(false);
+      expect(feedback.getStats()).toMatchObject({ runCount: 0, lastReport: null, running: false });
+    });
+  });
+
+  describe('getBoostedWords', () => {
+    test('should return boosted entries with the prefix by effective frequency', () => {
+      const cities = registry.get('cities');
+      cities.insert('Newport', 1);
+      feedback.applySelectionCounts(counts(['cities', 'newark', 4], ['cities', 'newport', 20], ['cities', 'paris', 8]));
+
+      // newport 1 + 4 ranks below newark 8 + 2
+      expect(feedback.getBoostedWords(cities, 'New')).toEqual([
+        { word: 'newark', frequency: 8, display: 'Newark' },
+        { word: 'newport', frequency: 1, display: 'Newport' }
+      ]);
+      expect(feedback.getBoostedWords(cities, 'new', 1).map(entry => entry.word)).toEqual(['newark']);
+      expect(feedback.getBoostedWords(registry.get('products'), 'par')).toEqual([]);
+    });
+  });
+
+  describe('scheduling', () => {
+    test('should run on the interval', () => {
+      jest.useFakeTimers();
+      try {
+        feedback = new FrequencyFeedbackService({ analyticsService, trieRegistry: registry, interval: 1000 });
+        feedback.start();
+        expect(feedback.getStats().scheduled).toBe(true);
+
+        jest.advanceTimersByTime(1000);
+        expect(analyticsService.getSelectionCounts).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    test('should not schedule runs when the interval is 0', () => {
+      feedback = new FrequencyFeedbackService({ analyticsService, trieRegistry: registry, interval: 0 });
+      feedback.start();
+
+      expect(feedback.getStats().scheduled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * RankingService Tests
+ * Covers signal scoring, per-dataset weights, selection popularity and group ordering
+ */
+
+const RankingService = require('../../src/services/RankingService');
+const SessionHistoryService = require('../../src/services/SessionHistoryService');
+const { Trie } = require('../../src/data-structures');
+
+describe('RankingService', () => {
+  let ranking;
+
+  const results = (exactMatches, extra = {}) => ({
+    exactMatches,
+    tokenMatches: [],
+    typoCorrections: [],
+    phoneticMatches: [],
+    ...extra
+  });
+
+  beforeEach(() => {
+    ranking = new RankingService();
+  });
+
+  describe('weights', () => {
+    test('should start from the default weights', () => {
+      expect(ranking.getWeights()).toEqual(RankingService.DEFAULT_WEIGHTS);
+      expect(ranking.getWeights('cities')).toEqual(RankingService.DEFAULT_WEIGHTS);
+    });
+
+    test('should override weights per dataset', () => {
+      ranking.setWeights({ recency: 2, 'payload.population': 1 }, 'cities');
+
+      expect(ranking.getWeights('cities')).toMatchObject({ frequency: 1, recency: 2, 'payload.population': 1 });
+      expect(ranking.getWeights('products').recency).toBe(0);
+
+      expect(ranking.resetWeights('cities')).toBe(true);
+      expect(ranking.resetWeights('cities')).toBe(false);
+      expect(ranking.getWeights('cities')).toEqual(RankingService.DEFAULT_WEIGHTS);
+    });
+
+    test('should change the defaults when no dataset is given', () => {
+      ranking.setWeights({ prefixLength: 0.5 });
+      expect(ranking.getWeights('products').prefixLength).toBe(0.5);
+    });
+
+    test('should reject unknown signals and invalid weights', () => {
+      expect(() => ranking.setWeights({ popularity: 1 })).toThrow('Unknown ranking signal: popularity');
+      expect(() => ranking.setWeights({ recency: -1 })).toThrow('Invalid weight for recency: -1');
+      expect(() => new RankingService({ weights: { 'payload.': 1 } })).toThrow('Unknown ranking signal: payload.');
+    });
+
+    test('should fetch extra candidates only when other signals can reorder them', () => {
+      expect(ranking.getCandidateLimit(5)).toBe(5);
+
+      ranking.setWeights({ recency: 1 }, 'cities');
+      expect(ranking.getCandidateLimit(5, 'cities')).toBe(15);
+      expect(ranking.getCandidateLimit(5, 'products')).toBe(5);
+
+      const trie = new Trie();
+      trie.insert('paris', 1);
+      expect(ranking.getCandidateLimit(5, 'products', trie)).toBe(5);
+      trie.recordSelection('paris');
+      expect(ranking.getCandidateLimit(5, 'products', trie)).toBe(15);
+
+      const boostedTrie = new Trie();
+      const frequencyFeedback = { hasBoosts: jest.fn(() => true) };
+      expect(ranking.getCandidateLimit(5, 'products', boostedTrie, false, frequencyFeedback)).toBe(15);
+
+      expect(ranking.getCandidateLimit(5, 'products', null, true)).toBe(15);
+      ranking.setWeights({ session: 0 }, 'products');
+      expect(ranking.getCandidateLimit(5, 'products', null, true)).toBe(5);
+    });
+  });
+
+  describe('rank', () => {
+    test('should keep frequency order with the default weights', () => {
+      const ranked = ranking.rank(results([
+        { word: 'paris', frequency: 20 },
+        { word: 'parma', frequency: 8 },
+        { word: 'parka', frequency: 12 }
+      ]), { query: 'par', dataset: null, limit: 5 });
+
+      expect(ranked.combined.map(result => result.word)).toEqual(['paris', 'parka', 'parma']);
+      expect(ranked.combined[0].score).toBe(1);
+      expect(ranked.combined[0].scoreBreakdown.frequency).toEqual({ value: 1, weight: 1, contribution: 1 });
+    });
+
+    test('should rank by payload fields', () => {
+      ranking.setWeights({ frequency: 0, 'payload.population': 1 }, 'cities');
+
+      const ranked = ranking.rank(results([
+        { word: 'springfield il', frequency: 50, payload: { metadata: { population: 114000 } } },
+        { word: 'springfield mo', frequency: 40, payload: { metadata: { population: 169000 } } },
+        { word: 'springfield or', frequency: 30 }
+      ]), { query: 'spring', dataset: 'cities', limit: 5 });
+
+      expect(ranked.combined.map(result => result.word)).toEqual(['springfield mo', 'springfield il', 'springfield or']);
+      expect(ranked.combined[2].scoreBreakdown['payload.population'].value).toBe(0);
+    });
+
+    test('should favour recently selected words', () => {
+      const trie = new Trie();
+      ['paris', 'parka', 'parma'].forEach(word => trie.insert(word, 1));
+      trie.recordSelection('parma', 1, Date.now());
+      trie.recordSelection('parka', 1, Date.now() - ranking.recencyHalfLife);
+      ranking.setWeights({ frequency: 0, recency: 1 });
+
+      const ranked = ranking.rank(results([
+        { word: 'paris', frequency: 20 },
+        { word: 'parka', frequency: 12 },
+        { word: 'parma', frequency: 8 }
+      ]), { query: 'par', limit: 5, trie });
+
+      expect(ranked.combined.map(result => result.word)).toEqual(['parma', 'parka', 'paris']);
+      expect(ranked.combined[1].scoreBreakdown.recency.value).toBeCloseTo(0.5, 2);
+    });
+
+    test('should add decayed popularity to the dataset frequency', () => {
+      const trie = new Trie({ popularityHalfLife: 1000 });
+      trie.insert('paris', 20);
+      trie.insert('parma', 8);
+      trie.recordSelection('parma', 40, Date.now());
+      trie.recordSelection('paris', 40, Date.now() - 10000);
+
+      const ranked = ranking.rank(results([
+        { word: 'paris', frequency: 20 },
+        { word: 'parma', frequency: 8 }
+      ]), { query: 'par', limit: 5, trie });
+
+      // parma: 8 + ~40 beats paris: 20 + 40 decayed over ten half-lives
+      expect(ranked.combined.map(result => result.word)).toEqual(['parma', 'paris']);
+      expect(ranked.combined[0].score).toBe(1);
+    });
+
+    test('should add frequency feedback boosts to the dataset frequency', () => {
+      const trie = new Trie();
+      trie.insert('paris', 20);
+      trie.insert('parma', 8);
+      const frequencyFeedback = { getBoost: jest.fn((boostedTrie, word) => (word === 'parma' ? 15 : 0)) };
+
+      const ranked = ranking.rank(results([
+        { word: 'paris', frequency: 20 },
+        { word: 'parma', frequency: 8 }
+      ]), { query: 'par', limit: 5, trie, frequencyFeedback });
+
+      expect(ranked.combined.map(result => result.word)).toEqual(['parma', 'paris']);
+      expect(frequencyFeedback.getBoost).toHaveBeenCalledWith(trie, 'parma');
+      expect(trie.getFrequency('parma')).toBe(8);
+    });
+
+    test('should boost words the session searched or selected before', () => {
+      const sessionHistory = new SessionHistoryService();
+      sessionHistory.recordSelection('s1', 'parma');
+      const candidates = results([
+        { word: 'paris', frequency: 20 },
+        { word: 'parma', frequency: 12 }
+      ]);
+
+      const personalized = ranking.rank(candidates, { query: 'par', limit: 5, session: 's1', sessionHistory });
+      expect(personalized.combined.map(result => result.word)).toEqual(['parma', 'paris']);
+      expect(personalized.combined[0].scoreBreakdown.session).toEqual({ value: 0.75, weight: 0.5, contribution: 0.375 });
+
+      const anonymous = ranking.rank(candidates, { query: 'par', limit: 5 });
+      expect(anonymous.combined.map(result => result.word)).toEqual(['paris', 'parma']);
+      expect(anonymous.combined[0].scoreBreakdown.session).toBeUndefined();
+    });
+
+    test('should favour short completions with the prefix length signal', () => {
+      ranking.setWeights({ frequency: 0, prefixLength: 1 });
+
+      const ranked = ranking.rank(results([
+        { word: 'yorktown', frequency: 40 },
+        { word: 'york', frequency: 20 }
+      ]), { query: 'york', limit: 5 });
+
+      expect(ranked.combined.map(result => result.word)).toEqual(['york', 'yorktown']);
+      expect(ranked.combined[1].score).toBe(0.5);
+    });
+
+    test('should penalize distant typo corrections and keep groups in priority order', () => {
+      const ranked = ranking.rank(results([{ word: 'parka', frequency: 1 }], {
+        typoCorrections: [
+          { word: 'paris', frequency: 20, type: 'typo_correction', similarity: 0.5 },
+          { word: 'parma', frequency: 18, type: 'typo_correction', similarity: 0.9 }
+        ]
+      }), { query: 'parmo', limit: 3 });
+
+      expect(ranked.combined.map(result => result.word)).toEqual(['parka', 'parma', 'paris']);
+      expect(ranked.typoCorrections[1].scoreBreakdown.editDistance).toEqual({ value: 0.5, weight: 1, contribution: -0.5 });
+    });
+
+    test('should trim every group to the limit', () => {
+      const ranked = ranking.rank(results([
+        { word: 'a1', frequency: 3 },
+        { word: 'a2', frequency: 2 },
+        { word: 'a3', frequency: 1 }
+      ]), { query: 'a', limit: 2 });
+
+      expect(ranked.exactMatches).toHaveLength(2);
+      expect(ranked.combined).toHaveLength(2);
+    });
+  });
+
+  describe('compareResults', () => {
+    test('should order by group before score', () => {
+      const sorted = [
+        { word: 'typo', type: 'typo_correction', score: 5 },
+        { word: 'token', type: 'exact_match', matchType: 'token', score: 3 },
+        { word: 'prefix', type: 'exact_match', matchType: 'prefix', score: 1 },
+        { word: 'prefix2', type: 'exact_match', matchType: 'prefix', score: 2 },
+        { word: 'next', type: 'next_word', score: 4 }
+      ].sort(RankingService.compareResults);
+
+      expect(sorted.map(result => result.word)).toEqual(['prefix2', 'prefix', 'next', 'token', 'typo']);
+    });
+  });
+});
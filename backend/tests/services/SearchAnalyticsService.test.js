@@ -202,6 +202,92 @@ describe('SearchAnalyticsService Integration Tests', () => {
     });
   });
 
+  describe('Click-Through and Zero-Result Analytics', () => {
+    beforeEach(async () => {
+      const searches = [
+        { query: 'apple', resultCount: 5, userSession: 'user1' },
+        { query: 'apple', resultCount: 5, userSession: 'user2' },
+        { query: 'apple', resultCount: 5, userSession: 'user3' },
+        { query: 'apple', resultCount: 5, userSession: 'user4' },
+        { query: 'banana', resultCount: 3, userSession: 'user1' },
+        { query: 'kiwano', resultCount: 0, userSession: 'user1' },
+        { query: 'kiwano', resultCount: 0, userSession: 'user2' },
+        { query: 'kiwano', resultCount: 0, userSession: 'user2' },
+        { query: 'durian', resultCount: 0, userSession: 'user3' }
+      ];
+      for (const search of searches) {
+        await analyticsService.recordSearch({ ...search, responseTime: 20 });
+      }
+
+      const selections = [
+        { query: 'apple', selectedSuggestion: 'apple pie', selectionIndex: 0 },
+        { query: 'apple', selectedSuggestion: 'apple juice', selectionIndex: 2 },
+        { query: 'apple', selectedSuggestion: 'apple pie' },
+        { query: 'banana', selectedSuggestion: 'banana bread', selectionIndex: 0 },
+        // Selected without the query it came from, e.g. by an older client
+        { query: null, selectedSuggestion: 'durian' }
+      ];
+      for (const selection of selections) {
+        await analyticsService.recordSuggestionSelection({ ...selection, userSession: 'user1' });
+      }
+    });
+
+    test('should compute the click-through rate of each query', async () => {
+      const rates = await analyticsService.getClickThroughRates();
+
+      expect(rates[0]).toEqual({ query: 'apple', searches: 4, selections: 3, ctr: 75, avgSelectedPosition: 1 });
+      expect(rates.find(rate => rate.query === 'banana')).toMatchObject({ ctr: 100, avgSelectedPosition: 0 });
+      expect(rates.find(rate => rate.query === 'kiwano')).toMatchObject({ selections: 0, ctr: 0, avgSelectedPosition: null });
+      expect(rates.find(rate => rate.query === 'durian')).toMatchObject({ selections: 0, ctr: 0 });
+      expect(rates.some(rate => rate.query === null)).toBe(false);
+    });
+
+    test('should only list queries with enough searches', async () => {
+      const rates = await analyticsService.getClickThroughRates({ minSearches: 3 });
+
+      expect(rates.map(rate => rate.query)).toEqual(['apple', 'kiwano']);
+    });
+
+    test('should compute the distribution of selected positions', async () => {
+      const distribution = await analyticsService.getSelectionPositions();
+
+      expect(distribution).toEqual({
+        totalSelections: 3,
+        meanPosition: 0.67,
+        positions: [
+          { position: 0, count: 2, share: 66.67 },
+          { position: 2, count: 1, share: 33.33 }
+        ]
+      });
+
+      const forBanana = await analyticsService.getSelectionPositions({ query: 'Banana' });
+      expect(forBanana.totalSelections).toBe(1);
+    });
+
+    test('should count selections per dataset and suggestion', async () => {
+      await analyticsService.recordSuggestionSelection({ query: 'apple', selectedSuggestion: 'apple pie', dataset: 'recipes' });
+
+      const counts = await analyticsService.getSelectionCounts();
+
+      expect(counts[0]).toEqual({ dataset: null, suggestion: 'apple pie', count: 2 });
+      expect(counts).toContainEqual({ dataset: 'recipes', suggestion: 'apple pie', count: 1 });
+      expect(counts).toHaveLength(4);
+    });
+
+    test('should rank frequent zero-result queries', async () => {
+      const gaps = await analyticsService.getZeroResultQueries();
+
+      expect(gaps.map(gap => [gap.rank, gap.query, gap.searches, gap.uniqueSessions])).toEqual([
+        [1, 'kiwano', 3, 2],
+        [2, 'durian', 1, 1]
+      ]);
+      expect(gaps[0].lastSearched).toBeInstanceOf(Date);
+
+      const frequent = await analyticsService.getZeroResultQueries({ minSearches: 2 });
+      expect(frequent.map(gap => gap.query)).toEqual(['kiwano']);
+    });
+  });
+
   describe('Data Management', () => {
     beforeEach(async () => {
       // Insert old test data
@@ -0,0 +1,81 @@
+/**
+ * SessionHistoryService Tests
+ * Covers recording, affinity, size bounds and expiry of session histories
+ */
+
+const SessionHistoryService = require('../../src/services/SessionHistoryService');
+
+describe('SessionHistoryService', () => {
+  let history;
+
+  beforeEach(() => {
+    history = new SessionHistoryService({ maxSessions: 3, maxTermsPerSession: 2, ttl: 1000 });
+  });
+
+  describe('recording', () => {
+    test('should record searches and selections per session', () => {
+      const now = Date.now();
+      expect(history.recordSearch('s1', ' Paris ', now)).toBe(true);
+      expect(history.recordSelection('s1', 'paris', now + 1)).toBe(true);
+
+      expect(history.getHistory('s1', now + 1)).toEqual([
+        { term: 'paris', searches: 1, selections: 1, lastSeenAt: now + 1 }
+      ]);
+      expect(history.hasHistory('s1', now)).toBe(true);
+      expect(history.hasHistory('s2', now)).toBe(false);
+    });
+
+    test('should ignore missing sessions and empty terms', () => {
+      expect(history.recordSearch(null, 'paris')).toBe(false);
+      expect(history.recordSelection('s1', '  ')).toBe(false);
+      expect(history.getStats()).toMatchObject({ sessions: 0, searches: 0, selections: 0 });
+    });
+  });
+
+  describe('getAffinity', () => {
+    test('should weigh selections above searches and saturate below 1', () => {
+      const now = Date.now();
+      history.recordSearch('s1', 'paris', now);
+      history.recordSelection('s1', 'parma', now);
+
+      expect(history.getAffinity('s1', 'PARIS', now)).toBe(0.5);
+      expect(history.getAffinity('s1', 'parma', now)).toBe(0.75);
+      expect(history.getAffinity('s1', 'parka', now)).toBe(0);
+      expect(history.getAffinity('s2', 'paris', now)).toBe(0);
+    });
+  });
+
+  describe('bounds', () => {
+    test('should drop the oldest term beyond the per-session limit', () => {
+      const now = Date.now();
+      history.recordSearch('s1', 'paris', now);
+      history.recordSearch('s1', 'parma', now);
+      history.recordSearch('s1', 'parka', now);
+
+      expect(history.getHistory('s1', now).map(entry => entry.term)).toEqual(['parka', 'parma']);
+    });
+
+    test('should evict the least recently active session', () => {
+      const now = Date.now();
+      history.recordSearch('s1', 'paris', now);
+      history.recordSearch('s2', 'paris', now);
+      history.recordSearch('s3', 'paris', now);
+      history.recordSearch('s1', 'parma', now);
+      history.recordSearch('s4', 'paris', now);
+
+      expect(history.hasHistory('s2', now)).toBe(false);
+      expect(history.hasHistory('s1', now)).toBe(true);
+      expect(history.getStats()).toMatchObject({ sessions: 3, evictions: 1 });
+    });
+
+    test('should forget sessions after the TTL', () => {
+      const now = Date.now();
+      history.recordSearch('s1', 'paris', now);
+      history.recordSearch('s2', 'paris', now + 900);
+
+      expect(history.getAffinity('s1', 'paris', now + 1500)).toBe(0);
+      expect(history.cleanup(now + 2500)).toBe(1);
+      expect(history.getStats()).toMatchObject({ sessions: 0, expirations: 2 });
+    });
+  });
+});
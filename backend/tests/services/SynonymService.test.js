@@ -0,0 +1,88 @@
+/**
+ * SynonymService Tests
+ * Covers dictionary edits, loading and query expansion
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SynonymService = require('../../src/services/SynonymService');
+
+describe('SynonymService', () => {
+  let synonyms;
+
+  beforeEach(() => {
+    synonyms = new SynonymService();
+    synonyms.load({
+      nyc: ['new york', 'new york city'],
+      'big apple': 'new york',
+      big: 'large',
+      tv: 'television'
+    });
+  });
+
+  describe('expand', () => {
+    test('should replace an alias with each of its expansions', () => {
+      expect(synonyms.expand('NYC hotels')).toEqual([
+        { alias: 'nyc', expansion: 'new york', query: 'new york hotels' },
+        { alias: 'nyc', expansion: 'new york city', query: 'new york city hotels' }
+      ]);
+    });
+
+    test('should try longer aliases first', () => {
+      expect(synonyms.expand('big apple').map(expansion => expansion.query)).toEqual(['new york', 'large apple']);
+    });
+
+    test('should only expand whole words', () => {
+      expect(synonyms.expand('tvs')).toEqual([]);
+      expect(synonyms.expand('')).toEqual([]);
+    });
+
+    test('should respect maxExpansions', () => {
+      const limited = new SynonymService({ maxExpansions: 1 });
+      limited.load({ nyc: ['new york', 'new york city'] });
+
+      expect(limited.expand('nyc')).toHaveLength(1);
+    });
+  });
+
+  describe('editing', () => {
+    test('should normalize entries and bump the version', () => {
+      const version = synonyms.getVersion();
+
+      expect(synonyms.setAlias(' LA ', ['Los  Angeles', 'los angeles'])).toEqual({ alias: 'la', expansions: ['los angeles'] });
+      expect(synonyms.removeAlias('tv')).toBe(true);
+      expect(synonyms.removeAlias('tv')).toBe(false);
+      expect(synonyms.getVersion()).toBe(version + 2);
+    });
+
+    test('should reject empty and self-referencing entries', () => {
+      expect(() => synonyms.setAlias('', 'x')).toThrow('Alias must be a non-empty string');
+      expect(() => synonyms.setAlias('tv', [])).toThrow('Expansions of "tv" must be non-empty strings');
+      expect(() => synonyms.setAlias('tv', 'TV')).toThrow('Alias "tv" cannot expand to itself');
+    });
+
+    test('should keep the previous dictionary when a load fails', () => {
+      expect(() => synonyms.load({ sf: 'san francisco', tv: '' })).toThrow();
+      expect(synonyms.getAliases()).toMatchObject({ tv: ['television'] });
+      expect(synonyms.getAlias('sf')).toBeNull();
+    });
+  });
+
+  describe('loadFromFile', () => {
+    test('should load JSON and YAML dictionaries', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'synonyms-'));
+      const yamlPath = path.join(directory, 'synonyms.yaml');
+      fs.writeFileSync(yamlPath, 'sf: san francisco\ndc:\n  - washington\n');
+
+      try {
+        expect(synonyms.loadFromFile(yamlPath)).toBe(2);
+        expect(synonyms.getAliases()).toEqual({ sf: ['san francisco'], dc: ['washington'] });
+        expect(synonyms.loadFromFile()).toBeGreaterThan(0);
+        expect(synonyms.getAlias('nyc')).toEqual(['new york']);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
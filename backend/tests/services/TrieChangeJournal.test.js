@@ -0,0 +1,213 @@
+const TrieChangeJournal = require('../../src/services/TrieChangeJournal');
+const TriePersistenceService = require('../../src/services/TriePersistenceService');
+const Trie = require('../../src/data-structures/Trie');
+const RadixTrie = require('../../src/data-structures/RadixTrie');
+
+describe('TrieChangeJournal', () => {
+  let persistenceService;
+  let journal;
+
+  beforeEach(() => {
+    persistenceService = {
+      saveDelta: jest.fn().mockImplementation(async (version, changes) => ({
+        success: true,
+        version,
+        sequence: persistenceService.saveDelta.mock.calls.length,
+        changeCount: changes.length
+      })),
+      compactBackup: jest.fn().mockResolvedValue({ success: true, compacted: true, version: 'v2', deltasFolded: 3 })
+    };
+    journal = new TrieChangeJournal({ persistenceService, version: 'v1', compactAfter: 3 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    journal.stop();
+    jest.restoreAllMocks();
+  });
+
+  describe.each([
+    ['Trie', Trie],
+    ['RadixTrie', RadixTrie]
+  ])('recording %s changes', (name, TrieClass) => {
+    let trie;
+
+    beforeEach(() => {
+      trie = new TrieClass();
+      trie.insert('apple', 5);
+      journal.attach(trie);
+    });
+
+    test('should record inserts, frequency changes and deletes', () => {
+      trie.insert('Banana', 3, { id: 'b' });
+      trie.incrementFrequency('apple', 2);
+      trie.delete('apple');
+
+      expect(journal.takeChanges()).toEqual([
+        { op: 'insert', word: 'banana', frequency: 3, display: 'Banana', payload: { id: 'b' } },
+        { op: 'delete', word: 'apple' }
+      ]);
+    });
+
+    test('should fold frequency changes into a pending insert', () => {
+      trie.insert('Cherry', 1, { id: 'c' });
+      trie.incrementFrequency('cherry', 4);
+
+      expect(journal.takeChanges()).toEqual([
+        { op: 'insert', word: 'cherry', frequency: 5, display: 'Cherry', payload: { id: 'c' } }
+      ]);
+    });
+
+    test('should record selections as popularity changes', () => {
+      trie.recordSelection('apple', 2, 1000);
+      trie.incrementFrequency('apple', 1);
+      trie.recordSelection('apple', 1, 1000);
+
+      expect(journal.takeChanges()).toEqual([
+        { op: 'frequency', word: 'apple', frequency: 6 },
+        { op: 'popularity', word: 'apple', popularity: 3, popularityUpdatedAt: 1000 }
+      ]);
+    });
+
+    test('should fold popularity changes into a pending insert', () => {
+      trie.recordSelection('apple', 2, 1000);
+      trie.insert('apple', 7);
+      trie.recordSelection('apple', 1, 1000);
+
+      expect(journal.takeChanges()).toEqual([
+        { op: 'insert', word: 'apple', frequency: 7, display: null, payload: null, popularity: 3, popularityUpdatedAt: 1000 }
+      ]);
+    });
+
+    test('should drop a pending popularity change when the word is deleted', () => {
+      trie.recordSelection('apple', 2, 1000);
+      trie.delete('apple');
+
+      expect(journal.takeChanges()).toEqual([{ op: 'delete', word: 'apple' }]);
+    });
+
+    test('should keep word changes after a deletePrefix recorded before them', () => {
+      trie.insert('apricot', 2);
+      trie.deletePrefix('ap');
+      trie.insert('apricot', 4);
+
+      expect(journal.takeChanges().map(change => change.op)).toEqual(['deletePrefix', 'insert']);
+    });
+
+    test('should drop changes recorded before a clear', () => {
+      trie.insert('banana', 3);
+      trie.clear();
+      trie.insert('cherry', 1);
+
+      expect(journal.takeChanges().map(change => change.op)).toEqual(['clear', 'insert']);
+    });
+
+    test('should stop recording when detached', () => {
+      journal.detach();
+      trie.insert('banana', 3);
+
+      expect(journal.size()).toBe(0);
+      expect(trie.changeJournal).toBeNull();
+    });
+
+    test('should rebuild the Trie when its changes are replayed on a snapshot', () => {
+      const snapshot = new TriePersistenceService().deserializeTrie(
+        new TriePersistenceService().serializeTrie(trie, 'v1'),
+        name === 'RadixTrie' ? 'radix' : 'standard'
+      );
+
+      trie.insert('Banana', 3, { id: 'b' });
+      trie.incrementFrequency('apple', 2);
+      trie.insert('bandana', 1);
+      trie.recordSelection('bandana', 1, 1000);
+      trie.deletePrefix('band');
+      trie.recordSelection('banana', 2, 1000);
+      new TriePersistenceService().applyChanges(snapshot, journal.takeChanges());
+
+      expect(snapshot.search('')).toEqual(trie.search(''));
+      expect(snapshot.getEntry('banana')).toEqual(trie.getEntry('banana'));
+      expect(snapshot.getPopularity('banana', 1000)).toBe(2);
+      expect(snapshot.getPopularWords('ban', 5, 1000)).toEqual(trie.getPopularWords('ban', 5, 1000));
+    });
+  });
+
+  describe('flush', () => {
+    beforeEach(() => {
+      journal.attach(new Trie());
+    });
+
+    test('should save pending changes as one delta', async () => {
+      journal.trie.insert('apple', 5);
+      journal.trie.incrementFrequency('apple');
+
+      const result = await journal.flush();
+
+      expect(persistenceService.saveDelta).toHaveBeenCalledWith('v1', [
+        { op: 'insert', word: 'apple', frequency: 6, display: null, payload: null }
+      ]);
+      expect(result).toEqual({ saved: 1, sequence: 1, compacted: false });
+      expect(journal.getStats()).toMatchObject({ pending: 0, recorded: 2, flushed: 1, deltas: 1 });
+    });
+
+    test('should not save empty deltas', async () => {
+      const result = await journal.flush();
+
+      expect(result.saved).toBe(0);
+      expect(persistenceService.saveDelta).not.toHaveBeenCalled();
+    });
+
+    test('should keep changes pending when the delta cannot be saved', async () => {
+      persistenceService.saveDelta.mockRejectedValueOnce(new Error('not connected'));
+      journal.trie.insert('apple', 5);
+
+      await expect(journal.flush()).rejects.toThrow('not connected');
+      journal.trie.incrementFrequency('apple');
+
+      expect(journal.takeChanges()).toEqual([
+        { op: 'insert', word: 'apple', frequency: 6, display: null, payload: null }
+      ]);
+      expect(journal.getStats().failedFlushes).toBe(1);
+    });
+
+    test('should compact the snapshot and continue on the new version', async () => {
+      for (let i = 0; i < 3; i++) {
+        journal.trie.insert(`word${i}`, 1);
+        await journal.flush();
+      }
+
+      expect(persistenceService.compactBackup).toHaveBeenCalledWith('v1');
+      expect(journal.version).toBe('v2');
+
+      journal.trie.insert('later', 1);
+      await journal.flush();
+      expect(persistenceService.saveDelta).toHaveBeenLastCalledWith('v2', expect.any(Array));
+    });
+
+    test('should keep the snapshot version when compaction fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      persistenceService.compactBackup.mockRejectedValue(new Error('not connected'));
+      journal.compactAfter = 1;
+      journal.trie.insert('apple', 5);
+
+      const result = await journal.flush();
+
+      expect(result).toMatchObject({ saved: 1, compacted: false });
+      expect(journal.version).toBe('v1');
+    });
+
+    test('should save on the interval', async () => {
+      jest.useFakeTimers();
+      try {
+        journal = new TrieChangeJournal({ persistenceService, version: 'v1', flushInterval: 1000 });
+        journal.attach(new Trie());
+        journal.trie.insert('apple', 5);
+        journal.start();
+
+        jest.advanceTimersByTime(1000);
+        expect(persistenceService.saveDelta).toHaveBeenCalledTimes(1);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
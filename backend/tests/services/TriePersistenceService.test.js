@@ -1,6 +1,7 @@
 const TriePersistenceService = require('../../src/services/TriePersistenceService');
 const mongoDBService = require('../../src/services/MongoDBService');
 const Trie = require('../../src/data-structures/Trie');
+const RadixTrie = require('../../src/data-structures/RadixTrie');
 
 describe('TriePersistenceService Integration Tests', () => {
   const TEST_URI = process.env.MONGODB_TEST_URI || 'mongodb://localhost:27017';
@@ -44,6 +45,7 @@ describe('TriePersistenceService Integration Tests', () => {
     const db = mongoDBService.getDatabase();
     await db.collection('trie_nodes').deleteMany({});
     await db.collection('trie_metadata').deleteMany({});
+    await db.collection('trie_deltas').deleteMany({});
   });
 
   describe('Trie Export to MongoDB', () => {
@@ -226,6 +228,59 @@ describe('TriePersistenceService Integration Tests', () => {
     });
   });
 
+  describe('Deltas', () => {
+    beforeEach(async () => {
+      await persistenceService.exportTrieToMongoDB(testTrie, 'delta_v1');
+    });
+
+    test('should number deltas and replay them on restore', async () => {
+      const first = await persistenceService.saveDelta('delta_v1', [
+        { op: 'insert', word: 'apricot', frequency: 7, display: 'Apricot', payload: {} }
+      ]);
+      const second = await persistenceService.saveDelta('delta_v1', [
+        { op: 'frequency', word: 'apricot', frequency: 9 },
+        { op: 'delete', word: 'banana' }
+      ]);
+
+      expect(first.sequence).toBe(1);
+      expect(second.sequence).toBe(2);
+
+      const { trie, metadata } = await persistenceService.restoreTrieFromMongoDB('delta_v1');
+
+      expect(metadata.deltasApplied).toBe(2);
+      expect(metadata.changesApplied).toBe(3);
+      expect(trie.getEntry('apricot')).toMatchObject({ frequency: 9, display: 'Apricot' });
+      expect(trie.contains('banana')).toBe(false);
+      expect(trie.getWordCount()).toBe(6);
+    });
+
+    test('should reject deltas of unknown versions', async () => {
+      await expect(persistenceService.saveDelta('missing', [{ op: 'delete', word: 'apple' }]))
+        .rejects.toThrow('Backup version \'missing\' not found');
+    });
+
+    test('should fold deltas into a new snapshot', async () => {
+      await persistenceService.saveDelta('delta_v1', [{ op: 'deletePrefix', prefix: 'ban' }]);
+
+      const result = await persistenceService.compactBackup('delta_v1', 'delta_v2');
+
+      expect(result).toMatchObject({ compacted: true, previousVersion: 'delta_v1', version: 'delta_v2', deltasFolded: 1 });
+      expect(await persistenceService.getBackupMetadata('delta_v1')).toBeNull();
+      expect(await persistenceService.loadDeltas('delta_v1')).toEqual([]);
+
+      const { trie, metadata } = await persistenceService.restoreTrieFromMongoDB('delta_v2');
+      expect(metadata.deltasApplied).toBe(0);
+      expect(trie.getWordCount()).toBe(3);
+    });
+
+    test('should leave snapshots without deltas in place', async () => {
+      const result = await persistenceService.compactBackup('delta_v1');
+
+      expect(result).toMatchObject({ compacted: false, version: 'delta_v1' });
+      expect(await persistenceService.getBackupMetadata('delta_v1')).not.toBeNull();
+    });
+  });
+
   describe('Serialization and Deserialization', () => {
     test('should serialize Trie correctly', () => {
       const serialized = persistenceService.serializeTrie(testTrie, 'serialize_test');
@@ -288,4 +343,116 @@ describe('TriePersistenceService Integration Tests', () => {
       ).rejects.toThrow('Version is required');
     });
   });
-});
\ No newline at end of file
+});
+
+describe('TriePersistenceService Serialization', () => {
+  const persistenceService = new TriePersistenceService();
+
+  test('should round-trip a RadixTrie with edge labels', () => {
+    const radixTrie = new RadixTrie();
+    radixTrie.insert('romane', 3);
+    radixTrie.insert('romanus', 5);
+    radixTrie.insert('rubens', 2);
+
+    const nodes = persistenceService.serializeTrie(radixTrie, 'radix_v1');
+    expect(nodes.find(node => node.word === 'romanus').label).toBe('us');
+
+    const restored = persistenceService.deserializeTrie(nodes, 'radix');
+    expect(restored).toBeInstanceOf(RadixTrie);
+    expect(restored.getWordCount()).toBe(3);
+    expect(restored.search('rom')).toEqual(radixTrie.search('rom'));
+    expect(restored.getStats().nodeCount).toBe(radixTrie.getStats().nodeCount);
+  });
+
+  test('should round-trip display forms and payloads', () => {
+    const trie = new Trie();
+    trie.insert('Paris', 12, { source: 'cities', id: '1250015082', metadata: { country: 'France' } });
+    trie.insert('parma', 4);
+
+    const restored = persistenceService.deserializeTrie(persistenceService.serializeTrie(trie, 'payload_v1'));
+
+    expect(restored.getEntry('paris')).toEqual({
+      word: 'paris',
+      frequency: 12,
+      display: 'Paris',
+      payload: { source: 'cities', id: '1250015082', metadata: { country: 'France' } }
+    });
+    expect(restored.getEntry('parma')).toEqual({ word: 'parma', frequency: 4 });
+  });
+
+  test('should round-trip selection popularity', () => {
+    const trie = new Trie();
+    trie.insert('paris', 12);
+    trie.insert('parma', 4);
+    trie.recordSelection('parma', 3, 1000);
+
+    const restored = persistenceService.deserializeTrie(persistenceService.serializeTrie(trie, 'popularity_v1'));
+
+    expect(restored.getPopularity('parma', 1000)).toBe(3);
+    expect(restored.getLastSelectedAt('parma')).toBe(1000);
+    expect(restored.getLastSelectedAt('paris')).toBeNull();
+    expect(restored.hasSelections()).toBe(true);
+    expect(restored.getPopularWords('par', 5, 1000).map(suggestion => suggestion.word)).toEqual(['parma']);
+  });
+
+  test('should restore Tries with the configured options', () => {
+    const normalizer = text => text.trim().toUpperCase();
+    const configured = new TriePersistenceService({ trieOptions: { normalizer, popularityHalfLife: 1000 } });
+    const trie = new Trie({ normalizer, popularityHalfLife: 1000 });
+    trie.insert('Zürich', 5);
+    trie.recordSelection('zürich', 4, 0);
+
+    const restored = configured.deserializeTrie(configured.serializeTrie(trie, 'options_v1'));
+
+    expect(restored.contains('zürich')).toBe(true);
+    expect(restored.getPopularity('ZÜRICH', 1000)).toBe(2);
+  });
+
+  test('should record the implementation name', () => {
+    expect(persistenceService.getImplementation(new Trie())).toBe('standard');
+    expect(persistenceService.getImplementation(new RadixTrie())).toBe('radix');
+  });
+
+  test('should replay journaled changes', () => {
+    const trie = new RadixTrie();
+    trie.insert('Paris', 12, { id: '1' });
+    trie.insert('parma', 4);
+    trie.insert('rome', 8);
+
+    const applied = persistenceService.applyChanges(trie, [
+      { op: 'insert', word: 'porto', frequency: 6, display: 'Porto', payload: { id: '2' } },
+      { op: 'frequency', word: 'paris', frequency: 15 },
+      { op: 'frequency', word: 'atlantis', frequency: 3 },
+      { op: 'delete', word: 'parma' },
+      { op: 'deletePrefix', prefix: 'ro' }
+    ]);
+
+    expect(applied).toBe(5);
+    expect(trie.getWordCount()).toBe(2);
+    expect(trie.getEntry('paris')).toEqual({ word: 'paris', frequency: 15, display: 'Paris', payload: { id: '1' } });
+    expect(trie.getEntry('porto')).toEqual({ word: 'porto', frequency: 6, display: 'Porto', payload: { id: '2' } });
+  });
+
+  test('should replay popularity changes', () => {
+    const trie = new Trie();
+    trie.insert('paris', 12);
+    trie.insert('parma', 4);
+    trie.recordSelection('parma', 1, 500);
+
+    persistenceService.applyChanges(trie, [
+      { op: 'popularity', word: 'paris', popularity: 2, popularityUpdatedAt: 1000 },
+      { op: 'insert', word: 'parma', frequency: 5, display: null, payload: null },
+      { op: 'popularity', word: 'atlantis', popularity: 1, popularityUpdatedAt: 1000 }
+    ]);
+
+    expect(trie.getPopularity('paris', 1000)).toBe(2);
+    expect(trie.getLastSelectedAt('paris')).toBe(1000);
+    // An insert without popularity replaced a deleted word
+    expect(trie.getLastSelectedAt('parma')).toBeNull();
+    expect(trie.getPopularWords('par', 5, 1000).map(suggestion => suggestion.word)).toEqual(['paris']);
+  });
+
+  test('should reject unknown changes', () => {
+    expect(() => persistenceService.applyChanges(new Trie(), [{ op: 'rename' }])).toThrow('Unknown Trie change: rename');
+  });
+});
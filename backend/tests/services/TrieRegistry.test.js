@@ -0,0 +1,156 @@
+/**
+ * TrieRegistry Tests
+ * Covers dataset registration, default selection and dataset parameter resolution
+ */
+
+const TrieRegistry = require('../../src/services/TrieRegistry');
+const { Trie, RadixTrie } = require('../../src/data-structures');
+
+describe('TrieRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new TrieRegistry();
+    registry.create('cities').insert('paris', 20);
+    registry.create('products').insert('paris perfume', 5);
+  });
+
+  describe('Registration', () => {
+    test('should create a separate Trie per dataset', () => {
+      expect(registry.getNames()).toEqual(['cities', 'products']);
+      expect(registry.get('cities')).not.toBe(registry.get('products'));
+      expect(registry.get('cities').getWordCount()).toBe(1);
+      expect(registry.get('missing')).toBeNull();
+    });
+
+    test('should use the configured Trie factory', () => {
+      const radixRegistry = new TrieRegistry({ createTrie: () => new RadixTrie() });
+      expect(radixRegistry.create('movies')).toBeInstanceOf(RadixTrie);
+    });
+
+    test('should register an existing Trie', () => {
+      const trie = new Trie();
+      expect(registry.register('sample', trie)).toBe(trie);
+      expect(registry.get('sample')).toBe(trie);
+    });
+
+    test('should reject invalid, reserved and duplicate names', () => {
+      expect(() => registry.create('Cities')).toThrow('Invalid dataset name: Cities');
+      expect(() => registry.create('all')).toThrow('Invalid dataset name: all');
+      expect(() => registry.create('cities')).toThrow('Dataset already registered: cities');
+    });
+
+    test('should remove datasets', () => {
+      expect(registry.remove('products')).toBe(true);
+      expect(registry.remove('products')).toBe(false);
+      expect(registry.size()).toBe(1);
+    });
+  });
+
+  describe('Default dataset', () => {
+    test('should fall back to the first registered dataset', () => {
+      expect(registry.getDefaultName()).toBe('cities');
+
+      const configured = new TrieRegistry({ defaultDataset: 'movies' });
+      configured.create('products');
+      expect(configured.getDefaultName()).toBe('products');
+    });
+
+    test('should use the configured default once registered', () => {
+      registry.setDefault('products');
+      expect(registry.getDefault()).toBe(registry.get('products'));
+      expect(() => registry.setDefault('movies')).toThrow('Dataset not found: movies');
+    });
+
+    test('should have no default when empty', () => {
+      expect(new TrieRegistry().getDefaultName()).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    test('should resolve a missing parameter to the default dataset', () => {
+      const { indexes, missing, federated } = registry.resolve(undefined);
+      expect(indexes.map(index => index.name)).toEqual(['cities']);
+      expect(missing).toEqual([]);
+      expect(federated).toBe(false);
+    });
+
+    test('should resolve a single dataset', () => {
+      const { indexes, federated } = registry.resolve('products');
+      expect(indexes.map(index => index.name)).toEqual(['products']);
+      expect(federated).toBe(false);
+    });
+
+    test('should resolve lists and "all" as federated', () => {
+      expect(registry.resolve('products,cities,products').indexes.map(index => index.name))
+        .toEqual(['products', 'cities']);
+      expect(registry.resolve('all')).toMatchObject({ federated: true, missing: [] });
+      expect(registry.resolve('all').indexes).toHaveLength(2);
+    });
+
+    test('should report unknown datasets', () => {
+      const { indexes, missing } = registry.resolve('cities,movies');
+      expect(indexes.map(index => index.name)).toEqual(['cities']);
+      expect(missing).toEqual(['movies']);
+    });
+  });
+
+  describe('resolveFromLocals', () => {
+    test('should use the registry when configured', () => {
+      const { indexes } = TrieRegistry.resolveFromLocals({ trieRegistry: registry }, 'products');
+      expect(indexes[0].trie).toBe(registry.get('products'));
+    });
+
+    test('should fall back to the single app Trie', () => {
+      const trie = new Trie();
+      const { indexes } = TrieRegistry.resolveFromLocals({ trie }, undefined);
+      expect(indexes).toEqual([{ name: null, trie, tokenIndex: null, phoneticIndex: null, ngramModel: null }]);
+    });
+
+    test('should treat any dataset as missing without a registry', () => {
+      const { indexes, missing } = TrieRegistry.resolveFromLocals({ trie: new Trie() }, 'cities');
+      expect(indexes).toEqual([]);
+      expect(missing).toEqual(['cities']);
+    });
+  });
+
+  describe('Token indexes and stats', () => {
+    test('should build a token index per dataset', () => {
+      const stats = registry.buildTokenIndexes();
+
+      expect(stats.products.entryCount).toBe(1);
+      expect(registry.getTokenIndex('products').search('perf')[0].word).toBe('paris perfume');
+      expect(registry.getTokenIndex('cities').search('perf')).toEqual([]);
+    });
+
+    test('should build a phonetic index per dataset', () => {
+      registry.get('cities').insert('philadelphia', 30);
+      const stats = registry.buildPhoneticIndexes({ algorithm: 'soundex' });
+
+      expect(stats.cities).toMatchObject({ algorithm: 'soundex', entryCount: 2 });
+      expect(registry.getPhoneticIndex('cities').search('filadelfia')).toEqual([]);
+      expect(registry.getPhoneticIndex('cities').search('pharis')[0].word).toBe('paris');
+      expect(registry.getPhoneticIndex('missing')).toBeNull();
+    });
+
+    test('should build an n-gram model per dataset', () => {
+      const stats = registry.buildNGramModels({ order: 2 });
+
+      expect(stats.products).toMatchObject({ order: 2, sequenceCount: 1 });
+      expect(registry.getNGramModel('products').predict('paris ')[0].token).toBe('perfume');
+      expect(registry.getNGramModel('cities').predict('paris ')).toEqual([]);
+      expect(registry.getNGramModel('missing')).toBeNull();
+    });
+
+    test('should report per-dataset stats', () => {
+      const stats = registry.getStats();
+
+      expect(stats.defaultDataset).toBe('cities');
+      expect(stats.datasetCount).toBe(2);
+      expect(stats.datasets.products.wordCount).toBe(1);
+      expect(stats.datasets.products.tokenIndex).toBeNull();
+      expect(stats.datasets.products.phoneticIndex).toBeNull();
+      expect(stats.datasets.products.ngramModel).toBeNull();
+    });
+  });
+});
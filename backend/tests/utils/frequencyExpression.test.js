@@ -0,0 +1,43 @@
+/**
+ * Frequency Expression Tests
+ * Covers parsing, evaluation against records and rejection of invalid expressions
+ */
+
+const { compileExpression } = require('../../src/utils/frequencyExpression');
+
+describe('compileExpression', () => {
+  test('should evaluate a bare column', () => {
+    expect(compileExpression('population')({ population: '1500' })).toBe(1500);
+  });
+
+  test('should follow operator precedence and parentheses', () => {
+    expect(compileExpression('1 + 2 * 3')({})).toBe(7);
+    expect(compileExpression('(1 + 2) * 3')({})).toBe(9);
+    expect(compileExpression('-a - -2 * (b % 3)')({ a: 1, b: 5 })).toBe(3);
+    expect(compileExpression('10 / 4')({})).toBe(2.5);
+  });
+
+  test('should call the built-in functions', () => {
+    expect(compileExpression('log10(votes + 1) * 2')({ votes: 999 })).toBe(6);
+    expect(compileExpression('max(1, min(votes / 1000, 20))')({ votes: 50000 })).toBe(20);
+    expect(compileExpression('floor(sqrt(n))')({ n: 10 })).toBe(3);
+  });
+
+  test('should read missing and non-numeric columns as 0', () => {
+    const evaluate = compileExpression('rating + votes');
+    expect(evaluate({ rating: 'n/a' })).toBe(0);
+  });
+
+  test('should list referenced columns', () => {
+    expect(compileExpression('log10(votes + 1) + rating / 2').columns).toEqual(['votes', 'rating']);
+  });
+
+  test('should reject invalid expressions', () => {
+    expect(() => compileExpression('')).toThrow('expression must be a non-empty string');
+    expect(() => compileExpression('votes +')).toThrow('unexpected end of expression');
+    expect(() => compileExpression('exec(1)')).toThrow('unknown function "exec"');
+    expect(() => compileExpression('(votes')).toThrow('expected ")"');
+    expect(() => compileExpression('votes rating')).toThrow('unexpected "rating"');
+    expect(() => compileExpression('process.exit()')).toThrow('unexpected "."');
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * Keyboard Layout Tests
+ * Covers key adjacency tables and substitution costs
+ */
+
+const {
+  areAdjacentKeys,
+  createSubstitutionCost,
+  getAdjacentKeys,
+  getKeyboardLayoutNames
+} = require('../../src/utils/keyboardLayouts');
+
+describe('keyboardLayouts', () => {
+  test('should list the supported layouts', () => {
+    expect(getKeyboardLayoutNames()).toEqual(['qwerty', 'qwertz', 'azerty', 'dvorak', 'none']);
+  });
+
+  test('should find neighbours in the same and staggered neighbouring rows', () => {
+    expect([...getAdjacentKeys('qwerty').get('s')].sort()).toEqual(['a', 'd', 'e', 'w', 'x', 'z']);
+    expect(areAdjacentKeys('qwerty', 'q', 'a')).toBe(true);
+    expect(areAdjacentKeys('qwerty', 's', 'q')).toBe(false);
+    expect(areAdjacentKeys('qwerty', 's', 'é')).toBe(false);
+  });
+
+  test('should follow the selected layout', () => {
+    expect(areAdjacentKeys('qwerty', 'y', 'u')).toBe(true);
+    expect(areAdjacentKeys('qwertz', 'y', 'u')).toBe(false);
+    expect(areAdjacentKeys('qwertz', 'z', 'u')).toBe(true);
+    expect(areAdjacentKeys('azerty', 'a', 'z')).toBe(true);
+    expect(areAdjacentKeys('dvorak', 'a', 'o')).toBe(true);
+  });
+
+  test('should cost adjacent substitutions less', () => {
+    const cost = createSubstitutionCost('qwerty', 0.4);
+
+    expect(cost('s', 's')).toBe(0);
+    expect(cost('s', 'a')).toBe(0.4);
+    expect(cost('s', 'q')).toBe(1);
+    expect(createSubstitutionCost('none')('s', 'a')).toBe(1);
+  });
+
+  test('should reject unknown layouts', () => {
+    expect(() => createSubstitutionCost('colemak')).toThrow('Unknown keyboard layout: colemak');
+  });
+});
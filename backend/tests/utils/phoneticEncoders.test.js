@@ -0,0 +1,55 @@
+/**
+ * Phonetic Encoder Tests
+ * Checks Soundex and Double Metaphone codes against reference values
+ */
+
+const { doubleMetaphone, getPhoneticEncoder, soundex } = require('../../src/utils/phoneticEncoders');
+
+describe('phoneticEncoders', () => {
+  describe('soundex', () => {
+    test.each([
+      ['robert', 'R163'],
+      ['rupert', 'R163'],
+      ['ashcraft', 'A261'],
+      ['tymczak', 'T522'],
+      ['pfister', 'P236'],
+      ['lee', 'L000']
+    ])('should encode %s as %s', (word, code) => {
+      expect(soundex(word)).toEqual([code]);
+    });
+
+    test('should return no code for words without letters', () => {
+      expect(soundex('1984')).toEqual([]);
+    });
+  });
+
+  describe('doubleMetaphone', () => {
+    test.each([
+      ['smith', ['SM0', 'XMT']],
+      ['schmidt', ['XMT', 'SMT']],
+      ['thomas', ['TMS']],
+      ['knight', ['NT']],
+      ['caesar', ['SSR']],
+      ['xavier', ['SF', 'SFR']],
+      ['jose', ['JS', 'HS']]
+    ])('should encode %s as %j', (word, codes) => {
+      expect(doubleMetaphone(word)).toEqual(codes);
+    });
+
+    test('should give phonetic misspellings of place names the same code', () => {
+      expect(doubleMetaphone('filadelfia', 6)).toEqual(doubleMetaphone('philadelphia', 6));
+      expect(doubleMetaphone('chikago')).toEqual(doubleMetaphone('chicago'));
+      expect(doubleMetaphone('philadelphia')).toEqual(['FLTL']);
+      expect(doubleMetaphone('philadelphia', 6)).toEqual(['FLTLF']);
+    });
+
+    test('should return no code for words without letters', () => {
+      expect(doubleMetaphone('1984')).toEqual([]);
+    });
+  });
+
+  test('should look up encoders by name', () => {
+    expect(getPhoneticEncoder('soundex')).toBe(soundex);
+    expect(() => getPhoneticEncoder('nysiis')).toThrow('Unknown phonetic algorithm: nysiis');
+  });
+});
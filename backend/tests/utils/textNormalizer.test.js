@@ -0,0 +1,52 @@
+const { createNormalizer, defaultNormalizer } = require('../../src/utils/textNormalizer');
+
+describe('textNormalizer', () => {
+  describe('defaultNormalizer', () => {
+    test('should fold diacritics and case', () => {
+      expect(defaultNormalizer('São Paulo')).toBe('sao paulo');
+      expect(defaultNormalizer('  ZÜRICH ')).toBe('zurich');
+      expect(defaultNormalizer('Crème Brûlée')).toBe('creme brulee');
+    });
+
+    test('should map precomposed and decomposed input to the same key', () => {
+      expect(defaultNormalizer('Zürich')).toBe(defaultNormalizer('Zürich'));
+    });
+
+    test('should apply compatibility decomposition', () => {
+      expect(defaultNormalizer('ﬁle')).toBe('file');
+      expect(defaultNormalizer('Ｔｏｋｙｏ')).toBe('tokyo');
+    });
+
+    test('should keep non-Latin letters', () => {
+      expect(defaultNormalizer('東京')).toBe('東京');
+      expect(defaultNormalizer('Москва')).toBe('москва');
+    });
+  });
+
+  describe('createNormalizer', () => {
+    test('should keep diacritics when stripping is disabled', () => {
+      const normalize = createNormalizer({ unicodeForm: 'NFC', stripDiacritics: false });
+
+      expect(normalize('São Paulo')).toBe('são paulo');
+    });
+
+    test('should support full and disabled case folding', () => {
+      expect(createNormalizer({ caseFolding: 'full' })('Straße')).toBe('strasse');
+      expect(createNormalizer({ caseFolding: 'lower' })('Straße')).toBe('straße');
+      expect(createNormalizer({ caseFolding: 'none' })('Zürich')).toBe('Zurich');
+    });
+
+    test('should expose its resolved options', () => {
+      expect(createNormalizer({ caseFolding: 'none' }).options).toEqual({
+        unicodeForm: 'NFKD',
+        stripDiacritics: true,
+        caseFolding: 'none'
+      });
+    });
+
+    test('should reject unsupported options', () => {
+      expect(() => createNormalizer({ unicodeForm: 'NFX' })).toThrow('Unsupported Unicode normalization form: NFX');
+      expect(() => createNormalizer({ caseFolding: 'upper' })).toThrow('Unsupported case folding mode: upper');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * XLSX Reader Tests
+ * Builds small workbooks in memory and reads their rows back
+ */
+
+const zlib = require('zlib');
+const { readXlsxRows } = require('../../src/utils/xlsxReader');
+
+/**
+ * Builds a zip archive with deflated entries (CRCs are left at 0; the reader does not check them)
+ * @param {Object} files - File contents keyed by archive path
+ * @returns {Buffer} Archive
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Builds a workbook with the given worksheets
+ * @param {Object} sheets - Sheet XML <sheetData> contents keyed by sheet name
+ * @param {string[]} sharedStrings - Shared string table
+ * @returns {Buffer} Workbook
+ */
+function buildWorkbook(sheets, sharedStrings = []) {
+  const names = Object.keys(sheets);
+  const files = {
+    'xl/workbook.xml': `<workbook><sheets>${names.map((name, i) =>
+      `<sheet name="${name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`,
+    'xl/_rels/workbook.xml.rels': `<Relationships>${names.map((name, i) =>
+      `<Relationship Id="rId${i + 1}" Type="worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`,
+    'xl/sharedStrings.xml': `<sst>${sharedStrings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`
+  };
+
+  names.forEach((name, i) => {
+    files[`xl/worksheets/sheet${i + 1}.xml`] = `<worksheet><sheetData>${sheets[name]}</sheetData></worksheet>`;
+  });
+
+  return buildZip(files);
+}
+
+describe('readXlsxRows', () => {
+  const airports = [
+    '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>passengers</t></is></c></row>',
+    '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2" t="s"><v>3</v></c><c r="C2"><v>104000000</v></c></row>',
+    '<row r="3"><c r="A3" t="inlineStr"><is><t>Charles de Gaulle &amp; Orly</t></is></c><c r="C3"><v>67000000</v></c></row>',
+    '<row r="4"><c r="A4" s="1"/></row>'
+  ].join('');
+
+  test('should read rows keyed by the header row', () => {
+    const rows = readXlsxRows(buildWorkbook({ Airports: airports }, ['name', 'iata', 'Atlanta', 'ATL']));
+
+    expect(rows).toEqual([
+      { name: 'Atlanta', iata: 'ATL', passengers: '104000000' },
+      { name: 'Charles de Gaulle & Orly', iata: '', passengers: '67000000' }
+    ]);
+  });
+
+  test('should select a sheet by name or position', () => {
+    const workbook = buildWorkbook({
+      First: '<row r="1"><c r="A1" t="inlineStr"><is><t>term</t></is></c></row><row r="2"><c r="A2" t="inlineStr"><is><t>one</t></is></c></row>',
+      Second: '<row r="1"><c r="A1" t="inlineStr"><is><t>term</t></is></c></row><row r="2"><c r="A2" t="inlineStr"><is><t>two</t></is></c></row>'
+    });
+
+    expect(readXlsxRows(workbook)).toEqual([{ term: 'one' }]);
+    expect(readXlsxRows(workbook, { sheet: 'Second' })).toEqual([{ term: 'two' }]);
+    expect(readXlsxRows(workbook, { sheet: 2 })).toEqual([{ term: 'two' }]);
+    expect(() => readXlsxRows(workbook, { sheet: 'Missing' })).toThrow('Worksheet not found: Missing');
+  });
+
+  test('should reject files that are not workbooks', () => {
+    expect(() => readXlsxRows(Buffer.from('name,iata\nAtlanta,ATL\n'))).toThrow('Not a valid XLSX file');
+  });
+});
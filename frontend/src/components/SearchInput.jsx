@@ -14,12 +14,29 @@ const SearchInput = ({ onSearch, onSelect, className = '' }) => {
   const [selectedIndex, setSelectedIndex] = useState(-1);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [typoToleranceEnabled, setTypoToleranceEnabled] = useState(false);
+  const [correction, setCorrection] = useState(null);
   
   const inputRef = useRef(null);
+  const latestQueryRef = useRef('');
   const suggestionsRef = useRef(null);
   const { handleError } = useErrorHandler();
   const { showSuccess } = useToast();
 
+  // Fetch the best correction for a query with no suggestions
+  const fetchCorrection = useCallback(async (searchQuery) => {
+    try {
+      const response = await api.suggestCorrection(searchQuery);
+
+      // Ignore corrections for queries the user has already changed
+      if (latestQueryRef.current === searchQuery) {
+        setCorrection(response.correction || null);
+      }
+    } catch (err) {
+      // The correction is optional, so failures are not shown to the user
+      console.error('Failed to fetch correction:', err);
+    }
+  }, []);
+
   // Debounced search function with 300ms delay
   const debouncedSearch = useCallback(
     debounce(async (searchQuery) => {
@@ -43,6 +60,11 @@ const SearchInput = ({ onSearch, onSelect, className = '' }) => {
         setSuggestions(response.suggestions || []);
         setShowSuggestions(true);
         setSelectedIndex(-1);
+
+        // Offer a "Did you mean" correction when nothing matched
+        if (!response.suggestions || response.suggestions.length === 0) {
+          fetchCorrection(searchQuery);
+        }
         
         // Call onSearch callback if provided
         if (onSearch) {
@@ -60,16 +82,28 @@ const SearchInput = ({ onSearch, onSelect, className = '' }) => {
         setIsLoading(false);
       }
     }, 300),
-    [onSearch, typoToleranceEnabled, handleError]
+    [onSearch, typoToleranceEnabled, handleError, fetchCorrection]
   );
 
   // Handle input change
   const handleInputChange = (e) => {
     const value = e.target.value;
     setQuery(value);
+    setCorrection(null);
+    latestQueryRef.current = value;
     debouncedSearch(value);
   };
 
+  // Search again with the suggested correction
+  const handleCorrectionSelect = () => {
+    const correctedQuery = correction.query;
+    setQuery(correctedQuery);
+    setCorrection(null);
+    latestQueryRef.current = correctedQuery;
+    debouncedSearch(correctedQuery);
+    inputRef.current?.focus();
+  };
+
   // Handle keyboard navigation
   const handleKeyDown = (e) => {
     if (!showSuggestions || suggestions.length === 0) {
@@ -122,14 +156,19 @@ const SearchInput = ({ onSearch, onSelect, className = '' }) => {
       onSelect(suggestion);
     }
 
-    // Increment frequency on backend
-    incrementFrequency(suggestion.word);
+    // Increment frequency on backend, with the query and position analytics credit the selection to.
+    // The dropdown passes a copy of the suggestion, so its position is found by word
+    const position = suggestions.findIndex(item => item.word === suggestion.word);
+    incrementFrequency(suggestion.word, {
+      query: query.trim() || undefined,
+      position: position >= 0 ? position : undefined
+    });
   };
 
   // Increment frequency for selected suggestion
-  const incrementFrequency = async (word) => {
+  const incrementFrequency = async (word, selection) => {
     try {
-      await api.incrementFrequency(word);
+      await api.incrementFrequency(word, selection);
       showSuccess(`Selected "${word}"`, 2000);
     } catch (err) {
       // Don't show error to user for this background operation
@@ -256,6 +295,19 @@ const SearchInput = ({ onSearch, onSelect, className = '' }) => {
       {showSuggestions && suggestions.length === 0 && query.length > 0 && !isLoading && !error && (
         <div className="absolute top-full left-0 right-0 z-50 mt-1 rounded-lg border border-gray-200 bg-white p-4 text-center text-gray-500 shadow-lg">
           No suggestions found for "{query}"
+          {correction && (
+            <p className="mt-2 text-sm">
+              Did you mean{' '}
+              <button
+                type="button"
+                onClick={handleCorrectionSelect}
+                className="font-medium text-blue-600 hover:text-blue-800 hover:underline"
+              >
+                {correction.display || correction.query}
+              </button>
+              ?
+            </p>
+          )}
         </div>
       )}
     </div>
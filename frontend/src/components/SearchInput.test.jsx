@@ -1,12 +1,15 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { render as renderComponent, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import axios from 'axios';
 import SearchInput from './SearchInput';
+import { ToastProvider } from './ToastContainer';
+import { api } from '../utils/apiClient';
 
 // Mock axios
 vi.mock('axios');
 const mockedAxios = vi.mocked(axios);
+const mockedApi = vi.mocked(api);
 
 // Mock lodash debounce to make tests synchronous
 vi.mock('lodash', () => ({
@@ -16,6 +19,9 @@ vi.mock('lodash', () => ({
   },
 }));
 
+// SearchInput reports errors and successes through toasts
+const render = (ui) => renderComponent(<ToastProvider>{ui}</ToastProvider>);
+
 // Helper function to find text that might be split by highlighting
 const findByTextContent = (text) => {
   return screen.getByText((content, element) => {
@@ -39,10 +45,13 @@ describe('SearchInput Component', () => {
       data: { suggestions: mockSuggestions }
     });
     mockedAxios.post.mockResolvedValue({});
+    mockedApi.search.mockResolvedValue({ suggestions: mockSuggestions });
+    mockedApi.suggestCorrection.mockResolvedValue({ correction: null });
   });
 
   afterEach(() => {
     vi.clearAllTimers();
+    vi.useRealTimers();
   });
 
   it('renders search input with correct placeholder', () => {
@@ -221,13 +230,33 @@ describe('SearchInput Component', () => {
     await user.type(input, 'tok');
     
     await waitFor(() => {
-      expect(findByTextContent('Tokyo')).toBeInTheDocument();
+      expect(screen.getAllByRole('option')).toHaveLength(3);
     });
     
-    await user.click(findByTextContent('Tokyo'));
+    await user.click(screen.getAllByRole('option')[0]);
     
-    expect(mockedAxios.post).toHaveBeenCalledWith('/api/search/increment', {
-      word: 'Tokyo'
+    expect(mockedApi.incrementFrequency).toHaveBeenCalledWith('Tokyo', {
+      query: 'tok',
+      position: 0
+    });
+  });
+
+  it('increments frequency without a query when the query is only whitespace', async () => {
+    const user = userEvent.setup();
+    render(<SearchInput />);
+
+    const input = screen.getByRole('combobox');
+    await user.type(input, '  ');
+
+    await waitFor(() => {
+      expect(screen.getAllByRole('option')).toHaveLength(3);
+    });
+
+    await user.click(screen.getAllByRole('option')[1]);
+
+    expect(mockedApi.incrementFrequency).toHaveBeenCalledWith('Toronto', {
+      query: undefined,
+      position: 1
     });
   });
 
@@ -324,6 +353,32 @@ describe('SearchInput Component', () => {
     });
   });
 
+  it('shows a clickable "Did you mean" correction when no results', async () => {
+    mockedApi.search.mockImplementation((query) => Promise.resolve({
+      suggestions: query === 'tokyo' ? mockSuggestions : []
+    }));
+    mockedApi.suggestCorrection.mockResolvedValue({
+      correction: { query: 'tokyo', display: 'Tokyo', confidence: 0.8 }
+    });
+
+    const user = userEvent.setup();
+    render(<SearchInput />);
+
+    const input = screen.getByRole('combobox');
+    await user.type(input, 'tokoy');
+
+    await waitFor(() => {
+      expect(screen.getByText(/Did you mean/)).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Tokyo' }));
+
+    expect(input).toHaveValue('tokyo');
+    await waitFor(() => {
+      expect(screen.queryByText(/Did you mean/)).not.toBeInTheDocument();
+    });
+  });
+
   it('closes suggestions when clicking outside', async () => {
     const user = userEvent.setup();
     render(
@@ -30,6 +30,7 @@ const mockAxiosInstance = {
 // Mock API methods
 export const api = {
   search: vi.fn(() => Promise.resolve({ suggestions: [] })),
+  suggestCorrection: vi.fn(() => Promise.resolve({ correction: null })),
   getTrieStructure: vi.fn(() => Promise.resolve({ nodes: [] })),
   incrementFrequency: vi.fn(() => Promise.resolve({ success: true })),
   getPerformanceMetrics: vi.fn(() => Promise.resolve({ metrics: {} })),
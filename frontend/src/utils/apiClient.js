@@ -348,10 +348,22 @@ export const api = {
     }
   },
 
-  // Increment frequency for selected suggestion
-  incrementFrequency: async (word) => {
+  // Get the single best "Did you mean" correction for a query
+  suggestCorrection: async (query, options = {}) => {
     try {
-      const response = await apiClient.post('/api/frequency/increment', { word });
+      const response = await apiClient.get('/api/search/suggest-correction', {
+        params: { query, ...options },
+      });
+      return response.data;
+    } catch (error) {
+      throw handleApiError(error);
+    }
+  },
+
+  // Record the selection of a suggestion; options carry the query and position it was selected from
+  incrementFrequency: async (word, options = {}) => {
+    try {
+      const response = await apiClient.post('/api/search/increment', { word, ...options });
       return response.data;
     } catch (error) {
       throw handleApiError(error);
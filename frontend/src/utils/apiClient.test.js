@@ -84,7 +84,7 @@ describe('apiClient', () => {
 
       const result = await api.incrementFrequency('test');
 
-      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/frequency/increment', { word: 'test' });
+      expect(mockAxiosInstance.post).toHaveBeenCalledWith('/api/search/increment', { word: 'test' });
       expect(result).toEqual(mockResponse);
     });
   });